@@ -0,0 +1,38 @@
+// Authenticity score of restaurants (utils/authenticity.js, Restaurant.computeAuthenticity): each
+// factor earns up to `max` points and the score is their sum, 0 to 100; `name` labels it in the
+// breakdown. Change the weights and thresholds here; stored scores follow on the next recompute
+// (npm run jobs:authenticity).
+
+const factors = {
+  // Share of the menu's dishes made with regional products or named after a calendar dish
+  regionalDishes: { name: 'Pratos regionais', max: 30, minDishes: 3 },
+  // DOP/IGP/ETG products used in the dishes; `full` of them earn every point
+  protectedProducts: { name: 'Produtos DOP/IGP', max: 20, full: 4 },
+  // Years since founded_year; `full` years earn every point
+  yearsInOperation: { name: 'Anos de atividade', max: 15, full: 40 },
+  // Family-run (is_family_owned)
+  familyOwnership: { name: 'Gestão familiar', max: 10 },
+  // Share of the active reviews carrying one of `tags` (accents and case ignored), once there
+  // are `minReviews` of them
+  reviewerTags: {
+    name: 'Etiquetas das avaliações',
+    max: 15,
+    minReviews: 3,
+    tags: ['autentico', 'tradicional', 'caseiro', 'familiar', 'receita-da-avo', 'produtos-locais', 'comida-portuguesa']
+  },
+  // Awards an admin has verified; `full` of them earn every point
+  verifiedAwards: { name: 'Prémios verificados', max: 10, full: 2 }
+};
+
+// Levels, first match wins: `minScore` and, when given, a condition on the factor values
+const levels = [
+  {
+    level: 'traditional-family',
+    minScore: 60,
+    when: (values) => values.familyOwnership || values.yearsInOperation >= 25
+  },
+  { level: 'innovative-chef', minScore: 40 },
+  { level: 'modern-fusion', minScore: 0 }
+];
+
+module.exports = { factors, levels };
@@ -0,0 +1,16 @@
+// Cultural food map settings (GET /api/map/features), overridable from the environment
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  // Up to this zoom level markers are grouped into clusters; past it, individual features
+  clusterMaxZoom: numberFromEnv('MAP_CLUSTER_MAX_ZOOM', 12),
+  // Cells per tile side: a 256px tile split 8x8 gives clusters about 32px apart
+  clusterGridSize: numberFromEnv('MAP_CLUSTER_GRID_SIZE', 8),
+  // How long a tile's clusters are reused, and how many tiles are kept
+  clusterCacheTtlSeconds: numberFromEnv('MAP_CLUSTER_CACHE_TTL_SECONDS', 300),
+  clusterCacheMaxTiles: numberFromEnv('MAP_CLUSTER_CACHE_MAX_TILES', 2000)
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const { run, get, all } = require('./database');
+
+// Migration files live in /migrations and are named NNN_description.js.
+// Each one exports async up() and down() steps that receive the database helpers.
+const migrationsDir = path.join(__dirname, '../migrations');
+const migrationFilePattern = /^(\d+)_([\w-]+)\.js$/;
+
+const ensureMigrationsTable = () => {
+  return run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+};
+
+// Load every migration file, sorted by version
+const loadMigrations = () => {
+  if (!fs.existsSync(migrationsDir)) {
+    return [];
+  }
+
+  const migrations = fs.readdirSync(migrationsDir)
+    .filter(file => migrationFilePattern.test(file))
+    .map(file => {
+      const [, version, name] = file.match(migrationFilePattern);
+      const { up, down } = require(path.join(migrationsDir, file));
+
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down() functions`);
+      }
+
+      return { version: parseInt(version, 10), name, file, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+const getAppliedMigrations = async () => {
+  await ensureMigrationsTable();
+  return all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+};
+
+// Run a migration step inside a transaction so a failing step leaves no partial schema
+const runInTransaction = async (step) => {
+  await run('BEGIN TRANSACTION');
+  try {
+    await step();
+    await run('COMMIT');
+  } catch (error) {
+    await run('ROLLBACK');
+    throw error;
+  }
+};
+
+// Compare the migration files with what has been applied to the database
+const getStatus = async () => {
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const knownVersions = new Set(migrations.map(migration => migration.version));
+
+  const list = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    file: migration.file,
+    applied: appliedByVersion.has(migration.version),
+    appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+  }));
+
+  return {
+    currentVersion: applied.length ? applied[applied.length - 1].version : 0,
+    latestVersion: migrations.length ? migrations[migrations.length - 1].version : 0,
+    migrations: list,
+    pending: list.filter(migration => !migration.applied),
+    // Versions recorded in the database that no migration file knows about
+    unknown: applied.filter(row => !knownVersions.has(row.version))
+  };
+};
+
+// Apply pending migrations in order, optionally stopping at a target version
+const migrate = async ({ to } = {}) => {
+  const migrations = loadMigrations();
+  const applied = new Set((await getAppliedMigrations()).map(row => row.version));
+  const pending = migrations.filter(migration =>
+    !applied.has(migration.version) && (to === undefined || migration.version <= to)
+  );
+
+  for (const migration of pending) {
+    await runInTransaction(async () => {
+      await migration.up({ run, get, all });
+      await run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    console.log(`⬆️  Applied migration ${migration.file}`);
+  }
+
+  return pending;
+};
+
+// Revert applied migrations, newest first: either a number of steps or down to a target version
+const rollback = async ({ steps = 1, to } = {}) => {
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const applied = (await getAppliedMigrations()).reverse();
+
+  const toRevert = to === undefined
+    ? applied.slice(0, steps)
+    : applied.filter(row => row.version > to);
+
+  for (const row of toRevert) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Migration file for version ${row.version} (${row.name}) not found`);
+    }
+
+    await runInTransaction(async () => {
+      await migration.down({ run, get, all });
+      await run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+    console.log(`⬇️  Reverted migration ${migration.file}`);
+  }
+
+  return toRevert;
+};
+
+// Refuse to continue when the database schema does not match the migration files
+const assertSchemaUpToDate = async () => {
+  const status = await getStatus();
+
+  if (status.unknown.length) {
+    const versions = status.unknown.map(row => row.version).join(', ');
+    const error = new Error(`Database schema is newer than this code (unknown migrations: ${versions})`);
+    error.name = 'SchemaMismatchError';
+    throw error;
+  }
+
+  if (status.pending.length) {
+    const files = status.pending.map(migration => migration.file).join(', ');
+    const error = new Error(`Database schema is out of date (pending migrations: ${files})`);
+    error.name = 'SchemaMismatchError';
+    throw error;
+  }
+
+  return status;
+};
+
+module.exports = {
+  loadMigrations,
+  getStatus,
+  migrate,
+  rollback,
+  assertSchemaUpToDate
+};
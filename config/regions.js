@@ -0,0 +1,4 @@
+// The eight gastronomic regions used across the API (filters, map, facets)
+const regions = ['minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores'];
+
+module.exports = { regions };
@@ -0,0 +1,103 @@
+// Portuguese wine regions and the dish pairing rules (models/Wine.js, utils/winePairing.js)
+
+// Wine regions by slug. `classifications` are the designations a wine of the region may carry:
+// DOC (Denominação de Origem Controlada) and IGP (Indicação Geográfica Protegida, "Vinho
+// Regional"), e.g. DOC Alentejo and IGP Alentejano.
+const wineRegions = {
+  'vinho-verde': { name: 'Vinho Verde', classifications: ['DOC', 'IGP'] },
+  douro: { name: 'Douro', classifications: ['DOC', 'IGP'] },
+  porto: { name: 'Porto', classifications: ['DOC'] },
+  'tras-os-montes': { name: 'Trás-os-Montes', classifications: ['DOC', 'IGP'] },
+  dao: { name: 'Dão', classifications: ['DOC'] },
+  bairrada: { name: 'Bairrada', classifications: ['DOC'] },
+  'beira-interior': { name: 'Beira Interior', classifications: ['DOC', 'IGP'] },
+  lisboa: { name: 'Lisboa', classifications: ['DOC', 'IGP'] },
+  tejo: { name: 'Tejo', classifications: ['DOC', 'IGP'] },
+  setubal: { name: 'Península de Setúbal', classifications: ['DOC', 'IGP'] },
+  alentejo: { name: 'Alentejo', classifications: ['DOC', 'IGP'] },
+  algarve: { name: 'Algarve', classifications: ['DOC', 'IGP'] },
+  madeira: { name: 'Madeira', classifications: ['DOC', 'IGP'] },
+  acores: { name: 'Açores', classifications: ['DOC', 'IGP'] }
+};
+
+const wineColors = ['white', 'red', 'rose', 'sparkling', 'fortified'];
+
+// Pairing rules, most specific first: the first rule a dish matches gives its suggestion. A dish
+// matches on `keywords` (words or phrases of its name and description, accents and plurals
+// ignored), then on `allergens` it declares, then on keywords of its section's name; see
+// utils/winePairing.js. `wines` says which colours suit it and which regions to prefer.
+const pairingRules = [
+  {
+    key: 'leitao',
+    keywords: ['leitão'],
+    wines: { colors: ['sparkling'], regions: ['bairrada'] },
+    suggestion: 'Espumante da Bairrada, como manda a tradição do leitão'
+  },
+  {
+    key: 'seafood',
+    keywords: [
+      'marisco', 'amêijoa', 'berbigão', 'mexilhão', 'camarão', 'gamba', 'lagosta', 'sapateira', 'santola', 'percebe',
+      'polvo', 'lula', 'choco', 'lingueirão'
+    ],
+    allergens: ['crustaceans', 'molluscs'],
+    wines: { colors: ['white', 'sparkling'], regions: ['vinho-verde', 'lisboa', 'setubal'] },
+    suggestion: 'Branco fresco de Vinho Verde, com a acidez e a salinidade do marisco'
+  },
+  {
+    key: 'codfish',
+    keywords: ['bacalhau'],
+    wines: { colors: ['white', 'red'], regions: ['dao', 'douro', 'bairrada'] },
+    suggestion: 'Branco encorpado ou tinto leve do Dão ou do Douro, que aguentam o bacalhau'
+  },
+  {
+    key: 'fish',
+    keywords: [
+      'peixe', 'sardinha', 'carapau', 'dourada', 'robalo', 'pescada', 'linguado', 'atum', 'cherne', 'caldeirada',
+      'lampreia', 'sável'
+    ],
+    allergens: ['fish'],
+    wines: { colors: ['white', 'rose'], regions: ['vinho-verde', 'bairrada', 'lisboa'] },
+    suggestion: 'Branco mineral de Vinho Verde ou da Bairrada com peixe'
+  },
+  {
+    key: 'game',
+    keywords: ['caça', 'javali', 'perdiz', 'lebre', 'coelho', 'veado', 'cabrito', 'borrego', 'chanfana'],
+    wines: { colors: ['red'], regions: ['douro', 'alentejo', 'dao'] },
+    suggestion: 'Tinto estruturado do Douro ou do Alentejo com caça e cabrito'
+  },
+  {
+    key: 'red-meat',
+    keywords: ['posta', 'vitela', 'vaca', 'novilho', 'bife', 'naco', 'cozido', 'feijoada', 'alcatra'],
+    wines: { colors: ['red'], regions: ['douro', 'alentejo', 'dao', 'tejo'] },
+    suggestion: 'Tinto do Douro ou do Alentejo com carne vermelha'
+  },
+  {
+    key: 'pork',
+    keywords: ['porco', 'rojões', 'sarrabulho', 'secretos', 'plumas', 'alheira', 'chouriço', 'farinheira', 'enchidos', 'presunto', 'migas'],
+    wines: { colors: ['red'], regions: ['alentejo', 'vinho-verde', 'douro'] },
+    suggestion: 'Tinto alentejano, ou Vinho Verde tinto com as papas e os rojões do Minho'
+  },
+  {
+    key: 'cheese',
+    keywords: ['queijo'],
+    wines: { colors: ['fortified', 'red'], regions: ['porto', 'douro', 'alentejo'] },
+    suggestion: 'Porto ou tinto do Douro com queijo'
+  },
+  {
+    key: 'dessert',
+    keywords: [
+      'sobremesa', 'doce', 'pudim', 'pastel', 'bolo', 'tarte', 'rabanada', 'leite-creme', 'toucinho-do-céu', 'queijada',
+      'encharcada', 'sericaia'
+    ],
+    wines: { colors: ['fortified'], regions: ['porto', 'madeira', 'setubal'] },
+    suggestion: 'Vinho do Porto, Madeira ou Moscatel de Setúbal com a sobremesa'
+  },
+  {
+    key: 'vegetables',
+    keywords: ['sopa', 'caldo', 'legumes', 'salada', 'grão', 'favas', 'ervilhas', 'cogumelos'],
+    wines: { colors: ['white', 'rose'], regions: ['vinho-verde', 'dao', 'tejo'] },
+    suggestion: 'Branco jovem ou rosé leve com legumes e sopas'
+  }
+];
+
+module.exports = { wineRegions, wineColors, pairingRules };
@@ -0,0 +1,124 @@
+// Periodic job that re-runs every active saved search and tells its owner about new matches:
+// one in-app notification per search and run, plus an email when the search asks for it.
+// Results are recorded as sent before notifying, so a failed email is never retried into a duplicate.
+
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const { sendMail } = require('../utils/mailer');
+
+// Results named in a notification; the rest are summed up as "e mais N"
+const MAX_LISTED_RESULTS = 5;
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+const resultLabel = (savedSearch, result) => {
+  const { titleColumn } = SavedSearch.targets[savedSearch.target];
+  return result.city ? `${result[titleColumn]} (${result.city})` : result[titleColumn];
+};
+
+const describeMatches = (savedSearch, matches) => {
+  const noun = savedSearch.target === 'events'
+    ? (matches.length === 1 ? 'novo evento' : 'novos eventos')
+    : (matches.length === 1 ? 'novo restaurante' : 'novos restaurantes');
+  const listed = matches.slice(0, MAX_LISTED_RESULTS).map(result => resultLabel(savedSearch, result));
+  const more = matches.length - listed.length;
+
+  return {
+    title: `${matches.length} ${noun} para "${savedSearch.name}"`,
+    message: listed.join(', ') + (more > 0 ? ` e mais ${more}` : '')
+  };
+};
+
+const notifyMatches = async (savedSearch, matches) => {
+  const { title, message } = describeMatches(savedSearch, matches);
+  const { titleColumn } = SavedSearch.targets[savedSearch.target];
+
+  await Notification.create({
+    user_id: savedSearch.user_id,
+    type: 'saved_search',
+    title,
+    message,
+    data: {
+      saved_search_id: savedSearch.id,
+      target: savedSearch.target,
+      results: matches.map(result => ({ id: result.id, name: result[titleColumn], slug: result.slug }))
+    }
+  });
+
+  if (savedSearch.notify_email && savedSearch.user.email) {
+    try {
+      await sendMail({
+        to: savedSearch.user.email,
+        subject: `Sabores Lusitanos: ${title}`,
+        text: [
+          `Olá ${savedSearch.user.name},`,
+          '',
+          `Há resultados novos para a sua pesquisa guardada "${savedSearch.name}":`,
+          '',
+          ...matches.map(result => `- ${resultLabel(savedSearch, result)}`),
+          '',
+          'Pode gerir as suas pesquisas guardadas no seu perfil.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error(`Saved search ${savedSearch.id} email error:`, error);
+    }
+  }
+};
+
+// Check every active saved search once; resolves to { checked, notified }
+const runSavedSearchAlerts = async () => {
+  const savedSearches = await SavedSearch.query()
+    .where({ is_active: 1 })
+    .populate('user')
+    .sort({ id: 1 })
+    .all();
+
+  let notified = 0;
+  for (const savedSearch of savedSearches) {
+    if (!savedSearch.user || !savedSearch.user.is_active) continue;
+
+    try {
+      const matches = await SavedSearch.newMatches(savedSearch);
+      if (matches.length) {
+        await SavedSearch.markSent(savedSearch.id, matches.map(result => result.id));
+        await notifyMatches(savedSearch, matches);
+        notified++;
+      }
+      await SavedSearch.markChecked(savedSearch.id);
+    } catch (error) {
+      console.error(`Saved search ${savedSearch.id} alert error:`, error);
+    }
+  }
+
+  return { checked: savedSearches.length, notified };
+};
+
+// Run the job every SAVED_SEARCH_ALERTS_INTERVAL_MINUTES (60 by default, 0 disables it).
+// Runs never overlap, and the timer does not keep the process alive.
+const startSavedSearchAlerts = () => {
+  const configured = parseInt(process.env.SAVED_SEARCH_ALERTS_INTERVAL_MINUTES, 10);
+  const minutes = Number.isNaN(configured) ? DEFAULT_INTERVAL_MINUTES : configured;
+  if (minutes <= 0) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { checked, notified } = await runSavedSearchAlerts();
+      if (notified) console.log(`🔔 Saved searches: ${notified} of ${checked} had new matches`);
+    } catch (error) {
+      console.error('Saved search alerts error:', error);
+    } finally {
+      running = false;
+    }
+  }, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runSavedSearchAlerts,
+  startSavedSearchAlerts
+};
@@ -13,7 +13,8 @@ const protect = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
       // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+      const user = await User.findById(decoded.id);
+      req.user = user && user.is_active ? user : null;
 
       if (!req.user) {
         return res.status(401).json({ message: 'User not found' });
@@ -39,7 +40,8 @@ const optionalAuth = async (req, res, next) => {
     try {
       token = req.headers.authorization.split(' ')[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+      const user = await User.findById(decoded.id);
+      req.user = user && user.is_active ? user : null;
     } catch (error) {
       // Token is invalid, but we continue without user
       req.user = null;
@@ -67,4 +69,11 @@ const restaurantOwner = (req, res, next) => {
   }
 };
 
-module.exports = { protect, optionalAuth, admin, restaurantOwner };
+// Accept the profile field names of the previous API (see User.withLegacyFields); runs before
+// the validators so they check the current names
+const legacyUserFields = (req, res, next) => {
+  req.body = User.withLegacyFields(req.body);
+  next();
+};
+
+module.exports = { protect, optionalAuth, admin, restaurantOwner, legacyUserFields };
@@ -0,0 +1,50 @@
+// Columns and indexes the API routes rely on now that they query SQLite directly
+
+const columns = [
+  ['users', 'phone', 'TEXT'],
+  ['users', 'city', 'TEXT'],
+  ['users', 'region', 'TEXT'],
+  ['users', 'preferences', 'TEXT'],
+  ['users', 'is_active', 'BOOLEAN DEFAULT 1'],
+  ['users', 'last_login', 'DATETIME'],
+  ['users', 'reset_password_token', 'TEXT'],
+  ['users', 'reset_password_expire', 'DATETIME'],
+  ['restaurants', 'specialties', 'TEXT'],
+  ['restaurants', 'authenticity_level', 'TEXT'],
+  ['restaurants', 'is_featured', 'BOOLEAN DEFAULT 0'],
+  ['reviews', 'is_active', 'BOOLEAN DEFAULT 1']
+];
+
+const indexes = [
+  ['idx_restaurants_region', 'restaurants (region)'],
+  ['idx_restaurants_owner', 'restaurants (owner_id)'],
+  ['idx_reviews_restaurant', 'reviews (restaurant_id)'],
+  ['idx_reviews_user', 'reviews (user_id)'],
+  ['idx_events_start_date', 'events (start_date)'],
+  ['idx_events_region', 'events (region)'],
+  ['idx_stories_region', 'stories (region)'],
+  ['idx_reservations_restaurant_date', 'reservations (restaurant_id, date)'],
+  ['idx_reservations_user', 'reservations (user_id)']
+];
+
+const up = async ({ run }) => {
+  for (const [table, column, definition] of columns) {
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+
+  for (const [name, target] of indexes) {
+    await run(`CREATE INDEX IF NOT EXISTS ${name} ON ${target}`);
+  }
+};
+
+const down = async ({ run }) => {
+  for (const [name] of indexes) {
+    await run(`DROP INDEX IF EXISTS ${name}`);
+  }
+
+  for (const [table, column] of [...columns].reverse()) {
+    await run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,70 @@
+// FTS5 full-text indexes for /api/search.
+// Each index keeps one row per searchable record (rowid = source id); triggers keep it in sync
+// and drop records that are soft deleted or unpublished.
+
+// Event tags are stored as a JSON array; index the words, not the brackets and quotes
+const eventTags = (row) => `CASE WHEN json_valid(${row}.tags) THEN (SELECT group_concat(value, ' ') FROM json_each(${row}.tags)) ELSE ${row}.tags END`;
+
+const indexes = [
+  {
+    table: 'restaurants',
+    index: 'restaurants_fts',
+    columns: ['name', 'description', 'cuisine', 'city'],
+    values: (row) => [`${row}.name`, `${row}.description`, `${row}.cuisine`, `${row}.city`],
+    searchable: (row) => `${row}.is_active = 1`
+  },
+  {
+    table: 'events',
+    index: 'events_fts',
+    columns: ['title', 'description', 'tags'],
+    values: (row) => [`${row}.title`, `${row}.description`, eventTags(row)],
+    searchable: (row) => `${row}.is_active = 1`
+  },
+  {
+    table: 'stories',
+    index: 'stories_fts',
+    columns: ['title', 'excerpt', 'content'],
+    values: (row) => [`${row}.title`, `${row}.excerpt`, `${row}.content`],
+    searchable: (row) => `${row}.is_published = 1 AND ${row}.status = 'published'`
+  }
+];
+
+const up = async ({ run }) => {
+  for (const { table, index, columns, values, searchable } of indexes) {
+    await run(`CREATE VIRTUAL TABLE ${index} USING fts5(
+    ${columns.join(', ')},
+    tokenize = 'unicode61 remove_diacritics 2'
+  )`);
+
+    const insertRow = (row) => `INSERT INTO ${index} (rowid, ${columns.join(', ')})
+      SELECT ${row}.id, ${values(row).join(', ')} WHERE ${searchable(row)};`;
+
+    await run(`CREATE TRIGGER ${index}_after_insert AFTER INSERT ON ${table} BEGIN
+      ${insertRow('new')}
+    END`);
+
+    // Re-index on every update: covers edits as well as soft delete / restore
+    await run(`CREATE TRIGGER ${index}_after_update AFTER UPDATE ON ${table} BEGIN
+      DELETE FROM ${index} WHERE rowid = old.id;
+      ${insertRow('new')}
+    END`);
+
+    await run(`CREATE TRIGGER ${index}_after_delete AFTER DELETE ON ${table} BEGIN
+      DELETE FROM ${index} WHERE rowid = old.id;
+    END`);
+
+    await run(`INSERT INTO ${index} (rowid, ${columns.join(', ')})
+      SELECT ${table}.id, ${values(table).join(', ')} FROM ${table} WHERE ${searchable(table)}`);
+  }
+};
+
+const down = async ({ run }) => {
+  for (const { index } of [...indexes].reverse()) {
+    await run(`DROP TRIGGER IF EXISTS ${index}_after_delete`);
+    await run(`DROP TRIGGER IF EXISTS ${index}_after_update`);
+    await run(`DROP TRIGGER IF EXISTS ${index}_after_insert`);
+    await run(`DROP TABLE IF EXISTS ${index}`);
+  }
+};
+
+module.exports = { up, down };
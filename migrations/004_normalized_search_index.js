@@ -0,0 +1,68 @@
+// Index normalised text (utils/textNormalizer) instead of the raw columns, so "acores" finds
+// "Açores" and "pasteis" finds "Pastéis". SQLite cannot run the normaliser, so the models now
+// write FTS rows (BaseModel.syncSearchIndex); the triggers only remove rows that stop being searchable.
+
+const { normalizeText } = require('./snapshots/textNormalizer');
+
+const indexes = [
+  {
+    table: 'restaurants',
+    index: 'restaurants_fts',
+    columns: ['name', 'description', 'cuisine', 'city'],
+    searchable: (row) => `${row}.is_active = 1`
+  },
+  {
+    table: 'events',
+    index: 'events_fts',
+    columns: ['title', 'description', 'tags'],
+    searchable: (row) => `${row}.is_active = 1`
+  },
+  {
+    table: 'stories',
+    index: 'stories_fts',
+    columns: ['title', 'excerpt', 'content'],
+    searchable: (row) => `${row}.is_published = 1 AND ${row}.status = 'published'`
+  }
+];
+
+// Same text the models index: JSON lists (event tags) become plain words
+const columnText = (value) => {
+  if (value === null || value === undefined) return '';
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed.join(' ');
+  } catch (error) {
+    // Not JSON, index as is
+  }
+  return String(value);
+};
+
+const up = async ({ run, all }) => {
+  for (const { table, index, columns, searchable } of indexes) {
+    await run(`DROP TRIGGER IF EXISTS ${index}_after_insert`);
+    await run(`DROP TRIGGER IF EXISTS ${index}_after_update`);
+
+    await run(`CREATE TRIGGER ${index}_after_update AFTER UPDATE ON ${table}
+      WHEN NOT (${searchable('new')}) BEGIN
+      DELETE FROM ${index} WHERE rowid = old.id;
+    END`);
+
+    await run(`DELETE FROM ${index}`);
+    const rows = await all(`SELECT id, ${columns.join(', ')} FROM ${table} WHERE ${searchable(table)}`);
+    for (const row of rows) {
+      await run(
+        `INSERT INTO ${index} (rowid, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+        [row.id, ...columns.map(column => normalizeText(columnText(row[column])))]
+      );
+    }
+  }
+};
+
+// Back to the raw-column triggers and contents of migration 003
+const down = async (db) => {
+  const previous = require('./003_search_index');
+  await previous.down(db);
+  await previous.up(db);
+};
+
+module.exports = { up, down };
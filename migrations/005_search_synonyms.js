@@ -0,0 +1,31 @@
+// Curated synonym dictionary used to expand search queries (managed at /api/search/synonyms).
+// Each row is a group of equivalent phrases: `term` plus the `synonyms` JSON array.
+
+const seed = [
+  ['francesinha', ['sandes portuense']],
+  ['bifana', ['sandes de porco']],
+  ['vinho verde', ['minho']],
+  ['tripas', ['tripas à moda do Porto']]
+];
+
+const up = async ({ run }) => {
+  await run(`CREATE TABLE search_synonyms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    term TEXT UNIQUE NOT NULL,
+    synonyms TEXT NOT NULL,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`);
+
+  for (const [term, synonyms] of seed) {
+    await run('INSERT INTO search_synonyms (term, synonyms) VALUES (?, ?)', [term, JSON.stringify(synonyms)]);
+  }
+};
+
+const down = async ({ run }) => {
+  await run('DROP TABLE IF EXISTS search_synonyms');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,80 @@
+// Trigram index of restaurant names, dish names and event titles for fuzzy "did you mean"
+// suggestions (models/SearchName.js). Like the full-text indexes, rows are written by the models
+// and the triggers remove them when a record is soft deleted or deleted.
+
+const { tokenize } = require('./snapshots/textNormalizer');
+
+const sources = [
+  { table: 'restaurants', searchable: (row) => `${row}.is_active = 1` },
+  { table: 'events', searchable: (row) => `${row}.is_active = 1` }
+];
+
+// Same extraction as Restaurant.dishNames: any object with a `name` inside the menu JSON
+const dishNames = (menu) => {
+  const names = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      if (typeof node.name === 'string') names.push(node.name);
+      Object.values(node).forEach(visit);
+    }
+  };
+  try {
+    visit(JSON.parse(menu));
+  } catch (error) {
+    // No menu, or not JSON
+  }
+  return names;
+};
+
+const up = async ({ run, all }) => {
+  await run(`CREATE VIRTUAL TABLE search_names USING fts5(
+    name,
+    display UNINDEXED,
+    type UNINDEXED,
+    source UNINDEXED,
+    source_id UNINDEXED,
+    slug UNINDEXED,
+    tokenize = 'trigram'
+  )`);
+
+  for (const { table, searchable } of sources) {
+    await run(`CREATE TRIGGER ${table}_names_after_update AFTER UPDATE ON ${table}
+      WHEN NOT (${searchable('new')}) BEGIN
+      DELETE FROM search_names WHERE source = '${table}' AND source_id = old.id;
+    END`);
+
+    await run(`CREATE TRIGGER ${table}_names_after_delete AFTER DELETE ON ${table} BEGIN
+      DELETE FROM search_names WHERE source = '${table}' AND source_id = old.id;
+    END`);
+  }
+
+  const insertName = (type, name, source, sourceId, slug) => run(
+    'INSERT INTO search_names (name, display, type, source, source_id, slug) VALUES (?, ?, ?, ?, ?, ?)',
+    [tokenize(name).join(' '), name, type, source, sourceId, slug]
+  );
+
+  const restaurants = await all('SELECT id, name, slug, menu FROM restaurants WHERE is_active = 1');
+  for (const restaurant of restaurants) {
+    await insertName('restaurant', restaurant.name, 'restaurants', restaurant.id, restaurant.slug);
+    for (const dish of dishNames(restaurant.menu)) {
+      await insertName('dish', dish, 'restaurants', restaurant.id, restaurant.slug);
+    }
+  }
+
+  const events = await all('SELECT id, title, slug FROM events WHERE is_active = 1');
+  for (const event of events) {
+    await insertName('event', event.title, 'events', event.id, event.slug);
+  }
+};
+
+const down = async ({ run }) => {
+  for (const { table } of [...sources].reverse()) {
+    await run(`DROP TRIGGER IF EXISTS ${table}_names_after_delete`);
+    await run(`DROP TRIGGER IF EXISTS ${table}_names_after_update`);
+  }
+  await run('DROP TABLE IF EXISTS search_names');
+};
+
+module.exports = { up, down };
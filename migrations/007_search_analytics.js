@@ -0,0 +1,43 @@
+// Search analytics (models/SearchLog.js): one row per /api/search and /api/search/suggestions call,
+// and one per result the user then opened, for the admin reports at /api/search/analytics.
+
+const up = async ({ run }) => {
+  await run(`CREATE TABLE search_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    endpoint TEXT NOT NULL CHECK (endpoint IN ('search', 'suggestions')),
+    query TEXT NOT NULL,
+    normalized_query TEXT NOT NULL,
+    type TEXT,
+    region TEXT,
+    filters TEXT,
+    result_count INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+
+  await run(`CREATE TABLE search_clicks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    search_log_id INTEGER NOT NULL,
+    result_type TEXT NOT NULL,
+    result_id INTEGER,
+    result_slug TEXT,
+    position INTEGER,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (search_log_id) REFERENCES search_logs (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+
+  await run('CREATE INDEX IF NOT EXISTS idx_search_logs_created ON search_logs (endpoint, created_at)');
+  await run('CREATE INDEX IF NOT EXISTS idx_search_logs_query ON search_logs (normalized_query)');
+  await run('CREATE INDEX IF NOT EXISTS idx_search_clicks_log ON search_clicks (search_log_id)');
+};
+
+const down = async ({ run }) => {
+  await run('DROP TABLE IF EXISTS search_clicks');
+  await run('DROP TABLE IF EXISTS search_logs');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,50 @@
+// Saved restaurant/event searches (models/SavedSearch.js), the results already sent for each one,
+// and the in-app notifications the saved-search job (jobs/savedSearchAlerts.js) writes.
+
+const up = async ({ run }) => {
+  await run(`CREATE TABLE saved_searches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    target TEXT NOT NULL CHECK (target IN ('restaurants', 'events')),
+    query TEXT,
+    filters TEXT,
+    notify_email BOOLEAN DEFAULT 1,
+    is_active BOOLEAN DEFAULT 1,
+    last_checked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  )`);
+
+  await run(`CREATE TABLE saved_search_results (
+    saved_search_id INTEGER NOT NULL,
+    result_id INTEGER NOT NULL,
+    sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (saved_search_id, result_id),
+    FOREIGN KEY (saved_search_id) REFERENCES saved_searches (id) ON DELETE CASCADE
+  )`);
+
+  await run(`CREATE TABLE notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    message TEXT,
+    data TEXT,
+    read_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  )`);
+
+  await run('CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches (user_id)');
+  await run('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, read_at)');
+};
+
+const down = async ({ run }) => {
+  await run('DROP TABLE IF EXISTS notifications');
+  await run('DROP TABLE IF EXISTS saved_search_results');
+  await run('DROP TABLE IF EXISTS saved_searches');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+// Coordinates for events, so proximity search (lat/lng/radiusKm) covers them too. Events held at a
+// restaurant start out at its location. Both tables get an index for the bounding-box prefilter.
+
+const indexes = [
+  ['idx_restaurants_coordinates', 'restaurants (latitude, longitude)'],
+  ['idx_events_coordinates', 'events (latitude, longitude)']
+];
+
+const up = async ({ run }) => {
+  await run('ALTER TABLE events ADD COLUMN latitude REAL');
+  await run('ALTER TABLE events ADD COLUMN longitude REAL');
+
+  await run(`UPDATE events SET
+    latitude = (SELECT latitude FROM restaurants WHERE restaurants.id = events.restaurant_id),
+    longitude = (SELECT longitude FROM restaurants WHERE restaurants.id = events.restaurant_id)
+    WHERE restaurant_id IS NOT NULL`);
+
+  for (const [name, target] of indexes) {
+    await run(`CREATE INDEX IF NOT EXISTS ${name} ON ${target}`);
+  }
+};
+
+const down = async ({ run }) => {
+  for (const [name] of indexes) {
+    await run(`DROP INDEX IF EXISTS ${name}`);
+  }
+
+  await run('ALTER TABLE events DROP COLUMN longitude');
+  await run('ALTER TABLE events DROP COLUMN latitude');
+};
+
+module.exports = { up, down };
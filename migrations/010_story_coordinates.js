@@ -0,0 +1,15 @@
+// Optional coordinates for stories, so geotagged stories can be shown on the cultural food map
+
+const up = async ({ run }) => {
+  await run('ALTER TABLE stories ADD COLUMN latitude REAL');
+  await run('ALTER TABLE stories ADD COLUMN longitude REAL');
+  await run('CREATE INDEX IF NOT EXISTS idx_stories_coordinates ON stories (latitude, longitude)');
+};
+
+const down = async ({ run }) => {
+  await run('DROP INDEX IF EXISTS idx_stories_coordinates');
+  await run('ALTER TABLE stories DROP COLUMN longitude');
+  await run('ALTER TABLE stories DROP COLUMN latitude');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// Offline geocoding from postal codes (models/PostalCode.js). `postal_codes` holds an imported CTT
+// dataset (scripts/postalCodes.js import); restaurants keep the municipality found and how
+// confident the match was: 'exact' (full XXXX-XXX code) or 'prefix' (only the 4 first digits).
+
+const up = async ({ run }) => {
+  await run(`CREATE TABLE postal_codes (
+    code TEXT PRIMARY KEY,
+    prefix TEXT NOT NULL,
+    locality TEXT,
+    municipality TEXT,
+    district TEXT,
+    latitude REAL,
+    longitude REAL
+  )`);
+  await run('CREATE INDEX IF NOT EXISTS idx_postal_codes_prefix ON postal_codes (prefix)');
+
+  await run('ALTER TABLE restaurants ADD COLUMN municipality TEXT');
+  await run('ALTER TABLE restaurants ADD COLUMN geocode_confidence TEXT');
+};
+
+const down = async ({ run }) => {
+  await run('ALTER TABLE restaurants DROP COLUMN geocode_confidence');
+  await run('ALTER TABLE restaurants DROP COLUMN municipality');
+  await run('DROP TABLE IF EXISTS postal_codes');
+};
+
+module.exports = { up, down };
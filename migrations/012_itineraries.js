@@ -0,0 +1,27 @@
+// Saved food-tour itineraries (POST /api/map/itineraries with save), shared by slug.
+// `stops` is the planned schedule as returned to the visitor; `options` the request that made it.
+
+const up = async ({ run }) => {
+  await run(`CREATE TABLE itineraries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT UNIQUE NOT NULL,
+    title TEXT NOT NULL,
+    user_id INTEGER,
+    date DATE NOT NULL,
+    region TEXT,
+    start_latitude REAL NOT NULL,
+    start_longitude REAL NOT NULL,
+    options TEXT,
+    stops TEXT NOT NULL,
+    total_distance_km REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  await run('CREATE INDEX IF NOT EXISTS idx_itineraries_user ON itineraries (user_id)');
+};
+
+const down = async ({ run }) => {
+  await run('DROP TABLE IF EXISTS itineraries');
+};
+
+module.exports = { up, down };
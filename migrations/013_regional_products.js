@@ -0,0 +1,85 @@
+// Regional products catalogue (models/RegionalProduct.js, managed at /api/products), with their
+// protected designation: DOP (denominação de origem protegida), IGP (indicação geográfica
+// protegida), ETG (especialidade tradicional garantida) or none. season_months lists the months
+// (1-12) a product is at its best; an empty list means all year.
+// Restaurants link products from their menu (restaurant_products is rebuilt from it on save);
+// stories list them in related_products, like related_restaurants.
+
+const { slugify } = require('./snapshots/textNormalizer');
+
+const seed = [
+  ['Queijo Serra da Estrela', 'DOP', 'beiras', 'queijo', [11, 12, 1, 2, 3, 4],
+    'Queijo de ovelha bordaleira amanteigado, coalhado com flor de cardo, da região demarcada da Serra da Estrela.'],
+  ['Castanha da Terra Fria', 'DOP', 'douro', 'fruto', [10, 11, 12],
+    'Castanha dos soutos de Trás-os-Montes, assada nas ruas e usada em sopas e pratos de caça.'],
+  ['Couve-galega', null, 'minho', 'hortícola', [11, 12, 1, 2],
+    'Couve de folhas largas do caldo verde, que atinge o seu melhor sabor nos meses frios de inverno.'],
+  ['Chouriço de Carne de Vinhais', 'IGP', 'douro', 'enchido', [],
+    'Enchido de carne de porco bísaro fumado lentamente em lenha de carvalho.'],
+  ['Broa de Avintes', 'IGP', 'douro', 'pão', [],
+    'Pão escuro e denso de milho e centeio, cozido longamente em forno de lenha.'],
+  ['Cordeiro Bragançano', 'DOP', 'douro', 'carne', [3, 4, 5],
+    'Carne de borrego da raça churra galega bragançana, criado em pastagens naturais.'],
+  ['Pêra Rocha do Oeste', 'DOP', 'lisboa', 'fruto', [8, 9, 10, 11, 12],
+    'Pêra de polpa firme e doce, cultivada nos pomares da região Oeste.'],
+  ['Queijo de Nisa', 'DOP', 'alentejo', 'queijo', [],
+    'Queijo curado de leite cru de ovelha, de pasta semidura com pequenos olhos.'],
+  ['Presunto de Barrancos', 'DOP', 'alentejo', 'enchido', [],
+    'Presunto de porco alentejano de montanheira, alimentado a bolota.'],
+  ['Citrinos do Algarve', 'IGP', 'algarve', 'fruto', [12, 1, 2, 3, 4],
+    'Laranjas e tangerinas sumarentas dos pomares do barrocal algarvio.'],
+  ['Banana da Madeira', 'DOP', 'madeira', 'fruto', [],
+    'Banana pequena e aromática cultivada nos socalcos da costa sul da ilha.'],
+  ['Ananás dos Açores/São Miguel', 'DOP', 'acores', 'fruto', [],
+    'Ananás cultivado em estufas caiadas de São Miguel, de ciclo longo e muito aromático.'],
+  ['Queijo São Jorge', 'DOP', 'acores', 'queijo', [],
+    'Queijo de leite cru de vaca, de pasta dura e sabor picante, da ilha de São Jorge.'],
+  ['Bacalhau de Cura Tradicional Portuguesa', 'ETG', null, 'peixe', [],
+    'Bacalhau salgado e seco ao ar segundo o método tradicional português.']
+];
+
+const up = async ({ run }) => {
+  await run(`CREATE TABLE regional_products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    slug TEXT UNIQUE NOT NULL,
+    designation TEXT CHECK (designation IN ('DOP', 'IGP', 'ETG')),
+    region TEXT,
+    category TEXT,
+    description TEXT,
+    season_months TEXT NOT NULL DEFAULT '[]',
+    images TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`);
+  await run('CREATE INDEX IF NOT EXISTS idx_regional_products_region ON regional_products (region)');
+
+  await run(`CREATE TABLE restaurant_products (
+    restaurant_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    PRIMARY KEY (restaurant_id, product_id),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants (id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES regional_products (id) ON DELETE CASCADE
+  )`);
+  await run('CREATE INDEX IF NOT EXISTS idx_restaurant_products_product ON restaurant_products (product_id)');
+
+  await run('ALTER TABLE stories ADD COLUMN related_products TEXT');
+
+  for (const [name, designation, region, category, months, description] of seed) {
+    await run(
+      `INSERT INTO regional_products (name, slug, designation, region, category, description, season_months)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name, slugify(name), designation, region, category, description, JSON.stringify(months)]
+    );
+  }
+};
+
+const down = async ({ run }) => {
+  await run('ALTER TABLE stories DROP COLUMN related_products');
+  await run('DROP TABLE IF EXISTS restaurant_products');
+  await run('DROP TABLE IF EXISTS regional_products');
+};
+
+module.exports = { up, down };
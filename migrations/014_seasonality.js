@@ -0,0 +1,62 @@
+// Seasonal dish calendar (models/SeasonalDish.js, GET /api/seasonal) and the seasonal items of each
+// restaurant's menu. A menu item is seasonal when it has `season_months` or names a calendar dish
+// in `seasonal_dish`, whose months it then follows; restaurant_seasonal_items is rebuilt from the
+// menu on save, like restaurant_products.
+
+const { slugify } = require('./snapshots/textNormalizer');
+
+const seed = [
+  ['Lampreia', 'minho', [1, 2, 3, 4], 'Lampreia à bordalesa ou em arroz, pescada nos rios do Minho e do Douro.'],
+  ['Sável', 'lisboa', [3, 4, 5], 'Sável frito com açorda de ovas, quando sobe o Tejo para desovar.'],
+  ['Cabrito assado', null, [3, 4], 'Cabrito assado no forno, prato da mesa de Páscoa.'],
+  ['Folar', null, [3, 4], 'Folar de Páscoa, doce ou de carnes, conforme a região.'],
+  ['Caracóis', null, [5, 6, 7, 8], 'Caracóis cozidos com orégãos, petisco das esplanadas de verão.'],
+  ['Sardinhas assadas', null, [6, 7, 8], 'Sardinhas na brasa sobre broa, rainhas dos Santos Populares.'],
+  ['Atum fresco', 'algarve', [6, 7, 8, 9], 'Atum grelhado ou de cebolada, da pesca de verão na costa algarvia.'],
+  ['Castanhas assadas', null, [10, 11, 12], 'Castanhas assadas do Magusto e do São Martinho.'],
+  ['Caça', 'alentejo', [10, 11, 12, 1], 'Perdiz, lebre e javali da época de caça, em arroz ou estufados.'],
+  ['Papas de sarrabulho', 'minho', [11, 12, 1, 2], 'Papas de sarrabulho e rojões da matança do porco.'],
+  ['Bacalhau da Consoada', null, [12], 'Bacalhau cozido com couves, batatas e ovo na noite de Natal.'],
+  ['Rabanadas', null, [12], 'Fatias de pão fritas com calda de açúcar e canela, doce de Natal.'],
+  ['Bolo-rei', null, [12, 1], 'Bolo com frutas cristalizadas, do Natal aos Reis.']
+];
+
+const up = async ({ run }) => {
+  await run(`CREATE TABLE seasonal_dishes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    slug TEXT UNIQUE NOT NULL,
+    region TEXT,
+    description TEXT,
+    season_months TEXT NOT NULL,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`);
+
+  await run(`CREATE TABLE restaurant_seasonal_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    season_months TEXT,
+    seasonal_dish_id INTEGER,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants (id) ON DELETE CASCADE,
+    FOREIGN KEY (seasonal_dish_id) REFERENCES seasonal_dishes (id)
+  )`);
+  await run('CREATE INDEX IF NOT EXISTS idx_restaurant_seasonal_items_restaurant ON restaurant_seasonal_items (restaurant_id)');
+
+  for (const [name, region, months, description] of seed) {
+    await run(
+      'INSERT INTO seasonal_dishes (name, slug, region, description, season_months) VALUES (?, ?, ?, ?, ?)',
+      [name, slugify(name), region, description, JSON.stringify(months)]
+    );
+  }
+};
+
+const down = async ({ run }) => {
+  await run('DROP TABLE IF EXISTS restaurant_seasonal_items');
+  await run('DROP TABLE IF EXISTS seasonal_dishes');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Opening hours move to the structured form of utils/openingHours.js (ranges per weekday, dated
+// exceptions), which the openNow / openAt filters query. Values that do not parse (free text)
+// are kept as they were and only count as closed until the owner rewrites them.
+
+const { parseOpeningHours } = require('./snapshots/openingHours');
+
+const up = async ({ run, all }) => {
+  const rows = await all("SELECT id, opening_hours FROM restaurants WHERE opening_hours IS NOT NULL AND opening_hours != ''");
+
+  let skipped = 0;
+  for (const row of rows) {
+    try {
+      const hours = parseOpeningHours(row.opening_hours);
+      await run('UPDATE restaurants SET opening_hours = ? WHERE id = ?', [JSON.stringify(hours), row.id]);
+    } catch (error) {
+      skipped += 1;
+    }
+  }
+  if (skipped) console.log(`   ${skipped} restaurant(s) kept free-text opening hours`);
+};
+
+// The normalised hours are not converted back
+const down = async () => {};
+
+module.exports = { up, down };
@@ -0,0 +1,72 @@
+// IANA time zone per restaurant and event (utils/dates.js), from the region unless set: the
+// Açores are an hour behind the mainland. Reservations keep their restaurant's zone and the UTC
+// instant they start at, which is what "upcoming" and "in the future" compare. Event dates, stored
+// as clients sent them (ISO text with or without an offset, or a date alone), become UTC text
+// too, those without an offset read in the event's zone; down writes them back as ISO text in UTC
+// (with Z), which up reads again as the same instants.
+
+const { timeZoneForRegion, zonedToInstant, toSqlDateTime, parseInstant } = require('./snapshots/dates');
+
+const regionZoneSql = (table) => `CASE ${table}.region
+  WHEN 'acores' THEN '${timeZoneForRegion('acores')}'
+  WHEN 'madeira' THEN '${timeZoneForRegion('madeira')}'
+  ELSE '${timeZoneForRegion(null)}' END`;
+
+// Stored UTC text of an event date; values that cannot be read as a date are kept as they are
+const eventDateToUtc = (value, timeZone) => {
+  if (value === null || value === undefined || value === '') return value;
+  try {
+    const instant = parseInstant(value, timeZone);
+    return Number.isNaN(instant.getTime()) ? value : toSqlDateTime(instant);
+  } catch (error) {
+    return value;
+  }
+};
+
+const up = async ({ run, all }) => {
+  await run('ALTER TABLE restaurants ADD COLUMN timezone TEXT');
+  await run(`UPDATE restaurants SET timezone = ${regionZoneSql('restaurants')}`);
+
+  await run('ALTER TABLE events ADD COLUMN timezone TEXT');
+  await run(`UPDATE events SET timezone = ${regionZoneSql('events')}`);
+
+  const events = await all('SELECT id, start_date, end_date, timezone FROM events');
+  for (const event of events) {
+    await run('UPDATE events SET start_date = ?, end_date = ? WHERE id = ?', [
+      eventDateToUtc(event.start_date, event.timezone),
+      eventDateToUtc(event.end_date, event.timezone),
+      event.id
+    ]);
+  }
+
+  await run('ALTER TABLE reservations ADD COLUMN timezone TEXT');
+  await run('ALTER TABLE reservations ADD COLUMN starts_at DATETIME');
+  await run(`UPDATE reservations SET timezone = COALESCE(
+    (SELECT restaurants.timezone FROM restaurants WHERE restaurants.id = reservations.restaurant_id),
+    '${timeZoneForRegion(null)}'
+  )`);
+
+  const reservations = await all('SELECT id, date, time, timezone FROM reservations');
+  for (const reservation of reservations) {
+    const [hours, minutes] = String(reservation.time).split(':').map(Number);
+    const startsAt = zonedToInstant({ date: String(reservation.date).slice(0, 10), minutes: hours * 60 + minutes }, reservation.timezone);
+    if (!Number.isNaN(startsAt.getTime())) {
+      await run('UPDATE reservations SET starts_at = ? WHERE id = ?', [toSqlDateTime(startsAt), reservation.id]);
+    }
+  }
+  await run('CREATE INDEX IF NOT EXISTS idx_reservations_starts_at ON reservations (starts_at)');
+};
+
+const down = async ({ run }) => {
+  await run('DROP INDEX IF EXISTS idx_reservations_starts_at');
+  await run('ALTER TABLE reservations DROP COLUMN starts_at');
+  await run('ALTER TABLE reservations DROP COLUMN timezone');
+  for (const column of ['start_date', 'end_date']) {
+    await run(`UPDATE events SET ${column} = replace(${column}, ' ', 'T') || 'Z'
+      WHERE ${column} GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9] [0-9][0-9]:[0-9][0-9]:[0-9][0-9]'`);
+  }
+  await run('ALTER TABLE events DROP COLUMN timezone');
+  await run('ALTER TABLE restaurants DROP COLUMN timezone');
+};
+
+module.exports = { up, down };
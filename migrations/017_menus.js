@@ -0,0 +1,190 @@
+// Structured menus (models/Menu.js, MenuSection.js, MenuDish.js, managed at
+// /api/restaurants/:id/menu) replace the free-form restaurants.menu JSON: a restaurant has menus,
+// a menu has sections and a section has dishes, with the price in cents, photos, a signature-dish
+// flag and when they are served (lunch/dinner services, season months or a calendar dish).
+// Dishes get their own full-text index for /api/search. The old JSON is imported, then dropped.
+
+const { normalizeText } = require('./snapshots/textNormalizer');
+
+const DEFAULT_SECTION = 'Pratos';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Dishes of a free-form menu grouped by section name. A named object without lists of objects is
+// a dish; lists are sections named by their object's `section` or `name`, else by their key
+// ({ "pratos": [...] } or [{ "section": "Pratos", "items": [...] }]).
+const menuSections = (menu) => {
+  const sections = new Map();
+  const visit = (node, sectionName) => {
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, sectionName));
+      return;
+    }
+    if (!isObject(node)) return;
+
+    const lists = Object.entries(node).filter(([, value]) => Array.isArray(value) && value.some(isObject));
+    if (typeof node.name === 'string' && !lists.length) {
+      if (!sections.has(sectionName)) sections.set(sectionName, []);
+      sections.get(sectionName).push(node);
+      return;
+    }
+
+    const ownName = [node.section, node.name].find(name => typeof name === 'string');
+    lists.forEach(([key, value]) => {
+      const keyName = key === 'items' || key === 'dishes' ? sectionName : capitalize(key);
+      visit(value, ownName || keyName);
+    });
+  };
+
+  try {
+    visit(JSON.parse(menu), DEFAULT_SECTION);
+  } catch (error) {
+    // No menu, or free text
+  }
+  return sections;
+};
+
+const priceCents = (item) => {
+  if (Number.isInteger(item.price_cents)) return item.price_cents;
+  const price = Number(item.price);
+  return item.price !== undefined && item.price !== null && Number.isFinite(price) ? Math.round(price * 100) : null;
+};
+
+const listOrNull = (value) => (Array.isArray(value) ? JSON.stringify(value) : null);
+
+const up = async ({ run, all }) => {
+  await run(`CREATE TABLE menus (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    position INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants (id) ON DELETE CASCADE
+  )`);
+  await run('CREATE INDEX IF NOT EXISTS idx_menus_restaurant ON menus (restaurant_id)');
+
+  await run(`CREATE TABLE menu_sections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    menu_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    position INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (menu_id) REFERENCES menus (id) ON DELETE CASCADE
+  )`);
+  await run('CREATE INDEX IF NOT EXISTS idx_menu_sections_menu ON menu_sections (menu_id)');
+
+  // restaurant_id is the section's menu's, kept on the dish for search and the restaurant links
+  await run(`CREATE TABLE menu_dishes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    section_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    price_cents INTEGER CHECK (price_cents >= 0),
+    photos TEXT NOT NULL DEFAULT '[]',
+    is_signature INTEGER DEFAULT 0,
+    services TEXT,
+    season_months TEXT,
+    seasonal_dish TEXT,
+    products TEXT,
+    position INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants (id) ON DELETE CASCADE,
+    FOREIGN KEY (section_id) REFERENCES menu_sections (id) ON DELETE CASCADE
+  )`);
+  await run('CREATE INDEX IF NOT EXISTS idx_menu_dishes_restaurant ON menu_dishes (restaurant_id)');
+  await run('CREATE INDEX IF NOT EXISTS idx_menu_dishes_section ON menu_dishes (section_id)');
+
+  // Rows are written by the model (BaseModel.syncSearchIndex); deleted dishes leave the index
+  await run(`CREATE VIRTUAL TABLE menu_dishes_fts USING fts5(
+    name,
+    description,
+    tokenize = 'unicode61 remove_diacritics 2'
+  )`);
+  await run(`CREATE TRIGGER menu_dishes_fts_after_delete AFTER DELETE ON menu_dishes BEGIN
+    DELETE FROM menu_dishes_fts WHERE rowid = old.id;
+  END`);
+
+  const restaurants = await all("SELECT id, menu FROM restaurants WHERE menu IS NOT NULL AND menu != ''");
+  for (const restaurant of restaurants) {
+    const sections = menuSections(restaurant.menu);
+    if (!sections.size) continue;
+
+    const menu = await run('INSERT INTO menus (restaurant_id, name) VALUES (?, ?)', [restaurant.id, 'Menu']);
+    let sectionPosition = 0;
+    for (const [sectionName, items] of sections) {
+      const section = await run(
+        'INSERT INTO menu_sections (menu_id, name, position) VALUES (?, ?, ?)',
+        [menu.id, sectionName, sectionPosition++]
+      );
+      let dishPosition = 0;
+      for (const item of items) {
+        const photos = Array.isArray(item.photos) ? item.photos : (Array.isArray(item.images) ? item.images : []);
+        const dish = await run(`
+          INSERT INTO menu_dishes (restaurant_id, section_id, name, description, price_cents, photos, is_signature,
+            services, season_months, seasonal_dish, products, position)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          restaurant.id, section.id, item.name, typeof item.description === 'string' ? item.description : null,
+          priceCents(item), JSON.stringify(photos), item.is_signature || item.signature ? 1 : 0,
+          listOrNull(item.services), listOrNull(item.season_months),
+          typeof item.seasonal_dish === 'string' ? item.seasonal_dish : null, listOrNull(item.products), dishPosition++
+        ]);
+        await run(
+          'INSERT INTO menu_dishes_fts (rowid, name, description) VALUES (?, ?, ?)',
+          [dish.id, normalizeText(item.name), normalizeText(typeof item.description === 'string' ? item.description : '')]
+        );
+      }
+    }
+  }
+
+  await run('ALTER TABLE restaurants DROP COLUMN menu');
+};
+
+// Back to one JSON menu per restaurant: [{ "section", "items": [{ "name", "price", ... }] }]
+const down = async ({ run, all }) => {
+  await run('ALTER TABLE restaurants ADD COLUMN menu TEXT');
+
+  const dishes = await all(`
+    SELECT d.*, s.name AS section_name, s.id AS section_key
+    FROM menu_dishes d
+    JOIN menu_sections s ON s.id = d.section_id
+    JOIN menus m ON m.id = s.menu_id
+    ORDER BY d.restaurant_id, m.position, m.id, s.position, s.id, d.position, d.id
+  `);
+  const menus = new Map();
+  dishes.forEach(dish => {
+    if (!menus.has(dish.restaurant_id)) menus.set(dish.restaurant_id, new Map());
+    const sections = menus.get(dish.restaurant_id);
+    if (!sections.has(dish.section_key)) sections.set(dish.section_key, { section: dish.section_name, items: [] });
+
+    const item = { name: dish.name };
+    if (dish.description) item.description = dish.description;
+    if (dish.price_cents !== null) item.price = dish.price_cents / 100;
+    if (dish.is_signature) item.is_signature = true;
+    ['photos', 'services', 'season_months', 'products'].forEach(column => {
+      const value = dish[column] ? JSON.parse(dish[column]) : null;
+      if (value && value.length) item[column] = value;
+    });
+    if (dish.seasonal_dish) item.seasonal_dish = dish.seasonal_dish;
+    sections.get(dish.section_key).items.push(item);
+  });
+  for (const [restaurantId, sections] of menus) {
+    await run('UPDATE restaurants SET menu = ? WHERE id = ?', [JSON.stringify([...sections.values()]), restaurantId]);
+  }
+
+  await run('DROP TRIGGER IF EXISTS menu_dishes_fts_after_delete');
+  await run('DROP TABLE IF EXISTS menu_dishes_fts');
+  await run('DROP TABLE IF EXISTS menu_dishes');
+  await run('DROP TABLE IF EXISTS menu_sections');
+  await run('DROP TABLE IF EXISTS menus');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+// Allergens (the 14 EU ones, utils/dietary.js) and dietary labels of menu dishes. `allergens` is
+// NULL until the restaurant declares them, so "contains none" is never assumed; an empty list
+// declares a dish free of all 14. Reservations keep the conflicts found between their dietary
+// restrictions and the menu when they were made.
+
+const up = async ({ run }) => {
+  await run('ALTER TABLE menu_dishes ADD COLUMN allergens TEXT');
+  await run("ALTER TABLE menu_dishes ADD COLUMN dietary_labels TEXT NOT NULL DEFAULT '[]'");
+  await run('ALTER TABLE reservations ADD COLUMN dietary_conflicts TEXT');
+};
+
+const down = async ({ run }) => {
+  await run('ALTER TABLE reservations DROP COLUMN dietary_conflicts');
+  await run('ALTER TABLE menu_dishes DROP COLUMN dietary_labels');
+  await run('ALTER TABLE menu_dishes DROP COLUMN allergens');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// Menu translations (utils/locales.js): dishes and sections keep theirs per locale as JSON, and
+// every translation an owner writes goes into a translation memory shared by all restaurants
+// (models/TranslationMemory.js), keyed by the Portuguese text folded (no accents or case), so
+// "Bacalhau à Brás" translated once is suggested wherever it appears.
+
+const up = async ({ run }) => {
+  await run("ALTER TABLE menu_sections ADD COLUMN translations TEXT NOT NULL DEFAULT '{}'");
+  await run("ALTER TABLE menu_dishes ADD COLUMN translations TEXT NOT NULL DEFAULT '{}'");
+
+  await run(`CREATE TABLE translation_memory (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source_key TEXT NOT NULL,
+    source_text TEXT NOT NULL,
+    locale TEXT NOT NULL,
+    text TEXT NOT NULL,
+    uses INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (source_key, locale, text)
+  )`);
+  await run('CREATE INDEX IF NOT EXISTS idx_translation_memory_source ON translation_memory (source_key, locale)');
+};
+
+const down = async ({ run }) => {
+  await run('DROP TABLE IF EXISTS translation_memory');
+  await run('ALTER TABLE menu_dishes DROP COLUMN translations');
+  await run('ALTER TABLE menu_sections DROP COLUMN translations');
+};
+
+module.exports = { up, down };
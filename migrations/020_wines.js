@@ -0,0 +1,33 @@
+// Restaurant wine lists (models/Wine.js, managed at /api/restaurants/:id/wines): producer, wine
+// region with its DOC/IGP designation (config/wines.js), colour, grape varieties, vintage (NULL for
+// non-vintage wines) and the prices by the glass and by the bottle, in cents.
+
+const up = async ({ run }) => {
+  await run(`CREATE TABLE wines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    producer TEXT,
+    region TEXT NOT NULL,
+    classification TEXT CHECK (classification IN ('DOC', 'IGP')),
+    color TEXT NOT NULL CHECK (color IN ('white', 'red', 'rose', 'sparkling', 'fortified')),
+    grapes TEXT NOT NULL DEFAULT '[]',
+    vintage INTEGER,
+    price_glass_cents INTEGER CHECK (price_glass_cents >= 0),
+    price_bottle_cents INTEGER CHECK (price_bottle_cents >= 0),
+    description TEXT,
+    is_available INTEGER DEFAULT 1,
+    position INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants (id) ON DELETE CASCADE
+  )`);
+  await run('CREATE INDEX IF NOT EXISTS idx_wines_restaurant ON wines (restaurant_id)');
+  await run('CREATE INDEX IF NOT EXISTS idx_wines_region ON wines (region, restaurant_id)');
+};
+
+const down = async ({ run }) => {
+  await run('DROP TABLE IF EXISTS wines');
+};
+
+module.exports = { up, down };
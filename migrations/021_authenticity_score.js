@@ -0,0 +1,18 @@
+// Inputs and result of the authenticity score (config/authenticity.js): the year a restaurant
+// opened, whether it is family-run, and the per-factor breakdown behind authenticity_score and
+// authenticity_level. Scores are filled in by `npm run jobs:authenticity` and kept up to date as
+// menus, reviews and restaurants change.
+
+const up = async ({ run }) => {
+  await run('ALTER TABLE restaurants ADD COLUMN founded_year INTEGER');
+  await run('ALTER TABLE restaurants ADD COLUMN is_family_owned INTEGER DEFAULT 0');
+  await run('ALTER TABLE restaurants ADD COLUMN authenticity_breakdown TEXT');
+};
+
+const down = async ({ run }) => {
+  await run('ALTER TABLE restaurants DROP COLUMN authenticity_breakdown');
+  await run('ALTER TABLE restaurants DROP COLUMN is_family_owned');
+  await run('ALTER TABLE restaurants DROP COLUMN founded_year');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,69 @@
+// Triggers index rows written outside the models again (raw SQL, scripts, seeds), which migration
+// 004 left to BaseModel.syncSearchIndex alone. SQLite cannot run the normaliser, so a trigger
+// indexes the raw text (the tokenizer still folds case and accents, not plurals); the models then
+// replace it with the normalised text. Only changes to the indexed columns or to what makes a
+// record searchable fire them, so rating or score updates keep the normalised rows.
+
+const jsonWords = (column) => `CASE WHEN json_valid(${column}) THEN (SELECT group_concat(value, ' ') FROM json_each(${column})) ELSE ${column} END`;
+
+const indexes = [
+  {
+    table: 'restaurants',
+    index: 'restaurants_fts',
+    columns: ['name', 'description', 'cuisine', 'city'],
+    values: (row) => [`${row}.name`, `${row}.description`, `${row}.cuisine`, `${row}.city`],
+    watched: ['is_active'],
+    searchable: (row) => `${row}.is_active = 1`
+  },
+  {
+    table: 'events',
+    index: 'events_fts',
+    columns: ['title', 'description', 'tags'],
+    values: (row) => [`${row}.title`, `${row}.description`, jsonWords(`${row}.tags`)],
+    watched: ['is_active'],
+    searchable: (row) => `${row}.is_active = 1`
+  },
+  {
+    table: 'stories',
+    index: 'stories_fts',
+    columns: ['title', 'excerpt', 'content'],
+    values: (row) => [`${row}.title`, `${row}.excerpt`, `${row}.content`],
+    watched: ['is_published', 'status'],
+    searchable: (row) => `${row}.is_published = 1 AND ${row}.status = 'published'`
+  },
+  {
+    table: 'menu_dishes',
+    index: 'menu_dishes_fts',
+    columns: ['name', 'description'],
+    values: (row) => [`${row}.name`, `${row}.description`],
+    watched: [],
+    searchable: () => '1'
+  }
+];
+
+const up = async ({ run }) => {
+  for (const { table, index, columns, values, watched, searchable } of indexes) {
+    const insertRow = `INSERT INTO ${index} (rowid, ${columns.join(', ')}) VALUES (new.id, ${values('new').join(', ')});`;
+
+    await run(`CREATE TRIGGER ${index}_after_insert AFTER INSERT ON ${table}
+      WHEN ${searchable('new')} BEGIN
+      ${insertRow}
+    END`);
+
+    // Runs beside the update trigger of migration 004, which removes rows that stop being searchable
+    await run(`CREATE TRIGGER ${index}_after_edit AFTER UPDATE OF ${[...columns, ...watched].join(', ')} ON ${table}
+      WHEN ${searchable('new')} BEGIN
+      DELETE FROM ${index} WHERE rowid = old.id;
+      ${insertRow}
+    END`);
+  }
+};
+
+const down = async ({ run }) => {
+  for (const { index } of [...indexes].reverse()) {
+    await run(`DROP TRIGGER IF EXISTS ${index}_after_edit`);
+    await run(`DROP TRIGGER IF EXISTS ${index}_after_insert`);
+  }
+};
+
+module.exports = { up, down };
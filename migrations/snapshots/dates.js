@@ -0,0 +1,58 @@
+// Frozen copy of the time zone helpers of utils/dates.js, as migration 016 used them to fill in
+// time zones, reservation instants and event dates. Do not edit: migrations never import app modules (see
+// textNormalizer.js here).
+
+const DEFAULT_TIME_ZONE = 'Europe/Lisbon';
+
+const REGION_TIME_ZONES = {
+  madeira: 'Atlantic/Madeira',
+  acores: 'Atlantic/Azores'
+};
+
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Time zone of a region (config/regions.js)
+const timeZoneForRegion = (region) => REGION_TIME_ZONES[region] || DEFAULT_TIME_ZONE;
+
+// Stored UTC text of an instant
+const toSqlDateTime = (instant) => instant.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '');
+
+const partsFormatters = new Map();
+
+// Wall-clock { date: 'YYYY-MM-DD', minutes } of an instant in a time zone
+const wallClock = (instant, timeZone = DEFAULT_TIME_ZONE) => {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }));
+  }
+  const parts = Object.fromEntries(partsFormatters.get(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+// Minutes the time zone is ahead of UTC at an instant
+const offsetMinutes = (instant, timeZone) => {
+  const { date, minutes } = wallClock(instant, timeZone);
+  const asUtc = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;
+  return Math.round((asUtc - Math.floor(instant.getTime() / 60000) * 60000) / 60000);
+};
+
+// The instant of a wall-clock moment in a time zone. A time skipped by a clock change resolves
+// to the instant an hour later, as clocks read then.
+const zonedToInstant = ({ date, minutes }, timeZone = DEFAULT_TIME_ZONE) => {
+  const asUtc = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;
+  let offset = offsetMinutes(new Date(asUtc), timeZone);
+  offset = offsetMinutes(new Date(asUtc - offset * 60 * 1000), timeZone);
+  return new Date(asUtc - offset * 60 * 1000);
+};
+
+// The instant of an ISO 8601 date or date-time, read in the time zone when it has no offset
+const parseInstant = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  const text = String(value).trim();
+  if (text.length > 10 && OFFSET_PATTERN.test(text)) return new Date(text);
+
+  const [date, time = '00:00'] = text.replace('T', ' ').split(' ');
+  return zonedToInstant({ date, minutes: Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5) || 0) }, timeZone);
+};
+
+module.exports = { timeZoneForRegion, toSqlDateTime, zonedToInstant, parseInstant };
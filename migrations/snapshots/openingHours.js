@@ -0,0 +1,110 @@
+// Frozen copy of the opening hours parser of utils/openingHours.js, as migration 015 used it to
+// convert the stored hours. Do not edit: migrations never import app modules (see
+// textNormalizer.js here).
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MINUTES = 24 * 60;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const toMinutes = (time) => (time === '24:00' ? DAY_MINUTES : Number(time.slice(0, 2)) * 60 + Number(time.slice(3)));
+
+const isDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+const parseRange = (range, label) => {
+  let open;
+  let close;
+  if (typeof range === 'string') {
+    [open, close] = range.split('-').map(part => part.trim());
+  } else if (range && typeof range === 'object') {
+    ({ open, close } = range);
+  }
+
+  if (typeof open !== 'string' || !TIME_PATTERN.test(open)) {
+    throw invalid(`Horário de ${label}: hora de abertura inválida (formato HH:MM)`);
+  }
+  if (close === '00:00') close = '24:00';
+  if (typeof close !== 'string' || (close !== '24:00' && !TIME_PATTERN.test(close))) {
+    throw invalid(`Horário de ${label}: hora de fecho inválida (formato HH:MM)`);
+  }
+  if (open === close) {
+    throw invalid(`Horário de ${label}: abertura e fecho não podem ser iguais`);
+  }
+  return { open, close };
+};
+
+// A day's ranges, from a list, a single range, "12:00-15:00, 19:00-23:00" or a closed marker
+// (missing, false, "closed" or { closed: true }), sorted and checked for overlaps
+const parseDay = (value, label) => {
+  if (value === undefined || value === null || value === false || value === 'closed') return [];
+  if (value && typeof value === 'object' && !Array.isArray(value) && value.closed === true) return [];
+
+  let ranges;
+  if (Array.isArray(value)) {
+    ranges = value;
+  } else if (typeof value === 'string') {
+    ranges = value.split(',').filter(part => part.trim());
+  } else if (value && typeof value === 'object') {
+    ranges = [value];
+  } else {
+    throw invalid(`Horário de ${label} inválido`);
+  }
+
+  const parsed = ranges.map(range => parseRange(range, label)).sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+  parsed.forEach((range, index) => {
+    const end = toMinutes(range.close) < toMinutes(range.open) ? DAY_MINUTES + toMinutes(range.close) : toMinutes(range.close);
+    const next = parsed[index + 1];
+    if (next && toMinutes(next.open) < end) {
+      throw invalid(`Horário de ${label}: os intervalos ${range.open}-${range.close} e ${next.open}-${next.close} sobrepõem-se`);
+    }
+  });
+  return parsed;
+};
+
+// Normalised opening hours (the stored form described in utils/openingHours.js) from stored JSON text or an object.
+// Throws an error with statusCode 400 and a message saying what is wrong.
+const parseOpeningHours = (value) => {
+  let hours = value;
+  if (typeof hours === 'string') {
+    try {
+      hours = JSON.parse(hours);
+    } catch (error) {
+      throw invalid('Horário deve ser um objeto com os dias da semana');
+    }
+  }
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    throw invalid('Horário deve ser um objeto com os dias da semana');
+  }
+
+  const unknown = Object.keys(hours).filter(key => !WEEKDAYS.includes(key) && !['exceptions', 'holidays'].includes(key));
+  if (unknown.length) {
+    throw invalid(`Horário: chaves desconhecidas (${unknown.join(', ')}); use os dias da semana em inglês, exceptions e holidays`);
+  }
+
+  const normalized = {};
+  WEEKDAYS.forEach(weekday => {
+    normalized[weekday] = parseDay(hours[weekday], weekday);
+  });
+
+  const exceptions = hours.exceptions || {};
+  if (typeof exceptions !== 'object' || Array.isArray(exceptions)) {
+    throw invalid('Exceções do horário devem ser um objeto com datas (AAAA-MM-DD)');
+  }
+  normalized.exceptions = {};
+  Object.keys(exceptions).sort().forEach(date => {
+    if (!isDate(date)) throw invalid(`Exceção do horário com data inválida: ${date} (formato AAAA-MM-DD)`);
+    normalized.exceptions[date] = parseDay(exceptions[date], date);
+  });
+  if (hours.holidays !== undefined) normalized.holidays = parseDay(hours.holidays, 'feriados');
+  return normalized;
+};
+
+module.exports = { parseOpeningHours };
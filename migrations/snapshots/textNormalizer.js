@@ -0,0 +1,58 @@
+// Frozen copy of the text normalisation of utils/textNormalizer.js, as migrations 004, 006, 013,
+// 014 and 017 used it. Migrations must keep doing what they did when they were written, so they
+// never import app modules: do not edit this file. A later migration that needs other behaviour
+// gets its own snapshot.
+
+// Plural endings folded back to their singular, checked in order (longest first).
+// Applied to folded words, so "ões" is already "oes" here.
+const pluralRules = [
+  { suffix: 'oes', replacement: 'ao' },  // leitões -> leitão
+  { suffix: 'aes', replacement: 'ao' },  // pães -> pão
+  { suffix: 'aos', replacement: 'ao' },  // irmãos -> irmão
+  { suffix: 'ais', replacement: 'al', minLength: 5 },  // regionais -> regional (but not "pais")
+  { suffix: 'eis', replacement: 'el', minLength: 5 },  // pastéis -> pastel
+  { suffix: 'ois', replacement: 'ol', minLength: 5 },  // anzóis -> anzol
+  { suffix: 'uis', replacement: 'ul', minLength: 5 },  // azuis -> azul
+  { suffix: 'ns', replacement: 'm' }  // jardins -> jardim
+];
+
+const MIN_STEM_LENGTH = 4;
+
+// Lower case and strip diacritics; "ç" decomposes to "c" + a combining cedilla
+const foldText = (text) => {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+};
+
+// Reduce a folded word to its singular form
+const stemWord = (word) => {
+  if (word.length < MIN_STEM_LENGTH) return word;
+
+  for (const { suffix, replacement, minLength = MIN_STEM_LENGTH } of pluralRules) {
+    if (word.length >= minLength && word.endsWith(suffix)) {
+      return word.slice(0, -suffix.length) + replacement;
+    }
+  }
+
+  // Regular plurals: sardinhas -> sardinha, queijos -> queijo
+  if (/[aeiou]s$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+};
+
+// Folded words of a text, in order
+const tokenize = (text) => foldText(text).match(/[\p{L}\p{N}]+/gu) || [];
+
+// Normalised terms of a text: folded and stemmed
+const normalizeTerms = (text) => tokenize(text).map(stemWord);
+
+const normalizeText = (text) => normalizeTerms(text).join(' ');
+
+// URL slug without accents: "Pêra Rocha do Oeste" -> "pera-rocha-do-oeste"
+const slugify = (text) => foldText(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+module.exports = { slugify, tokenize, normalizeText };
@@ -0,0 +1,105 @@
+const { run, get } = require('../config/database');
+const QueryBuilder = require('./QueryBuilder');
+const { normalizeText } = require('../utils/textNormalizer');
+const { regionAt } = require('../utils/regionBoundaries');
+const { DEFAULT_TIME_ZONE, timeZoneForRegion } = require('../utils/dates');
+
+// Shared data-access helpers for the SQLite models.
+// Subclasses declare `table` and, where relevant, `jsonColumns`, `writableColumns`,
+// `hidden` (never returned by queries), `relations` (belongs-to joins for populate())
+// and `searchIndex` (FTS5 table, bm25 column weights and the filter a record must match to be
+// searchable).
+class BaseModel {
+  static query() {
+    return new QueryBuilder(this);
+  }
+
+  // Parse the JSON stored in TEXT columns and drop hidden columns
+  static hydrate(row) {
+    if (!row) return row;
+
+    const result = { ...row };
+    (this.jsonColumns || []).forEach(column => {
+      if (typeof result[column] === 'string') {
+        try {
+          result[column] = JSON.parse(result[column]);
+        } catch (error) {
+          // Legacy plain-text value, return it as is
+        }
+      }
+    });
+    (this.hidden || []).forEach(column => delete result[column]);
+    return result;
+  }
+
+  // Keep only the writable columns present in `data`, serialising JSON columns
+  static pickColumns(data, allowed = this.writableColumns || []) {
+    const values = {};
+    allowed.forEach(column => {
+      if (data[column] === undefined) return;
+
+      const value = data[column];
+      const isJson = (this.jsonColumns || []).includes(column);
+      values[column] = isJson && value !== null && typeof value !== 'string' ? JSON.stringify(value) : value;
+    });
+    return values;
+  }
+
+  // Plain text of a value for searching; list columns (tags...) are joined into words
+  static searchText(value) {
+    if (value === null || value === undefined) return '';
+    return Array.isArray(value) ? value.join(' ') : String(value);
+  }
+
+  // Derive `region` from the coordinates whenever they change (for an update pass the record id),
+  // unless a region is given with them. Where data/regions.geojson has no region for the point,
+  // the stored one stays. A region given explicitly is kept even when the coordinates fall
+  // elsewhere: the boundaries are rough, so such records are left to the admin mismatch report
+  // (GET /api/map/regions/mismatches) instead of refused.
+  static async withRegion(data, id = null) {
+    if (data.region || !['latitude', 'longitude'].some(column => data[column] !== undefined)) return data;
+
+    const current = id
+      ? await get(`SELECT latitude, longitude, region FROM ${this.table} WHERE id = ?`, [id]) || {}
+      : {};
+    const latitude = data.latitude !== undefined ? data.latitude : current.latitude;
+    const longitude = data.longitude !== undefined ? data.longitude : current.longitude;
+    const detected = regionAt(latitude, longitude);
+    // An unchanged region is left out so withTimeZone() keeps the stored zone
+    return detected && detected !== current.region ? { ...data, region: detected } : data;
+  }
+
+  // Fill in `timezone` from the region when none is given: on create, and on update when the
+  // region changes. Call after withRegion().
+  static withTimeZone(data, id = null) {
+    if (data.timezone) return data;
+    if (data.region) return { ...data, timezone: timeZoneForRegion(data.region) };
+    return id ? data : { ...data, timezone: DEFAULT_TIME_ZONE };
+  }
+
+  // Rewrite a record's row in the FTS index with its normalised text, and its names in the
+  // fuzzy "did you mean" index when the model defines searchNames(record) (which may be async).
+  // Call after every create/update; the database triggers only remove rows (soft delete, delete).
+  static async syncSearchIndex(id) {
+    const index = this.searchIndex;
+    if (!index) return;
+
+    await run(`DELETE FROM ${index.table} WHERE rowid = ?`, [id]);
+
+    const record = await this.query().where({ ...index.searchable, id }).first();
+
+    if (this.searchNames) {
+      const SearchName = require('./SearchName');
+      await SearchName.replace(this.table, id, record ? await this.searchNames(record) : []);
+    }
+    if (!record) return;
+
+    const columns = Object.keys(index.columns);
+    await run(
+      `INSERT INTO ${index.table} (rowid, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+      [id, ...columns.map(column => normalizeText(this.searchText(record[column])))]
+    );
+  }
+}
+
+module.exports = BaseModel;
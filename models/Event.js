@@ -1,28 +1,158 @@
 const { db, run, get, all } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const { regions } = require('../config/regions');
+const dates = require('../utils/dates');
+
+class Event extends BaseModel {
+  static table = 'events';
+
+  static jsonColumns = ['images', 'highlights', 'requirements', 'target_audience', 'languages', 'tags'];
+
+  static writableColumns = [
+    'title', 'description', 'type', 'category', 'restaurant_id', 'address', 'city', 'region',
+    'latitude', 'longitude', 'start_date', 'end_date', 'capacity', 'price', 'images', 'highlights', 'requirements',
+    'target_audience', 'difficulty', 'languages', 'tags', 'is_featured', 'timezone'
+  ];
+
+  static searchIndex = {
+    table: 'events_fts',
+    columns: { title: 10, description: 1, tags: 4 },
+    searchable: { is_active: 1 }
+  };
+
+  static relations = {
+    restaurant: { model: 'Restaurant', localKey: 'restaurant_id', columns: ['id', 'name', 'slug', 'images', 'owner_id'] },
+    organizer: { model: 'User', localKey: 'organizer_id', columns: ['id', 'name', 'avatar'] }
+  };
+
+  // Values accepted by the listing filters
+  static filterOptions = {
+    type: ['festival', 'cooking_class', 'wine_tasting', 'cultural_celebration', 'food_tour', 'workshop', 'dinner_experience'],
+    category: ['festivals', 'classes', 'tastings', 'cultural', 'tours', 'workshops', 'experiences'],
+    region: regions,
+    status: ['upcoming', 'ongoing', 'past']
+  };
+
+  // Apply the listing filters (query string names) to an event query
+  static applyFilters(eventQuery, filters = {}) {
+    const { type, category, region, status, date } = filters;
+    const filter = { is_active: 1 };
+
+    if (type) filter.type = type;
+    if (category) filter.category = category;
+    if (region) filter.region = region;
+
+    // Date filtering
+    const now = new Date();
+    if (status === 'upcoming') {
+      filter.start_date = { $gt: now };
+    } else if (status === 'ongoing') {
+      filter.start_date = { $lte: now };
+      filter.end_date = { $gte: now };
+    } else if (status === 'past') {
+      filter.end_date = { $lt: now };
+    }
+
+    eventQuery.where(filter);
+    return date ? this.whereOnDate(eventQuery, dates.calendarDate(date)) : eventQuery;
+  }
+
+  // Restrict a query to the events taking place on a date (YYYY-MM-DD), a day on each event's
+  // own clock
+  static whereOnDate(eventQuery, date) {
+    const zones = dates.TIME_ZONES.map(timeZone => ({ timeZone, ...dates.dayBounds(date, timeZone) }));
+    return eventQuery.whereRaw(
+      `(${zones.map(() => '(COALESCE(events.timezone, ?) = ? AND events.start_date < ? AND events.end_date >= ?)').join(' OR ')})`,
+      zones.flatMap(zone => [
+        dates.DEFAULT_TIME_ZONE, zone.timeZone, dates.toSqlDateTime(zone.end), dates.toSqlDateTime(zone.start)
+      ])
+    );
+  }
+
+  // Dates are stored in UTC and shown in the event's time zone, with its offset
+  static hydrate(row) {
+    const result = super.hydrate(row);
+    if (!result) return result;
+
+    const timeZone = dates.timeZoneOf(result);
+    ['start_date', 'end_date'].forEach(column => {
+      if (result[column]) result[column] = dates.formatInstant(result[column], timeZone);
+    });
+    return result;
+  }
+
+  // Names offered as "did you mean" suggestions (see SearchName)
+  static searchNames(event) {
+    return [{ type: 'event', name: event.title, slug: event.slug }];
+  }
+
+  // Store dates in the "YYYY-MM-DD HH:MM:SS" UTC format the query builder compares against. Dates
+  // without an offset are read in the event's time zone. The end must come after the start, and
+  // a new event cannot start in the past (400 errors). Call after withTimeZone().
+  static async withSchedule(data, id = null) {
+    if (!data.start_date && !data.end_date) return data;
+
+    const current = id
+      ? await get('SELECT start_date, end_date, timezone, region FROM events WHERE id = ?', [id]) || {}
+      : {};
+    const timeZone = data.timezone || dates.timeZoneOf(current);
+    const values = { ...data };
+    ['start_date', 'end_date'].forEach(column => {
+      if (values[column]) values[column] = dates.toSqlDateTime(dates.parseInstant(values[column], timeZone));
+    });
+
+    const start = values.start_date || current.start_date;
+    const end = values.end_date || current.end_date;
+    let message = null;
+    if (start && end && start >= end) message = 'Data de fim deve ser posterior à data de início';
+    else if (!id && start < dates.toSqlDateTime(new Date())) message = 'Data de início não pode ser no passado';
+    if (message) {
+      const error = new Error(message);
+      error.statusCode = 400;
+      throw error;
+    }
+    return values;
+  }
+
+  // Events held at a restaurant are placed at it unless they bring their own coordinates
+  static async withRestaurantLocation(data) {
+    const hasCoordinates = data.latitude !== undefined && data.latitude !== null &&
+      data.longitude !== undefined && data.longitude !== null;
+    if (hasCoordinates || !data.restaurant_id) return data;
+
+    const restaurant = await get('SELECT latitude, longitude FROM restaurants WHERE id = ?', [data.restaurant_id]);
+    if (!restaurant || restaurant.latitude === null) return data;
+    return { ...data, latitude: restaurant.latitude, longitude: restaurant.longitude };
+  }
 
-class Event {
   static async create(eventData) {
-    const { title, description, type, category, organizer_id, restaurant_id, address, city, region, start_date, end_date, capacity, price } = eventData;
+    const data = await this.withSchedule(
+      this.withTimeZone(await this.withRegion(await this.withRestaurantLocation(this.pickColumns(eventData))))
+    );
+    data.organizer_id = eventData.organizer_id;
     
-    const slug = title.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-');
+    const slug = data.title.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-');
+    data.slug = slug;
     
+    const columns = Object.keys(data);
     const sql = `
-      INSERT INTO events (title, slug, description, type, category, organizer_id, restaurant_id, address, city, region, start_date, end_date, capacity, price, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      INSERT INTO events (${columns.join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
     `;
     
-    const result = await run(sql, [title, slug, description, type, category, organizer_id, restaurant_id, address, city, region, start_date, end_date, capacity, price]);
-    return { id: result.id, title, slug };
+    const result = await run(sql, Object.values(data));
+    await this.syncSearchIndex(result.id);
+    return { id: result.id, title: data.title, slug };
   }
 
   static async findBySlug(slug) {
     const sql = 'SELECT * FROM events WHERE slug = ? AND is_active = 1';
-    return await get(sql, [slug]);
+    return this.hydrate(await get(sql, [slug]));
   }
 
   static async findById(id) {
     const sql = 'SELECT * FROM events WHERE id = ? AND is_active = 1';
-    return await get(sql, [id]);
+    return this.hydrate(await get(sql, [id]));
   }
 
   static async getAll(filters = {}) {
@@ -40,16 +170,22 @@ class Event {
     }
     
     sql += ' ORDER BY start_date ASC';
-    return await all(sql, params);
+    return (await all(sql, params)).map(row => this.hydrate(row));
   }
 
   static async update(id, updateData) {
+    updateData = await this.withSchedule(
+      this.withTimeZone(await this.withRegion(await this.withRestaurantLocation(updateData), id), id),
+      id
+    );
     const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
     const values = Object.values(updateData);
     values.push(id);
     
     const sql = `UPDATE events SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
-    return await run(sql, values);
+    const result = await run(sql, values);
+    await this.syncSearchIndex(id);
+    return result;
   }
 
   static async delete(id) {
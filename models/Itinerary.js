@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { run } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const Restaurant = require('./Restaurant');
+const Event = require('./Event');
+const { haversineKm, roundKm } = require('../utils/geo');
+const { orderStops, pathLengthKm } = require('../utils/routing');
+const openingHours = require('../utils/openingHours');
+
+// Travel speeds in km/h; straight-line distances are stretched by ROAD_FACTOR to approximate roads
+const SPEEDS = { walking: 4.5, driving: 40 };
+const ROAD_FACTOR = 1.3;
+
+// Minutes spent at each kind of stop (an event's own end time can cut it short)
+const VISIT_MINUTES = { restaurant: 90, event: 120 };
+
+// A plan covers one day: nothing is scheduled past midnight
+const DAY_MINUTES = 24 * 60;
+
+// Columns read only to schedule a stop, left out of the plan
+const SCHEDULING_FIELDS = ['distance', 'opening_hours', 'municipality', 'isOpen', 'nextChange'];
+
+const { toMinutes, toTime } = openingHours;
+
+// Day (YYYY-MM-DD) and time (HH:MM) of an event date as the API shows it, on the event's clock
+const dayAndTime = (value) => {
+  const [day, time = '00:00'] = String(value).replace('T', ' ').split(' ');
+  return [day, time.slice(0, 5)];
+};
+
+// The earliest visit to a stop reached at `ready` minutes, inside one of its `windows`:
+// { arrival, departure }, or null when none is left that day. A restaurant needs the whole
+// visit before it closes; an event is joined once it has started and left when it ends.
+const fitVisit = (kind, windows, ready) => {
+  for (const [open, close] of windows) {
+    const arrival = Math.max(ready, open);
+    if (kind === 'event' && arrival < close) {
+      return { arrival, departure: Math.min(arrival + VISIT_MINUTES.event, close) };
+    }
+    if (kind === 'restaurant' && arrival + VISIT_MINUTES.restaurant <= close) {
+      return { arrival, departure: arrival + VISIT_MINUTES.restaurant };
+    }
+  }
+  return null;
+};
+
+// A food-tour day plan: open restaurants and same-day events near a start point, ordered by
+// utils/routing and timed. Saved plans are shared by slug.
+class Itinerary extends BaseModel {
+  static table = 'itineraries';
+
+  static jsonColumns = ['options', 'stops'];
+
+  static travelModes = Object.keys(SPEEDS);
+
+  // Plan a day. `start` is { latitude, longitude }, `date` YYYY-MM-DD, `startTime` HH:MM.
+  // preferences: cuisine, priceRange, authenticity, features (restaurant listing filters),
+  // eventType, includeEvents (default true), maxDistanceKm (default 50) and travelMode.
+  // Chosen stops that cannot be fitted into the day are listed in `unscheduled`.
+  static async plan({ start, date, region, stops: stopCount = 3, startTime = '10:00', preferences = {} }) {
+    const {
+      cuisine, priceRange, authenticity, features, eventType,
+      includeEvents = true, maxDistanceKm = 50, travelMode = 'driving'
+    } = preferences;
+
+    // Restaurants open that day: its weekday's hours, or the date's exception
+    const restaurantQuery = Restaurant.whereOpenOnDate(Restaurant.applyFilters(Restaurant.query(), {
+      region, cuisine, priceRange, authenticity, features
+    }), date).select([
+      'id', 'name', 'slug', 'address', 'city', 'municipality', 'region', 'timezone', 'rating', 'cuisine', 'price_range',
+      'opening_hours', 'latitude', 'longitude'
+    ]);
+    const restaurants = await restaurantQuery
+      .near(await restaurantQuery.distancesFrom(start, { radiusKm: maxDistanceKm }))
+      .all();
+
+    let events = [];
+    if (includeEvents) {
+      const eventQuery = Event.applyFilters(Event.query(), { region, type: eventType, date })
+        .select(['id', 'title', 'slug', 'address', 'city', 'region', 'type', 'start_date', 'end_date', 'timezone', 'price', 'latitude', 'longitude']);
+      events = await eventQuery
+        .near(await eventQuery.distancesFrom(start, { radiusKm: maxDistanceKm }), { sort: true })
+        .all();
+    }
+
+    // About a third of the day goes to events, the nearest ones; the best-rated restaurants
+    // (a little less so the further away they are) fill the rest
+    const byScore = (restaurant) => (restaurant.rating || 0) - restaurant.distance / maxDistanceKm;
+    const eventShare = Math.min(events.length, Math.ceil(stopCount / 3));
+    const chosenRestaurants = [...restaurants]
+      .sort((a, b) => byScore(b) - byScore(a))
+      .slice(0, stopCount - eventShare);
+    // Short of restaurants, more events make up the count
+    const chosenEvents = events.slice(0, stopCount - chosenRestaurants.length);
+
+    const candidates = [
+      ...chosenRestaurants.map(restaurant => ({ kind: 'restaurant', ...restaurant })),
+      ...chosenEvents.map(event => ({ kind: 'event', ...event }))
+    ];
+    const { stops, unscheduled } = this.schedule(start, candidates, { date, startTime, travelMode });
+
+    return {
+      date,
+      region: region || null,
+      start,
+      startTime,
+      travelMode,
+      requestedStops: stopCount,
+      totalDistanceKm: roundKm(pathLengthKm(start, stops)),
+      stops,
+      unscheduled
+    };
+  }
+
+  // When a stop can be visited on `date`, in minutes from midnight: a restaurant's opening
+  // intervals that day (exceptions and public holidays included), or the part of an event's run
+  // falling on it
+  static visitWindows(stop, date) {
+    if (stop.kind === 'event') {
+      const [startDay, startClock] = dayAndTime(stop.start_date);
+      const [endDay, endClock] = dayAndTime(stop.end_date);
+      const open = startDay === date ? toMinutes(startClock) : 0;
+      const close = endDay === date ? toMinutes(endClock) : DAY_MINUTES;
+      return startDay <= date && endDay >= date && open < close ? [[open, close]] : [];
+    }
+
+    const hours = openingHours.safeParse(stop.opening_hours);
+    return hours ? openingHours.openWindowsOn(hours, date, { isHoliday: Restaurant.holidayCheck(stop) }) : [];
+  }
+
+  // Order and time the stops. From each stop the next is the one that can be left soonest,
+  // travel and any wait for it to open or start included, so events follow their times and
+  // restaurants their hours; ties keep the utils/routing order. Returns { stops, unscheduled },
+  // the latter holding the stops with no time left for them that day.
+  static schedule(start, candidates, { date, startTime, travelMode }) {
+    const pending = orderStops(start, candidates).map(stop => ({ stop, windows: this.visitWindows(stop, date) }));
+    const stops = [];
+    let clock = toMinutes(startTime);
+    let previous = start;
+
+    while (pending.length) {
+      let next = null;
+      pending.forEach(({ stop, windows }, index) => {
+        const distanceKm = haversineKm(previous, stop);
+        const travelMinutes = Math.round((distanceKm * ROAD_FACTOR / SPEEDS[travelMode]) * 60);
+        const visit = fitVisit(stop.kind, windows, clock + travelMinutes);
+        if (visit && (!next || visit.departure < next.visit.departure)) {
+          next = { index, distanceKm, travelMinutes, visit };
+        }
+      });
+      if (!next) break;
+
+      const [{ stop }] = pending.splice(next.index, 1);
+      const { arrival, departure } = next.visit;
+      stops.push({
+        order: stops.length + 1,
+        ...this.stopDetails(stop),
+        distanceKm: roundKm(next.distanceKm),
+        travelMinutes: next.travelMinutes,
+        waitMinutes: arrival - clock - next.travelMinutes,
+        arrival: toTime(arrival),
+        departure: toTime(departure)
+      });
+      clock = departure;
+      previous = stop;
+    }
+
+    return {
+      stops,
+      unscheduled: pending.map(({ stop, windows }) => ({
+        ...this.stopDetails(stop),
+        reason: windows.length
+          ? 'Sem tempo para a visita antes de fechar ou terminar'
+          : 'Fechado ou sem horário nesse dia'
+      }))
+    };
+  }
+
+  static stopDetails(stop) {
+    return Object.fromEntries(Object.entries(stop).filter(([field]) => !SCHEDULING_FIELDS.includes(field)));
+  }
+
+  // Save a plan from plan(); the slug (title plus a random suffix) is what gets shared
+  static async create({ title, user_id = null, options, plan }) {
+    const base = title.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+    const slug = `${base}-${crypto.randomBytes(4).toString('hex')}`;
+
+    const result = await run(`
+      INSERT INTO itineraries (slug, title, user_id, date, region, start_latitude, start_longitude, options, stops, total_distance_km)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      slug, title, user_id, plan.date, plan.region, plan.start.latitude, plan.start.longitude,
+      JSON.stringify(options), JSON.stringify(plan.stops), plan.totalDistanceKm
+    ]);
+    return { id: result.id, slug };
+  }
+
+  static async findBySlug(slug) {
+    return this.query().where({ slug }).first();
+  }
+}
+
+module.exports = Itinerary;
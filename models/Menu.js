@@ -0,0 +1,134 @@
+const { run, get } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const MenuSection = require('./MenuSection');
+const MenuDish = require('./MenuDish');
+const TranslationMemory = require('./TranslationMemory');
+const Wine = require('./Wine');
+const dietary = require('../utils/dietary');
+const locales = require('../utils/locales');
+const { pairingFor } = require('../utils/winePairing');
+
+// A restaurant's menus (à la carte, menu do dia, menu de degustação...). Each menu has sections
+// and each section dishes, all kept in `position` order; see migrations/017_menus.js.
+class Menu extends BaseModel {
+  static table = 'menus';
+
+  static writableColumns = ['name', 'description', 'position'];
+
+  static async create(menuData) {
+    const data = this.pickColumns(menuData);
+    data.restaurant_id = menuData.restaurant_id;
+
+    const columns = Object.keys(data);
+    const sql = `
+      INSERT INTO menus (${columns.join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+    `;
+
+    const result = await run(sql, Object.values(data));
+    return { id: result.id, name: data.name };
+  }
+
+  static async findById(id) {
+    return this.query().where({ id }).first();
+  }
+
+  // A menu of a restaurant, or undefined when it belongs to another one
+  static async findForRestaurant(id, restaurantId) {
+    return this.query().where({ id, restaurant_id: restaurantId }).first();
+  }
+
+  static async update(id, updateData) {
+    const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updateData);
+    values.push(id);
+
+    const sql = `UPDATE menus SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
+    return await run(sql, values);
+  }
+
+  // Foreign keys are not enforced, so sections and dishes go explicitly
+  static async delete(id) {
+    const menu = await get('SELECT restaurant_id FROM menus WHERE id = ?', [id]);
+    await run('DELETE FROM menu_dishes WHERE section_id IN (SELECT id FROM menu_sections WHERE menu_id = ?)', [id]);
+    await run('DELETE FROM menu_sections WHERE menu_id = ?', [id]);
+    const result = await run('DELETE FROM menus WHERE id = ?', [id]);
+    if (menu) await MenuDish.syncRestaurant(menu.restaurant_id);
+    return result;
+  }
+
+  // A restaurant's menus with their sections and their dishes nested, in order. `service`
+  // ('lunch' or 'dinner') and `month` (1-12) keep only the dishes served then (see
+  // MenuDish.isServed), and `allergens` and `labels` only those without those allergens and
+  // with those dietary labels (see utils/dietary.isSuitable); sections left without dishes are
+  // then dropped. Sections and dishes are in `locale` where translated (utils/locales.localize),
+  // and each dish has its wine `pairing` from the available wines (utils/winePairing.pairingFor).
+  static async forRestaurant(restaurantId, {
+    service, month, allergens = [], labels = [], locale = locales.DEFAULT_LOCALE
+  } = {}) {
+    const menus = await this.query().where({ restaurant_id: restaurantId }).sort({ position: 1, id: 1 }).all();
+    const sections = await MenuSection.forMenus(menus.map(menu => menu.id));
+    const calendar = month ? await MenuDish.seasonCalendar() : undefined;
+    const dishes = (await MenuDish.forSections(sections.map(section => section.id)))
+      .filter(dish => MenuDish.isServed(dish, { service, month, calendar }))
+      .filter(dish => dietary.isSuitable(dish, { allergens, labels }));
+    const filtered = Boolean(service || month || allergens.length || labels.length);
+    const wines = await Wine.forRestaurant(restaurantId, { availableOnly: true });
+    const winePairing = (dish, section) => {
+      const pairing = pairingFor(dish, wines, { sectionName: section.name });
+      return pairing && { ...pairing, wines: pairing.wines.map(wine => Wine.summary(wine)) };
+    };
+
+    return menus.map(menu => ({
+      ...menu,
+      sections: sections
+        .filter(section => section.menu_id === menu.id)
+        .map(section => ({
+          ...locales.localize(section, locale),
+          dishes: dishes
+            .filter(dish => dish.section_id === section.id)
+            .map(dish => ({ ...locales.localize(dish, locale), pairing: winePairing(dish, section) }))
+        }))
+        .filter(section => !filtered || section.dishes.length)
+    }));
+  }
+
+  // A restaurant's sections and dishes still missing translations in `locales` (see
+  // utils/locales.missingLocales), with what the translation memory suggests for each:
+  // { locales: { en: { translated, total } }, untranslated: [{ type, id, name, missing, suggestions }] }
+  static async translationReport(restaurantId, reportLocales = locales.LOCALES) {
+    const menus = await this.query().select(['id']).where({ restaurant_id: restaurantId }).sort({ position: 1, id: 1 }).all();
+    const sections = await MenuSection.forMenus(menus.map(menu => menu.id));
+    const dishes = await MenuDish.forSections(sections.map(section => section.id));
+    const items = [
+      ...sections.map(section => ({ type: 'section', item: section, parent: { menu_id: section.menu_id } })),
+      ...dishes.map(dish => ({ type: 'dish', item: dish, parent: { section_id: dish.section_id } }))
+    ];
+    const suggestions = await TranslationMemory.suggestions(
+      items.flatMap(({ item }) => [item.name, item.description]),
+      reportLocales
+    );
+
+    const untranslated = items
+      .map(({ type, item, parent }) => ({ type, item, parent, missing: locales.missingLocales(item, reportLocales) }))
+      .filter(({ missing }) => missing.length);
+
+    return {
+      locales: Object.fromEntries(reportLocales.map(locale => [locale, {
+        translated: items.length - untranslated.filter(({ missing }) => missing.includes(locale)).length,
+        total: items.length
+      }])),
+      untranslated: untranslated.map(({ type, item, parent, missing }) => ({
+        type,
+        id: item.id,
+        ...parent,
+        name: item.name,
+        description: item.description,
+        missing,
+        suggestions: TranslationMemory.suggestFor(item, missing, suggestions)
+      }))
+    };
+  }
+}
+
+module.exports = Menu;
@@ -0,0 +1,194 @@
+const { run, get } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const RegionalProduct = require('./RegionalProduct');
+const SeasonalDish = require('./SeasonalDish');
+const TranslationMemory = require('./TranslationMemory');
+const { slugify } = require('../utils/textNormalizer');
+const dietary = require('../utils/dietary');
+const locales = require('../utils/locales');
+
+// Dishes of a restaurant's menu sections (see models/Menu.js). Besides the price in cents,
+// photos and the signature-dish flag, a dish says when it is served: at the `services` listed
+// (none = every service) and, when seasonal, in its `season_months` or its calendar
+// `seasonal_dish`'s months. `products` lists the regional products it uses (slugs or ids).
+// `allergens` declares which of the 14 EU allergens it contains (null: not declared yet) and
+// `dietary_labels` its labels (vegetarian, vegan, gluten-free, halal), see utils/dietary.js.
+// `translations` gives its name and description per locale (utils/locales.js).
+class MenuDish extends BaseModel {
+  static table = 'menu_dishes';
+
+  static jsonColumns = ['photos', 'services', 'season_months', 'products', 'allergens', 'dietary_labels', 'translations'];
+
+  static writableColumns = [
+    'section_id', 'name', 'description', 'price_cents', 'photos', 'is_signature', 'services',
+    'season_months', 'seasonal_dish', 'products', 'allergens', 'dietary_labels', 'translations', 'position'
+  ];
+
+  static searchIndex = {
+    table: 'menu_dishes_fts',
+    columns: { name: 10, description: 1 },
+    searchable: {}
+  };
+
+  static relations = {
+    restaurant: { model: 'Restaurant', localKey: 'restaurant_id', columns: ['id', 'name', 'slug', 'city', 'region', 'images'] },
+    section: { model: 'MenuSection', localKey: 'section_id', columns: ['id', 'name', 'menu_id'] }
+  };
+
+  static services = ['lunch', 'dinner'];
+
+  // Columns shown where dishes are listed outside their menu (signature dishes, search)
+  static summaryColumns = [
+    'id', 'restaurant_id', 'name', 'description', 'price_cents', 'photos', 'is_signature', 'allergens', 'dietary_labels'
+  ];
+
+  // Suitable dishes a restaurant needs to match the excludeAllergens and dietary filters, and
+  // below which a reservation's dietary restrictions are flagged to the owner
+  static minMatchingDishes = 3;
+
+  // Labels are stored with the ones they imply, so a vegan dish also matches "vegetarian"
+  static pickColumns(data, allowed) {
+    const labels = Array.isArray(data.dietary_labels) ? dietary.withImpliedLabels(data.dietary_labels) : data.dietary_labels;
+    return super.pickColumns({ ...data, dietary_labels: labels }, allowed);
+  }
+
+  // Months (1-12) of the seasonal calendar by dish slug, for isServed()
+  static async seasonCalendar() {
+    const dishes = await SeasonalDish.query().select(['slug', 'season_months']).all();
+    return new Map(dishes.map(dish => [dish.slug, dish.season_months]));
+  }
+
+  // Whether a dish is served at a service ('lunch' or 'dinner') and in a month (1-12); either may
+  // be left out. Dishes with no season are served all year.
+  static isServed(dish, { service, month, calendar = new Map() } = {}) {
+    if (service && Array.isArray(dish.services) && dish.services.length && !dish.services.includes(service)) {
+      return false;
+    }
+    if (!month) return true;
+
+    const months = Array.isArray(dish.season_months) && dish.season_months.length
+      ? dish.season_months
+      : dish.seasonal_dish && calendar.get(slugify(dish.seasonal_dish));
+    return !months || months.includes(month);
+  }
+
+  // Dishes of active restaurants, optionally of one region, without the `excludeAllergens` and
+  // with the `dietary` labels (comma-separated keys)
+  static applyFilters(dishQuery, { region, excludeAllergens, dietary: dietaryLabels } = {}) {
+    dishQuery.whereRaw(
+      `EXISTS (SELECT 1 FROM restaurants WHERE restaurants.id = menu_dishes.restaurant_id AND restaurants.is_active = 1
+        ${region ? 'AND restaurants.region = ?' : ''})`,
+      region ? [region] : []
+    );
+    if (excludeAllergens || dietaryLabels) {
+      const suitable = this.suitableSql({
+        allergens: dietary.parseList(excludeAllergens),
+        labels: dietary.parseList(dietaryLabels)
+      });
+      dishQuery.whereRaw(suitable.sql, suitable.params);
+    }
+    return dishQuery;
+  }
+
+  // Condition (SQL and params) for the dishes without any of `allergens` (declared ones only) and
+  // carrying every one of `labels`
+  static suitableSql({ allergens = [], labels = [] } = {}) {
+    const conditions = [];
+    const params = [];
+    if (allergens.length) {
+      conditions.push(`json_valid(menu_dishes.allergens) AND NOT EXISTS (
+        SELECT 1 FROM json_each(menu_dishes.allergens) WHERE value IN (${allergens.map(() => '?').join(', ')}))`);
+      params.push(...allergens);
+    }
+    labels.forEach(label => {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(menu_dishes.dietary_labels) WHERE value = ?)');
+      params.push(label);
+    });
+    return { sql: conditions.length ? conditions.join(' AND ') : '1', params };
+  }
+
+  static async create(dishData) {
+    const data = this.pickColumns({ photos: [], ...dishData });
+    data.restaurant_id = dishData.restaurant_id;
+
+    const columns = Object.keys(data);
+    const sql = `
+      INSERT INTO menu_dishes (${columns.join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+    `;
+
+    const result = await run(sql, Object.values(data));
+    await this.syncSearchIndex(result.id);
+    await this.syncRestaurant(data.restaurant_id);
+    if (data.translations) await TranslationMemory.rememberItem(await this.findById(result.id));
+    return { id: result.id, name: data.name };
+  }
+
+  static async findById(id) {
+    return this.query().where({ id }).first();
+  }
+
+  // A dish of a restaurant, or undefined when it belongs to another one
+  static async findForRestaurant(id, restaurantId) {
+    return this.query().where({ id, restaurant_id: restaurantId }).first();
+  }
+
+  static async update(id, updateData) {
+    const previous = updateData.translations && await this.findById(id);
+    const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updateData);
+    values.push(id);
+
+    const sql = `UPDATE menu_dishes SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
+    const result = await run(sql, values);
+    const { restaurant_id: restaurantId } = await get('SELECT restaurant_id FROM menu_dishes WHERE id = ?', [id]);
+    await this.syncSearchIndex(id);
+    await this.syncRestaurant(restaurantId);
+    if (previous) await TranslationMemory.rememberItem(await this.findById(id), previous);
+    return result;
+  }
+
+  static async delete(id) {
+    const dish = await get('SELECT restaurant_id FROM menu_dishes WHERE id = ?', [id]);
+    const result = await run('DELETE FROM menu_dishes WHERE id = ?', [id]);
+    if (dish) await this.syncRestaurant(dish.restaurant_id);
+    return result;
+  }
+
+  // Signature dishes of a restaurant, by position, in `locale` where translated
+  static async signatureDishes(restaurantId, locale = locales.DEFAULT_LOCALE) {
+    const dishes = await this.query()
+      .select([...this.summaryColumns, 'translations'])
+      .where({ restaurant_id: restaurantId, is_signature: 1 })
+      .sort({ position: 1, id: 1 })
+      .all();
+    return dishes.map(dish => locales.localize(dish, locale));
+  }
+
+  // Rebuild what a restaurant derives from its dishes: the linked regional products, the seasonal
+  // items, the dish names of its "did you mean" entries and its authenticity score. Call after
+  // every dish change.
+  static async syncRestaurant(restaurantId) {
+    const dishes = await this.query()
+      .select(['name', 'season_months', 'seasonal_dish', 'products'])
+      .where({ restaurant_id: restaurantId })
+      .all();
+
+    await RegionalProduct.syncRestaurant(
+      restaurantId,
+      [...new Set(dishes.flatMap(dish => (Array.isArray(dish.products) ? dish.products : [])))]
+    );
+    await SeasonalDish.syncRestaurant(restaurantId, dishes);
+
+    const Restaurant = require('./Restaurant');
+    await Restaurant.syncSearchIndex(restaurantId);
+    await Restaurant.computeAuthenticity(restaurantId);
+  }
+
+  // Dishes of a list of sections, in order
+  static async forSections(sectionIds) {
+    return this.query().where({ section_id: { $in: sectionIds } }).sort({ position: 1, id: 1 }).all();
+  }
+}
+
+module.exports = MenuDish;
@@ -0,0 +1,76 @@
+const { run, get } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const MenuDish = require('./MenuDish');
+const TranslationMemory = require('./TranslationMemory');
+
+// Sections of a menu (Entradas, Peixe, Sobremesas...), holding its dishes; see models/Menu.js.
+// `translations` gives the name and description per locale (utils/locales.js).
+class MenuSection extends BaseModel {
+  static table = 'menu_sections';
+
+  static jsonColumns = ['translations'];
+
+  static writableColumns = ['name', 'description', 'translations', 'position'];
+
+  static relations = {
+    menu: { model: 'Menu', localKey: 'menu_id', columns: ['id', 'name', 'restaurant_id'] }
+  };
+
+  static async create(sectionData) {
+    const data = this.pickColumns(sectionData);
+    data.menu_id = sectionData.menu_id;
+
+    const columns = Object.keys(data);
+    const sql = `
+      INSERT INTO menu_sections (${columns.join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+    `;
+
+    const result = await run(sql, Object.values(data));
+    if (data.translations) await TranslationMemory.rememberItem(await this.findById(result.id));
+    return { id: result.id, name: data.name };
+  }
+
+  static async findById(id) {
+    return this.query().where({ id }).first();
+  }
+
+  // A section of one of a restaurant's menus, or undefined when it belongs to another restaurant
+  static async findForRestaurant(id, restaurantId) {
+    return this.query()
+      .where({ id })
+      .whereRaw('menu_sections.menu_id IN (SELECT id FROM menus WHERE restaurant_id = ?)', [restaurantId])
+      .first();
+  }
+
+  static async update(id, updateData) {
+    const previous = updateData.translations && await this.findById(id);
+    const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updateData);
+    values.push(id);
+
+    const sql = `UPDATE menu_sections SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
+    const result = await run(sql, values);
+    if (previous) await TranslationMemory.rememberItem(await this.findById(id), previous);
+    return result;
+  }
+
+  // Foreign keys are not enforced, so the dishes go explicitly
+  static async delete(id) {
+    const section = await get(
+      'SELECT m.restaurant_id FROM menu_sections s JOIN menus m ON m.id = s.menu_id WHERE s.id = ?',
+      [id]
+    );
+    await run('DELETE FROM menu_dishes WHERE section_id = ?', [id]);
+    const result = await run('DELETE FROM menu_sections WHERE id = ?', [id]);
+    if (section) await MenuDish.syncRestaurant(section.restaurant_id);
+    return result;
+  }
+
+  // Sections of a list of menus, in order
+  static async forMenus(menuIds) {
+    return this.query().where({ menu_id: { $in: menuIds } }).sort({ position: 1, id: 1 }).all();
+  }
+}
+
+module.exports = MenuSection;
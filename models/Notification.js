@@ -0,0 +1,47 @@
+const { run, get } = require('../config/database');
+const BaseModel = require('./BaseModel');
+
+// In-app notifications shown to a user (new saved-search matches, ...); `data` holds whatever the
+// client needs to link to, as JSON
+class Notification extends BaseModel {
+  static table = 'notifications';
+
+  static jsonColumns = ['data'];
+
+  static writableColumns = ['type', 'title', 'message', 'data'];
+
+  static async create(notificationData) {
+    const data = this.pickColumns(notificationData);
+    data.user_id = notificationData.user_id;
+
+    const columns = Object.keys(data);
+    const sql = `
+      INSERT INTO notifications (${columns.join(', ')}, created_at)
+      VALUES (${columns.map(() => '?').join(', ')}, datetime('now'))
+    `;
+
+    const result = await run(sql, Object.values(data));
+    return { id: result.id };
+  }
+
+  static async findById(id) {
+    return this.query().where({ id }).first();
+  }
+
+  static async markRead(id) {
+    const sql = "UPDATE notifications SET read_at = datetime('now') WHERE id = ? AND read_at IS NULL";
+    return await run(sql, [id]);
+  }
+
+  static async markAllRead(userId) {
+    const sql = "UPDATE notifications SET read_at = datetime('now') WHERE user_id = ? AND read_at IS NULL";
+    return await run(sql, [userId]);
+  }
+
+  static async countUnread(userId) {
+    const row = await get('SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL', [userId]);
+    return row ? row.count : 0;
+  }
+}
+
+module.exports = Notification;
@@ -0,0 +1,102 @@
+const { run, get } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const { normalizePostalCode, postalCodePrefix } = require('../utils/postalCode');
+
+// Offline geocoder over an imported CTT postal-code dataset (see scripts/postalCodes.js)
+class PostalCode extends BaseModel {
+  static table = 'postal_codes';
+
+  static columns = ['code', 'prefix', 'locality', 'municipality', 'district', 'latitude', 'longitude'];
+
+  // Replace the dataset, or add to it, inside one transaction. Rows are { code, locality,
+  // municipality, district, latitude, longitude }; those without a valid code are skipped.
+  static async import(rows, { replace = false } = {}) {
+    let imported = 0;
+    let skipped = 0;
+
+    await run('BEGIN TRANSACTION');
+    try {
+      if (replace) await run('DELETE FROM postal_codes');
+
+      for (const row of rows) {
+        const code = normalizePostalCode(row.code);
+        if (!code) {
+          skipped++;
+          continue;
+        }
+
+        const values = {
+          code,
+          prefix: postalCodePrefix(code),
+          locality: row.locality || null,
+          municipality: row.municipality || null,
+          district: row.district || null,
+          latitude: Number.isFinite(row.latitude) ? row.latitude : null,
+          longitude: Number.isFinite(row.longitude) ? row.longitude : null
+        };
+        await run(
+          `INSERT OR REPLACE INTO postal_codes (${this.columns.join(', ')}) VALUES (${this.columns.map(() => '?').join(', ')})`,
+          this.columns.map(column => values[column])
+        );
+        imported++;
+      }
+
+      await run('COMMIT');
+    } catch (error) {
+      await run('ROLLBACK');
+      throw error;
+    }
+
+    return { imported, skipped };
+  }
+
+  static async count() {
+    const row = await get('SELECT COUNT(*) AS total FROM postal_codes');
+    return row.total;
+  }
+
+  // Location of a postal code: { code, latitude, longitude, locality, municipality, district,
+  // confidence }. confidence is 'exact' when the full code has coordinates and 'prefix' when they
+  // are the centre of the codes sharing its 4 first digits. null for invalid or unknown codes.
+  static async geocode(postalCode) {
+    const code = normalizePostalCode(postalCode);
+    if (!code) return null;
+
+    const exact = await get('SELECT * FROM postal_codes WHERE code = ?', [code]);
+    if (exact && exact.latitude !== null && exact.longitude !== null) {
+      return { ...exact, confidence: 'exact' };
+    }
+
+    const prefix = postalCodePrefix(code);
+    const area = await get(`
+      SELECT AVG(latitude) AS latitude, AVG(longitude) AS longitude, COUNT(*) AS codes
+      FROM postal_codes
+      WHERE prefix = ? AND latitude IS NOT NULL AND longitude IS NOT NULL
+    `, [prefix]);
+    if (!area.codes) return null;
+
+    // Most common municipality and locality of the area, unless the exact code names them
+    const common = await get(`
+      SELECT municipality, locality, district, COUNT(*) AS codes
+      FROM postal_codes
+      WHERE prefix = ?
+      GROUP BY municipality, locality, district
+      ORDER BY codes DESC
+      LIMIT 1
+    `, [prefix]);
+    const place = exact || common;
+
+    return {
+      code,
+      prefix,
+      locality: place.locality,
+      municipality: place.municipality,
+      district: place.district,
+      latitude: area.latitude,
+      longitude: area.longitude,
+      confidence: 'prefix'
+    };
+  }
+}
+
+module.exports = PostalCode;
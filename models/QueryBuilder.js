@@ -0,0 +1,527 @@
+const { get, all } = require('../config/database');
+const { normalizeTerms, highlightTerms } = require('../utils/textNormalizer');
+const { haversineKm, boundingBox, roundKm } = require('../utils/geo');
+
+// Filter keys and sort keys are interpolated into SQL, so they must be plain identifiers
+const identifierPattern = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)?$/;
+
+const comparisonOperators = {
+  $eq: '=',
+  $ne: '!=',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+  $like: 'LIKE'
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+};
+
+// Dates are compared against what SQLite's datetime('now') writes: "YYYY-MM-DD HH:MM:SS" in UTC
+const toSqlValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '');
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value;
+};
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(values)) return values;
+  } catch (error) {
+    // Fall through to the error below
+  }
+  const error = new Error('Cursor inválido');
+  error.statusCode = 400;
+  throw error;
+};
+
+// Chainable SELECT builder over the run/get/all helpers.
+// Filters use Mongo-style objects: { region: 'minho', rating: { $gte: 4 }, id: { $in: [1, 2] }, $or: [...] }
+class QueryBuilder {
+  constructor(model) {
+    this.model = model;
+    this.alias = model.table;
+    this.columns = null;
+    this.rawSelects = [];
+    this.rawSelectParams = [];
+    this.conditions = [];
+    this.params = [];
+    this.joins = [];
+    this.populated = [];
+    this.sortEntries = [];
+    this.rawOrders = [];
+    this.limitValue = null;
+    this.offsetValue = null;
+    this.searchTerms = null;
+    this.distances = null;
+  }
+
+  resolveColumn(key) {
+    if (!identifierPattern.test(key)) {
+      throw new Error(`Invalid column name "${key}"`);
+    }
+    return key.includes('.') ? key : `${this.alias}.${key}`;
+  }
+
+  compileFilter(filter) {
+    const clauses = [];
+    const params = [];
+
+    Object.entries(filter).forEach(([key, value]) => {
+      if (value === undefined) return;
+
+      if (key === '$or' || key === '$and') {
+        const parts = value
+          .map(subFilter => this.compileFilter(subFilter))
+          .filter(part => part.sql);
+        if (!parts.length) {
+          if (key === '$or') clauses.push('0');
+          return;
+        }
+        clauses.push(`(${parts.map(part => part.sql).join(key === '$or' ? ' OR ' : ' AND ')})`);
+        parts.forEach(part => params.push(...part.params));
+        return;
+      }
+
+      const column = this.resolveColumn(key);
+
+      if (value === null) {
+        clauses.push(`${column} IS NULL`);
+        return;
+      }
+
+      if (Array.isArray(value)) {
+        value = { $in: value };
+      }
+
+      if (!isPlainObject(value)) {
+        clauses.push(`${column} = ?`);
+        params.push(toSqlValue(value));
+        return;
+      }
+
+      Object.entries(value).forEach(([operator, operand]) => {
+        if (operand === undefined) return;
+
+        if (comparisonOperators[operator]) {
+          if (operand === null) {
+            clauses.push(`${column} ${operator === '$ne' ? 'IS NOT' : 'IS'} NULL`);
+          } else {
+            clauses.push(`${column} ${comparisonOperators[operator]} ?`);
+            params.push(toSqlValue(operand));
+          }
+        } else if (operator === '$in' || operator === '$nin') {
+          if (!operand.length) {
+            clauses.push(operator === '$in' ? '0' : '1');
+            return;
+          }
+          const placeholders = operand.map(() => '?').join(', ');
+          clauses.push(`${column} ${operator === '$in' ? 'IN' : 'NOT IN'} (${placeholders})`);
+          params.push(...operand.map(toSqlValue));
+        } else if (operator === '$null') {
+          clauses.push(`${column} IS ${operand ? '' : 'NOT '}NULL`);
+        } else {
+          throw new Error(`Unsupported filter operator "${operator}"`);
+        }
+      });
+    });
+
+    return { sql: clauses.join(' AND '), params };
+  }
+
+  select(columns) {
+    this.columns = columns.map(column => this.resolveColumn(column));
+    return this;
+  }
+
+  // Extra computed column, e.g. a relevance score or distance
+  selectRaw(sql, params = []) {
+    this.rawSelects.push(sql);
+    this.rawSelectParams.push(...params);
+    return this;
+  }
+
+  where(filter = {}) {
+    const { sql, params } = this.compileFilter(filter);
+    if (sql) {
+      this.conditions.push(sql);
+      this.params.push(...params);
+    }
+    return this;
+  }
+
+  whereRaw(sql, params = []) {
+    this.conditions.push(`(${sql})`);
+    this.params.push(...params);
+    return this;
+  }
+
+  join(sql) {
+    this.joins.push(sql);
+    return this;
+  }
+
+  // Join a belongs-to relation declared in the model's `relations` and nest its columns under `path`
+  populate(path, columns) {
+    const relation = this.model.relations && this.model.relations[path];
+    if (!relation) {
+      throw new Error(`Unknown relation "${path}" on ${this.model.table}`);
+    }
+
+    const related = require(`./${relation.model}`);
+    const selected = (columns || relation.columns || ['id']).filter(column => !(related.hidden || []).includes(column));
+    if (!selected.includes('id')) selected.unshift('id');
+
+    this.joins.push(`LEFT JOIN ${related.table} AS ${path} ON ${path}.id = ${this.alias}.${relation.localKey}`);
+    this.populated.push({ path, columns: selected, model: related });
+    return this;
+  }
+
+  // Full-text match of free text against the model's FTS5 `searchIndex`. The text goes through the
+  // same normalisation as the indexed content; every word must match, the last one as a prefix.
+  // `alternatives` are extra lists of normalised phrases that also count as a match (synonyms).
+  // With `rank`, results are ordered by bm25 (weighted per column) and carry a `score`.
+  // Matched fragments come back under `highlighted`, keyed by column.
+  search(text, { rank = true, alternatives = [] } = {}) {
+    const index = this.model.searchIndex;
+    if (!index) {
+      throw new Error(`No search index declared on ${this.model.table}`);
+    }
+
+    const terms = normalizeTerms(text);
+    if (!terms.length) {
+      this.searchTerms = terms;
+      this.conditions.push('0');
+      return this;
+    }
+
+    // Quoted phrases: FTS5 operators and punctuation in the input are never interpreted.
+    // The word being typed (the last one) matches as a prefix wherever it is kept.
+    const lastTerm = terms[terms.length - 1];
+    const toMatch = (phrases) => phrases
+      .map((phrase, position) => `"${phrase}"${position === phrases.length - 1 && phrase === lastTerm ? '*' : ''}`)
+      .join(' ');
+    const matchQuery = alternatives.length
+      ? [terms, ...alternatives].map(phrases => `(${toMatch(phrases)})`).join(' OR ')
+      : toMatch(terms);
+
+    // Highlight synonym words too (skipping short ones like "a", "do"); the original last term
+    // stays last so it keeps prefix matching
+    const synonymTerms = alternatives
+      .flatMap(phrases => phrases.flatMap(phrase => phrase.split(' ')))
+      .filter(term => term.length > 2 && !terms.includes(term));
+    this.searchTerms = [...new Set(synonymTerms), ...terms];
+
+    this.joins.push(`INNER JOIN ${index.table} ON ${index.table}.rowid = ${this.alias}.id`);
+    this.whereRaw(`${index.table} MATCH ?`, [matchQuery]);
+
+    if (rank) {
+      const bm25 = `bm25(${index.table}, ${Object.values(index.columns).join(', ')})`;
+      this.selectRaw(`${bm25} AS __rank`);
+      this.orderByRaw(bm25);
+    }
+    return this;
+  }
+
+  // Distance in km from `origin` ({ latitude, longitude }) to each row matching the query so far,
+  // as a Map by id; rows without coordinates are left out. With `radiusKm`, only rows inside it:
+  // a bounding box on the coordinate columns prefilters in SQL, the haversine distance decides.
+  async distancesFrom(origin, { radiusKm = null, columns = ['latitude', 'longitude'] } = {}) {
+    const [latColumn, lngColumn] = columns.map(column => this.resolveColumn(column));
+    const conditions = [`${latColumn} IS NOT NULL`, `${lngColumn} IS NOT NULL`];
+    const params = [];
+    if (radiusKm !== null) {
+      const box = this.boundsCondition(boundingBox(origin, radiusKm), columns);
+      conditions.push(box.sql);
+      params.push(...box.params);
+    }
+
+    const where = this.buildWhere(conditions, params);
+    let sql = `SELECT ${this.alias}.id AS id, ${latColumn} AS latitude, ${lngColumn} AS longitude FROM ${this.model.table} AS ${this.alias}`;
+    if (this.joins.length) sql += ` ${this.joins.join(' ')}`;
+    const rows = await all(sql + where.sql, where.params);
+
+    const distances = new Map();
+    rows.forEach(row => {
+      const distance = haversineKm(origin, row);
+      if (radiusKm === null || distance <= radiusKm) distances.set(row.id, distance);
+    });
+    return distances;
+  }
+
+  // Rows whose coordinates fall inside `box` ({ minLat, maxLat, minLng, maxLng }), e.g. a map viewport
+  withinBounds(box, columns = ['latitude', 'longitude']) {
+    const { sql, params } = this.boundsCondition(box, columns);
+    return this.whereRaw(sql, params);
+  }
+
+  boundsCondition({ minLat, maxLat, minLng, maxLng }, columns) {
+    const [latColumn, lngColumn] = columns.map(column => this.resolveColumn(column));
+    return {
+      sql: `${latColumn} BETWEEN ? AND ? AND ${lngColumn} BETWEEN ? AND ?`,
+      params: [minLat, maxLat, minLng, maxLng]
+    };
+  }
+
+  // Give every result its `distance` (km) from a distancesFrom() map. `within` keeps only the rows
+  // in the map; `sort` orders nearest first, rows without a distance last.
+  near(distances, { within = true, sort = false } = {}) {
+    this.distances = distances;
+    if (within) {
+      this.where({ id: { $in: [...distances.keys()] } });
+    }
+    if (sort) {
+      // Ids joined nearest first: a row's position in the list is its rank
+      const ranking = `,${[...distances.entries()].sort((a, b) => a[1] - b[1]).map(([id]) => id).join(',')},`;
+      const position = `instr(?, ',' || ${this.alias}.id || ',')`;
+      this.orderByRaw(`${position} = 0, ${position}`, [ranking, ranking]);
+    }
+    return this;
+  }
+
+  // Mongo-style sort object: { rating: -1, name: 1 }
+  sort(sortObj = {}) {
+    Object.entries(sortObj).forEach(([key, direction]) => {
+      const descending = direction === -1 || String(direction).toLowerCase() === 'desc';
+      this.sortEntries.push({ column: this.resolveColumn(key), descending });
+    });
+    return this;
+  }
+
+  // Ordering by an expression (bm25, distance...), ahead of sort(); cursor pagination is not
+  // available with it. Several apply in call order, unless `first` puts one ahead of the others.
+  orderByRaw(sql, params = [], { first = false } = {}) {
+    this.rawOrders[first ? 'unshift' : 'push']({ sql, params });
+    return this;
+  }
+
+  limit(value) {
+    this.limitValue = parseInt(value, 10);
+    return this;
+  }
+
+  skip(value) {
+    this.offsetValue = parseInt(value, 10);
+    return this;
+  }
+
+  buildWhere(extraConditions = [], extraParams = []) {
+    const conditions = [...this.conditions, ...extraConditions];
+    return {
+      sql: conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '',
+      params: [...this.params, ...extraParams]
+    };
+  }
+
+  buildOrder(entries) {
+    const parts = [];
+    this.rawOrders.forEach(order => parts.push(order.sql));
+    entries.forEach(entry => parts.push(`${entry.column} ${entry.descending ? 'DESC' : 'ASC'}`));
+    return parts.length ? ` ORDER BY ${parts.join(', ')}` : '';
+  }
+
+  buildSelect(entries = []) {
+    const columns = [this.columns ? this.columns.join(', ') : `${this.alias}.*`, ...this.rawSelects];
+    this.populated.forEach(({ path, columns: relatedColumns }) => {
+      relatedColumns.forEach(column => columns.push(`${path}.${column} AS ${path}__${column}`));
+    });
+    entries.forEach((entry, index) => columns.push(`${entry.column} AS __sort_${index}`));
+    return columns.join(', ');
+  }
+
+  toSQL({ extraConditions = [], extraParams = [], entries = this.sortEntries, limit = this.limitValue } = {}) {
+    const where = this.buildWhere(extraConditions, extraParams);
+    let sql = `SELECT ${this.buildSelect(entries)} FROM ${this.model.table} AS ${this.alias}`;
+    if (this.joins.length) sql += ` ${this.joins.join(' ')}`;
+    sql += where.sql;
+    sql += this.buildOrder(entries);
+
+    const params = [...this.rawSelectParams, ...where.params, ...this.rawOrders.flatMap(order => order.params)];
+    if (limit !== null && limit !== undefined) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+    if (this.offsetValue) {
+      if (limit === null || limit === undefined) sql += ' LIMIT -1';
+      sql += ' OFFSET ?';
+      params.push(this.offsetValue);
+    }
+    return { sql, params };
+  }
+
+  hydrate(row) {
+    const result = this.model.hydrate(row);
+
+    this.populated.forEach(({ path, columns, model }) => {
+      const nested = {};
+      columns.forEach(column => {
+        nested[column] = row[`${path}__${column}`];
+        delete result[`${path}__${column}`];
+      });
+      result[path] = nested.id === null || nested.id === undefined ? null : model.hydrate(nested);
+    });
+
+    if (this.distances) {
+      result.distance = this.distances.has(result.id) ? roundKm(this.distances.get(result.id)) : null;
+    }
+
+    if (this.searchTerms) {
+      if (row.__rank !== undefined) {
+        result.score = -row.__rank;
+        delete result.__rank;
+      }
+      result.highlighted = {};
+      Object.keys(this.model.searchIndex.columns).forEach(column => {
+        const fragment = highlightTerms(this.model.searchText(result[column]), this.searchTerms);
+        if (fragment) result.highlighted[column] = fragment;
+      });
+    }
+
+    Object.keys(result).forEach(key => {
+      if (key.startsWith('__sort_')) delete result[key];
+    });
+    return result;
+  }
+
+  async all() {
+    const { sql, params } = this.toSQL();
+    const rows = await all(sql, params);
+    return rows.map(row => this.hydrate(row));
+  }
+
+  async first() {
+    const { sql, params } = this.toSQL({ limit: 1 });
+    const row = await get(sql, params);
+    return row ? this.hydrate(row) : null;
+  }
+
+  async count() {
+    const where = this.buildWhere();
+    let sql = `SELECT COUNT(*) AS count FROM ${this.model.table} AS ${this.alias}`;
+    if (this.joins.length) sql += ` ${this.joins.join(' ')}`;
+    const row = await get(sql + where.sql, where.params);
+    return row ? row.count : 0;
+  }
+
+  // Group the matching rows by a column: [{ value, count }]
+  async countBy(key) {
+    const column = this.resolveColumn(key);
+    const where = this.buildWhere();
+    let sql = `SELECT ${column} AS value, COUNT(*) AS count FROM ${this.model.table} AS ${this.alias}`;
+    if (this.joins.length) sql += ` ${this.joins.join(' ')}`;
+    sql += `${where.sql} GROUP BY ${column} ORDER BY count DESC`;
+    return all(sql, where.params);
+  }
+
+  // Sort entries with the primary key appended, so cursors always point to a single row
+  cursorEntries() {
+    if (this.rawOrders.length) {
+      throw new Error('Cursor pagination is not supported with a raw ORDER BY');
+    }
+    const idColumn = `${this.alias}.id`;
+    if (this.sortEntries.some(entry => entry.column === idColumn)) {
+      return this.sortEntries;
+    }
+    return [...this.sortEntries, { column: idColumn, descending: false }];
+  }
+
+  // Keyset condition for "rows after these sort values" (NULLs sort first in SQLite)
+  afterCondition(entries, values) {
+    const branches = [];
+    const params = [];
+
+    entries.forEach((entry, index) => {
+      const parts = [];
+      const branchParams = [];
+
+      entries.slice(0, index).forEach((previous, previousIndex) => {
+        parts.push(`${previous.column} IS ?`);
+        branchParams.push(values[previousIndex]);
+      });
+
+      const value = values[index];
+      if (value === null) {
+        parts.push(entry.descending ? '0' : `${entry.column} IS NOT NULL`);
+      } else if (entry.descending) {
+        parts.push(`(${entry.column} < ? OR ${entry.column} IS NULL)`);
+        branchParams.push(value);
+      } else {
+        parts.push(`${entry.column} > ?`);
+        branchParams.push(value);
+      }
+
+      branches.push(`(${parts.join(' AND ')})`);
+      params.push(...branchParams);
+    });
+
+    return { sql: `(${branches.join(' OR ')})`, params };
+  }
+
+  // Offset pagination by page number, or keyset pagination when a cursor is given.
+  // Returns { data, pagination } in the shape the list endpoints already respond with.
+  async paginate({ page = 1, limit = 12, cursor } = {}) {
+    page = parseInt(page, 10) || 1;
+    limit = parseInt(limit, 10) || 12;
+
+    const total = await this.count();
+    const totalPages = Math.ceil(total / limit);
+    const canUseCursor = !this.rawOrders.length;
+    const entries = canUseCursor ? this.cursorEntries() : this.sortEntries;
+
+    let rows;
+    if (cursor) {
+      if (!canUseCursor) {
+        const error = new Error('Paginação por cursor não disponível para esta ordenação');
+        error.statusCode = 400;
+        throw error;
+      }
+      const after = this.afterCondition(entries, decodeCursor(cursor));
+      this.offsetValue = null;
+      const { sql, params } = this.toSQL({
+        extraConditions: [after.sql],
+        extraParams: after.params,
+        entries,
+        limit: limit + 1
+      });
+      rows = await all(sql, params);
+    } else {
+      this.offsetValue = (page - 1) * limit;
+      const { sql, params } = this.toSQL({ entries, limit: limit + 1 });
+      rows = await all(sql, params);
+    }
+
+    const hasNextPage = rows.length > limit;
+    rows = rows.slice(0, limit);
+
+    const last = rows[rows.length - 1];
+    const nextCursor = hasNextPage && canUseCursor && last
+      ? encodeCursor(entries.map((entry, index) => last[`__sort_${index}`]))
+      : null;
+
+    return {
+      data: rows.map(row => this.hydrate(row)),
+      pagination: {
+        currentPage: cursor ? null : page,
+        totalPages,
+        total,
+        hasNextPage,
+        hasPrevPage: cursor ? true : page > 1,
+        limit,
+        nextCursor
+      }
+    };
+  }
+}
+
+QueryBuilder.toSqlValue = toSqlValue;
+
+module.exports = QueryBuilder;
@@ -0,0 +1,164 @@
+const { run, all } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const { regions } = require('../config/regions');
+const { slugify } = require('../utils/textNormalizer');
+
+// Regional products (DOP/IGP/ETG and other traditional products). Restaurants link them from
+// their menu, stories through related_products; see migrations/013_regional_products.js.
+class RegionalProduct extends BaseModel {
+  static table = 'regional_products';
+
+  static jsonColumns = ['season_months', 'images'];
+
+  static writableColumns = ['name', 'designation', 'region', 'category', 'description', 'season_months', 'images'];
+
+  static filterOptions = {
+    designation: ['DOP', 'IGP', 'ETG'],
+    region: regions
+  };
+
+  // Columns shown where products are listed inside another record
+  static summaryColumns = ['id', 'name', 'slug', 'designation', 'region', 'category', 'season_months'];
+
+  // Apply the listing filters: region, designation, category and month (products in season then,
+  // including the all-year ones)
+  static applyFilters(productQuery, { region, designation, category, month } = {}) {
+    const filter = {};
+    if (region) filter.region = region;
+    if (designation) filter.designation = designation;
+    if (category) filter.category = category;
+    productQuery.where(filter);
+
+    if (month) {
+      productQuery.whereRaw(
+        `(json_array_length(regional_products.season_months) = 0
+          OR EXISTS (SELECT 1 FROM json_each(regional_products.season_months) WHERE value = ?))`,
+        [parseInt(month, 10)]
+      );
+    }
+    return productQuery;
+  }
+
+  static async create(productData) {
+    const data = this.pickColumns({ season_months: [], ...productData });
+    data.slug = slugify(data.name);
+    data.created_by = productData.created_by || null;
+
+    const columns = Object.keys(data);
+    const sql = `
+      INSERT INTO regional_products (${columns.join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+    `;
+
+    const result = await run(sql, Object.values(data));
+    return { id: result.id, name: data.name, slug: data.slug };
+  }
+
+  static async findById(id) {
+    return this.query().where({ id }).first();
+  }
+
+  static async findBySlug(slug) {
+    return this.query().where({ slug }).first();
+  }
+
+  static async update(id, updateData) {
+    if (updateData.name) updateData = { ...updateData, slug: slugify(updateData.name) };
+
+    const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updateData);
+    values.push(id);
+
+    const restaurantIds = await this.linkedRestaurantIds(id);
+    const sql = `UPDATE regional_products SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
+    const result = await run(sql, values);
+    await this.syncRestaurants(restaurantIds);
+    return result;
+  }
+
+  // Foreign keys are not enforced, so the links go explicitly
+  static async delete(id) {
+    const restaurantIds = await this.linkedRestaurantIds(id);
+    await run('DELETE FROM restaurant_products WHERE product_id = ?', [id]);
+    await run(`
+      UPDATE stories
+      SET related_products = (SELECT json_group_array(value) FROM json_each(stories.related_products) WHERE value != ?)
+      WHERE json_valid(related_products) AND EXISTS (SELECT 1 FROM json_each(stories.related_products) WHERE value = ?)
+    `, [id, id]);
+    const result = await run('DELETE FROM regional_products WHERE id = ?', [id]);
+    await this.syncRestaurants(restaurantIds);
+    return result;
+  }
+
+  static async linkedRestaurantIds(productId) {
+    return (await all('SELECT restaurant_id FROM restaurant_products WHERE product_id = ?', [productId]))
+      .map(link => link.restaurant_id);
+  }
+
+  // Recompute what restaurants derive from their products (the authenticity score's protected
+  // products and regional dishes)
+  static async syncRestaurants(restaurantIds) {
+    const Restaurant = require('./Restaurant');
+    for (const restaurantId of restaurantIds) await Restaurant.computeAuthenticity(restaurantId);
+  }
+
+  // Ids of the products named by `references` (slugs or ids); unknown ones are left out
+  static async idsFor(references = []) {
+    const ids = references.filter(reference => Number.isInteger(reference));
+    const slugs = references.filter(reference => typeof reference === 'string').map(slugify);
+    if (!ids.length && !slugs.length) return [];
+
+    const rows = await all(`
+      SELECT id FROM regional_products
+      WHERE id IN (${ids.map(() => '?').join(', ') || 'NULL'}) OR slug IN (${slugs.map(() => '?').join(', ') || 'NULL'})
+      ORDER BY id
+    `, [...ids, ...slugs]);
+    return rows.map(row => row.id);
+  }
+
+  // Rebuild a restaurant's links from the product references of its menu dishes
+  static async syncRestaurant(restaurantId, references) {
+    const ids = await this.idsFor(references);
+    await run('DELETE FROM restaurant_products WHERE restaurant_id = ?', [restaurantId]);
+    for (const id of ids) {
+      await run('INSERT INTO restaurant_products (restaurant_id, product_id) VALUES (?, ?)', [restaurantId, id]);
+    }
+  }
+
+  static async forRestaurant(restaurantId) {
+    return this.query()
+      .select(this.summaryColumns)
+      .whereRaw('regional_products.id IN (SELECT product_id FROM restaurant_products WHERE restaurant_id = ?)', [restaurantId])
+      .sort({ name: 1 })
+      .all();
+  }
+
+  static async forStory(story) {
+    const ids = Array.isArray(story.related_products) ? story.related_products : [];
+    if (!ids.length) return [];
+    return this.query().select(this.summaryColumns).where({ id: { $in: ids } }).sort({ name: 1 }).all();
+  }
+
+  // Active restaurants serving a product and published stories about it
+  static async linkedRecords(productId) {
+    const [restaurants, stories] = await Promise.all([
+      all(`
+        SELECT r.id, r.name, r.slug, r.city, r.region, r.rating
+        FROM restaurants r
+        JOIN restaurant_products rp ON rp.restaurant_id = r.id
+        WHERE rp.product_id = ? AND r.is_active = 1
+        ORDER BY r.rating DESC
+      `, [productId]),
+      all(`
+        SELECT s.id, s.title, s.slug, s.region, s.published_at
+        FROM stories s
+        WHERE s.is_published = 1 AND s.status = 'published' AND json_valid(s.related_products)
+          AND EXISTS (SELECT 1 FROM json_each(s.related_products) WHERE value = ?)
+        ORDER BY s.published_at DESC
+      `, [productId])
+    ]);
+    return { restaurants, stories };
+  }
+}
+
+module.exports = RegionalProduct;
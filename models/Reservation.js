@@ -1,17 +1,173 @@
 const { db, run, get, all } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const Restaurant = require('./Restaurant');
+const MenuDish = require('./MenuDish');
+const Notification = require('./Notification');
+const openingHours = require('../utils/openingHours');
+const { holidayOn } = require('../utils/holidays');
+const dates = require('../utils/dates');
+const dietary = require('../utils/dietary');
+
+class Reservation extends BaseModel {
+  static table = 'reservations';
+
+  static jsonColumns = ['dietary_conflicts'];
+
+  static writableColumns = [
+    'date', 'time', 'party_size', 'special_requests', 'dietary_restrictions', 'occasion',
+    'contact_name', 'contact_phone', 'contact_email', 'notes'
+  ];
+
+  static relations = {
+    user: { model: 'User', localKey: 'user_id', columns: ['id', 'name', 'email', 'phone'] },
+    restaurant: { model: 'Restaurant', localKey: 'restaurant_id', columns: ['id', 'name', 'slug', 'images', 'owner_id'] }
+  };
+
+  // Reservation slots start every SLOT_MINUTES while the restaurant is open, the last one an hour
+  // before it closes
+  static slotMinutes = 30;
+
+  static lastSlotBeforeCloseMinutes = 60;
+
+  // `date` and `time` are wall-clock time in the restaurant's time zone, kept with the
+  // reservation; `starts_at` is the same moment in UTC, shown with the zone's offset
+  static hydrate(row) {
+    const result = super.hydrate(row);
+    if (!result) return result;
+
+    if (result.starts_at) result.starts_at = dates.formatInstant(result.starts_at, dates.timeZoneOf(result));
+    return result;
+  }
+
+  // The instant (Date) a reservation on a date (YYYY-MM-DD) and time (HH:MM) starts in a time zone
+  static startsAt(date, time, timeZone) {
+    return dates.zonedToInstant({ date, minutes: openingHours.toMinutes(time) }, timeZone);
+  }
+
+  // Bookable times of a restaurant on a date (YYYY-MM-DD), following its opening hours, holiday
+  // hours and exceptions: { date, holiday, slots: [{ time, available }] }. A slot is unavailable
+  // once past or when a pending or confirmed reservation holds it. `slots` is null for a
+  // restaurant without structured opening hours.
+  static async availability(restaurant, date) {
+    const holiday = holidayOn(date, Restaurant.holidayPlace(restaurant));
+    const hours = openingHours.safeParse(restaurant.opening_hours);
+    const result = { date, holiday: holiday ? { name: holiday.name, scope: holiday.scope } : null };
+    if (!hours) return { ...result, slots: null };
+
+    const booked = new Set((await this.query()
+      .select(['time'])
+      .where({ restaurant_id: restaurant.id, date, is_active: 1, status: { $in: ['pending', 'confirmed'] } })
+      .all()).map(reservation => reservation.time));
+    const now = dates.wallClock(new Date(), dates.timeZoneOf(restaurant));
+
+    const slots = [];
+    openingHours.rangesOn(hours, date, { isHoliday: () => Boolean(holiday) }).forEach(range => {
+      const open = openingHours.toMinutes(range.open);
+      let close = openingHours.toMinutes(range.close);
+      if (close < open) close += 24 * 60;
+
+      // Slots stay on the date itself; after midnight is the next day's
+      for (let minutes = open; minutes <= close - this.lastSlotBeforeCloseMinutes && minutes < 24 * 60; minutes += this.slotMinutes) {
+        const time = openingHours.toTime(minutes);
+        const past = date < now.date || (date === now.date && minutes <= now.minutes);
+        slots.push({ time, available: !past && !booked.has(time) });
+      }
+    });
+    return { ...result, slots };
+  }
+
+  // Why a restaurant cannot take a reservation at a date and time (closed then, holidays
+  // included), or null when it can or has no structured opening hours
+  static closedMessage(restaurant, date, time) {
+    const hours = openingHours.safeParse(restaurant.opening_hours);
+    if (!hours) return null;
+
+    const isHoliday = Restaurant.holidayCheck(restaurant);
+    if (openingHours.isOpenAt(hours, { date, minutes: openingHours.toMinutes(time) }, { isHoliday })) return null;
+
+    const holiday = hours.holidays && !hours.exceptions[date] && holidayOn(date, Restaurant.holidayPlace(restaurant));
+    return holiday
+      ? `O restaurante está fechado a essa hora no feriado (${holiday.name})`
+      : 'O restaurante está fechado nesse dia e hora';
+  }
+
+  // Dietary restrictions (free text, read by utils/dietary.parseRestrictions) a restaurant's menu
+  // can hardly serve: each allergen to avoid or label asked for with fewer suitable dishes than
+  // MenuDish.minMatchingDishes, else all of them together. [{ restriction, name, matching_dishes }]
+  static async dietaryConflicts(restaurantId, restrictions) {
+    const { allergens, labels } = dietary.parseRestrictions(restrictions);
+    const terms = [
+      ...allergens.map(allergen => ({
+        restriction: allergen,
+        name: `sem ${dietary.ALLERGENS[allergen].name.toLowerCase()}`,
+        filter: { allergens: [allergen] }
+      })),
+      ...labels.map(label => ({
+        restriction: label,
+        name: dietary.DIETARY_LABELS[label].name.toLowerCase(),
+        filter: { labels: [label] }
+      }))
+    ];
+    if (!terms.length) return [];
+
+    const dishes = await MenuDish.query().select(['allergens', 'dietary_labels']).where({ restaurant_id: restaurantId }).all();
+    const matching = (filter) => dishes.filter(dish => dietary.isSuitable(dish, filter)).length;
+    const conflicts = terms
+      .map(({ restriction, name, filter }) => ({ restriction, name, matching_dishes: matching(filter) }))
+      .filter(conflict => conflict.matching_dishes < MenuDish.minMatchingDishes);
+
+    if (!conflicts.length && terms.length > 1) {
+      const together = matching({ allergens, labels });
+      if (together < MenuDish.minMatchingDishes) {
+        conflicts.push({ restriction: 'combined', name: terms.map(term => term.name).join(' e '), matching_dishes: together });
+      }
+    }
+    return conflicts;
+  }
+
+  // Check a reservation's dietary restrictions against its restaurant's menu and keep the
+  // conflicts found on it (null when none). Unless `notify` is false, the restaurant owner gets a
+  // notification about them.
+  static async checkDietaryRestrictions(id, { notify = true } = {}) {
+    const reservation = await this.findById(id);
+    if (!reservation) return [];
+
+    const conflicts = await this.dietaryConflicts(reservation.restaurant_id, reservation.dietary_restrictions);
+    await run('UPDATE reservations SET dietary_conflicts = ? WHERE id = ?', [conflicts.length ? JSON.stringify(conflicts) : null, id]);
+
+    if (!conflicts.length || !notify) return conflicts;
+
+    const restaurant = await Restaurant.findById(reservation.restaurant_id);
+    if (restaurant && restaurant.owner_id) {
+      await Notification.create({
+        user_id: restaurant.owner_id,
+        type: 'dietary_conflict',
+        title: `Restrições alimentares numa reserva em ${restaurant.name}`,
+        message: `${reservation.contact_name} (${reservation.date} às ${reservation.time}, ${reservation.party_size} pessoas) pediu: ` +
+          `${reservation.dietary_restrictions}. O menu tem poucos pratos adequados: ` +
+          `${conflicts.map(conflict => `${conflict.name} (${conflict.matching_dishes})`).join(', ')}.`,
+        data: {
+          reservation_id: reservation.id,
+          restaurant_id: restaurant.id,
+          confirmation_code: reservation.confirmation_code,
+          conflicts
+        }
+      });
+    }
+    return conflicts;
+  }
 
-class Reservation {
   static async create(reservationData) {
-    const { user_id, restaurant_id, date, time, party_size, special_requests, dietary_restrictions, occasion, contact_name, contact_phone, contact_email } = reservationData;
+    const { user_id, restaurant_id, date, time, timezone, starts_at, party_size, special_requests, dietary_restrictions, occasion, contact_name, contact_phone, contact_email } = reservationData;
     
     const confirmationCode = this.generateConfirmationCode();
     
     const sql = `
-      INSERT INTO reservations (user_id, restaurant_id, date, time, party_size, special_requests, dietary_restrictions, occasion, contact_name, contact_phone, contact_email, confirmation_code, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      INSERT INTO reservations (user_id, restaurant_id, date, time, timezone, starts_at, party_size, special_requests, dietary_restrictions, occasion, contact_name, contact_phone, contact_email, confirmation_code, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
     `;
     
-    const result = await run(sql, [user_id, restaurant_id, date, time, party_size, special_requests, dietary_restrictions, occasion, contact_name, contact_phone, contact_email, confirmationCode]);
+    const result = await run(sql, [user_id, restaurant_id, date, time, timezone, starts_at, party_size, special_requests, dietary_restrictions, occasion, contact_name, contact_phone, contact_email, confirmationCode]);
     return { id: result.id, confirmation_code: confirmationCode };
   }
 
@@ -1,28 +1,329 @@
 const { db, run, get, all } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const PostalCode = require('./PostalCode');
+const SeasonalDish = require('./SeasonalDish');
+const MenuDish = require('./MenuDish');
+const Wine = require('./Wine');
+const RegionalProduct = require('./RegionalProduct');
+const Review = require('./Review');
+const { regions } = require('../config/regions');
+const openingHours = require('../utils/openingHours');
+const { holidayOn, holidayScopesOn, municipalitySpellings } = require('../utils/holidays');
+const dates = require('../utils/dates');
+const dietary = require('../utils/dietary');
+const { hasAuthenticityTag, scoreAuthenticity } = require('../utils/authenticity');
+
+// Stored opening hours as JSON for SQL, '{}' (always closed) when missing or free text
+const HOURS_JSON = "CASE WHEN json_valid(restaurants.opening_hours) THEN restaurants.opening_hours ELSE '{}' END";
+
+// Condition (SQL and params) for the restaurants having a public holiday on a date
+const holidaySql = (date) => {
+  const { national, regions: holidayRegions, municipalities } = holidayScopesOn(date);
+  if (national) return { sql: '1', params: [] };
+
+  const spellings = municipalities.flatMap(municipalitySpellings);
+  if (!holidayRegions.length && !spellings.length) return { sql: '0', params: [] };
+  return {
+    sql: `(restaurants.region IN (${holidayRegions.map(() => '?').join(', ') || 'NULL'})
+      OR lower(COALESCE(restaurants.municipality, restaurants.city)) IN (${spellings.map(() => '?').join(', ') || 'NULL'}))`,
+    params: [...holidayRegions, ...spellings]
+  };
+};
+
+// JSON path (SQL and params) of a date's ranges: its exception when there is one, then the
+// holiday hours on a public holiday, else its weekday (see openingHours.rangesOn)
+const dayRangesPath = (date) => {
+  const exception = `$.exceptions."${date}"`;
+  const holiday = holidaySql(date);
+  return {
+    sql: `CASE WHEN json_type(${HOURS_JSON}, ?) IS NOT NULL THEN ?
+      WHEN ${holiday.sql} AND json_type(${HOURS_JSON}, '$.holidays') IS NOT NULL THEN '$.holidays'
+      ELSE ? END`,
+    params: [exception, exception, ...holiday.params, `$.${openingHours.weekdayOf(date)}`]
+  };
+};
+
+class Restaurant extends BaseModel {
+  static table = 'restaurants';
+
+  // in_season_items is not stored: boostInSeason() selects it
+  static jsonColumns = [
+    'features', 'specialties', 'opening_hours', 'images', 'awards', 'authenticity_breakdown', 'in_season_items'
+  ];
+
+  // authenticity_score and authenticity_level are computed (computeAuthenticity), never written
+  static writableColumns = [
+    'name', 'description', 'address', 'city', 'region', 'postal_code', 'country', 'latitude', 'longitude',
+    'cuisine', 'specialties', 'price_range', 'features', 'opening_hours', 'images', 'awards', 'founded_year',
+    'is_family_owned', 'is_featured', 'timezone'
+  ];
+
+  // Columns that are inputs of the authenticity score; updating one recomputes it
+  static authenticityColumns = ['awards', 'founded_year', 'is_family_owned'];
+
+  static searchIndex = {
+    table: 'restaurants_fts',
+    columns: { name: 10, description: 1, cuisine: 4, city: 2 },
+    searchable: { is_active: 1 }
+  };
+
+  static relations = {
+    owner: { model: 'User', localKey: 'owner_id', columns: ['id', 'name'] }
+  };
+
+  // Values accepted by the listing filters; facets list every one of them, even at zero
+  static filterOptions = {
+    region: regions,
+    cuisine: ['tradicional', 'contemporanea', 'fusion', 'vegetariana', 'vegana'],
+    price_range: ['€', '€€', '€€€', '€€€€'],
+    authenticity_level: ['traditional-family', 'innovative-chef', 'modern-fusion']
+  };
+
+  static ratingBuckets = [4.5, 4, 3.5, 3];
+
+  // Keys of `opening_hours` (see utils/openingHours.js), each a list of ranges; empty is closed
+  static weekdays = openingHours.WEEKDAYS;
+
+  // Stored rows plus the computed isOpen and nextChange wherever opening_hours is selected
+  static hydrate(row) {
+    const result = super.hydrate(row);
+    if (!result || result.opening_hours === undefined) return result;
+    return {
+      ...result,
+      ...openingHours.openState(result.opening_hours, { timeZone: dates.timeZoneOf(result), isHoliday: this.holidayCheck(result) })
+    };
+  }
+
+  // Where a restaurant's public holidays come from (see utils/holidays.js)
+  static holidayPlace(restaurant) {
+    return { municipality: restaurant.municipality || restaurant.city, region: restaurant.region };
+  }
+
+  // Whether a date is a public holiday where the restaurant is (national, regional or municipal)
+  static holidayCheck(restaurant) {
+    const place = this.holidayPlace(restaurant);
+    return (date) => Boolean(holidayOn(date, place));
+  }
+
+  // Restrict a query to the restaurants open at a moment: an instant (Date), seen on each
+  // restaurant's own clock, or a wall-clock { date, minutes } read in every time zone. Open means
+  // a range of the day (see dayRangesPath) contains it, or one of the day before crosses midnight
+  // past it. Mirrors openingHours.isOpenAt() over the normalised JSON.
+  static whereOpenAt(restaurantQuery, at) {
+    const open = "json_extract(hours_range.value, '$.open')";
+    const close = "json_extract(hours_range.value, '$.close')";
+    const openAtClock = ({ date, minutes }) => {
+      const today = dayRangesPath(date);
+      const yesterday = dayRangesPath(openingHours.addDays(date, -1));
+      const time = openingHours.toTime(minutes);
+      return {
+        sql: `(EXISTS (SELECT 1 FROM json_each(${HOURS_JSON}, ${today.sql}) AS hours_range
+            WHERE ${open} <= ? AND (${close} > ? OR ${close} < ${open}))
+          OR EXISTS (SELECT 1 FROM json_each(${HOURS_JSON}, ${yesterday.sql}) AS hours_range
+            WHERE ${close} < ${open} AND ${close} > ?))`,
+        params: [...today.params, time, time, ...yesterday.params, time]
+      };
+    };
+
+    if (!(at instanceof Date)) {
+      const clock = openAtClock(at);
+      return restaurantQuery.whereRaw(clock.sql, clock.params);
+    }
+
+    const zones = dates.TIME_ZONES.map(timeZone => ({ timeZone, ...openAtClock(dates.wallClock(at, timeZone)) }));
+    return restaurantQuery.whereRaw(
+      `(${zones.map(zone => `(COALESCE(restaurants.timezone, ?) = ? AND ${zone.sql})`).join(' OR ')})`,
+      zones.flatMap(zone => [dates.DEFAULT_TIME_ZONE, zone.timeZone, ...zone.params])
+    );
+  }
+
+  // Restrict a query to the restaurants opening at some time on a date (exceptions included)
+  static whereOpenOnDate(restaurantQuery, date) {
+    const path = dayRangesPath(date);
+    return restaurantQuery.whereRaw(`COALESCE(json_array_length(${HOURS_JSON}, ${path.sql}), 0) > 0`, path.params);
+  }
+
+  // Put the restaurants serving the most dishes in season first (before any other ordering) and
+  // list those dishes in `in_season_items`
+  static boostInSeason(restaurantQuery, month = SeasonalDish.currentMonth()) {
+    const items = SeasonalDish.inSeasonItemsSql(month, 'json_group_array(si.name)');
+    const count = SeasonalDish.inSeasonItemsSql(month, 'COUNT(*)');
+    return restaurantQuery
+      .selectRaw(`(${items.sql}) AS in_season_items`, items.params)
+      .orderByRaw(`(${count.sql}) DESC`, count.params, { first: true });
+  }
+
+  // Names offered as "did you mean" suggestions (see SearchName): the restaurant's and its dishes'
+  static async searchNames(restaurant) {
+    const dishes = await MenuDish.query().select(['name']).where({ restaurant_id: restaurant.id }).all();
+    return [
+      { type: 'restaurant', name: restaurant.name, slug: restaurant.slug },
+      ...dishes.map(dish => ({ type: 'dish', name: dish.name, slug: restaurant.slug }))
+    ];
+  }
+
+  // Apply the listing filters (query string names) to a restaurant query.
+  // `except` leaves one filter out, so a facet can count against all the other ones.
+  static applyFilters(restaurantQuery, filters = {}, { except } = {}) {
+    const {
+      region, cuisine, priceRange, authenticity, rating, features, specialties, openOn, openNow, openAt, inSeason,
+      excludeAllergens, dietary: dietaryLabels, wineRegion
+    } = filters;
+    const filter = { is_active: 1 };
+
+    if (region && except !== 'region') filter.region = region;
+    if (cuisine && except !== 'cuisine') filter.cuisine = cuisine;
+    if (priceRange && except !== 'price_range') filter.price_range = priceRange;
+    if (authenticity && except !== 'authenticity_level') filter.authenticity_level = authenticity;
+    if (rating && except !== 'rating') filter.rating = { $gte: parseFloat(rating) };
+    restaurantQuery.where(filter);
+
+    if (features && except !== 'features') {
+      features.split(',').forEach(feature => {
+        restaurantQuery.whereRaw('json_extract(restaurants.features, ?) = 1', [`$."${feature}"`]);
+      });
+    }
+    if (specialties && except !== 'specialties') {
+      const specialtyArray = specialties.split(',');
+      restaurantQuery.whereRaw(
+        `EXISTS (SELECT 1 FROM json_each(restaurants.specialties) WHERE value IN (${specialtyArray.map(() => '?').join(', ')}))`,
+        specialtyArray
+      );
+    }
+    if (openOn && except !== 'openOn') {
+      restaurantQuery.whereRaw(`COALESCE(json_array_length(${HOURS_JSON}, ?), 0) > 0`, [`$.${openOn}`]);
+    }
+    if (String(openNow) === 'true' && except !== 'openNow') {
+      this.whereOpenAt(restaurantQuery, new Date());
+    }
+    if (openAt && except !== 'openAt') {
+      // With an offset it is one instant; without, that time on each restaurant's clock
+      this.whereOpenAt(restaurantQuery, dates.hasOffset(openAt) ? dates.parseInstant(openAt) : dates.parseDateTime(openAt));
+    }
+    if (String(inSeason) === 'true' && except !== 'inSeason') {
+      const items = SeasonalDish.inSeasonItemsSql(SeasonalDish.currentMonth());
+      restaurantQuery.whereRaw(`EXISTS (${items.sql})`, items.params);
+    }
+    if ((excludeAllergens || dietaryLabels) && except !== 'dietary') {
+      // Enough dishes without those allergens and with those labels, not just one
+      const dishes = MenuDish.suitableSql({
+        allergens: dietary.parseList(excludeAllergens),
+        labels: dietary.parseList(dietaryLabels)
+      });
+      restaurantQuery.whereRaw(
+        `(SELECT COUNT(*) FROM menu_dishes WHERE menu_dishes.restaurant_id = restaurants.id AND ${dishes.sql}) >= ?`,
+        [...dishes.params, MenuDish.minMatchingDishes]
+      );
+    }
+    if (wineRegion && except !== 'wineRegion') {
+      restaurantQuery.whereRaw(
+        'EXISTS (SELECT 1 FROM wines WHERE wines.restaurant_id = restaurants.id AND wines.region = ? AND wines.is_available = 1)',
+        [wineRegion]
+      );
+    }
+    return restaurantQuery;
+  }
+
+  // Facet counts for the filter sidebar. Each facet counts the restaurants matching every
+  // active filter except its own, so picking a region still shows the other regions' totals.
+  // Features are cumulative (a restaurant must have all selected ones), so they count against
+  // every filter. `prepare` adds shared conditions such as a text search.
+  static async facets(filters = {}, { prepare = (restaurantQuery) => restaurantQuery } = {}) {
+    const facetQuery = (except) => this.applyFilters(prepare(this.query()), filters, { except });
+    const withAllValues = (facet, counts) => {
+      const byValue = new Map(counts.map(({ value, count }) => [value, count]));
+      const values = [...this.filterOptions[facet], ...counts.map(({ value }) => value)
+        .filter(value => value !== null && !this.filterOptions[facet].includes(value))];
+      return values.map(value => ({ value, count: byValue.get(value) || 0 }));
+    };
+
+    const [region, cuisine, priceRange, authenticityLevel, features, rating] = await Promise.all([
+      facetQuery('region').countBy('region'),
+      facetQuery('cuisine').countBy('cuisine'),
+      facetQuery('price_range').countBy('price_range'),
+      facetQuery('authenticity_level').countBy('authenticity_level'),
+      facetQuery()
+        .join(`JOIN json_each(CASE WHEN json_valid(restaurants.features) THEN restaurants.features ELSE '{}' END) AS feature`)
+        .whereRaw('feature.value = 1')
+        .countBy('feature.key'),
+      Promise.all(this.ratingBuckets.map(async bucket => ({
+        value: bucket,
+        count: await facetQuery('rating').where({ rating: { $gte: bucket } }).count()
+      })))
+    ]);
+
+    return {
+      region: withAllValues('region', region),
+      cuisine: withAllValues('cuisine', cuisine),
+      price_range: withAllValues('price_range', priceRange),
+      authenticity_level: withAllValues('authenticity_level', authenticityLevel),
+      features,
+      rating
+    };
+  }
+
+  // Coordinates and municipality from the postal code when no coordinates are given (see
+  // PostalCode.geocode). Coordinates entered by hand clear geocode_confidence. On update, a new
+  // postal code only moves a restaurant that has no coordinates or got them from its old code.
+  static async withGeocode(data, id = null) {
+    if (data.latitude !== undefined || data.longitude !== undefined) {
+      return data.geocode_confidence === undefined ? { ...data, geocode_confidence: null } : data;
+    }
+    if (!data.postal_code) return data;
+
+    const current = id
+      ? await get('SELECT latitude, geocode_confidence FROM restaurants WHERE id = ?', [id]) || {}
+      : {};
+    if (current.latitude !== null && current.latitude !== undefined && !current.geocode_confidence) return data;
+
+    const location = await PostalCode.geocode(data.postal_code);
+    if (!location) {
+      // The old code's location no longer applies
+      return current.geocode_confidence
+        ? { ...data, latitude: null, longitude: null, municipality: null, geocode_confidence: null }
+        : data;
+    }
+    return {
+      ...data,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      municipality: location.municipality,
+      geocode_confidence: location.confidence
+    };
+  }
 
-class Restaurant {
   static async create(restaurantData) {
-    const { name, description, owner_id, address, city, region, cuisine, price_range } = restaurantData;
+    const data = this.withTimeZone(await this.withRegion(await this.withGeocode(this.pickColumns(restaurantData))));
+    if (!data.region) {
+      const error = new Error('Indique a região, as coordenadas ou um código postal conhecido');
+      error.statusCode = 400;
+      throw error;
+    }
+    data.owner_id = restaurantData.owner_id;
     
-    const slug = name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-');
+    const slug = data.name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-');
+    data.slug = slug;
     
+    const columns = Object.keys(data);
     const sql = `
-      INSERT INTO restaurants (name, slug, description, owner_id, address, city, region, cuisine, price_range, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      INSERT INTO restaurants (${columns.join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
     `;
     
-    const result = await run(sql, [name, slug, description, owner_id, address, city, region, cuisine, price_range]);
-    return { id: result.id, name, slug };
+    const result = await run(sql, Object.values(data));
+    await this.syncSearchIndex(result.id);
+    await this.computeAuthenticity(result.id);
+    return { id: result.id, name: data.name, slug };
   }
 
   static async findBySlug(slug) {
     const sql = 'SELECT * FROM restaurants WHERE slug = ? AND is_active = 1';
-    return await get(sql, [slug]);
+    return this.hydrate(await get(sql, [slug]));
   }
 
   static async findById(id) {
     const sql = 'SELECT * FROM restaurants WHERE id = ? AND is_active = 1';
-    return await get(sql, [id]);
+    return this.hydrate(await get(sql, [id]));
   }
 
   static async getAll(filters = {}) {
@@ -40,16 +341,20 @@ class Restaurant {
     }
     
     sql += ' ORDER BY rating DESC, created_at DESC';
-    return await all(sql, params);
+    return (await all(sql, params)).map(row => this.hydrate(row));
   }
 
   static async update(id, updateData) {
+    updateData = this.withTimeZone(await this.withRegion(await this.withGeocode(updateData, id), id), id);
     const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
     const values = Object.values(updateData);
     values.push(id);
     
     const sql = `UPDATE restaurants SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
-    return await run(sql, values);
+    const result = await run(sql, values);
+    await this.syncSearchIndex(id);
+    if (this.authenticityColumns.some(column => updateData[column] !== undefined)) await this.computeAuthenticity(id);
+    return result;
   }
 
   static async delete(id) {
@@ -74,6 +379,64 @@ class Restaurant {
     `;
     return await run(sql, [id, id, id]);
   }
+
+  // Awards as sent, with `verified` kept only where an admin may set it (`canVerify`) or on
+  // awards already verified in `previous` (same name and year)
+  static withAwardVerification(awards, previous = [], { canVerify = false } = {}) {
+    if (!Array.isArray(awards)) return awards;
+
+    const awardKey = (award) => `${award.name}|${award.year || ''}`;
+    const verified = new Set((Array.isArray(previous) ? previous : []).filter(award => award && award.verified).map(awardKey));
+    return awards.map(award => {
+      const { verified: requested, ...rest } = award;
+      return { ...rest, verified: canVerify && requested !== undefined ? Boolean(requested) : verified.has(awardKey(award)) };
+    });
+  }
+
+  // Gather a restaurant's authenticity inputs (menu, products, founding year, ownership, review
+  // tags and verified awards), then store its score, level and per-factor breakdown. Call after
+  // any of them changes; returns the result of utils/authenticity.js scoreAuthenticity().
+  static async computeAuthenticity(id) {
+    const restaurant = await get('SELECT founded_year, is_family_owned, awards FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) return null;
+
+    // A dish is regional when it uses a known regional product or follows a calendar dish
+    const dishes = await MenuDish.query().select(['name', 'products']).where({ restaurant_id: id }).all();
+    const calendarItems = new Set((await all(
+      'SELECT name FROM restaurant_seasonal_items WHERE restaurant_id = ? AND seasonal_dish_id IS NOT NULL',
+      [id]
+    )).map(item => item.name));
+    let regionalDishes = 0;
+    for (const dish of dishes) {
+      const products = Array.isArray(dish.products) ? dish.products : [];
+      if (calendarItems.has(dish.name) || (await RegionalProduct.idsFor(products)).length) regionalDishes++;
+    }
+
+    const [{ count: protectedProducts }, reviews] = await Promise.all([
+      get(`SELECT COUNT(*) AS count FROM restaurant_products
+        JOIN regional_products ON regional_products.id = restaurant_products.product_id
+        WHERE restaurant_products.restaurant_id = ? AND regional_products.designation IS NOT NULL`, [id]),
+      all('SELECT tags FROM reviews WHERE restaurant_id = ? AND is_active = 1', [id])
+    ]);
+    const awards = this.hydrate(restaurant).awards;
+
+    const result = scoreAuthenticity({
+      dishes: dishes.length,
+      regionalDishes,
+      protectedProducts,
+      foundedYear: restaurant.founded_year,
+      familyOwned: restaurant.is_family_owned,
+      reviews: reviews.length,
+      taggedReviews: reviews.filter(review => hasAuthenticityTag(Review.hydrate(review).tags)).length,
+      verifiedAwards: Array.isArray(awards) ? awards.filter(award => award && award.verified).length : 0
+    });
+
+    await run(
+      'UPDATE restaurants SET authenticity_score = ?, authenticity_level = ?, authenticity_breakdown = ? WHERE id = ?',
+      [result.score, result.level, JSON.stringify(result.breakdown), id]
+    );
+    return result;
+  }
 }
 
 module.exports = Restaurant;
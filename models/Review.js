@@ -1,26 +1,41 @@
 const { db, run, get, all } = require('../config/database');
+const BaseModel = require('./BaseModel');
 
-class Review {
+class Review extends BaseModel {
+  static table = 'reviews';
+
+  static jsonColumns = ['images', 'tags', 'response'];
+
+  static relations = {
+    user: { model: 'User', localKey: 'user_id', columns: ['id', 'name', 'avatar'] },
+    restaurant: { model: 'Restaurant', localKey: 'restaurant_id', columns: ['id', 'name', 'slug', 'images'] }
+  };
+
+  // Review tags count towards the restaurant's authenticity score, recomputed on every change
   static async create(reviewData) {
-    const { user_id, restaurant_id, rating, title, content, food_rating, service_rating, atmosphere_rating, value_rating } = reviewData;
+    const { user_id, restaurant_id, rating, title, content, food_rating, service_rating, atmosphere_rating, value_rating, tags } = reviewData;
     
     const sql = `
-      INSERT INTO reviews (user_id, restaurant_id, rating, title, content, food_rating, service_rating, atmosphere_rating, value_rating, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      INSERT INTO reviews (user_id, restaurant_id, rating, title, content, food_rating, service_rating, atmosphere_rating, value_rating, tags, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
     `;
     
-    const result = await run(sql, [user_id, restaurant_id, rating, title, content, food_rating, service_rating, atmosphere_rating, value_rating]);
+    const result = await run(sql, [
+      user_id, restaurant_id, rating, title, content, food_rating, service_rating, atmosphere_rating, value_rating,
+      tags ? JSON.stringify(tags) : null
+    ]);
+    await this.syncRestaurant(restaurant_id);
     return { id: result.id };
   }
 
   static async findById(id) {
     const sql = 'SELECT * FROM reviews WHERE id = ?';
-    return await get(sql, [id]);
+    return this.hydrate(await get(sql, [id]));
   }
 
   static async findByRestaurant(restaurant_id) {
     const sql = 'SELECT * FROM reviews WHERE restaurant_id = ? ORDER BY created_at DESC';
-    return await all(sql, [restaurant_id]);
+    return (await all(sql, [restaurant_id])).map(row => this.hydrate(row));
   }
 
   static async update(id, updateData) {
@@ -29,12 +44,23 @@ class Review {
     values.push(id);
     
     const sql = `UPDATE reviews SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
-    return await run(sql, values);
+    const result = await run(sql, values);
+    const review = await get('SELECT restaurant_id FROM reviews WHERE id = ?', [id]);
+    if (review) await this.syncRestaurant(review.restaurant_id);
+    return result;
   }
 
   static async delete(id) {
-    const sql = 'DELETE FROM reviews WHERE id = ?';
-    return await run(sql, [id]);
+    const review = await get('SELECT restaurant_id FROM reviews WHERE id = ?', [id]);
+    const result = await run('DELETE FROM reviews WHERE id = ?', [id]);
+    if (review) await this.syncRestaurant(review.restaurant_id);
+    return result;
+  }
+
+  // Recompute what a restaurant derives from its reviews (the authenticity score's reviewer tags)
+  static async syncRestaurant(restaurantId) {
+    const Restaurant = require('./Restaurant');
+    await Restaurant.computeAuthenticity(restaurantId);
   }
 }
 
@@ -0,0 +1,170 @@
+const { run } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const Restaurant = require('./Restaurant');
+const Event = require('./Event');
+const Wine = require('./Wine');
+const SearchSynonym = require('./SearchSynonym');
+const dietary = require('../utils/dietary');
+
+const listPattern = /^[\w-]+(,[\w-]+)*$/;
+
+// A user's restaurant or event search (free text plus listing filters), re-run by
+// jobs/savedSearchAlerts.js. saved_search_results remembers every result already sent, so only
+// new matches are notified.
+class SavedSearch extends BaseModel {
+  static table = 'saved_searches';
+
+  static jsonColumns = ['filters'];
+
+  static writableColumns = ['name', 'target', 'query', 'filters', 'notify_email', 'is_active'];
+
+  static relations = {
+    user: { model: 'User', localKey: 'user_id', columns: ['id', 'name', 'email', 'is_active'] }
+  };
+
+  // What each target searches, the column naming a result, and the filters it accepts
+  // (query string names of its listing endpoint) with their valid values
+  static targets = {
+    restaurants: {
+      model: Restaurant,
+      titleColumn: 'name',
+      filters: {
+        region: Restaurant.filterOptions.region,
+        cuisine: Restaurant.filterOptions.cuisine,
+        priceRange: Restaurant.filterOptions.price_range,
+        authenticity: Restaurant.filterOptions.authenticity_level,
+        rating: (value) => !isNaN(parseFloat(value)) && value >= 0 && value <= 5,
+        features: (value) => listPattern.test(value),
+        specialties: (value) => typeof value === 'string' && value.trim().length > 0,
+        openOn: Restaurant.weekdays,
+        openNow: ['true', 'false'],
+        inSeason: ['true', 'false'],
+        excludeAllergens: dietary.isListOf(dietary.ALLERGEN_KEYS),
+        dietary: dietary.isListOf(dietary.LABEL_KEYS),
+        wineRegion: Wine.filterOptions.region
+      }
+    },
+    events: {
+      model: Event,
+      titleColumn: 'title',
+      filters: {
+        type: Event.filterOptions.type,
+        category: Event.filterOptions.category,
+        region: Event.filterOptions.region
+      }
+    }
+  };
+
+  // Throws with the message to show when `filters` has an unknown key or invalid value for `target`
+  static validateFilters(target, filters) {
+    const allowed = this.targets[target] && this.targets[target].filters;
+    if (!allowed) return true;
+
+    Object.entries(filters).forEach(([key, value]) => {
+      const valid = allowed[key];
+      if (!valid) {
+        throw new Error(`Filtro desconhecido: ${key}`);
+      }
+      if (Array.isArray(valid) ? !valid.includes(value) : !valid(value)) {
+        throw new Error(`Valor inválido para o filtro ${key}`);
+      }
+    });
+    return true;
+  }
+
+  static async create(searchData) {
+    const data = this.pickColumns(searchData);
+    data.user_id = searchData.user_id;
+
+    const columns = Object.keys(data);
+    const sql = `
+      INSERT INTO saved_searches (${columns.join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+    `;
+
+    const result = await run(sql, Object.values(data));
+    await this.resetSentResults(result.id);
+    return { id: result.id };
+  }
+
+  static async findById(id) {
+    return this.query().where({ id }).first();
+  }
+
+  static async update(id, updateData) {
+    const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updateData);
+    values.push(id);
+
+    const sql = `UPDATE saved_searches SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
+    const result = await run(sql, values);
+
+    // A different search starts over from what it matches now
+    if (['target', 'query', 'filters'].some(column => updateData[column] !== undefined)) {
+      await this.resetSentResults(id);
+    }
+    return result;
+  }
+
+  static async delete(id) {
+    await run('DELETE FROM saved_search_results WHERE saved_search_id = ?', [id]);
+    const sql = 'DELETE FROM saved_searches WHERE id = ?';
+    return await run(sql, [id]);
+  }
+
+  // Query for the active results of a saved search: restaurants, or events not yet over
+  static async matchQuery(savedSearch) {
+    const { model } = this.targets[savedSearch.target];
+    const resultQuery = model.applyFilters(model.query(), savedSearch.filters || {});
+
+    if (savedSearch.target === 'events') {
+      resultQuery.where({ end_date: { $gte: new Date() } });
+    }
+    if (savedSearch.query) {
+      const { alternatives } = await SearchSynonym.expand(savedSearch.query);
+      resultQuery.search(savedSearch.query, { rank: false, alternatives });
+    }
+    return resultQuery;
+  }
+
+  // Results not sent yet, oldest first
+  static async newMatches(savedSearch) {
+    const { model, titleColumn } = this.targets[savedSearch.target];
+    const resultQuery = await this.matchQuery(savedSearch);
+
+    return resultQuery
+      .select(['id', titleColumn, 'slug', 'city', 'region'])
+      .whereRaw(
+        `NOT EXISTS (SELECT 1 FROM saved_search_results AS sent
+          WHERE sent.saved_search_id = ? AND sent.result_id = ${model.table}.id)`,
+        [savedSearch.id]
+      )
+      .sort({ created_at: 1 })
+      .all();
+  }
+
+  static async markSent(savedSearchId, resultIds) {
+    for (const resultId of resultIds) {
+      await run(
+        `INSERT OR IGNORE INTO saved_search_results (saved_search_id, result_id, sent_at)
+         VALUES (?, ?, datetime('now'))`,
+        [savedSearchId, resultId]
+      );
+    }
+  }
+
+  // Count everything the search matches right now as sent, so only later additions notify
+  static async resetSentResults(id) {
+    await run('DELETE FROM saved_search_results WHERE saved_search_id = ?', [id]);
+
+    const savedSearch = await this.findById(id);
+    const current = await (await this.matchQuery(savedSearch)).select(['id']).all();
+    await this.markSent(id, current.map(result => result.id));
+  }
+
+  static async markChecked(id) {
+    return run("UPDATE saved_searches SET last_checked_at = datetime('now') WHERE id = ?", [id]);
+  }
+}
+
+module.exports = SavedSearch;
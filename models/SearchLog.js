@@ -0,0 +1,147 @@
+const { run, all } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const QueryBuilder = require('./QueryBuilder');
+const { normalizeText } = require('../utils/textNormalizer');
+
+// Query-string parameters that are not filters: the text itself and pagination
+const nonFilterParams = ['q', 'page', 'limit', 'cursor'];
+
+// One row per search or suggestions call and one per result clicked from it
+// (search_clicks), aggregated by the admin reports below
+class SearchLog extends BaseModel {
+  static table = 'search_logs';
+
+  static jsonColumns = ['filters'];
+
+  // Record a call; `params` is the request query string. Returns the log id, which the client
+  // sends back with clicks. Analytics never break a search, so failures are only logged.
+  static async record({ endpoint, params, resultCount, latencyMs, userId }) {
+    try {
+      const { q: query = '', type = null, region = null } = params;
+      const filters = {};
+      Object.entries(params).forEach(([key, value]) => {
+        if (!nonFilterParams.includes(key) && key !== 'type' && key !== 'region' && value !== '') {
+          filters[key] = value;
+        }
+      });
+
+      const result = await run(
+        `INSERT INTO search_logs (endpoint, query, normalized_query, type, region, filters, result_count, latency_ms, user_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+        [
+          endpoint,
+          String(query),
+          normalizeText(query),
+          type,
+          region,
+          Object.keys(filters).length ? JSON.stringify(filters) : null,
+          resultCount,
+          Math.round(latencyMs),
+          userId || null
+        ]
+      );
+      return result.id;
+    } catch (error) {
+      console.error('Search log error:', error);
+      return null;
+    }
+  }
+
+  static async findById(id) {
+    return this.query().where({ id }).first();
+  }
+
+  static async recordClick(searchLogId, { resultType, resultId, resultSlug, position, userId }) {
+    const result = await run(
+      `INSERT INTO search_clicks (search_log_id, result_type, result_id, result_slug, position, user_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
+      [searchLogId, resultType, resultId || null, resultSlug || null, position || null, userId || null]
+    );
+    return { id: result.id };
+  }
+
+  // WHERE clause shared by the reports: one endpoint, created_at in [from, to)
+  static rangeCondition({ endpoint, from, to }) {
+    return {
+      sql: 'log.endpoint = ? AND log.created_at >= ? AND log.created_at < ?',
+      params: [endpoint, QueryBuilder.toSqlValue(from), QueryBuilder.toSqlValue(to)]
+    };
+  }
+
+  // Most frequent normalised queries, with how often they found nothing and were clicked through
+  static async topQueries({ endpoint, from, to, limit = 20 }) {
+    const range = this.rangeCondition({ endpoint, from, to });
+    const rows = await all(
+      `SELECT log.normalized_query AS query,
+        COUNT(*) AS searches,
+        SUM(log.result_count = 0) AS zero_results,
+        ROUND(AVG(log.result_count), 1) AS avg_results,
+        ROUND(AVG(log.latency_ms)) AS avg_latency_ms,
+        COUNT(clicked.search_log_id) AS clicked_searches
+      FROM search_logs AS log
+      LEFT JOIN (SELECT DISTINCT search_log_id FROM search_clicks) AS clicked ON clicked.search_log_id = log.id
+      WHERE ${range.sql} AND log.normalized_query != ''
+      GROUP BY log.normalized_query
+      ORDER BY searches DESC, query ASC
+      LIMIT ?`,
+      [...range.params, limit]
+    );
+    return rows.map(row => ({ ...row, ctr: this.rate(row.clicked_searches, row.searches) }));
+  }
+
+  // Normalised queries that found nothing, most frequent first, with the latest text typed
+  static async zeroResultQueries({ endpoint, from, to, limit = 20 }) {
+    const range = this.rangeCondition({ endpoint, from, to });
+    return all(
+      `SELECT log.normalized_query AS query,
+        COUNT(*) AS searches,
+        MAX(log.created_at) AS last_searched_at,
+        (SELECT latest.query FROM search_logs AS latest
+          WHERE latest.normalized_query = log.normalized_query
+          ORDER BY latest.created_at DESC, latest.id DESC LIMIT 1) AS example
+      FROM search_logs AS log
+      WHERE ${range.sql} AND log.result_count = 0 AND log.normalized_query != ''
+      GROUP BY log.normalized_query
+      ORDER BY searches DESC, last_searched_at DESC
+      LIMIT ?`,
+      [...range.params, limit]
+    );
+  }
+
+  // Share of searches with at least one click, per region filter (null: no region chosen).
+  // Every region in `regions` is listed, with zeros when nobody searched it.
+  static async clickThroughByRegion({ endpoint, from, to, regions = [] }) {
+    const range = this.rangeCondition({ endpoint, from, to });
+    const rows = await all(
+      `SELECT log.region AS region,
+        COUNT(*) AS searches,
+        COUNT(clicked.search_log_id) AS clicked_searches,
+        COALESCE(SUM(clicked.clicks), 0) AS clicks
+      FROM search_logs AS log
+      LEFT JOIN (
+        SELECT search_log_id, COUNT(*) AS clicks FROM search_clicks GROUP BY search_log_id
+      ) AS clicked ON clicked.search_log_id = log.id
+      WHERE ${range.sql}
+      GROUP BY log.region`,
+      range.params
+    );
+
+    const byRegion = new Map(rows.map(row => [row.region, row]));
+    return [null, ...regions].map(region => {
+      const row = byRegion.get(region) || { searches: 0, clicked_searches: 0, clicks: 0 };
+      return {
+        region,
+        searches: row.searches,
+        clicked_searches: row.clicked_searches,
+        clicks: row.clicks,
+        ctr: this.rate(row.clicked_searches, row.searches)
+      };
+    });
+  }
+
+  static rate(part, total) {
+    return total ? Math.round((part / total) * 10000) / 10000 : 0;
+  }
+}
+
+module.exports = SearchLog;
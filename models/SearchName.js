@@ -0,0 +1,69 @@
+const { run, all } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const { tokenize, normalizeText } = require('../utils/textNormalizer');
+const { trigrams, phraseSimilarity } = require('../utils/fuzzyMatch');
+
+// Candidates pulled from the trigram index before scoring them in JS
+const CANDIDATE_LIMIT = 50;
+
+// Names users are likely to type (restaurants, events, dishes) in an FTS5 trigram index,
+// for "did you mean" suggestions when a search finds little.
+// Rows are written by BaseModel.syncSearchIndex from each model's `searchNames(record)`.
+class SearchName extends BaseModel {
+  static table = 'search_names';
+
+  static minSimilarity = 0.7;
+
+  // Replace the names indexed for one record of `source` (a table name)
+  static async replace(source, sourceId, names) {
+    await run('DELETE FROM search_names WHERE source = ? AND source_id = ?', [source, sourceId]);
+
+    for (const { type, name, slug } of names) {
+      if (!name) continue;
+      await run(
+        'INSERT INTO search_names (name, display, type, source, source_id, slug) VALUES (?, ?, ?, ?, ?, ?)',
+        [tokenize(name).join(' '), name, type, source, sourceId, slug || null]
+      );
+    }
+  }
+
+  // Closest names to a (possibly misspelt) text: [{ text, type, slug, similarity }]. Names equal to
+  // the text itself, or to one of the `exclude` names (results already shown), are no suggestion;
+  // both compare normalised.
+  static async didYouMean(text, { types, limit = 5, exclude = [] } = {}) {
+    const queryWords = tokenize(text);
+    const queryTrigrams = trigrams(queryWords.join(' '));
+    if (!queryTrigrams.length) return [];
+
+    const params = [queryTrigrams.map(trigram => `"${trigram}"`).join(' OR ')];
+    let sql = 'SELECT name, display, type, slug FROM search_names WHERE search_names MATCH ?';
+    if (types && types.length) {
+      sql += ` AND type IN (${types.map(() => '?').join(', ')})`;
+      params.push(...types);
+    }
+    sql += ' ORDER BY rank LIMIT ?';
+    params.push(CANDIDATE_LIMIT);
+
+    const candidates = await all(sql, params);
+    const seen = new Set();
+    const known = new Set([text, ...exclude].map(normalizeText));
+
+    return candidates
+      .map(candidate => ({
+        text: candidate.display,
+        type: candidate.type,
+        slug: candidate.slug,
+        similarity: Math.round(phraseSimilarity(queryWords, candidate.name.split(' ')) * 100) / 100
+      }))
+      .filter(suggestion => {
+        const key = `${suggestion.type}:${suggestion.text}`;
+        if (seen.has(key) || suggestion.similarity < this.minSimilarity || known.has(normalizeText(suggestion.text))) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+}
+
+module.exports = SearchName;
@@ -0,0 +1,90 @@
+const { run } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const { normalizeTerms } = require('../utils/textNormalizer');
+
+// Position of `phrase` as a run of consecutive terms inside `terms`, or -1
+const indexOfPhrase = (terms, phrase) => {
+  if (!phrase.length) return -1;
+  for (let start = 0; start + phrase.length <= terms.length; start++) {
+    if (phrase.every((term, offset) => terms[start + offset] === term)) return start;
+  }
+  return -1;
+};
+
+class SearchSynonym extends BaseModel {
+  static table = 'search_synonyms';
+
+  static jsonColumns = ['synonyms'];
+
+  static writableColumns = ['term', 'synonyms'];
+
+  static async create(synonymData) {
+    const data = this.pickColumns(synonymData);
+    data.created_by = synonymData.created_by || null;
+
+    const columns = Object.keys(data);
+    const sql = `
+      INSERT INTO search_synonyms (${columns.join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+    `;
+
+    const result = await run(sql, Object.values(data));
+    return { id: result.id };
+  }
+
+  static async findById(id) {
+    return this.query().where({ id }).first();
+  }
+
+  static async update(id, updateData) {
+    const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updateData);
+    values.push(id);
+
+    const sql = `UPDATE search_synonyms SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
+    return await run(sql, values);
+  }
+
+  static async delete(id) {
+    const sql = 'DELETE FROM search_synonyms WHERE id = ?';
+    return await run(sql, [id]);
+  }
+
+  // Expand a search text with the dictionary. Phrases in a group are interchangeable, so a query
+  // containing any of them gets one alternative per other phrase, with the match swapped out:
+  // "francesinha porto" -> ["sandes portuense", "porto"].
+  // Returns the alternatives (lists of normalised phrases, for QueryBuilder#search) and the
+  // expansions applied, for the response.
+  static async expand(text) {
+    const terms = normalizeTerms(text);
+    const alternatives = [];
+    const expansions = [];
+    if (!terms.length) return { alternatives, expansions };
+
+    const groups = await this.query().sort({ id: 1 }).all();
+    groups.forEach(group => {
+      const phrases = [group.term, ...(group.synonyms || [])];
+
+      for (const phrase of phrases) {
+        const phraseTerms = normalizeTerms(phrase);
+        const position = indexOfPhrase(terms, phraseTerms);
+        if (position === -1) continue;
+
+        const others = phrases.filter(other => other !== phrase);
+        others.forEach(other => {
+          alternatives.push([
+            ...terms.slice(0, position),
+            normalizeTerms(other).join(' '),
+            ...terms.slice(position + phraseTerms.length)
+          ]);
+        });
+        expansions.push({ term: phrase, synonyms: others });
+        break;
+      }
+    });
+
+    return { alternatives, expansions };
+  }
+}
+
+module.exports = SearchSynonym;
@@ -0,0 +1,110 @@
+const { run, all } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const { slugify } = require('../utils/textNormalizer');
+const { today } = require('../utils/dates');
+
+// Seasonal dish calendar, and the seasonal items restaurants flag in their menus
+// (see migrations/014_seasonality.js)
+class SeasonalDish extends BaseModel {
+  static table = 'seasonal_dishes';
+
+  static jsonColumns = ['season_months'];
+
+  static writableColumns = ['name', 'region', 'description', 'season_months'];
+
+  // Month (1-12) used by the inSeason filters, in mainland Portugal
+  static currentMonth() {
+    return Number(today().slice(5, 7));
+  }
+
+  // Dishes in season in `month`, optionally of one region (dishes of no region are national)
+  static applyFilters(dishQuery, { region, month } = {}) {
+    if (region) dishQuery.whereRaw('(seasonal_dishes.region = ? OR seasonal_dishes.region IS NULL)', [region]);
+    if (month) {
+      dishQuery.whereRaw(
+        'EXISTS (SELECT 1 FROM json_each(seasonal_dishes.season_months) WHERE value = ?)',
+        [parseInt(month, 10)]
+      );
+    }
+    return dishQuery;
+  }
+
+  static async create(dishData) {
+    const data = this.pickColumns(dishData);
+    data.slug = slugify(data.name);
+    data.created_by = dishData.created_by || null;
+
+    const columns = Object.keys(data);
+    const sql = `
+      INSERT INTO seasonal_dishes (${columns.join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+    `;
+
+    const result = await run(sql, Object.values(data));
+    return { id: result.id, name: data.name, slug: data.slug };
+  }
+
+  static async findById(id) {
+    return this.query().where({ id }).first();
+  }
+
+  static async findBySlug(slug) {
+    return this.query().where({ slug }).first();
+  }
+
+  static async update(id, updateData) {
+    if (updateData.name) updateData = { ...updateData, slug: slugify(updateData.name) };
+
+    const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updateData);
+    values.push(id);
+
+    const sql = `UPDATE seasonal_dishes SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
+    return await run(sql, values);
+  }
+
+  // Menu items following this dish keep their name but are no longer seasonal
+  static async delete(id) {
+    await run('DELETE FROM restaurant_seasonal_items WHERE seasonal_dish_id = ? AND season_months IS NULL', [id]);
+    await run('UPDATE restaurant_seasonal_items SET seasonal_dish_id = NULL WHERE seasonal_dish_id = ?', [id]);
+    return await run('DELETE FROM seasonal_dishes WHERE id = ?', [id]);
+  }
+
+  // Rebuild a restaurant's seasonal items from its menu dishes ({ name, season_months, seasonal_dish })
+  static async syncRestaurant(restaurantId, items) {
+    await run('DELETE FROM restaurant_seasonal_items WHERE restaurant_id = ?', [restaurantId]);
+
+    const slugs = [...new Set(items.filter(item => item.seasonal_dish).map(item => slugify(item.seasonal_dish)))];
+    const dishes = slugs.length
+      ? await all(`SELECT id, slug FROM seasonal_dishes WHERE slug IN (${slugs.map(() => '?').join(', ')})`, slugs)
+      : [];
+    const dishIds = new Map(dishes.map(dish => [dish.slug, dish.id]));
+
+    for (const item of items) {
+      const months = Array.isArray(item.season_months)
+        ? item.season_months.map(Number).filter(month => Number.isInteger(month) && month >= 1 && month <= 12)
+        : [];
+      const dishId = item.seasonal_dish ? dishIds.get(slugify(item.seasonal_dish)) || null : null;
+      if (!months.length && !dishId) continue;
+
+      await run(
+        'INSERT INTO restaurant_seasonal_items (restaurant_id, name, season_months, seasonal_dish_id) VALUES (?, ?, ?, ?)',
+        [restaurantId, item.name, months.length ? JSON.stringify(months) : null, dishId]
+      );
+    }
+  }
+
+  // SQL (and params) selecting `columns` over a restaurant's items in season in `month`; the
+  // restaurant is `restaurants.id` of the outer query
+  static inSeasonItemsSql(month, columns = 'si.name') {
+    return {
+      sql: `SELECT ${columns} FROM restaurant_seasonal_items si
+        LEFT JOIN seasonal_dishes sd ON sd.id = si.seasonal_dish_id
+        WHERE si.restaurant_id = restaurants.id
+          AND EXISTS (SELECT 1 FROM json_each(COALESCE(si.season_months, sd.season_months, '[]')) WHERE value = ?)`,
+      params: [parseInt(month, 10)]
+    };
+  }
+}
+
+module.exports = SeasonalDish;
@@ -1,28 +1,49 @@
 const { db, run, get, all } = require('../config/database');
+const BaseModel = require('./BaseModel');
+
+class Story extends BaseModel {
+  static table = 'stories';
+
+  static jsonColumns = ['tags', 'images', 'related_restaurants', 'related_events', 'related_products'];
+
+  static searchIndex = {
+    table: 'stories_fts',
+    columns: { title: 10, excerpt: 3, content: 1 },
+    searchable: { is_published: 1, status: 'published' }
+  };
+
+  static relations = {
+    author: { model: 'User', localKey: 'author_id', columns: ['id', 'name', 'avatar'] }
+  };
 
-class Story {
   static async create(storyData) {
-    const { author_id, title, content, excerpt, category, region } = storyData;
+    const {
+      author_id, title, content, excerpt, category, region, latitude = null, longitude = null, related_products = null
+    } = storyData;
     
     const slug = title.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-');
     
     const sql = `
-      INSERT INTO stories (author_id, title, slug, content, excerpt, category, region)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO stories (author_id, title, slug, content, excerpt, category, region, latitude, longitude, related_products)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
-    const result = await run(sql, [author_id, title, slug, content, excerpt, category, region]);
+    const result = await run(sql, [
+      author_id, title, slug, content, excerpt, category, region, latitude, longitude,
+      related_products ? JSON.stringify(related_products) : null
+    ]);
+    await this.syncSearchIndex(result.id);
     return { id: result.id, title, slug };
   }
 
   static async findBySlug(slug) {
     const sql = 'SELECT * FROM stories WHERE slug = ? AND is_published = 1 AND status = "published"';
-    return await get(sql, [slug]);
+    return this.hydrate(await get(sql, [slug]));
   }
 
   static async findById(id) {
     const sql = 'SELECT * FROM stories WHERE id = ? AND is_published = 1';
-    return await get(sql, [id]);
+    return this.hydrate(await get(sql, [id]));
   }
 
   static async getAll(filters = {}) {
@@ -40,7 +61,7 @@ class Story {
     }
     
     sql += ' ORDER BY published_at DESC, created_at DESC';
-    return await all(sql, params);
+    return (await all(sql, params)).map(row => this.hydrate(row));
   }
 
   static async update(id, updateData) {
@@ -49,7 +70,9 @@ class Story {
     values.push(id);
     
     const sql = `UPDATE stories SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
-    return await run(sql, values);
+    const result = await run(sql, values);
+    await this.syncSearchIndex(id);
+    return result;
   }
 
   static async delete(id) {
@@ -0,0 +1,73 @@
+const { run } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const { foldText } = require('../utils/textNormalizer');
+const { LOCALES } = require('../utils/locales');
+
+// Translations of menu texts shared by every restaurant. Each Portuguese text (dish or section
+// name or description) keeps the translations owners gave it per locale, counted by use, and the
+// most used one is suggested to the restaurants that have not translated that text yet.
+class TranslationMemory extends BaseModel {
+  static table = 'translation_memory';
+
+  // Lookup key of a Portuguese text: no accents, case or extra spaces
+  static key(text) {
+    return foldText(text).replace(/\s+/g, ' ').trim();
+  }
+
+  static async remember(sourceText, locale, text) {
+    const sql = `
+      INSERT INTO translation_memory (source_key, source_text, locale, text, created_at, updated_at)
+      VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
+      ON CONFLICT (source_key, locale, text) DO UPDATE SET uses = uses + 1, updated_at = datetime('now')
+    `;
+    return await run(sql, [this.key(sourceText), sourceText, locale, text]);
+  }
+
+  // Learn the translations of an item (dish or section): its name and description per locale.
+  // Given the item as it was before a change, only the pairs that changed are counted again.
+  static async rememberItem(item, previous = {}) {
+    const before = previous.translations || {};
+    for (const [locale, translation] of Object.entries(item.translations || {})) {
+      if (!LOCALES.includes(locale) || !translation) continue;
+      const old = before[locale] || {};
+      if (translation.name && (translation.name !== old.name || item.name !== previous.name)) {
+        await this.remember(item.name, locale, translation.name);
+      }
+      if (item.description && translation.description &&
+        (translation.description !== old.description || item.description !== previous.description)) {
+        await this.remember(item.description, locale, translation.description);
+      }
+    }
+  }
+
+  // Most used translation of each text: Map of source key -> { locale: text }
+  static async suggestions(texts, locales = LOCALES) {
+    const keys = [...new Set(texts.filter(Boolean).map(text => this.key(text)))];
+    const suggestions = new Map();
+    if (!keys.length) return suggestions;
+
+    const entries = await this.query()
+      .select(['source_key', 'locale', 'text'])
+      .where({ source_key: { $in: keys }, locale: { $in: locales } })
+      .sort({ uses: -1, updated_at: -1 })
+      .all();
+    entries.forEach(entry => {
+      if (!suggestions.has(entry.source_key)) suggestions.set(entry.source_key, {});
+      const byLocale = suggestions.get(entry.source_key);
+      if (!byLocale[entry.locale]) byLocale[entry.locale] = entry.text;
+    });
+    return suggestions;
+  }
+
+  // Suggested translations of an item in the locales it lacks: { locale: { name, description } },
+  // only where the memory knows its name. `suggestions` comes from suggestions().
+  static suggestFor(item, locales, suggestions) {
+    const names = suggestions.get(this.key(item.name)) || {};
+    const descriptions = (item.description && suggestions.get(this.key(item.description))) || {};
+    return Object.fromEntries(locales
+      .filter(locale => names[locale])
+      .map(locale => [locale, { name: names[locale], description: descriptions[locale] || null }]));
+  }
+}
+
+module.exports = TranslationMemory;
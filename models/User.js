@@ -1,24 +1,54 @@
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { db, run, get, all } = require('../config/database');
+const BaseModel = require('./BaseModel');
+
+class User extends BaseModel {
+  static table = 'users';
+
+  static jsonColumns = ['preferences'];
+
+  static writableColumns = ['name', 'phone', 'avatar', 'city', 'region', 'preferences'];
+
+  static hidden = ['password', 'reset_password_token', 'reset_password_expire'];
+
+  // Field names of the Mongoose-era API mapped to the columns: `location` ({ city, region }) and
+  // preferences.priceRange / preferences.dietaryRestrictions. Current names win when both are sent.
+  static withLegacyFields(data = {}) {
+    const { location, ...result } = data;
+    if (location && typeof location === 'object') {
+      if (result.city === undefined && location.city !== undefined) result.city = location.city;
+      if (result.region === undefined && location.region !== undefined) result.region = location.region;
+    }
+
+    if (result.preferences && typeof result.preferences === 'object' && !Array.isArray(result.preferences)) {
+      const { priceRange, dietaryRestrictions, ...preferences } = result.preferences;
+      if (preferences.price_range === undefined && priceRange !== undefined) preferences.price_range = priceRange;
+      if (preferences.dietary_restrictions === undefined && dietaryRestrictions !== undefined) {
+        preferences.dietary_restrictions = dietaryRestrictions;
+      }
+      result.preferences = preferences;
+    }
+    return result;
+  }
 
-class User {
   static async create(userData) {
-    const { name, email, password, role = 'user' } = userData;
+    const { name, email, password, phone = null, city = null, region = null, role = 'user' } = userData;
     
     // Hash password
     const salt = await bcrypt.genSalt(12);
     const hashedPassword = await bcrypt.hash(password, salt);
     
     const sql = `
-      INSERT INTO users (name, email, password, role, created_at, updated_at)
-      VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
+      INSERT INTO users (name, email, password, phone, city, region, role, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
     `;
     
-    const result = await run(sql, [name, email, hashedPassword, role]);
+    const result = await run(sql, [name, email, hashedPassword, phone, city, region, role]);
     return { id: result.id, name, email, role };
   }
 
+  // Returns the full row, password hash included, for authentication
   static async findByEmail(email) {
     const sql = 'SELECT * FROM users WHERE email = ?';
     return await get(sql, [email]);
@@ -26,7 +56,12 @@ class User {
 
   static async findById(id) {
     const sql = 'SELECT * FROM users WHERE id = ?';
-    return await get(sql, [id]);
+    return this.hydrate(await get(sql, [id]));
+  }
+
+  static async findByResetToken(hashedToken) {
+    const sql = 'SELECT * FROM users WHERE reset_password_token = ? AND reset_password_expire > ?';
+    return await get(sql, [hashedToken, new Date().toISOString()]);
   }
 
   static async update(id, updateData) {
@@ -38,6 +73,18 @@ class User {
     return await run(sql, values);
   }
 
+  static async updatePassword(id, password) {
+    const salt = await bcrypt.genSalt(12);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const sql = `
+      UPDATE users
+      SET password = ?, reset_password_token = NULL, reset_password_expire = NULL, updated_at = datetime('now')
+      WHERE id = ?
+    `;
+    return await run(sql, [hashedPassword, id]);
+  }
+
   static async matchPassword(enteredPassword, hashedPassword) {
     return await bcrypt.compare(enteredPassword, hashedPassword);
   }
@@ -75,6 +122,61 @@ class User {
     const sql = 'DELETE FROM users WHERE id = ?';
     return await run(sql, [id]);
   }
+
+  static async hasFavorite(user_id, restaurant_id) {
+    const sql = 'SELECT id FROM user_favorites WHERE user_id = ? AND restaurant_id = ?';
+    return !!(await get(sql, [user_id, restaurant_id]));
+  }
+
+  static async addFavorite(user_id, restaurant_id) {
+    const sql = 'INSERT OR IGNORE INTO user_favorites (user_id, restaurant_id) VALUES (?, ?)';
+    return await run(sql, [user_id, restaurant_id]);
+  }
+
+  static async removeFavorite(user_id, restaurant_id) {
+    const sql = 'DELETE FROM user_favorites WHERE user_id = ? AND restaurant_id = ?';
+    return await run(sql, [user_id, restaurant_id]);
+  }
+
+  // Profile with the user's favorites and latest activity
+  static async getProfile(id) {
+    const Restaurant = require('./Restaurant');
+    const Review = require('./Review');
+    const Story = require('./Story');
+    const Reservation = require('./Reservation');
+
+    const user = await this.findById(id);
+    if (!user) return null;
+
+    const [favorites, reviews, stories, reservations] = await Promise.all([
+      Restaurant.query()
+        .select(['id', 'name', 'slug', 'images', 'rating'])
+        .join('INNER JOIN user_favorites ON user_favorites.restaurant_id = restaurants.id')
+        .where({ 'user_favorites.user_id': id, is_active: 1 })
+        .sort({ 'user_favorites.created_at': -1 })
+        .all(),
+      Review.query()
+        .select(['id', 'restaurant_id', 'rating', 'title', 'content', 'created_at'])
+        .where({ user_id: id, is_active: 1 })
+        .sort({ created_at: -1 })
+        .limit(10)
+        .all(),
+      Story.query()
+        .select(['id', 'title', 'slug', 'category', 'published_at', 'views'])
+        .where({ author_id: id })
+        .sort({ created_at: -1 })
+        .limit(10)
+        .all(),
+      Reservation.query()
+        .select(['id', 'restaurant_id', 'date', 'time', 'status'])
+        .where({ user_id: id, is_active: 1 })
+        .sort({ date: -1, time: -1 })
+        .limit(10)
+        .all()
+    ]);
+
+    return { ...user, favorites, reviews, stories, reservations };
+  }
 }
 
 module.exports = User;
@@ -0,0 +1,97 @@
+const { run } = require('../config/database');
+const BaseModel = require('./BaseModel');
+const { wineRegions, wineColors } = require('../config/wines');
+
+// Wines of a restaurant's wine list. `region` is a wine region slug (config/wines.js) and
+// `classification` its DOC or IGP designation; prices are in cents, by the glass and by the
+// bottle. Dishes pair with them through utils/winePairing.js.
+class Wine extends BaseModel {
+  static table = 'wines';
+
+  static jsonColumns = ['grapes'];
+
+  static writableColumns = [
+    'name', 'producer', 'region', 'classification', 'color', 'grapes', 'vintage', 'price_glass_cents',
+    'price_bottle_cents', 'description', 'is_available', 'position'
+  ];
+
+  static filterOptions = {
+    region: Object.keys(wineRegions),
+    classification: ['DOC', 'IGP'],
+    color: wineColors
+  };
+
+  // Columns shown where wines are listed outside the wine list (dish pairings)
+  static summaryColumns = [
+    'id', 'name', 'producer', 'region', 'classification', 'color', 'vintage', 'price_glass_cents', 'price_bottle_cents'
+  ];
+
+  // Adds the region's name
+  static hydrate(row) {
+    const result = super.hydrate(row);
+    if (!result) return result;
+
+    if (wineRegions[result.region]) result.region_name = wineRegions[result.region].name;
+    return result;
+  }
+
+  // A wine's summary columns, with the region's name
+  static summary(wine) {
+    return Object.fromEntries([...this.summaryColumns, 'region_name'].map(column => [column, wine[column]]));
+  }
+
+  // Why a region cannot carry a classification (Porto is DOC only...), or null when it can
+  static classificationMessage(region, classification) {
+    if (!classification || !wineRegions[region] || wineRegions[region].classifications.includes(classification)) return null;
+    return `A região ${wineRegions[region].name} não tem ${classification}`;
+  }
+
+  static async create(wineData) {
+    const data = this.pickColumns({ grapes: [], ...wineData });
+    data.restaurant_id = wineData.restaurant_id;
+
+    const columns = Object.keys(data);
+    const sql = `
+      INSERT INTO wines (${columns.join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+    `;
+
+    const result = await run(sql, Object.values(data));
+    return { id: result.id, name: data.name };
+  }
+
+  static async findById(id) {
+    return this.query().where({ id }).first();
+  }
+
+  // A wine of a restaurant, or undefined when it belongs to another one
+  static async findForRestaurant(id, restaurantId) {
+    return this.query().where({ id, restaurant_id: restaurantId }).first();
+  }
+
+  static async update(id, updateData) {
+    const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updateData);
+    values.push(id);
+
+    const sql = `UPDATE wines SET ${fields}, updated_at = datetime('now') WHERE id = ?`;
+    return await run(sql, values);
+  }
+
+  static async delete(id) {
+    const sql = 'DELETE FROM wines WHERE id = ?';
+    return await run(sql, [id]);
+  }
+
+  // A restaurant's wine list, by position, optionally of one region or colour and only the
+  // available wines
+  static async forRestaurant(restaurantId, { region, color, availableOnly = false } = {}) {
+    const filter = { restaurant_id: restaurantId };
+    if (region) filter.region = region;
+    if (color) filter.color = color;
+    if (availableOnly) filter.is_available = 1;
+    return this.query().where(filter).sort({ position: 1, id: 1 }).all();
+  }
+}
+
+module.exports = Wine;
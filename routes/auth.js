@@ -1,9 +1,8 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const { protect, legacyUserFields } = require('../middleware/auth');
 const crypto = require('crypto');
 
 const router = express.Router();
@@ -18,7 +17,7 @@ const generateToken = (id) => {
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
-router.post('/register', [
+router.post('/register', legacyUserFields, [
   body('name')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -34,7 +33,16 @@ router.post('/register', [
     .optional()
     .trim()
     .isLength({ min: 9, max: 15 })
-    .withMessage('Telefone deve ter entre 9 e 15 caracteres')
+    .withMessage('Telefone deve ter entre 9 e 15 caracteres'),
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Cidade deve ter entre 2 e 50 caracteres'),
+  body('region')
+    .optional()
+    .isIn(['minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores'])
+    .withMessage('Região inválida')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -46,10 +54,10 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, phone, location } = req.body;
+    const { name, email, password, phone, city, region } = req.body;
 
     // Check if user already exists
-    const userExists = await User.findOne({ email });
+    const userExists = await User.findByEmail(email);
     if (userExists) {
       return res.status(400).json({
         success: false,
@@ -63,18 +71,19 @@ router.post('/register', [
       email,
       password,
       phone,
-      location
+      city,
+      region
     });
 
     if (user) {
       res.status(201).json({
         success: true,
         data: {
-          _id: user._id,
+          id: user.id,
           name: user.name,
           email: user.email,
           role: user.role,
-          token: generateToken(user._id)
+          token: generateToken(user.id)
         }
       });
     } else {
@@ -117,7 +126,7 @@ router.post('/login', [
     const { email, password } = req.body;
 
     // Check for user email
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findByEmail(email);
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -126,7 +135,7 @@ router.post('/login', [
     }
 
     // Check if user is active
-    if (!user.isActive) {
+    if (!user.is_active) {
       return res.status(401).json({
         success: false,
         message: 'Conta desativada'
@@ -134,7 +143,7 @@ router.post('/login', [
     }
 
     // Check password
-    const isMatch = await user.matchPassword(password);
+    const isMatch = await User.matchPassword(password, user.password);
     if (!isMatch) {
       return res.status(401).json({
         success: false,
@@ -143,18 +152,17 @@ router.post('/login', [
     }
 
     // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    await User.update(user.id, { last_login: new Date().toISOString() });
 
     res.json({
       success: true,
       data: {
-        _id: user._id,
+        id: user.id,
         name: user.name,
         email: user.email,
         role: user.role,
         avatar: user.avatar,
-        token: generateToken(user._id)
+        token: generateToken(user.id)
       }
     });
   } catch (error) {
@@ -171,12 +179,7 @@ router.post('/login', [
 // @access  Private
 router.get('/me', protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .select('-password')
-      .populate('favorites', 'name slug images rating')
-      .populate('reviews', 'restaurant rating title content createdAt')
-      .populate('stories', 'title slug category publishedAt views')
-      .populate('reservations', 'restaurant date time status');
+    const user = await User.getProfile(req.user.id);
 
     res.json({
       success: true,
@@ -194,7 +197,7 @@ router.get('/me', protect, async (req, res) => {
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
-router.put('/profile', protect, [
+router.put('/profile', protect, legacyUserFields, [
   body('name')
     .optional()
     .trim()
@@ -205,11 +208,20 @@ router.put('/profile', protect, [
     .trim()
     .isLength({ min: 9, max: 15 })
     .withMessage('Telefone deve ter entre 9 e 15 caracteres'),
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Cidade deve ter entre 2 e 50 caracteres'),
+  body('region')
+    .optional()
+    .isIn(['minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores'])
+    .withMessage('Região inválida'),
   body('preferences.cuisine')
     .optional()
     .isArray()
     .withMessage('Preferências de cozinha devem ser um array'),
-  body('preferences.priceRange')
+  body('preferences.price_range')
     .optional()
     .isArray()
     .withMessage('Faixa de preço deve ser um array')
@@ -224,7 +236,7 @@ router.put('/profile', protect, [
       });
     }
 
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -233,24 +245,23 @@ router.put('/profile', protect, [
     }
 
     // Update fields
-    const fieldsToUpdate = ['name', 'phone', 'location', 'preferences'];
-    fieldsToUpdate.forEach(field => {
-      if (req.body[field] !== undefined) {
-        user[field] = req.body[field];
-      }
-    });
+    const updates = User.pickColumns(req.body, ['name', 'phone', 'city', 'region', 'preferences']);
+    if (Object.keys(updates).length) {
+      await User.update(user.id, updates);
+    }
 
-    const updatedUser = await user.save();
+    const updatedUser = await User.findById(user.id);
 
     res.json({
       success: true,
       data: {
-        _id: updatedUser._id,
+        id: updatedUser.id,
         name: updatedUser.name,
         email: updatedUser.email,
         role: updatedUser.role,
         phone: updatedUser.phone,
-        location: updatedUser.location,
+        city: updatedUser.city,
+        region: updatedUser.region,
         preferences: updatedUser.preferences
       }
     });
@@ -286,7 +297,7 @@ router.put('/change-password', protect, [
 
     const { currentPassword, newPassword } = req.body;
 
-    const user = await User.findById(req.user._id).select('+password');
+    const user = await User.findByEmail(req.user.email);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -295,7 +306,7 @@ router.put('/change-password', protect, [
     }
 
     // Check current password
-    const isMatch = await user.matchPassword(currentPassword);
+    const isMatch = await User.matchPassword(currentPassword, user.password);
     if (!isMatch) {
       return res.status(400).json({
         success: false,
@@ -304,8 +315,7 @@ router.put('/change-password', protect, [
     }
 
     // Update password
-    user.password = newPassword;
-    await user.save();
+    await User.updatePassword(user.id, newPassword);
 
     res.json({
       success: true,
@@ -341,7 +351,7 @@ router.post('/forgot-password', [
 
     const { email } = req.body;
 
-    const user = await User.findOne({ email });
+    const user = await User.findByEmail(email);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -350,8 +360,11 @@ router.post('/forgot-password', [
     }
 
     // Generate reset token
-    const resetToken = user.generatePasswordResetToken();
-    await user.save();
+    const { token: resetToken, hashedToken, expires } = await User.generatePasswordResetToken();
+    await User.update(user.id, {
+      reset_password_token: hashedToken,
+      reset_password_expire: expires
+    });
 
     // TODO: Send email with reset token
     // For now, just return the token (in production, send via email)
@@ -398,10 +411,7 @@ router.put('/reset-password', [
       .update(resetToken)
       .digest('hex');
 
-    const user = await User.findOne({
-      resetPasswordToken: hashedToken,
-      resetPasswordExpire: { $gt: Date.now() }
-    });
+    const user = await User.findByResetToken(hashedToken);
 
     if (!user) {
       return res.status(400).json({
@@ -410,10 +420,8 @@ router.put('/reset-password', [
       });
     }
 
-    // Update password
-    user.password = newPassword;
-    user.clearPasswordResetToken();
-    await user.save();
+    // Update password and clear the reset token
+    await User.updatePassword(user.id, newPassword);
 
     res.json({
       success: true,
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Story = require('../models/Story');
 const Review = require('../models/Review');
+const RegionalProduct = require('../models/RegionalProduct');
 const { protect, optionalAuth, admin } = require('../middleware/auth');
 const { handleMultipleUpload } = require('../middleware/upload');
 
@@ -61,6 +62,7 @@ router.get('/stories/:slug', async (req, res) => {
 
     // Increment views
     await Story.incrementViews(story.id);
+    story.products = await RegionalProduct.forStory(story);
 
     res.json({
       success: true,
@@ -80,7 +82,7 @@ router.get('/stories/:slug', async (req, res) => {
 // @access  Public
 router.post('/stories', async (req, res) => {
   try {
-    const { title, content, category, restaurant, rating } = req.body;
+    const { title, content, category, restaurant, rating, latitude, longitude, products } = req.body;
 
     // Validate required fields
     if (!title || !content || !category) {
@@ -90,6 +92,26 @@ router.post('/stories', async (req, res) => {
       });
     }
 
+    // Optional geotag, shown on the cultural food map
+    const hasGeotag = latitude !== undefined || longitude !== undefined;
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (hasGeotag && !(lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coordenadas inválidas'
+      });
+    }
+
+    // Regional products the story is about (slugs or ids); unknown ones are ignored
+    if (products !== undefined && !Array.isArray(products)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Produtos devem ser um array'
+      });
+    }
+    const productIds = products ? await RegionalProduct.idsFor(products) : [];
+
     // Create story data
     const storyData = {
       author_id: null, // Anonymous
@@ -97,7 +119,10 @@ router.post('/stories', async (req, res) => {
       content: content,
       excerpt: content.substring(0, 200) + '...',
       category: category,
-      region: 'general'
+      region: 'general',
+      latitude: hasGeotag ? lat : null,
+      longitude: hasGeotag ? lng : null,
+      related_products: productIds.length ? productIds : null
     };
 
     const story = await Story.create(storyData);
@@ -3,6 +3,8 @@ const { body, validationResult, query } = require('express-validator');
 const Event = require('../models/Event');
 const { protect, optionalAuth, admin } = require('../middleware/auth');
 const { handleMultipleUpload } = require('../middleware/upload');
+const { parseProximity } = require('../utils/geo');
+const { TIME_ZONES } = require('../utils/dates');
 
 const router = express.Router();
 
@@ -12,13 +14,17 @@ const router = express.Router();
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Página deve ser um número positivo'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite deve ser entre 1 e 100'),
-  query('type').optional().isIn(['festival', 'cooking_class', 'wine_tasting', 'cultural_celebration', 'food_tour', 'workshop', 'dinner_experience']),
-  query('category').optional().isIn(['festivals', 'classes', 'tastings', 'cultural', 'tours', 'workshops', 'experiences']),
-  query('region').optional().isIn(['minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores']),
-  query('status').optional().isIn(['upcoming', 'ongoing', 'past']),
+  query('type').optional().isIn(Event.filterOptions.type),
+  query('category').optional().isIn(Event.filterOptions.category),
+  query('region').optional().isIn(Event.filterOptions.region),
+  query('status').optional().isIn(Event.filterOptions.status),
   query('date').optional().isISO8601().withMessage('Data deve ser no formato ISO'),
-  query('sort').optional().isIn(['date', 'title', 'rating', 'newest']),
-  query('search').optional().trim()
+  query('sort').optional().isIn(['date', 'title', 'rating', 'newest', 'distance']),
+  query('search').optional().trim(),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude inválida'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude inválida'),
+  query('radiusKm').optional().isFloat({ gt: 0, max: 500 }).withMessage('Raio deve ser entre 0 e 500 km'),
+  query('cursor').optional().isBase64({ urlSafe: true }).withMessage('Cursor inválido')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -33,40 +39,11 @@ router.get('/', [
     const {
       page = 1,
       limit = 12,
-      type,
-      category,
-      region,
-      status,
-      date,
       sort = 'date',
-      search
+      search,
+      cursor
     } = req.query;
 
-    // Build filter object
-    const filter = { isActive: true };
-
-    if (type) filter.type = type;
-    if (category) filter.category = category;
-    if (region) filter['location.region'] = region;
-    if (search) filter.$text = { $search: search };
-
-    // Date filtering
-    const now = new Date();
-    if (status === 'upcoming') {
-      filter['dates.startDate'] = { $gt: now };
-    } else if (status === 'ongoing') {
-      filter['dates.startDate'] = { $lte: now };
-      filter['dates.endDate'] = { $gte: now };
-    } else if (status === 'past') {
-      filter['dates.endDate'] = { $lt: now };
-    }
-
-    if (date) {
-      const targetDate = new Date(date);
-      filter['dates.startDate'] = { $lte: targetDate };
-      filter['dates.endDate'] = { $gte: targetDate };
-    }
-
     // Build sort object
     let sortObj = {};
     switch (sort) {
@@ -74,50 +51,112 @@ router.get('/', [
         sortObj = { title: 1 };
         break;
       case 'rating':
-        sortObj = { 'rating.average': -1, 'rating.count': -1 };
+        sortObj = { rating: -1, review_count: -1 };
         break;
       case 'newest':
-        sortObj = { createdAt: -1 };
+        sortObj = { created_at: -1 };
+        break;
+      case 'distance':
+        // Nearest first is applied by near() below; the date breaks ties
+        sortObj = { start_date: 1 };
         break;
       case 'date':
       default:
-        sortObj = { 'dates.startDate': 1 };
+        sortObj = { start_date: 1 };
         break;
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    // Type, category, region, status and date filters
+    const eventQuery = Event.applyFilters(Event.query(), req.query);
 
-    // Execute query
-    const events = await Event.find(filter)
-      .populate('restaurant', 'name slug images')
-      .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-__v');
+    // Text search (accent and plural insensitive, see utils/textNormalizer)
+    if (search) eventQuery.search(search, { rank: false });
 
-    // Get total count for pagination
-    const total = await Event.countDocuments(filter);
+    // Proximity (lat, lng, radiusKm), with a `distance` in km on every event
+    const proximity = parseProximity(req.query);
+    if (proximity) {
+      const distances = await eventQuery.distancesFrom(proximity.origin, { radiusKm: proximity.radiusKm });
+      eventQuery.near(distances, { within: proximity.radiusKm !== null, sort: sort === 'distance' });
+    }
 
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / parseInt(limit));
-    const hasNextPage = page < totalPages;
-    const hasPrevPage = page > 1;
+    // Execute query with pagination
+    const { data: events, pagination } = await eventQuery
+      .populate('restaurant', ['name', 'slug', 'images'])
+      .sort(sortObj)
+      .paginate({ page, limit, cursor });
 
     res.json({
       success: true,
       data: events,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        total,
-        hasNextPage,
-        hasPrevPage,
-        limit: parseInt(limit)
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get events error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Get featured events
+// @route   GET /api/events/featured
+// @access  Public
+router.get('/featured', async (req, res) => {
+  try {
+    const featuredEvents = await Event.query()
+      .where({
+        is_featured: 1,
+        is_active: 1,
+        start_date: { $gt: new Date() } // Only upcoming events
+      })
+      .populate('restaurant', ['name', 'slug', 'images'])
+      .sort({ start_date: 1 })
+      .limit(6)
+      .all();
+
+    res.json({
+      success: true,
+      data: featuredEvents
+    });
+  } catch (error) {
+    console.error('Get featured events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Get upcoming events
+// @route   GET /api/events/upcoming
+// @access  Public
+router.get('/upcoming', async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+
+    const upcomingEvents = await Event.query()
+      .where({
+        is_active: 1,
+        start_date: { $gt: new Date() }
+      })
+      .populate('restaurant', ['name', 'slug', 'images'])
+      .sort({ start_date: 1 })
+      .limit(Math.min(parseInt(limit) || 10, 100))
+      .all();
+
+    res.json({
+      success: true,
+      data: upcomingEvents
+    });
+  } catch (error) {
+    console.error('Get upcoming events error:', error);
     res.status(500).json({
       success: false,
       message: 'Erro no servidor'
@@ -130,14 +169,11 @@ router.get('/', [
 // @access  Public
 router.get('/:slug', optionalAuth, async (req, res) => {
   try {
-    const event = await Event.findOne({ 
-      slug: req.params.slug, 
-      isActive: true 
-    })
-    .populate('restaurant', 'name slug images rating')
-    .populate('registrations', 'user date status')
-    .populate('reviews', 'user rating content createdAt')
-    .select('-__v');
+    const event = await Event.query()
+      .where({ slug: req.params.slug, is_active: 1 })
+      .populate('restaurant', ['name', 'slug', 'images', 'rating'])
+      .populate('organizer', ['name', 'avatar'])
+      .first();
 
     if (!event) {
       return res.status(404).json({
@@ -177,15 +213,36 @@ router.post('/', protect, [
   body('category')
     .isIn(['festivals', 'classes', 'tastings', 'cultural', 'tours', 'workshops', 'experiences'])
     .withMessage('Categoria inválida'),
-  body('dates.startDate')
+  body('start_date')
     .isISO8601()
     .withMessage('Data de início deve ser no formato ISO'),
-  body('dates.endDate')
+  body('end_date')
     .isISO8601()
     .withMessage('Data de fim deve ser no formato ISO'),
-  body('pricing.type')
-    .isIn(['free', 'fixed', 'variable', 'donation'])
-    .withMessage('Tipo de preço inválido')
+  body('region')
+    .optional()
+    .isIn(['minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores'])
+    .withMessage('Região inválida'),
+  body('timezone')
+    .optional()
+    .isIn(TIME_ZONES)
+    .withMessage('Fuso horário inválido (Europe/Lisbon, Atlantic/Madeira ou Atlantic/Azores)'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Preço inválido'),
+  body('restaurant_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID do restaurante inválido'),
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude inválida'),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude inválida')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -197,33 +254,21 @@ router.post('/', protect, [
       });
     }
 
-    // Validate dates
-    const startDate = new Date(req.body.dates.startDate);
-    const endDate = new Date(req.body.dates.endDate);
-    
-    if (startDate >= endDate) {
-      return res.status(400).json({
-        success: false,
-        message: 'Data de fim deve ser posterior à data de início'
-      });
-    }
-
-    if (startDate < new Date()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Data de início não pode ser no passado'
-      });
-    }
-
-    // Set organizer if not provided
-    if (!req.body.organizer) {
-      req.body.organizer = {
-        name: req.user.name,
-        type: 'individual'
-      };
+    // Events linked to a restaurant can only be created by its owner (or an admin)
+    if (req.body.restaurant_id && req.user.role !== 'admin') {
+      const Restaurant = require('../models/Restaurant');
+      const restaurant = await Restaurant.findById(req.body.restaurant_id);
+      if (!restaurant || restaurant.owner_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Não autorizado a criar eventos para este restaurante'
+        });
+      }
     }
 
-    const event = await Event.create(req.body);
+    // Set organizer
+    const { id } = await Event.create({ ...req.body, organizer_id: req.user.id });
+    const event = await Event.findById(id);
 
     res.status(201).json({
       success: true,
@@ -231,6 +276,12 @@ router.post('/', protect, [
     });
   } catch (error) {
     console.error('Create event error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Erro no servidor'
@@ -251,7 +302,31 @@ router.put('/:id', protect, [
     .optional()
     .trim()
     .isLength({ min: 10, max: 2000 })
-    .withMessage('Descrição deve ter entre 10 e 2000 caracteres')
+    .withMessage('Descrição deve ter entre 10 e 2000 caracteres'),
+  body('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Data de início deve ser no formato ISO'),
+  body('end_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Data de fim deve ser no formato ISO'),
+  body('region')
+    .optional()
+    .isIn(['minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores'])
+    .withMessage('Região inválida'),
+  body('timezone')
+    .optional()
+    .isIn(TIME_ZONES)
+    .withMessage('Fuso horário inválido (Europe/Lisbon, Atlantic/Madeira ou Atlantic/Azores)'),
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude inválida'),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude inválida')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -272,11 +347,11 @@ router.put('/:id', protect, [
       });
     }
 
-    // Check ownership (restaurant owner or admin)
-    if (event.restaurant && req.user.role !== 'admin') {
+    // Check ownership (organizer, restaurant owner or admin)
+    if (req.user.role !== 'admin' && event.organizer_id !== req.user.id) {
       const Restaurant = require('../models/Restaurant');
-      const restaurant = await Restaurant.findById(event.restaurant);
-      if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
+      const restaurant = event.restaurant_id && await Restaurant.findById(event.restaurant_id);
+      if (!restaurant || restaurant.owner_id !== req.user.id) {
         return res.status(403).json({
           success: false,
           message: 'Não autorizado a editar este evento'
@@ -284,15 +359,15 @@ router.put('/:id', protect, [
       }
     }
 
+    // Only admins can feature events
+    const allowed = Event.writableColumns.filter(column => column !== 'is_featured' || req.user.role === 'admin');
+    const updates = Event.pickColumns(req.body, allowed);
+    if (Object.keys(updates).length) {
+      await Event.update(event.id, updates);
+    }
+
     // Update event
-    event = await Event.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    event = await Event.findById(event.id);
 
     res.json({
       success: true,
@@ -300,6 +375,12 @@ router.put('/:id', protect, [
     });
   } catch (error) {
     console.error('Update event error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Erro no servidor'
@@ -321,11 +402,11 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    // Check ownership (restaurant owner or admin)
-    if (event.restaurant && req.user.role !== 'admin') {
+    // Check ownership (organizer, restaurant owner or admin)
+    if (req.user.role !== 'admin' && event.organizer_id !== req.user.id) {
       const Restaurant = require('../models/Restaurant');
-      const restaurant = await Restaurant.findById(event.restaurant);
-      if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
+      const restaurant = event.restaurant_id && await Restaurant.findById(event.restaurant_id);
+      if (!restaurant || restaurant.owner_id !== req.user.id) {
         return res.status(403).json({
           success: false,
           message: 'Não autorizado a eliminar este evento'
@@ -334,8 +415,7 @@ router.delete('/:id', protect, async (req, res) => {
     }
 
     // Soft delete
-    event.isActive = false;
-    await event.save();
+    await Event.delete(event.id);
 
     res.json({
       success: true,
@@ -365,10 +445,10 @@ router.post('/:id/images', protect, handleMultipleUpload, async (req, res) => {
     }
 
     // Check ownership
-    if (event.restaurant && req.user.role !== 'admin') {
+    if (req.user.role !== 'admin' && event.organizer_id !== req.user.id) {
       const Restaurant = require('../models/Restaurant');
-      const restaurant = await Restaurant.findById(event.restaurant);
-      if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
+      const restaurant = event.restaurant_id && await Restaurant.findById(event.restaurant_id);
+      if (!restaurant || restaurant.owner_id !== req.user.id) {
         return res.status(403).json({
           success: false,
           message: 'Não autorizado a editar este evento'
@@ -377,15 +457,15 @@ router.post('/:id/images', protect, handleMultipleUpload, async (req, res) => {
     }
 
     // Process uploaded images
+    const existingImages = Array.isArray(event.images) ? event.images : [];
     const images = req.files.map((file, index) => ({
       url: `/uploads/${file.filename}`,
       caption: req.body.captions?.[index] || '',
-      isPrimary: index === 0 // First image is primary
+      isPrimary: existingImages.length === 0 && index === 0 // First image is primary
     }));
 
     // Add images to event
-    event.images.push(...images);
-    await event.save();
+    await Event.update(event.id, { images: JSON.stringify([...existingImages, ...images]) });
 
     res.json({
       success: true,
@@ -400,33 +480,6 @@ router.post('/:id/images', protect, handleMultipleUpload, async (req, res) => {
   }
 });
 
-// @desc    Get featured events
-// @route   GET /api/events/featured
-// @access  Public
-router.get('/featured', async (req, res) => {
-  try {
-    const featuredEvents = await Event.find({ 
-      featured: true, 
-      isActive: true,
-      'dates.startDate': { $gt: new Date() } // Only upcoming events
-    })
-    .populate('restaurant', 'name slug images')
-    .sort({ 'dates.startDate': 1 })
-    .limit(6);
-
-    res.json({
-      success: true,
-      data: featuredEvents
-    });
-  } catch (error) {
-    console.error('Get featured events error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro no servidor'
-    });
-  }
-});
-
 // @desc    Get events by region
 // @route   GET /api/events/region/:region
 // @access  Public
@@ -435,33 +488,20 @@ router.get('/region/:region', async (req, res) => {
     const { region } = req.params;
     const { page = 1, limit = 12 } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const events = await Event.find({ 
-      'location.region': region, 
-      isActive: true,
-      'dates.startDate': { $gt: new Date() } // Only upcoming events
-    })
-    .populate('restaurant', 'name slug images')
-    .sort({ 'dates.startDate': 1 })
-    .skip(skip)
-    .limit(parseInt(limit));
-
-    const total = await Event.countDocuments({ 
-      'location.region': region, 
-      isActive: true,
-      'dates.startDate': { $gt: new Date() }
-    });
+    const { data: events, pagination } = await Event.query()
+      .where({
+        region,
+        is_active: 1,
+        start_date: { $gt: new Date() } // Only upcoming events
+      })
+      .populate('restaurant', ['name', 'slug', 'images'])
+      .sort({ start_date: 1 })
+      .paginate({ page, limit });
 
     res.json({
       success: true,
       data: events,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / parseInt(limit)),
-        total,
-        limit: parseInt(limit)
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get events by region error:', error);
@@ -472,34 +512,6 @@ router.get('/region/:region', async (req, res) => {
   }
 });
 
-// @desc    Get upcoming events
-// @route   GET /api/events/upcoming
-// @access  Public
-router.get('/upcoming', async (req, res) => {
-  try {
-    const { limit = 10 } = req.query;
-
-    const upcomingEvents = await Event.find({ 
-      isActive: true,
-      'dates.startDate': { $gt: new Date() }
-    })
-    .populate('restaurant', 'name slug images')
-    .sort({ 'dates.startDate': 1 })
-    .limit(parseInt(limit));
-
-    res.json({
-      success: true,
-      data: upcomingEvents
-    });
-  } catch (error) {
-    console.error('Get upcoming events error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro no servidor'
-    });
-  }
-});
-
 // @desc    Get events by type
 // @route   GET /api/events/type/:type
 // @access  Public
@@ -508,33 +520,20 @@ router.get('/type/:type', async (req, res) => {
     const { type } = req.params;
     const { page = 1, limit = 12 } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const events = await Event.find({ 
-      type, 
-      isActive: true,
-      'dates.startDate': { $gt: new Date() } // Only upcoming events
-    })
-    .populate('restaurant', 'name slug images')
-    .sort({ 'dates.startDate': 1 })
-    .skip(skip)
-    .limit(parseInt(limit));
-
-    const total = await Event.countDocuments({ 
-      type, 
-      isActive: true,
-      'dates.startDate': { $gt: new Date() }
-    });
+    const { data: events, pagination } = await Event.query()
+      .where({
+        type,
+        is_active: 1,
+        start_date: { $gt: new Date() } // Only upcoming events
+      })
+      .populate('restaurant', ['name', 'slug', 'images'])
+      .sort({ start_date: 1 })
+      .paginate({ page, limit });
 
     res.json({
       success: true,
       data: events,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / parseInt(limit)),
-        total,
-        limit: parseInt(limit)
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get events by type error:', error);
@@ -1,16 +1,334 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Restaurant = require('../models/Restaurant');
+const Wine = require('../models/Wine');
 const Event = require('../models/Event');
 const Story = require('../models/Story');
+const Itinerary = require('../models/Itinerary');
+const RegionalProduct = require('../models/RegionalProduct');
+const { regions } = require('../config/regions');
+const { parseProximity, parseBbox, boundingBox } = require('../utils/geo');
+const { pointFeature, featureCollection, primaryImage } = require('../utils/geojson');
+const { tileBounds, tilesForBounds, clusterTile } = require('../utils/mapClusters');
+const { createCache } = require('../utils/cache');
+const dietary = require('../utils/dietary');
+const mapConfig = require('../config/map');
+const { protect, admin, optionalAuth } = require('../middleware/auth');
+const { regionAt } = require('../utils/regionBoundaries');
 
 const router = express.Router();
 
+// Radius used by GET /api/map when none is given
+const DEFAULT_RADIUS_KM = 10;
+
+// Most features of each layer returned for one viewport; the collection says when it was cut
+const MAX_FEATURES_PER_LAYER = 1000;
+
+// Most tiles clustered for one request; a larger viewport needs a higher zoom
+const MAX_CLUSTER_TILES = 64;
+
+// Most stops in one itinerary (a day's worth)
+const MAX_ITINERARY_STOPS = 8;
+
+// Records checked by the region mismatch report: the rows to check and their label column
+const regionChecks = {
+  restaurants: {
+    query: () => Restaurant.query().select(['id', 'name', 'slug', 'region', 'latitude', 'longitude']).where({ is_active: 1 }),
+    label: 'name'
+  },
+  events: {
+    query: () => Event.query().select(['id', 'title', 'slug', 'region', 'latitude', 'longitude']).where({ is_active: 1 }),
+    label: 'title'
+  }
+};
+
+// Map layers: the query for a layer's markers (filters applied, viewport not yet) and the
+// feature of each marker, with the properties its popup shows
+const mapLayers = {
+  restaurants: {
+    // Same filters as GET /api/restaurants
+    query: (filters) => Restaurant.applyFilters(Restaurant.query(), filters)
+      .select(['id', 'name', 'slug', 'images', 'rating', 'review_count', 'cuisine', 'price_range', 'authenticity_level', 'address', 'city', 'region', 'latitude', 'longitude'])
+      .sort({ is_featured: -1, rating: -1 }),
+    feature: (restaurant) => pointFeature(`restaurant-${restaurant.id}`, restaurant, {
+      kind: 'restaurant',
+      id: restaurant.id,
+      name: restaurant.name,
+      slug: restaurant.slug,
+      image: primaryImage(restaurant.images),
+      rating: restaurant.rating,
+      review_count: restaurant.review_count,
+      cuisine: restaurant.cuisine,
+      price_range: restaurant.price_range,
+      authenticity_level: restaurant.authenticity_level,
+      address: restaurant.address,
+      city: restaurant.city,
+      region: restaurant.region
+    })
+  },
+  events: {
+    // Upcoming and ongoing events, with the type/category/region filters of GET /api/events
+    query: ({ type, category, region }) => Event.applyFilters(Event.query(), { type, category, region })
+      .select(['id', 'title', 'slug', 'images', 'type', 'category', 'start_date', 'end_date', 'timezone', 'price', 'address', 'city', 'region', 'latitude', 'longitude'])
+      .where({ end_date: { $gte: new Date() } })
+      .sort({ start_date: 1 }),
+    feature: (event) => pointFeature(`event-${event.id}`, event, {
+      kind: 'event',
+      id: event.id,
+      title: event.title,
+      slug: event.slug,
+      image: primaryImage(event.images),
+      type: event.type,
+      category: event.category,
+      start_date: event.start_date,
+      end_date: event.end_date,
+      price: event.price,
+      address: event.address,
+      city: event.city,
+      region: event.region
+    })
+  },
+  stories: {
+    query: ({ region }) => {
+      const storyFilter = { is_published: 1, status: 'published' };
+      if (region) storyFilter.region = region;
+      return Story.query()
+        .select(['id', 'title', 'slug', 'images', 'excerpt', 'category', 'region', 'published_at', 'latitude', 'longitude'])
+        .where(storyFilter)
+        .sort({ published_at: -1 });
+    },
+    feature: (story) => pointFeature(`story-${story.id}`, story, {
+      kind: 'story',
+      id: story.id,
+      title: story.title,
+      slug: story.slug,
+      image: primaryImage(story.images),
+      excerpt: story.excerpt,
+      category: story.category,
+      region: story.region,
+      published_at: story.published_at
+    })
+  }
+};
+
+const featureLayers = Object.keys(mapLayers);
+
+// Query string parameters that change what a tile holds, for the cluster cache key
+const featureFilterKeys = [
+  'region', 'cuisine', 'priceRange', 'authenticity', 'rating', 'features', 'openOn', 'openNow', 'openAt', 'inSeason',
+  'excludeAllergens', 'dietary', 'wineRegion', 'type', 'category'
+];
+
+// Clusters per tile, reused across requests until they expire (new markers show up then)
+const clusterCache = createCache({
+  ttlMs: mapConfig.clusterCacheTtlSeconds * 1000,
+  maxEntries: mapConfig.clusterCacheMaxTiles
+});
+
+// Clustered features of tile zoom/x/y, from the cache when possible
+const clusteredTile = async ({ zoom, x, y }, layers, filters) => {
+  const key = JSON.stringify([zoom, x, y, layers, ...featureFilterKeys.map(name => filters[name] || null)]);
+  const cached = clusterCache.get(key);
+  if (cached) return cached;
+
+  const bounds = tileBounds(zoom, x, y);
+  const features = [];
+  for (const layer of layers) {
+    const rows = await mapLayers[layer].query(filters).withinBounds(bounds).all();
+    rows.forEach(row => features.push(mapLayers[layer].feature(row)));
+  }
+  return clusterCache.set(key, clusterTile(features, { zoom, x, y, gridSize: mapConfig.clusterGridSize }));
+};
+
+// Whether a feature (a marker, or a cluster by its bounds) reaches into a box
+const featureInBox = (feature, box) => {
+  const [minLng, minLat, maxLng, maxLat] = feature.properties.cluster
+    ? feature.properties.bounds
+    : [...feature.geometry.coordinates, ...feature.geometry.coordinates];
+  return minLng <= box.maxLng && maxLng >= box.minLng && minLat <= box.maxLat && maxLat >= box.minLat;
+};
+
+// @desc    Get restaurants and events near a point, nearest first (clustered at low zoom)
+// @route   GET /api/map
+// @access  Public
+router.get('/', [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Latitude inválida'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Longitude inválida'),
+  query('radiusKm').optional().isFloat({ gt: 0, max: 500 }).withMessage('Raio deve ser entre 0 e 500 km'),
+  query('type').optional().isIn(['restaurants', 'events', 'all']),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite deve ser entre 1 e 100'),
+  query('zoom').optional().isInt({ min: 0, max: 22 }).withMessage('Zoom deve ser entre 0 e 22')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { type = 'all', limit = 20 } = req.query;
+    const { origin, radiusKm = null } = parseProximity(req.query);
+    const radius = radiusKm === null ? DEFAULT_RADIUS_KM : radiusKm;
+
+    // Low zoom: the clustered features of GET /features for the box around the radius
+    const zoom = req.query.zoom !== undefined ? parseInt(req.query.zoom) : null;
+    if (zoom !== null && zoom <= mapConfig.clusterMaxZoom) {
+      const box = boundingBox(origin, radius);
+      const tiles = tilesForBounds(box, zoom);
+      if (tiles.length > MAX_CLUSTER_TILES) {
+        return res.status(400).json({
+          success: false,
+          message: 'Área demasiado grande para este zoom'
+        });
+      }
+
+      const layers = type === 'all' ? ['restaurants', 'events'] : [type];
+      const features = [];
+      for (const tile of tiles) {
+        features.push(...await clusteredTile({ zoom, ...tile }, layers, {}));
+      }
+
+      return res.json({
+        success: true,
+        data: featureCollection(features.filter(feature => featureInBox(feature, box)), {
+          bbox: [box.minLng, box.minLat, box.maxLng, box.maxLat],
+          zoom,
+          clustered: true
+        }),
+        center: origin,
+        radiusKm: radius
+      });
+    }
+
+    const data = {};
+
+    if (type === 'all' || type === 'restaurants') {
+      const restaurantQuery = Restaurant.query()
+        .select(['id', 'name', 'slug', 'images', 'rating', 'cuisine', 'price_range', 'address', 'city', 'region', 'latitude', 'longitude'])
+        .where({ is_active: 1 });
+      const distances = await restaurantQuery.distancesFrom(origin, { radiusKm: radius });
+      data.restaurants = await restaurantQuery.near(distances, { sort: true }).limit(limit).all();
+    }
+
+    if (type === 'all' || type === 'events') {
+      // Upcoming and ongoing events
+      const eventQuery = Event.query()
+        .select(['id', 'title', 'slug', 'images', 'start_date', 'end_date', 'timezone', 'address', 'city', 'region', 'type', 'latitude', 'longitude'])
+        .where({ is_active: 1, end_date: { $gte: new Date() } });
+      const distances = await eventQuery.distancesFrom(origin, { radiusKm: radius });
+      data.events = await eventQuery.near(distances, { sort: true }).limit(limit).all();
+    }
+
+    res.json({
+      success: true,
+      data,
+      center: origin,
+      radiusKm: radius
+    });
+  } catch (error) {
+    console.error('Get nearby map data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Get map markers inside a viewport as GeoJSON
+// @route   GET /api/map/features
+// @access  Public
+router.get('/features', [
+  query('bbox')
+    .custom(value => parseBbox(value) !== null)
+    .withMessage('bbox deve ser "minLng,minLat,maxLng,maxLat"'),
+  query('zoom').isInt({ min: 0, max: 22 }).withMessage('Zoom deve ser entre 0 e 22'),
+  query('layers')
+    .optional()
+    .custom(value => String(value).split(',').every(layer => featureLayers.includes(layer)))
+    .withMessage('Camadas inválidas'),
+  query('region').optional().isIn(regions),
+  query('cuisine').optional().isIn(Restaurant.filterOptions.cuisine),
+  query('priceRange').optional().isIn(Restaurant.filterOptions.price_range),
+  query('authenticity').optional().isIn(Restaurant.filterOptions.authenticity_level),
+  query('rating').optional().isFloat({ min: 0, max: 5 }),
+  query('features').optional().matches(/^[\w-]+(,[\w-]+)*$/).withMessage('Características inválidas'),
+  query('openOn').optional().isIn(Restaurant.weekdays).withMessage('Dia da semana inválido'),
+  query('openNow').optional().isIn(['true', 'false']).withMessage('openNow deve ser true ou false'),
+  query('openAt').optional().isISO8601().withMessage('openAt deve ser uma data e hora ISO 8601'),
+  query('inSeason').optional().isIn(['true', 'false']).withMessage('inSeason deve ser true ou false'),
+  query('excludeAllergens').optional().custom(dietary.isListOf(dietary.ALLERGEN_KEYS)).withMessage('Alergénios inválidos'),
+  query('dietary').optional().custom(dietary.isListOf(dietary.LABEL_KEYS)).withMessage('Indicações alimentares inválidas'),
+  query('wineRegion').optional().isIn(Wine.filterOptions.region).withMessage('Região vitivinícola inválida'),
+  query('type').optional().isIn(Event.filterOptions.type),
+  query('category').optional().isIn(Event.filterOptions.category)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const box = parseBbox(req.query.bbox);
+    const zoom = parseInt(req.query.zoom);
+    const layers = req.query.layers
+      ? featureLayers.filter(layer => req.query.layers.split(',').includes(layer))
+      : featureLayers;
+    const bbox = [box.minLng, box.minLat, box.maxLng, box.maxLat];
+
+    // Low zoom: clusters, computed and cached per tile
+    if (zoom <= mapConfig.clusterMaxZoom) {
+      const tiles = tilesForBounds(box, zoom);
+      if (tiles.length > MAX_CLUSTER_TILES) {
+        return res.status(400).json({
+          success: false,
+          message: 'Área demasiado grande para este zoom'
+        });
+      }
+
+      const features = [];
+      for (const tile of tiles) {
+        features.push(...await clusteredTile({ zoom, ...tile }, layers, req.query));
+      }
+
+      return res.json(featureCollection(features, { bbox, zoom, clustered: true }));
+    }
+
+    // Past the cluster zoom: every marker in the viewport, up to a cap per layer
+    const features = [];
+    const truncated = {};
+    for (const layer of layers) {
+      // Fetch one more than the cap to know whether the layer was cut
+      const rows = await mapLayers[layer].query(req.query)
+        .withinBounds(box)
+        .limit(MAX_FEATURES_PER_LAYER + 1)
+        .all();
+
+      truncated[layer] = rows.length > MAX_FEATURES_PER_LAYER;
+      rows.slice(0, MAX_FEATURES_PER_LAYER).forEach(row => features.push(mapLayers[layer].feature(row)));
+    }
+
+    res.json(featureCollection(features, { bbox, zoom, clustered: false, truncated }));
+  } catch (error) {
+    console.error('Get map features error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
 // @desc    Get cultural map data by region
 // @route   GET /api/map/region/:region
 // @access  Public
 router.get('/region/:region', [
-  query('type').optional().isIn(['restaurants', 'events', 'stories', 'all'])
+  query('type').optional().isIn(['restaurants', 'events', 'stories', 'products', 'all'])
 ], async (req, res) => {
   try {
     const { region } = req.params;
@@ -19,33 +337,35 @@ router.get('/region/:region', [
     const data = {};
 
     if (type === 'all' || type === 'restaurants') {
-      data.restaurants = await Restaurant.find({ 
-        'location.region': region, 
-        isActive: true 
-      })
-      .select('name slug images rating cuisine location')
-      .limit(20);
+      data.restaurants = await Restaurant.query()
+        .select(['id', 'name', 'slug', 'images', 'rating', 'cuisine', 'address', 'city', 'region', 'latitude', 'longitude'])
+        .where({ region, is_active: 1 })
+        .limit(20)
+        .all();
     }
 
     if (type === 'all' || type === 'events') {
-      data.events = await Event.find({ 
-        'location.region': region, 
-        isActive: true,
-        'dates.startDate': { $gt: new Date() }
-      })
-      .select('title slug images dates location type')
-      .limit(10);
+      data.events = await Event.query()
+        .select(['id', 'title', 'slug', 'images', 'start_date', 'end_date', 'timezone', 'address', 'city', 'region', 'type'])
+        .where({ region, is_active: 1, start_date: { $gt: new Date() } })
+        .limit(10)
+        .all();
     }
 
     if (type === 'all' || type === 'stories') {
-      data.stories = await Story.find({ 
-        region, 
-        isActive: true,
-        isPublished: true,
-        status: 'published'
-      })
-      .select('title slug images category publishedAt')
-      .limit(10);
+      data.stories = await Story.query()
+        .select(['id', 'title', 'slug', 'images', 'category', 'published_at'])
+        .where({ region, is_published: 1, status: 'published' })
+        .limit(10)
+        .all();
+    }
+
+    if (type === 'all' || type === 'products') {
+      data.products = await RegionalProduct.query()
+        .select([...RegionalProduct.summaryColumns, 'description', 'images'])
+        .where({ region })
+        .sort({ name: 1 })
+        .all();
     }
 
     res.json({
@@ -67,16 +387,12 @@ router.get('/region/:region', [
 // @access  Public
 router.get('/regions', async (req, res) => {
   try {
-    const regions = [
-      'minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores'
-    ];
-
     const regionsData = await Promise.all(
       regions.map(async (region) => {
         const [restaurants, events, stories] = await Promise.all([
-          Restaurant.countDocuments({ 'location.region': region, isActive: true }),
-          Event.countDocuments({ 'location.region': region, isActive: true }),
-          Story.countDocuments({ region, isActive: true, isPublished: true, status: 'published' })
+          Restaurant.query().where({ region, is_active: 1 }).count(),
+          Event.query().where({ region, is_active: 1 }).count(),
+          Story.query().where({ region, is_published: 1, status: 'published' }).count()
         ]);
 
         return {
@@ -101,4 +417,185 @@ router.get('/regions', async (req, res) => {
   }
 });
 
+// @desc    Plan a food-tour itinerary for a day (and save it to share)
+// @route   POST /api/map/itineraries
+// @access  Public
+router.post('/itineraries', optionalAuth, [
+  body('start.latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude inválida'),
+  body('start.longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude inválida'),
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Data deve ser no formato AAAA-MM-DD')
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage('Data deve ser no formato AAAA-MM-DD'),
+  body('region').optional().isIn(regions).withMessage('Região inválida'),
+  body('stops')
+    .optional()
+    .isInt({ min: 1, max: MAX_ITINERARY_STOPS })
+    .withMessage(`Número de paragens deve ser entre 1 e ${MAX_ITINERARY_STOPS}`),
+  body('startTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Hora de início inválida (HH:MM)'),
+  body('preferences').optional().isObject().withMessage('Preferências inválidas'),
+  body('preferences.cuisine').optional().isIn(Restaurant.filterOptions.cuisine).withMessage('Tipo de cozinha inválido'),
+  body('preferences.priceRange').optional().isIn(Restaurant.filterOptions.price_range).withMessage('Faixa de preço inválida'),
+  body('preferences.authenticity')
+    .optional()
+    .isIn(Restaurant.filterOptions.authenticity_level)
+    .withMessage('Nível de autenticidade inválido'),
+  body('preferences.features').optional().matches(/^[\w-]+(,[\w-]+)*$/).withMessage('Características inválidas'),
+  body('preferences.eventType').optional().isIn(Event.filterOptions.type).withMessage('Tipo de evento inválido'),
+  body('preferences.includeEvents').optional().isBoolean().withMessage('includeEvents deve ser true ou false'),
+  body('preferences.maxDistanceKm')
+    .optional()
+    .isFloat({ gt: 0, max: 500 })
+    .withMessage('Distância máxima deve ser entre 0 e 500 km'),
+  body('preferences.travelMode').optional().isIn(Itinerary.travelModes).withMessage('Meio de transporte inválido'),
+  body('save').optional().isBoolean().withMessage('save deve ser true ou false'),
+  body('title').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Título deve ter entre 2 e 100 caracteres')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { start, date, region, stops, startTime, preferences = {}, save } = req.body;
+    const options = {
+      start: { latitude: parseFloat(start.latitude), longitude: parseFloat(start.longitude) },
+      date,
+      region,
+      stops: parseInt(stops) || 3,
+      startTime,
+      preferences: {
+        ...preferences,
+        includeEvents: String(preferences.includeEvents) !== 'false',
+        maxDistanceKm: preferences.maxDistanceKm ? parseFloat(preferences.maxDistanceKm) : undefined
+      }
+    };
+
+    const plan = await Itinerary.plan(options);
+    if (!plan.stops.length && plan.unscheduled.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhuma paragem cabe neste dia a partir da hora de partida',
+        unscheduled: plan.unscheduled
+      });
+    }
+    if (!plan.stops.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhum restaurante aberto ou evento encontrado para este dia'
+      });
+    }
+
+    if (String(save) !== 'true') {
+      return res.json({
+        success: true,
+        data: plan
+      });
+    }
+
+    const title = req.body.title || `Roteiro ${region ? `${region} ` : ''}${date}`;
+    const { slug } = await Itinerary.create({ title, user_id: req.user ? req.user.id : null, options, plan });
+
+    res.status(201).json({
+      success: true,
+      data: { slug, title, ...plan }
+    });
+  } catch (error) {
+    console.error('Plan itinerary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Get a saved itinerary
+// @route   GET /api/map/itineraries/:slug
+// @access  Public
+router.get('/itineraries/:slug', async (req, res) => {
+  try {
+    const itinerary = await Itinerary.findBySlug(req.params.slug);
+
+    if (!itinerary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Roteiro não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: itinerary
+    });
+  } catch (error) {
+    console.error('Get itinerary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Records whose stored region disagrees with their coordinates
+// @route   GET /api/map/regions/mismatches
+// @access  Private (Admin)
+router.get('/regions/mismatches', protect, admin, [
+  query('type').optional().isIn(['restaurants', 'events', 'all']).withMessage('Tipo inválido')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { type = 'all' } = req.query;
+    const types = type === 'all' ? Object.keys(regionChecks) : [type];
+
+    // detected_region is null for coordinates outside every region (often swapped lat/lng)
+    const data = {};
+    for (const name of types) {
+      const { query: checkQuery, label } = regionChecks[name];
+      const rows = await checkQuery()
+        .where({ latitude: { $ne: null }, longitude: { $ne: null } })
+        .sort({ id: 1 })
+        .all();
+
+      data[name] = rows
+        .map(row => ({ ...row, detected_region: regionAt(row.latitude, row.longitude) }))
+        .filter(row => row.detected_region !== row.region)
+        .map(row => ({
+          id: row.id,
+          [label]: row[label],
+          slug: row.slug,
+          region: row.region,
+          detected_region: row.detected_region,
+          latitude: row.latitude,
+          longitude: row.longitude
+        }));
+    }
+
+    res.json({
+      success: true,
+      count: types.reduce((total, name) => total + data[name].length, 0),
+      data
+    });
+  } catch (error) {
+    console.error('Get region mismatches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,637 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Restaurant = require('../models/Restaurant');
+const Menu = require('../models/Menu');
+const MenuSection = require('../models/MenuSection');
+const MenuDish = require('../models/MenuDish');
+const { protect, restaurantOwner } = require('../middleware/auth');
+const { handleMultipleUpload } = require('../middleware/upload');
+const dietary = require('../utils/dietary');
+const locales = require('../utils/locales');
+
+// Mounted at /api/restaurants/:id/menu
+const router = express.Router({ mergeParams: true });
+
+// Load the restaurant of the URL into req.restaurant when the user owns it (or is an admin)
+const ownedRestaurant = async (req, res, next) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurante não encontrado'
+      });
+    }
+
+    // Check ownership
+    if (restaurant.owner_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Não autorizado a editar o menu deste restaurante'
+      });
+    }
+
+    req.restaurant = restaurant;
+    next();
+  } catch (error) {
+    console.error('Load menu restaurant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+};
+
+// Validation chains are stateful, so each route gets its own; updates may send any field
+const menuValidators = ({ optional = false } = {}) => [
+  body('name')
+    .optional(optional)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Nome deve ter entre 2 e 100 caracteres'),
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Descrição deve ter no máximo 500 caracteres'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Posição deve ser um número inteiro positivo')
+    .toInt()
+];
+
+// Sections and dishes also take translations: { "en": { "name", "description" } }; on update
+// each locale given replaces the stored one and null removes it
+const sectionValidators = ({ optional = false } = {}) => [
+  ...menuValidators({ optional }),
+  body('translations')
+    .optional()
+    .custom(locales.isTranslations)
+    .withMessage(`Traduções devem ser { "en": { "name", "description" } } por língua (${locales.LOCALES.join(', ')})`)
+];
+
+const dishValidators = ({ optional = false } = {}) => [
+  ...sectionValidators({ optional }),
+  body('section_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID da secção inválido')
+    .toInt(),
+  body('price_cents')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 10000000 })
+    .withMessage('Preço deve ser um número inteiro de cêntimos (ex.: 1450 para 14,50 €)')
+    .toInt(),
+  body('photos')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Fotografias devem ser um array com no máximo 10 imagens'),
+  body('photos.*.url')
+    .isString()
+    .withMessage('Cada fotografia deve ter um url'),
+  body('is_signature')
+    .optional()
+    .isBoolean()
+    .withMessage('is_signature deve ser true ou false')
+    .toBoolean(),
+  body('services')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('Serviços devem ser um array (lunch, dinner)'),
+  body('services.*')
+    .isIn(MenuDish.services)
+    .withMessage('Serviço inválido (lunch ou dinner)'),
+  body('season_months')
+    .optional({ values: 'null' })
+    .isArray({ max: 12 })
+    .withMessage('Meses de época devem ser um array'),
+  body('season_months.*')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Cada mês deve ser um número entre 1 e 12')
+    .toInt(),
+  body('seasonal_dish')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Prato sazonal deve ser o nome ou slug de um prato do calendário'),
+  body('products')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('Produtos devem ser um array de slugs ou ids'),
+  body('products.*')
+    .custom(value => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('Cada produto deve ser um slug ou um id'),
+  body('allergens')
+    .optional({ values: 'null' })
+    .isArray({ max: dietary.ALLERGEN_KEYS.length })
+    .withMessage('Alergénios devem ser um array (vazio quando o prato não tem nenhum dos 14)'),
+  body('allergens.*')
+    .isIn(dietary.ALLERGEN_KEYS)
+    .withMessage(`Alergénio inválido (${dietary.ALLERGEN_KEYS.join(', ')})`),
+  body('dietary_labels')
+    .optional()
+    .isArray()
+    .withMessage('Indicações alimentares devem ser um array'),
+  body('dietary_labels.*')
+    .isIn(dietary.LABEL_KEYS)
+    .withMessage(`Indicação alimentar inválida (${dietary.LABEL_KEYS.join(', ')})`)
+];
+
+// Message for dietary labels contradicted by the dish's allergens, if any
+const labelConflictMessage = (allergens, labels) => {
+  const [conflict] = dietary.labelConflicts(allergens, labels);
+  return conflict && `Um prato ${dietary.DIETARY_LABELS[conflict.label].name.toLowerCase()} não pode conter ` +
+    dietary.ALLERGENS[conflict.allergen].name.toLowerCase();
+};
+
+// @desc    Get a restaurant's menus, with their sections and dishes
+// @route   GET /api/restaurants/:id/menu
+// @access  Public
+router.get('/', [
+  query('service').optional().isIn(MenuDish.services).withMessage('Serviço inválido (lunch ou dinner)'),
+  query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Mês deve ser entre 1 e 12'),
+  query('excludeAllergens').optional().custom(dietary.isListOf(dietary.ALLERGEN_KEYS)).withMessage('Alergénios inválidos'),
+  query('dietary').optional().custom(dietary.isListOf(dietary.LABEL_KEYS)).withMessage('Indicações alimentares inválidas')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const restaurant = await Restaurant.findById(req.params.id);
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurante não encontrado'
+      });
+    }
+
+    // Translated where possible into the language asked for, else in Portuguese
+    const locale = locales.requestLocale(req);
+    const menus = await Menu.forRestaurant(restaurant.id, {
+      service: req.query.service,
+      month: parseInt(req.query.month) || undefined,
+      allergens: dietary.parseList(req.query.excludeAllergens),
+      labels: dietary.parseList(req.query.dietary),
+      locale
+    });
+
+    res.vary('Accept-Language');
+    res.set('Content-Language', locale);
+    res.json({
+      success: true,
+      locale,
+      count: menus.length,
+      data: menus
+    });
+  } catch (error) {
+    console.error('Get menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Report of the sections and dishes not yet translated, with translation memory suggestions
+// @route   GET /api/restaurants/:id/menu/translations
+// @access  Private (Restaurant owner or Admin)
+router.get('/translations', protect, restaurantOwner, ownedRestaurant, [
+  query('locale')
+    .optional()
+    .custom(value => String(value).split(',').every(locale => locales.LOCALES.includes(locale)))
+    .withMessage(`Línguas inválidas (${locales.LOCALES.join(', ')})`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const reportLocales = req.query.locale ? [...new Set(req.query.locale.split(','))] : locales.LOCALES;
+    const report = await Menu.translationReport(req.restaurant.id, reportLocales);
+
+    res.json({
+      success: true,
+      count: report.untranslated.length,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get menu translations report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Create a menu
+// @route   POST /api/restaurants/:id/menu
+// @access  Private (Restaurant owner or Admin)
+router.post('/', protect, restaurantOwner, ownedRestaurant, menuValidators(), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = await Menu.create({ ...req.body, restaurant_id: req.restaurant.id });
+    const menu = await Menu.findById(id);
+
+    res.status(201).json({
+      success: true,
+      data: menu,
+      message: 'Menu criado com sucesso'
+    });
+  } catch (error) {
+    console.error('Create menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Update a menu
+// @route   PUT /api/restaurants/:id/menu/:menuId
+// @access  Private (Restaurant owner or Admin)
+router.put('/:menuId', protect, restaurantOwner, ownedRestaurant, menuValidators({ optional: true }), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let menu = await Menu.findForRestaurant(req.params.menuId, req.restaurant.id);
+    if (!menu) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu não encontrado'
+      });
+    }
+
+    const updates = Menu.pickColumns(req.body);
+    if (Object.keys(updates).length) {
+      await Menu.update(menu.id, updates);
+    }
+    menu = await Menu.findById(menu.id);
+
+    res.json({
+      success: true,
+      data: menu,
+      message: 'Menu atualizado com sucesso'
+    });
+  } catch (error) {
+    console.error('Update menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Delete a menu, with its sections and dishes
+// @route   DELETE /api/restaurants/:id/menu/:menuId
+// @access  Private (Restaurant owner or Admin)
+router.delete('/:menuId', protect, restaurantOwner, ownedRestaurant, async (req, res) => {
+  try {
+    const menu = await Menu.findForRestaurant(req.params.menuId, req.restaurant.id);
+    if (!menu) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu não encontrado'
+      });
+    }
+
+    await Menu.delete(menu.id);
+
+    res.json({
+      success: true,
+      message: 'Menu eliminado com sucesso'
+    });
+  } catch (error) {
+    console.error('Delete menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// ==================== SECTION ROUTES ====================
+
+// @desc    Add a section to a menu
+// @route   POST /api/restaurants/:id/menu/:menuId/sections
+// @access  Private (Restaurant owner or Admin)
+router.post('/:menuId/sections', protect, restaurantOwner, ownedRestaurant, sectionValidators(), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const menu = await Menu.findForRestaurant(req.params.menuId, req.restaurant.id);
+    if (!menu) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu não encontrado'
+      });
+    }
+
+    const { id } = await MenuSection.create({
+      ...req.body,
+      translations: req.body.translations && locales.mergeTranslations({}, req.body.translations),
+      menu_id: menu.id
+    });
+    const section = await MenuSection.findById(id);
+
+    res.status(201).json({
+      success: true,
+      data: section,
+      message: 'Secção criada com sucesso'
+    });
+  } catch (error) {
+    console.error('Create menu section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Update a menu section
+// @route   PUT /api/restaurants/:id/menu/sections/:sectionId
+// @access  Private (Restaurant owner or Admin)
+router.put('/sections/:sectionId', protect, restaurantOwner, ownedRestaurant, sectionValidators({ optional: true }), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let section = await MenuSection.findForRestaurant(req.params.sectionId, req.restaurant.id);
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Secção não encontrada'
+      });
+    }
+
+    const updates = MenuSection.pickColumns({
+      ...req.body,
+      translations: req.body.translations && locales.mergeTranslations(section.translations, req.body.translations)
+    });
+    if (Object.keys(updates).length) {
+      await MenuSection.update(section.id, updates);
+    }
+    section = await MenuSection.findById(section.id);
+
+    res.json({
+      success: true,
+      data: section,
+      message: 'Secção atualizada com sucesso'
+    });
+  } catch (error) {
+    console.error('Update menu section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Delete a menu section, with its dishes
+// @route   DELETE /api/restaurants/:id/menu/sections/:sectionId
+// @access  Private (Restaurant owner or Admin)
+router.delete('/sections/:sectionId', protect, restaurantOwner, ownedRestaurant, async (req, res) => {
+  try {
+    const section = await MenuSection.findForRestaurant(req.params.sectionId, req.restaurant.id);
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Secção não encontrada'
+      });
+    }
+
+    await MenuSection.delete(section.id);
+
+    res.json({
+      success: true,
+      message: 'Secção eliminada com sucesso'
+    });
+  } catch (error) {
+    console.error('Delete menu section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// ==================== DISH ROUTES ====================
+
+// @desc    Add a dish to a menu section
+// @route   POST /api/restaurants/:id/menu/sections/:sectionId/dishes
+// @access  Private (Restaurant owner or Admin)
+router.post('/sections/:sectionId/dishes', protect, restaurantOwner, ownedRestaurant, dishValidators(), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const section = await MenuSection.findForRestaurant(req.params.sectionId, req.restaurant.id);
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Secção não encontrada'
+      });
+    }
+
+    const conflictMessage = labelConflictMessage(req.body.allergens, req.body.dietary_labels);
+    if (conflictMessage) {
+      return res.status(400).json({
+        success: false,
+        message: conflictMessage
+      });
+    }
+
+    const { id } = await MenuDish.create({
+      ...req.body,
+      translations: req.body.translations && locales.mergeTranslations({}, req.body.translations),
+      section_id: section.id,
+      restaurant_id: req.restaurant.id
+    });
+    const dish = await MenuDish.findById(id);
+
+    res.status(201).json({
+      success: true,
+      data: dish,
+      message: 'Prato criado com sucesso'
+    });
+  } catch (error) {
+    console.error('Create dish error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Update a dish (section_id moves it to another section of the restaurant)
+// @route   PUT /api/restaurants/:id/menu/dishes/:dishId
+// @access  Private (Restaurant owner or Admin)
+router.put('/dishes/:dishId', protect, restaurantOwner, ownedRestaurant, dishValidators({ optional: true }), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let dish = await MenuDish.findForRestaurant(req.params.dishId, req.restaurant.id);
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prato não encontrado'
+      });
+    }
+
+    if (req.body.section_id && !(await MenuSection.findForRestaurant(req.body.section_id, req.restaurant.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Secção não encontrada nos menus deste restaurante'
+      });
+    }
+
+    const conflictMessage = labelConflictMessage(
+      req.body.allergens !== undefined ? req.body.allergens : dish.allergens,
+      req.body.dietary_labels || dish.dietary_labels
+    );
+    if (conflictMessage) {
+      return res.status(400).json({
+        success: false,
+        message: conflictMessage
+      });
+    }
+
+    const updates = MenuDish.pickColumns({
+      ...req.body,
+      translations: req.body.translations && locales.mergeTranslations(dish.translations, req.body.translations)
+    });
+    if (Object.keys(updates).length) {
+      await MenuDish.update(dish.id, updates);
+    }
+    dish = await MenuDish.findById(dish.id);
+
+    res.json({
+      success: true,
+      data: dish,
+      message: 'Prato atualizado com sucesso'
+    });
+  } catch (error) {
+    console.error('Update dish error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Delete a dish
+// @route   DELETE /api/restaurants/:id/menu/dishes/:dishId
+// @access  Private (Restaurant owner or Admin)
+router.delete('/dishes/:dishId', protect, restaurantOwner, ownedRestaurant, async (req, res) => {
+  try {
+    const dish = await MenuDish.findForRestaurant(req.params.dishId, req.restaurant.id);
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prato não encontrado'
+      });
+    }
+
+    await MenuDish.delete(dish.id);
+
+    res.json({
+      success: true,
+      message: 'Prato eliminado com sucesso'
+    });
+  } catch (error) {
+    console.error('Delete dish error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Upload dish photos
+// @route   POST /api/restaurants/:id/menu/dishes/:dishId/photos
+// @access  Private (Restaurant owner or Admin)
+router.post('/dishes/:dishId/photos', protect, restaurantOwner, ownedRestaurant, handleMultipleUpload, async (req, res) => {
+  try {
+    const dish = await MenuDish.findForRestaurant(req.params.dishId, req.restaurant.id);
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prato não encontrado'
+      });
+    }
+
+    const existingPhotos = Array.isArray(dish.photos) ? dish.photos : [];
+    const photos = req.files.map((file, index) => ({
+      url: `/uploads/${file.filename}`,
+      caption: req.body.captions?.[index] || ''
+    }));
+
+    await MenuDish.update(dish.id, { photos: JSON.stringify([...existingPhotos, ...photos]) });
+
+    res.json({
+      success: true,
+      data: photos
+    });
+  } catch (error) {
+    console.error('Upload dish photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+module.exports = router;
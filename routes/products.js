@@ -0,0 +1,231 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const RegionalProduct = require('../models/RegionalProduct');
+const { protect, admin } = require('../middleware/auth');
+const { slugify } = require('../utils/textNormalizer');
+
+const router = express.Router();
+
+// Validation chains are stateful, so each route gets its own; updates may send any field
+const productValidators = ({ optional = false } = {}) => [
+  body('name')
+    .optional(optional)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Nome deve ter entre 2 e 100 caracteres'),
+  body('designation')
+    .optional({ values: 'null' })
+    .isIn(RegionalProduct.filterOptions.designation)
+    .withMessage('Designação inválida (DOP, IGP, ETG ou nenhuma)'),
+  body('region')
+    .optional({ values: 'null' })
+    .isIn(RegionalProduct.filterOptions.region)
+    .withMessage('Região inválida'),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Categoria deve ter entre 2 e 50 caracteres'),
+  body('description')
+    .optional(optional)
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Descrição deve ter entre 10 e 2000 caracteres'),
+  body('season_months')
+    .optional()
+    .isArray({ max: 12 })
+    .withMessage('Meses de época devem ser um array'),
+  body('season_months.*')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Cada mês deve ser um número entre 1 e 12')
+    .toInt(),
+  body('images')
+    .optional()
+    .isArray()
+    .withMessage('Imagens devem ser um array')
+];
+
+// @desc    Get regional products
+// @route   GET /api/products
+// @access  Public
+router.get('/', [
+  query('region').optional().isIn(RegionalProduct.filterOptions.region).withMessage('Região inválida'),
+  query('designation').optional().isIn(RegionalProduct.filterOptions.designation).withMessage('Designação inválida'),
+  query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Mês deve ser entre 1 e 12')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const products = await RegionalProduct.applyFilters(RegionalProduct.query(), req.query)
+      .sort({ name: 1 })
+      .all();
+
+    res.json({
+      success: true,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Get regional product by slug, with the restaurants and stories linking it
+// @route   GET /api/products/:slug
+// @access  Public
+router.get('/:slug', async (req, res) => {
+  try {
+    const product = await RegionalProduct.findBySlug(req.params.slug);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Produto não encontrado'
+      });
+    }
+
+    const { restaurants, stories } = await RegionalProduct.linkedRecords(product.id);
+
+    res.json({
+      success: true,
+      data: { ...product, restaurants, stories }
+    });
+  } catch (error) {
+    console.error('Get product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Create regional product
+// @route   POST /api/products
+// @access  Private (Admin)
+router.post('/', protect, admin, productValidators(), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (await RegionalProduct.findBySlug(slugify(req.body.name))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe um produto com este nome'
+      });
+    }
+
+    const { id } = await RegionalProduct.create({ ...req.body, created_by: req.user.id });
+    const product = await RegionalProduct.findById(id);
+
+    res.status(201).json({
+      success: true,
+      data: product,
+      message: 'Produto criado com sucesso'
+    });
+  } catch (error) {
+    console.error('Create product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Update regional product
+// @route   PUT /api/products/:id
+// @access  Private (Admin)
+router.put('/:id', protect, admin, productValidators({ optional: true }), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let product = await RegionalProduct.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Produto não encontrado'
+      });
+    }
+
+    if (req.body.name) {
+      const existing = await RegionalProduct.findBySlug(slugify(req.body.name));
+      if (existing && existing.id !== product.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Já existe um produto com este nome'
+        });
+      }
+    }
+
+    const updates = RegionalProduct.pickColumns(req.body);
+    if (Object.keys(updates).length) {
+      await RegionalProduct.update(product.id, updates);
+    }
+    product = await RegionalProduct.findById(product.id);
+
+    res.json({
+      success: true,
+      data: product,
+      message: 'Produto atualizado com sucesso'
+    });
+  } catch (error) {
+    console.error('Update product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Delete regional product
+// @route   DELETE /api/products/:id
+// @access  Private (Admin)
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const product = await RegionalProduct.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Produto não encontrado'
+      });
+    }
+
+    await RegionalProduct.delete(product.id);
+
+    res.json({
+      success: true,
+      message: 'Produto eliminado com sucesso'
+    });
+  } catch (error) {
+    console.error('Delete product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,17 @@ const { body, validationResult, query } = require('express-validator');
 const Reservation = require('../models/Reservation');
 const Restaurant = require('../models/Restaurant');
 const { protect, optionalAuth, restaurantOwner, admin } = require('../middleware/auth');
+const dates = require('../utils/dates');
+const { addDays } = require('../utils/openingHours');
 
 const router = express.Router();
 
+// Ids of the restaurants owned by a user
+const getOwnedRestaurantIds = async (userId) => {
+  const restaurants = await Restaurant.query().select(['id']).where({ owner_id: userId }).all();
+  return restaurants.map(r => r.id);
+};
+
 // @desc    Get all reservations with filters
 // @route   GET /api/reservations
 // @access  Private
@@ -14,8 +22,9 @@ router.get('/', protect, [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite deve ser entre 1 e 100'),
   query('status').optional().isIn(['pending', 'confirmed', 'cancelled', 'completed', 'no_show']),
   query('date').optional().isISO8601().withMessage('Data deve ser no formato ISO'),
-  query('restaurant').optional().isMongoId().withMessage('ID do restaurante inválido'),
-  query('sort').optional().isIn(['date', 'time', 'status', 'newest'])
+  query('restaurant').optional().isInt({ min: 1 }).withMessage('ID do restaurante inválido'),
+  query('sort').optional().isIn(['date', 'time', 'status', 'newest']),
+  query('cursor').optional().isBase64({ urlSafe: true }).withMessage('Cursor inválido')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -33,31 +42,28 @@ router.get('/', protect, [
       status,
       date,
       restaurant,
-      sort = 'date'
+      sort = 'date',
+      cursor
     } = req.query;
 
     // Build filter object
-    const filter = { isActive: true };
+    const filter = { is_active: 1 };
 
     // Filter by user role
     if (req.user.role === 'restaurant_owner') {
       // Get restaurants owned by user
-      const userRestaurants = await Restaurant.find({ owner: req.user._id });
-      const restaurantIds = userRestaurants.map(r => r._id);
-      filter.restaurant = { $in: restaurantIds };
+      const restaurantIds = await getOwnedRestaurantIds(req.user.id);
+      filter.restaurant_id = { $in: restaurantIds };
     } else if (req.user.role === 'user') {
       // User can only see their own reservations
-      filter.user = req.user._id;
+      filter.user_id = req.user.id;
     }
 
     if (status) filter.status = status;
-    if (restaurant) filter.restaurant = restaurant;
-    if (date) {
-      const targetDate = new Date(date);
-      const nextDay = new Date(targetDate);
-      nextDay.setDate(nextDay.getDate() + 1);
-      filter.date = { $gte: targetDate, $lt: nextDay };
+    if (restaurant) {
+      filter.$and = [{ restaurant_id: parseInt(restaurant) }];
     }
+    if (date) filter.date = dates.calendarDate(date);
 
     // Build sort object
     let sortObj = {};
@@ -69,7 +75,7 @@ router.get('/', protect, [
         sortObj = { status: 1, date: 1 };
         break;
       case 'newest':
-        sortObj = { createdAt: -1 };
+        sortObj = { created_at: -1 };
         break;
       case 'date':
       default:
@@ -77,40 +83,233 @@ router.get('/', protect, [
         break;
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Execute query
-    const reservations = await Reservation.find(filter)
-      .populate('user', 'name email phone')
-      .populate('restaurant', 'name slug images')
+    // Execute query with pagination
+    const { data: reservations, pagination } = await Reservation.query()
+      .where(filter)
+      .populate('user', ['name', 'email', 'phone'])
+      .populate('restaurant', ['name', 'slug', 'images'])
       .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-__v');
-
-    // Get total count for pagination
-    const total = await Reservation.countDocuments(filter);
-
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / parseInt(limit));
-    const hasNextPage = page < totalPages;
-    const hasPrevPage = page > 1;
+      .paginate({ page, limit, cursor });
 
     res.json({
       success: true,
       data: reservations,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        total,
-        hasNextPage,
-        hasPrevPage,
-        limit: parseInt(limit)
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get reservations error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Get reservation by confirmation code
+// @route   GET /api/reservations/confirm/:code
+// @access  Public
+router.get('/confirm/:code', async (req, res) => {
+  try {
+    const reservation = await Reservation.query()
+      .where({
+        confirmation_code: req.params.code,
+        is_active: 1
+      })
+      .populate('user', ['name', 'email'])
+      .populate('restaurant', ['name', 'slug', 'images', 'address', 'city', 'region'])
+      .first();
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: reservation
+    });
+  } catch (error) {
+    console.error('Get reservation by code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Get the reservation slots of a restaurant on a date
+// @route   GET /api/reservations/availability
+// @access  Public
+router.get('/availability', [
+  query('restaurant_id')
+    .isInt({ min: 1 })
+    .withMessage('ID do restaurante inválido'),
+  query('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Data deve ser no formato AAAA-MM-DD')
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage('Data deve ser no formato AAAA-MM-DD')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const restaurant = await Restaurant.findById(req.query.restaurant_id);
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurante não encontrado'
+      });
+    }
+
+    if (!restaurant.features || !restaurant.features.acceptsReservations) {
+      return res.status(400).json({
+        success: false,
+        message: 'Este restaurante não aceita reservas'
+      });
+    }
+
+    const availability = await Reservation.availability(restaurant, req.query.date);
+
+    res.json({
+      success: true,
+      data: availability
+    });
+  } catch (error) {
+    console.error('Get reservation availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Get upcoming reservations
+// @route   GET /api/reservations/upcoming
+// @access  Private
+router.get('/upcoming', protect, async (req, res) => {
+  try {
+    // Started reservations are no longer upcoming, whatever the restaurant's time zone
+    let filter = { 
+      is_active: 1,
+      starts_at: { $gt: new Date() },
+      status: { $in: ['pending', 'confirmed'] }
+    };
+
+    // Filter by user role
+    if (req.user.role === 'user') {
+      filter.user_id = req.user.id;
+    } else if (req.user.role === 'restaurant_owner') {
+      const restaurantIds = await getOwnedRestaurantIds(req.user.id);
+      filter.restaurant_id = { $in: restaurantIds };
+    }
+
+    const upcomingReservations = await Reservation.query()
+      .where(filter)
+      .populate('user', ['name', 'email', 'phone'])
+      .populate('restaurant', ['name', 'slug', 'images'])
+      .sort({ starts_at: 1 })
+      .limit(10)
+      .all();
+
+    res.json({
+      success: true,
+      data: upcomingReservations
+    });
+  } catch (error) {
+    console.error('Get upcoming reservations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Get reservation statistics
+// @route   GET /api/reservations/stats
+// @access  Private (Restaurant Owner or Admin)
+router.get('/stats', protect, restaurantOwner, async (req, res) => {
+  try {
+    const { restaurant: restaurantId, period = 'month' } = req.query;
+
+    // Build date filter (calendar dates in mainland Portugal)
+    const today = dates.today();
+    let startDate;
+    
+    switch (period) {
+      case 'week':
+        startDate = addDays(today, -7);
+        break;
+      case 'month':
+        startDate = `${today.slice(0, 7)}-01`;
+        break;
+      case 'year':
+        startDate = `${today.slice(0, 4)}-01-01`;
+        break;
+      default:
+        startDate = `${today.slice(0, 7)}-01`;
+    }
+
+    let filter = {
+      date: { $gte: startDate, $lte: today },
+      is_active: 1
+    };
+
+    // Restaurant owners only see their own restaurants
+    let restaurantIds = null;
+    if (req.user.role === 'restaurant_owner') {
+      restaurantIds = await getOwnedRestaurantIds(req.user.id);
+    }
+
+    // Filter by restaurant if specified
+    if (restaurantId) {
+      const id = parseInt(restaurantId);
+      filter.restaurant_id = restaurantIds && !restaurantIds.includes(id) ? { $in: [] } : id;
+    } else if (restaurantIds) {
+      filter.restaurant_id = { $in: restaurantIds };
+    }
+
+    // Get statistics
+    const stats = await Reservation.query().where(filter).countBy('status');
+
+    // Get total reservations
+    const total = stats.reduce((sum, stat) => sum + stat.count, 0);
+
+    // Format stats
+    const formattedStats = {
+      total,
+      pending: 0,
+      confirmed: 0,
+      completed: 0,
+      cancelled: 0,
+      no_show: 0
+    };
+
+    stats.forEach(stat => {
+      formattedStats[stat.value] = stat.count;
+    });
+
+    res.json({
+      success: true,
+      data: formattedStats
+    });
+  } catch (error) {
+    console.error('Get reservation stats error:', error);
     res.status(500).json({
       success: false,
       message: 'Erro no servidor'
@@ -123,10 +322,11 @@ router.get('/', protect, [
 // @access  Private
 router.get('/:id', protect, async (req, res) => {
   try {
-    const reservation = await Reservation.findById(req.params.id)
-      .populate('user', 'name email phone')
-      .populate('restaurant', 'name slug images location contact')
-      .select('-__v');
+    const reservation = await Reservation.query()
+      .where({ id: req.params.id, is_active: 1 })
+      .populate('user', ['name', 'email', 'phone'])
+      .populate('restaurant', ['name', 'slug', 'images', 'address', 'city', 'region', 'owner_id'])
+      .first();
 
     if (!reservation) {
       return res.status(404).json({
@@ -136,7 +336,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check access permissions
-    if (req.user.role === 'user' && reservation.user._id.toString() !== req.user._id.toString()) {
+    if (req.user.role === 'user' && reservation.user_id !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Não autorizado a ver esta reserva'
@@ -144,8 +344,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     if (req.user.role === 'restaurant_owner') {
-      const restaurant = await Restaurant.findById(reservation.restaurant._id);
-      if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
+      if (!reservation.restaurant || reservation.restaurant.owner_id !== req.user.id) {
         return res.status(403).json({
           success: false,
           message: 'Não autorizado a ver esta reserva'
@@ -170,27 +369,27 @@ router.get('/:id', protect, async (req, res) => {
 // @route   POST /api/reservations
 // @access  Private
 router.post('/', protect, [
-  body('restaurant')
-    .isMongoId()
+  body('restaurant_id')
+    .isInt({ min: 1 })
     .withMessage('ID do restaurante inválido'),
   body('date')
     .isISO8601()
     .withMessage('Data deve ser no formato ISO'),
   body('time')
-    .notEmpty()
-    .withMessage('Hora é obrigatória'),
-  body('partySize')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Hora deve ser no formato HH:MM'),
+  body('party_size')
     .isInt({ min: 1, max: 20 })
     .withMessage('Tamanho da mesa deve ser entre 1 e 20'),
-  body('contactInfo.name')
+  body('contact_name')
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('Nome deve ter entre 2 e 50 caracteres'),
-  body('contactInfo.phone')
+  body('contact_phone')
     .trim()
     .isLength({ min: 9, max: 15 })
     .withMessage('Telefone deve ter entre 9 e 15 caracteres'),
-  body('contactInfo.email')
+  body('contact_email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Email inválido')
@@ -206,26 +405,18 @@ router.post('/', protect, [
     }
 
     const {
-      restaurant: restaurantId,
+      restaurant_id: restaurantId,
       date,
       time,
-      partySize,
-      specialRequests,
-      dietaryRestrictions,
+      party_size,
+      special_requests,
+      dietary_restrictions,
       occasion,
-      contactInfo
+      contact_name,
+      contact_phone,
+      contact_email
     } = req.body;
 
-    // Validate date (must be in the future)
-    const reservationDate = new Date(date);
-    const now = new Date();
-    if (reservationDate <= now) {
-      return res.status(400).json({
-        success: false,
-        message: 'Data da reserva deve ser no futuro'
-      });
-    }
-
     // Check if restaurant exists and accepts reservations
     const restaurant = await Restaurant.findById(restaurantId);
     if (!restaurant) {
@@ -235,20 +426,43 @@ router.post('/', protect, [
       });
     }
 
-    if (!restaurant.features.acceptsReservations) {
+    if (!restaurant.features || !restaurant.features.acceptsReservations) {
       return res.status(400).json({
         success: false,
         message: 'Este restaurante não aceita reservas'
       });
     }
 
+    // Validate date (must be in the future), on the restaurant's clock
+    const reservationDay = dates.calendarDate(date);
+    const timezone = dates.timeZoneOf(restaurant);
+    const startsAt = Reservation.startsAt(reservationDay, time, timezone);
+    if (startsAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data da reserva deve ser no futuro'
+      });
+    }
+
+    // Opening hours, holiday hours included
+    const closedMessage = Reservation.closedMessage(restaurant, reservationDay, time);
+    if (closedMessage) {
+      return res.status(400).json({
+        success: false,
+        message: closedMessage
+      });
+    }
+
     // Check for double booking
-    const existingReservation = await Reservation.findOne({
-      restaurant: restaurantId,
-      date: reservationDate,
-      time,
-      status: { $in: ['pending', 'confirmed'] }
-    });
+    const existingReservation = await Reservation.query()
+      .where({
+        restaurant_id: restaurant.id,
+        date: reservationDay,
+        time,
+        is_active: 1,
+        status: { $in: ['pending', 'confirmed'] }
+      })
+      .first();
 
     if (existingReservation) {
       return res.status(400).json({
@@ -258,20 +472,32 @@ router.post('/', protect, [
     }
 
     // Create reservation
-    const reservation = await Reservation.create({
-      user: req.user._id,
-      restaurant: restaurantId,
-      date: reservationDate,
+    const { id } = await Reservation.create({
+      user_id: req.user.id,
+      restaurant_id: restaurant.id,
+      date: reservationDay,
       time,
-      partySize,
-      specialRequests,
-      dietaryRestrictions,
+      timezone,
+      starts_at: dates.toSqlDateTime(startsAt),
+      party_size,
+      special_requests,
+      dietary_restrictions,
       occasion,
-      contactInfo
+      contact_name,
+      contact_phone,
+      contact_email
     });
 
+    // Warn the owner when the menu has few dishes for the diner's dietary restrictions
+    if (dietary_restrictions) {
+      await Reservation.checkDietaryRestrictions(id);
+    }
+
     // Populate restaurant info for response
-    await reservation.populate('restaurant', 'name slug images');
+    const reservation = await Reservation.query()
+      .where({ id })
+      .populate('restaurant', ['name', 'slug', 'images'])
+      .first();
 
     res.status(201).json({
       success: true,
@@ -297,13 +523,13 @@ router.put('/:id', protect, [
     .withMessage('Data deve ser no formato ISO'),
   body('time')
     .optional()
-    .notEmpty()
-    .withMessage('Hora é obrigatória'),
-  body('partySize')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Hora deve ser no formato HH:MM'),
+  body('party_size')
     .optional()
     .isInt({ min: 1, max: 20 })
     .withMessage('Tamanho da mesa deve ser entre 1 e 20'),
-  body('specialRequests')
+  body('special_requests')
     .optional()
     .trim()
     .isLength({ max: 500 })
@@ -329,7 +555,7 @@ router.put('/:id', protect, [
     }
 
     // Check access permissions
-    if (req.user.role === 'user' && reservation.user.toString() !== req.user._id.toString()) {
+    if (req.user.role === 'user' && reservation.user_id !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Não autorizado a editar esta reserva'
@@ -337,8 +563,8 @@ router.put('/:id', protect, [
     }
 
     if (req.user.role === 'restaurant_owner') {
-      const restaurant = await Restaurant.findById(reservation.restaurant);
-      if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
+      const restaurant = await Restaurant.findById(reservation.restaurant_id);
+      if (!restaurant || restaurant.owner_id !== req.user.id) {
         return res.status(403).json({
           success: false,
           message: 'Não autorizado a editar esta reserva'
@@ -346,27 +572,46 @@ router.put('/:id', protect, [
       }
     }
 
-    // Validate date if being updated
-    if (req.body.date) {
-      const newDate = new Date(req.body.date);
-      const now = new Date();
-      if (newDate <= now) {
+    const updates = Reservation.pickColumns(req.body);
+
+    // Validate date if being updated, on the clock the reservation was made in
+    if (updates.date || updates.time) {
+      const restaurant = await Restaurant.findById(reservation.restaurant_id);
+      const timezone = reservation.timezone || dates.timeZoneOf(restaurant || {});
+      updates.date = dates.calendarDate(updates.date || reservation.date);
+      const startsAt = Reservation.startsAt(updates.date, updates.time || reservation.time, timezone);
+      if (startsAt <= new Date()) {
         return res.status(400).json({
           success: false,
           message: 'Data da reserva deve ser no futuro'
         });
       }
+      updates.timezone = timezone;
+      updates.starts_at = dates.toSqlDateTime(startsAt);
+
+      const closedMessage = restaurant && Reservation.closedMessage(restaurant, updates.date, updates.time || reservation.time);
+      if (closedMessage) {
+        return res.status(400).json({
+          success: false,
+          message: closedMessage
+        });
+      }
     }
 
     // Update reservation
-    reservation = await Reservation.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    ).populate('restaurant', 'name slug images');
+    if (Object.keys(updates).length) {
+      await Reservation.update(reservation.id, updates);
+    }
+
+    // New dietary restrictions are checked against the menu again; the owner hears of the diner's changes
+    if (updates.dietary_restrictions !== undefined && updates.dietary_restrictions !== reservation.dietary_restrictions) {
+      await Reservation.checkDietaryRestrictions(reservation.id, { notify: req.user.role === 'user' });
+    }
+
+    reservation = await Reservation.query()
+      .where({ id: reservation.id })
+      .populate('restaurant', ['name', 'slug', 'images'])
+      .first();
 
     res.json({
       success: true,
@@ -412,7 +657,7 @@ router.put('/:id/cancel', protect, [
     }
 
     // Check access permissions
-    if (req.user.role === 'user' && reservation.user.toString() !== req.user._id.toString()) {
+    if (req.user.role === 'user' && reservation.user_id !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Não autorizado a cancelar esta reserva'
@@ -420,8 +665,8 @@ router.put('/:id/cancel', protect, [
     }
 
     if (req.user.role === 'restaurant_owner') {
-      const restaurant = await Restaurant.findById(reservation.restaurant);
-      if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
+      const restaurant = await Restaurant.findById(reservation.restaurant_id);
+      if (!restaurant || restaurant.owner_id !== req.user.id) {
         return res.status(403).json({
           success: false,
           message: 'Não autorizado a cancelar esta reserva'
@@ -446,7 +691,7 @@ router.put('/:id/cancel', protect, [
 
     // Cancel reservation
     const cancelledBy = req.user.role === 'user' ? 'user' : 'restaurant';
-    await reservation.cancel(req.body.reason || 'Cancelada pelo utilizador', cancelledBy);
+    await Reservation.cancel(reservation.id, req.body.reason || 'Cancelada pelo utilizador', cancelledBy);
 
     res.json({
       success: true,
@@ -476,8 +721,8 @@ router.put('/:id/confirm', protect, restaurantOwner, async (req, res) => {
     }
 
     // Check if user owns the restaurant
-    const restaurant = await Restaurant.findById(reservation.restaurant);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
+    const restaurant = await Restaurant.findById(reservation.restaurant_id);
+    if (req.user.role !== 'admin' && (!restaurant || restaurant.owner_id !== req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Não autorizado a confirmar esta reserva'
@@ -500,7 +745,7 @@ router.put('/:id/confirm', protect, restaurantOwner, async (req, res) => {
     }
 
     // Confirm reservation
-    await reservation.confirm();
+    await Reservation.confirm(reservation.id);
 
     res.json({
       success: true,
@@ -530,8 +775,8 @@ router.put('/:id/complete', protect, restaurantOwner, async (req, res) => {
     }
 
     // Check if user owns the restaurant
-    const restaurant = await Restaurant.findById(reservation.restaurant);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
+    const restaurant = await Restaurant.findById(reservation.restaurant_id);
+    if (req.user.role !== 'admin' && (!restaurant || restaurant.owner_id !== req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Não autorizado a completar esta reserva'
@@ -554,7 +799,7 @@ router.put('/:id/complete', protect, restaurantOwner, async (req, res) => {
     }
 
     // Complete reservation
-    await reservation.complete();
+    await Reservation.complete(reservation.id);
 
     res.json({
       success: true,
@@ -584,8 +829,8 @@ router.put('/:id/no-show', protect, restaurantOwner, async (req, res) => {
     }
 
     // Check if user owns the restaurant
-    const restaurant = await Restaurant.findById(reservation.restaurant);
-    if (!restaurant || restaurant.owner.toString() !== req.user._id.toString()) {
+    const restaurant = await Restaurant.findById(reservation.restaurant_id);
+    if (req.user.role !== 'admin' && (!restaurant || restaurant.owner_id !== req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Não autorizado a marcar esta reserva'
@@ -608,7 +853,7 @@ router.put('/:id/no-show', protect, restaurantOwner, async (req, res) => {
     }
 
     // Mark as no-show
-    await reservation.markNoShow();
+    await Reservation.markNoShow(reservation.id);
 
     res.json({
       success: true,
@@ -623,159 +868,4 @@ router.put('/:id/no-show', protect, restaurantOwner, async (req, res) => {
   }
 });
 
-// @desc    Get reservation by confirmation code
-// @route   GET /api/reservations/confirm/:code
-// @access  Public
-router.get('/confirm/:code', async (req, res) => {
-  try {
-    const reservation = await Reservation.findOne({ 
-      confirmationCode: req.params.code,
-      isActive: true
-    })
-    .populate('user', 'name email')
-    .populate('restaurant', 'name slug images location contact')
-    .select('-__v');
-
-    if (!reservation) {
-      return res.status(404).json({
-        success: false,
-        message: 'Reserva não encontrada'
-      });
-    }
-
-    res.json({
-      success: true,
-      data: reservation
-    });
-  } catch (error) {
-    console.error('Get reservation by code error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro no servidor'
-    });
-  }
-});
-
-// @desc    Get upcoming reservations
-// @route   GET /api/reservations/upcoming
-// @access  Private
-router.get('/upcoming', protect, async (req, res) => {
-  try {
-    const now = new Date();
-    
-    let filter = { 
-      isActive: true,
-      date: { $gt: now },
-      status: { $in: ['pending', 'confirmed'] }
-    };
-
-    // Filter by user role
-    if (req.user.role === 'user') {
-      filter.user = req.user._id;
-    } else if (req.user.role === 'restaurant_owner') {
-      const userRestaurants = await Restaurant.find({ owner: req.user._id });
-      const restaurantIds = userRestaurants.map(r => r._id);
-      filter.restaurant = { $in: restaurantIds };
-    }
-
-    const upcomingReservations = await Reservation.find(filter)
-      .populate('user', 'name email phone')
-      .populate('restaurant', 'name slug images')
-      .sort({ date: 1, time: 1 })
-      .limit(10);
-
-    res.json({
-      success: true,
-      data: upcomingReservations
-    });
-  } catch (error) {
-    console.error('Get upcoming reservations error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro no servidor'
-    });
-  }
-});
-
-// @desc    Get reservation statistics
-// @route   GET /api/reservations/stats
-// @access  Private (Restaurant Owner or Admin)
-router.get('/stats', protect, restaurantOwner, async (req, res) => {
-  try {
-    const { restaurant: restaurantId, period = 'month' } = req.query;
-
-    // Build date filter
-    const now = new Date();
-    let startDate;
-    
-    switch (period) {
-      case 'week':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'month':
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        break;
-      case 'year':
-        startDate = new Date(now.getFullYear(), 0, 1);
-        break;
-      default:
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-    }
-
-    let filter = {
-      date: { $gte: startDate, $lte: now },
-      isActive: true
-    };
-
-    // Filter by restaurant if specified
-    if (restaurantId) {
-      filter.restaurant = restaurantId;
-    } else if (req.user.role === 'restaurant_owner') {
-      // Get restaurants owned by user
-      const userRestaurants = await Restaurant.find({ owner: req.user._id });
-      const restaurantIds = userRestaurants.map(r => r._id);
-      filter.restaurant = { $in: restaurantIds };
-    }
-
-    // Get statistics
-    const stats = await Reservation.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-
-    // Get total reservations
-    const total = await Reservation.countDocuments(filter);
-
-    // Format stats
-    const formattedStats = {
-      total,
-      pending: 0,
-      confirmed: 0,
-      completed: 0,
-      cancelled: 0,
-      no_show: 0
-    };
-
-    stats.forEach(stat => {
-      formattedStats[stat._id] = stat.count;
-    });
-
-    res.json({
-      success: true,
-      data: formattedStats
-    });
-  } catch (error) {
-    console.error('Get reservation stats error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro no servidor'
-    });
-  }
-});
-
 module.exports = router;
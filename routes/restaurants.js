@@ -2,8 +2,20 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Restaurant = require('../models/Restaurant');
 const Review = require('../models/Review');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const RegionalProduct = require('../models/RegionalProduct');
+const Menu = require('../models/Menu');
+const MenuDish = require('../models/MenuDish');
+const Wine = require('../models/Wine');
 const { protect, optionalAuth, restaurantOwner, admin } = require('../middleware/auth');
 const { handleUpload, handleMultipleUpload } = require('../middleware/upload');
+const { parseProximity } = require('../utils/geo');
+const dietary = require('../utils/dietary');
+const { requestLocale } = require('../utils/locales');
+const { isValidPostalCode, normalizePostalCode } = require('../utils/postalCode');
+const { parseOpeningHours } = require('../utils/openingHours');
+const { TIME_ZONES } = require('../utils/dates');
 
 const router = express.Router();
 
@@ -13,13 +25,26 @@ const router = express.Router();
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Página deve ser um número positivo'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite deve ser entre 1 e 100'),
-  query('region').optional().isIn(['minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores']),
-  query('cuisine').optional().isIn(['tradicional', 'contemporanea', 'fusion', 'vegetariana', 'vegana']),
-  query('priceRange').optional().isIn(['€', '€€', '€€€', '€€€€']),
-  query('authenticity').optional().isIn(['traditional-family', 'innovative-chef', 'modern-fusion']),
+  query('region').optional().isIn(Restaurant.filterOptions.region),
+  query('cuisine').optional().isIn(Restaurant.filterOptions.cuisine),
+  query('priceRange').optional().isIn(Restaurant.filterOptions.price_range),
+  query('authenticity').optional().isIn(Restaurant.filterOptions.authenticity_level),
   query('rating').optional().isFloat({ min: 0, max: 5 }),
   query('sort').optional().isIn(['relevance', 'rating', 'price-low', 'price-high', 'distance', 'newest']),
-  query('search').optional().trim()
+  query('search').optional().trim(),
+  query('features').optional().matches(/^[\w-]+(,[\w-]+)*$/).withMessage('Características inválidas'),
+  query('specialties').optional().trim(),
+  query('openOn').optional().isIn(Restaurant.weekdays).withMessage('Dia da semana inválido'),
+  query('openNow').optional().isIn(['true', 'false']).withMessage('openNow deve ser true ou false'),
+  query('openAt').optional().isISO8601().withMessage('openAt deve ser uma data e hora ISO 8601'),
+  query('inSeason').optional().isIn(['true', 'false']).withMessage('inSeason deve ser true ou false'),
+  query('excludeAllergens').optional().custom(dietary.isListOf(dietary.ALLERGEN_KEYS)).withMessage('Alergénios inválidos'),
+  query('dietary').optional().custom(dietary.isListOf(dietary.LABEL_KEYS)).withMessage('Indicações alimentares inválidas'),
+  query('wineRegion').optional().isIn(Wine.filterOptions.region).withMessage('Região vitivinícola inválida'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude inválida'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude inválida'),
+  query('radiusKm').optional().isFloat({ gt: 0, max: 500 }).withMessage('Raio deve ser entre 0 e 500 km'),
+  query('cursor').optional().isBase64({ urlSafe: true }).withMessage('Cursor inválido')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -34,99 +59,107 @@ router.get('/', [
     const {
       page = 1,
       limit = 12,
-      region,
-      cuisine,
-      priceRange,
-      authenticity,
-      rating,
       sort = 'relevance',
       search,
-      features,
-      specialties
+      cursor
     } = req.query;
 
-    // Build filter object
-    const filter = { isActive: true };
-
-    if (region) filter['location.region'] = region;
-    if (cuisine) filter['cuisine.type'] = cuisine;
-    if (priceRange) filter.priceRange = priceRange;
-    if (authenticity) filter['authenticity.level'] = authenticity;
-    if (rating) filter['rating.average'] = { $gte: parseFloat(rating) };
-    if (features) {
-      const featureArray = features.split(',');
-      featureArray.forEach(feature => {
-        filter[`features.${feature}`] = true;
-      });
-    }
-    if (specialties) {
-      const specialtyArray = specialties.split(',');
-      filter['cuisine.specialties'] = { $in: specialtyArray };
-    }
-
-    // Text search
-    if (search) {
-      filter.$text = { $search: search };
+    // Region, cuisine, price, authenticity, rating, features, specialties, opening day/time, season, allergen/dietary and wine region filters
+    const restaurantQuery = Restaurant.applyFilters(Restaurant.query(), req.query);
+    if (req.query.inSeason === 'true') Restaurant.boostInSeason(restaurantQuery);
+
+    // Text search (accent and plural insensitive, see utils/textNormalizer)
+    const applySearch = (searchQuery) => (search ? searchQuery.search(search, { rank: false }) : searchQuery);
+    applySearch(restaurantQuery);
+
+    // Proximity (lat, lng, radiusKm): distances are worked out once, before the listing filters,
+    // so the facets can count within the radius too
+    const proximity = parseProximity(req.query);
+    let distances = null;
+    if (proximity) {
+      distances = await applySearch(Restaurant.query().where({ is_active: 1 }))
+        .distancesFrom(proximity.origin, { radiusKm: proximity.radiusKm });
+      restaurantQuery.near(distances, { within: proximity.radiusKm !== null, sort: sort === 'distance' });
     }
+    const applyArea = (areaQuery) => (proximity && proximity.radiusKm !== null
+      ? areaQuery.near(distances)
+      : areaQuery);
 
     // Build sort object
     let sortObj = {};
     switch (sort) {
       case 'rating':
-        sortObj = { 'rating.average': -1, 'rating.count': -1 };
+        sortObj = { rating: -1, review_count: -1 };
         break;
       case 'price-low':
-        sortObj = { averagePrice: 1 };
+        // '€' < '€€' < '€€€' < '€€€€'
+        sortObj = { price_range: 1 };
         break;
       case 'price-high':
-        sortObj = { averagePrice: -1 };
+        sortObj = { price_range: -1 };
         break;
       case 'newest':
-        sortObj = { createdAt: -1 };
+        sortObj = { created_at: -1 };
+        break;
+      case 'distance':
+        // Nearest first is applied by near() above; rating breaks ties
+        sortObj = { rating: -1 };
         break;
       case 'relevance':
       default:
-        if (search) {
-          sortObj = { score: { $meta: 'textScore' } };
-        } else {
-          sortObj = { featured: -1, 'rating.average': -1 };
-        }
+        sortObj = { is_featured: -1, rating: -1 };
         break;
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Execute query
-    const restaurants = await Restaurant.find(filter)
-      .populate('owner', 'name')
+    // Execute query with pagination
+    const { data: restaurants, pagination } = await restaurantQuery
+      .populate('owner', ['name'])
       .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-__v');
-
-    // Get total count for pagination
-    const total = await Restaurant.countDocuments(filter);
+      .paginate({ page, limit, cursor });
 
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / parseInt(limit));
-    const hasNextPage = page < totalPages;
-    const hasPrevPage = page > 1;
+    const facets = await Restaurant.facets(req.query, {
+      prepare: (facetQuery) => applyArea(applySearch(facetQuery))
+    });
 
     res.json({
       success: true,
       data: restaurants,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        total,
-        hasNextPage,
-        hasPrevPage,
-        limit: parseInt(limit)
-      }
+      pagination,
+      facets
     });
   } catch (error) {
     console.error('Get restaurants error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Get featured restaurants
+// @route   GET /api/restaurants/featured
+// @access  Public
+router.get('/featured', async (req, res) => {
+  try {
+    const featuredRestaurants = await Restaurant.query()
+      .where({ is_featured: 1, is_active: 1 })
+      .populate('owner', ['name'])
+      .sort({ rating: -1 })
+      .limit(6)
+      .all();
+
+    res.json({
+      success: true,
+      data: featuredRestaurants
+    });
+  } catch (error) {
+    console.error('Get featured restaurants error:', error);
     res.status(500).json({
       success: false,
       message: 'Erro no servidor'
@@ -139,22 +172,10 @@ router.get('/', [
 // @access  Public
 router.get('/:slug', optionalAuth, async (req, res) => {
   try {
-    const restaurant = await Restaurant.findOne({ 
-      slug: req.params.slug, 
-      isActive: true 
-    })
-    .populate('owner', 'name email phone')
-    .populate({
-      path: 'reviews',
-      match: { isActive: true },
-      populate: {
-        path: 'user',
-        select: 'name avatar'
-      },
-      options: { sort: { createdAt: -1 }, limit: 10 }
-    })
-    .populate('events', 'title slug dates images')
-    .select('-__v');
+    const restaurant = await Restaurant.query()
+      .where({ slug: req.params.slug, is_active: 1 })
+      .populate('owner', ['name', 'email', 'phone'])
+      .first();
 
     if (!restaurant) {
       return res.status(404).json({
@@ -163,6 +184,40 @@ router.get('/:slug', optionalAuth, async (req, res) => {
       });
     }
 
+    // The menu comes in the language asked for where translated
+    const locale = requestLocale(req);
+    const [reviews, events, products, menu, signatureDishes, wines] = await Promise.all([
+      Review.query()
+        .where({ restaurant_id: restaurant.id, is_active: 1 })
+        .populate('user', ['name', 'avatar'])
+        .sort({ created_at: -1 })
+        .limit(10)
+        .all(),
+      Event.query()
+        .select(['id', 'title', 'slug', 'start_date', 'end_date', 'timezone', 'images'])
+        .where({ restaurant_id: restaurant.id, is_active: 1, start_date: { $gt: new Date() } })
+        .sort({ start_date: 1 })
+        .all(),
+      RegionalProduct.forRestaurant(restaurant.id),
+      Menu.forRestaurant(restaurant.id, { locale }),
+      MenuDish.signatureDishes(restaurant.id, locale),
+      Wine.forRestaurant(restaurant.id, { availableOnly: true })
+    ]);
+
+    restaurant.reviews = reviews;
+    restaurant.events = events;
+    restaurant.products = products;
+    restaurant.menu = menu;
+    restaurant.signature_dishes = signatureDishes;
+    restaurant.wines = wines;
+    restaurant.authenticity = {
+      score: restaurant.authenticity_score,
+      level: restaurant.authenticity_level,
+      breakdown: restaurant.authenticity_breakdown || []
+    };
+    delete restaurant.authenticity_breakdown;
+    res.vary('Accept-Language');
+
     // Increment views (if user is authenticated)
     if (req.user) {
       // TODO: Implement view tracking
@@ -181,6 +236,45 @@ router.get('/:slug', optionalAuth, async (req, res) => {
   }
 });
 
+// Validators of the owner-declared authenticity inputs (see config/authenticity.js); a new chain
+// per route. Only admins may mark awards as verified.
+const authenticityValidators = () => [
+  body('founded_year')
+    .optional({ values: 'null' })
+    .isInt({ min: 1500, max: new Date().getFullYear() })
+    .withMessage('Ano de fundação inválido')
+    .toInt(),
+  body('is_family_owned')
+    .optional()
+    .isBoolean()
+    .withMessage('is_family_owned deve ser true ou false')
+    .toBoolean(),
+  body('awards')
+    .optional({ values: 'null' })
+    .isArray({ max: 30 })
+    .withMessage('Prémios devem ser um array'),
+  body('awards.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Cada prémio deve ter um nome entre 2 e 150 caracteres'),
+  body('awards.*.year')
+    .optional({ values: 'null' })
+    .isInt({ min: 1800, max: new Date().getFullYear() })
+    .withMessage('Ano do prémio inválido')
+    .toInt(),
+  body('awards.*.issuer')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Entidade do prémio deve ter no máximo 100 caracteres'),
+  body('awards.*.verified')
+    .optional()
+    .isBoolean()
+    .withMessage('verified deve ser true ou false')
+    .toBoolean()
+];
+
 // @desc    Create new restaurant
 // @route   POST /api/restaurants
 // @access  Private (Restaurant owner or Admin)
@@ -193,18 +287,40 @@ router.post('/', protect, restaurantOwner, [
     .trim()
     .isLength({ min: 10, max: 1000 })
     .withMessage('Descrição deve ter entre 10 e 1000 caracteres'),
-  body('location.region')
+  // Optional when the coordinates (or the postal code's) fall inside a region: it is then filled in from them
+  body('region')
+    .optional()
     .isIn(['minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores'])
     .withMessage('Região inválida'),
-  body('cuisine.type')
+  body('timezone')
+    .optional()
+    .isIn(TIME_ZONES)
+    .withMessage('Fuso horário inválido (Europe/Lisbon, Atlantic/Madeira ou Atlantic/Azores)'),
+  body('cuisine')
     .isIn(['tradicional', 'contemporanea', 'fusion', 'vegetariana', 'vegana'])
     .withMessage('Tipo de cozinha inválido'),
-  body('priceRange')
+  body('price_range')
     .isIn(['€', '€€', '€€€', '€€€€'])
     .withMessage('Faixa de preço inválida'),
-  body('authenticity.level')
-    .isIn(['traditional-family', 'innovative-chef', 'modern-fusion'])
-    .withMessage('Nível de autenticidade inválido')
+  ...authenticityValidators(),
+  body('postal_code')
+    .optional()
+    .custom(isValidPostalCode)
+    .withMessage('Código postal inválido (formato XXXX-XXX)')
+    .customSanitizer(normalizePostalCode),
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude inválida'),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude inválida'),
+  body('opening_hours')
+    .optional({ values: 'null' })
+    .custom(parseOpeningHours)
+    .bail()
+    .customSanitizer(parseOpeningHours)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -216,10 +332,13 @@ router.post('/', protect, restaurantOwner, [
       });
     }
 
-    // Set owner
-    req.body.owner = req.user._id;
-
-    const restaurant = await Restaurant.create(req.body);
+    // Set owner; the authenticity score and level are computed
+    const { id } = await Restaurant.create({
+      ...req.body,
+      awards: Restaurant.withAwardVerification(req.body.awards, [], { canVerify: req.user.role === 'admin' }),
+      owner_id: req.user.id
+    });
+    const restaurant = await Restaurant.findById(id);
 
     res.status(201).json({
       success: true,
@@ -227,6 +346,12 @@ router.post('/', protect, restaurantOwner, [
     });
   } catch (error) {
     console.error('Create restaurant error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Erro no servidor'
@@ -247,7 +372,38 @@ router.put('/:id', protect, restaurantOwner, [
     .optional()
     .trim()
     .isLength({ min: 10, max: 1000 })
-    .withMessage('Descrição deve ter entre 10 e 1000 caracteres')
+    .withMessage('Descrição deve ter entre 10 e 1000 caracteres'),
+  body('region')
+    .optional()
+    .isIn(['minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores'])
+    .withMessage('Região inválida'),
+  body('timezone')
+    .optional()
+    .isIn(TIME_ZONES)
+    .withMessage('Fuso horário inválido (Europe/Lisbon, Atlantic/Madeira ou Atlantic/Azores)'),
+  body('price_range')
+    .optional()
+    .isIn(['€', '€€', '€€€', '€€€€'])
+    .withMessage('Faixa de preço inválida'),
+  ...authenticityValidators(),
+  body('postal_code')
+    .optional()
+    .custom(isValidPostalCode)
+    .withMessage('Código postal inválido (formato XXXX-XXX)')
+    .customSanitizer(normalizePostalCode),
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude inválida'),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude inválida'),
+  body('opening_hours')
+    .optional({ values: 'null' })
+    .custom(parseOpeningHours)
+    .bail()
+    .customSanitizer(parseOpeningHours)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -269,22 +425,25 @@ router.put('/:id', protect, restaurantOwner, [
     }
 
     // Check ownership
-    if (restaurant.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (restaurant.owner_id !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Não autorizado a editar este restaurante'
       });
     }
 
+    // Only admins can feature restaurants and verify awards
+    const allowed = Restaurant.writableColumns.filter(column => column !== 'is_featured' || req.user.role === 'admin');
+    const updates = Restaurant.pickColumns({
+      ...req.body,
+      awards: Restaurant.withAwardVerification(req.body.awards, restaurant.awards, { canVerify: req.user.role === 'admin' })
+    }, allowed);
+    if (Object.keys(updates).length) {
+      await Restaurant.update(restaurant.id, updates);
+    }
+
     // Update restaurant
-    restaurant = await Restaurant.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    restaurant = await Restaurant.findById(restaurant.id);
 
     res.json({
       success: true,
@@ -292,6 +451,12 @@ router.put('/:id', protect, restaurantOwner, [
     });
   } catch (error) {
     console.error('Update restaurant error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Erro no servidor'
@@ -314,7 +479,7 @@ router.delete('/:id', protect, restaurantOwner, async (req, res) => {
     }
 
     // Check ownership
-    if (restaurant.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (restaurant.owner_id !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Não autorizado a eliminar este restaurante'
@@ -322,8 +487,7 @@ router.delete('/:id', protect, restaurantOwner, async (req, res) => {
     }
 
     // Soft delete
-    restaurant.isActive = false;
-    await restaurant.save();
+    await Restaurant.delete(restaurant.id);
 
     res.json({
       success: true,
@@ -353,7 +517,7 @@ router.post('/:id/images', protect, restaurantOwner, handleMultipleUpload, async
     }
 
     // Check ownership
-    if (restaurant.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (restaurant.owner_id !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Não autorizado a editar este restaurante'
@@ -361,15 +525,15 @@ router.post('/:id/images', protect, restaurantOwner, handleMultipleUpload, async
     }
 
     // Process uploaded images
+    const existingImages = Array.isArray(restaurant.images) ? restaurant.images : [];
     const images = req.files.map((file, index) => ({
       url: `/uploads/${file.filename}`,
       caption: req.body.captions?.[index] || '',
-      isPrimary: index === 0 // First image is primary
+      isPrimary: existingImages.length === 0 && index === 0 // First image is primary
     }));
 
     // Add images to restaurant
-    restaurant.images.push(...images);
-    await restaurant.save();
+    await Restaurant.update(restaurant.id, { images: JSON.stringify([...existingImages, ...images]) });
 
     res.json({
       success: true,
@@ -399,45 +563,30 @@ router.get('/:id/reviews', [
     let sortObj = {};
     switch (sort) {
       case 'oldest':
-        sortObj = { createdAt: 1 };
+        sortObj = { created_at: 1 };
         break;
       case 'rating':
         sortObj = { rating: -1 };
         break;
       case 'helpful':
-        sortObj = { 'helpful.helpful': -1 };
+        sortObj = { helpful_count: -1 };
         break;
       case 'newest':
       default:
-        sortObj = { createdAt: -1 };
+        sortObj = { created_at: -1 };
         break;
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const reviews = await Review.find({ 
-      restaurant: req.params.id, 
-      isActive: true 
-    })
-    .populate('user', 'name avatar')
-    .sort(sortObj)
-    .skip(skip)
-    .limit(parseInt(limit));
-
-    const total = await Review.countDocuments({ 
-      restaurant: req.params.id, 
-      isActive: true 
-    });
+    const { data: reviews, pagination } = await Review.query()
+      .where({ restaurant_id: req.params.id, is_active: 1 })
+      .populate('user', ['name', 'avatar'])
+      .sort(sortObj)
+      .paginate({ page, limit });
 
     res.json({
       success: true,
       data: reviews,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / parseInt(limit)),
-        total,
-        limit: parseInt(limit)
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get reviews error:', error);
@@ -461,13 +610,11 @@ router.post('/:id/favorite', protect, async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.user._id);
-    const isFavorite = user.favorites.includes(req.params.id);
+    const isFavorite = await User.hasFavorite(req.user.id, restaurant.id);
 
     if (isFavorite) {
       // Remove from favorites
-      user.favorites = user.favorites.filter(id => id.toString() !== req.params.id);
-      await user.save();
+      await User.removeFavorite(req.user.id, restaurant.id);
       
       res.json({
         success: true,
@@ -476,8 +623,7 @@ router.post('/:id/favorite', protect, async (req, res) => {
       });
     } else {
       // Add to favorites
-      user.favorites.push(req.params.id);
-      await user.save();
+      await User.addFavorite(req.user.id, restaurant.id);
       
       res.json({
         success: true,
@@ -494,32 +640,6 @@ router.post('/:id/favorite', protect, async (req, res) => {
   }
 });
 
-// @desc    Get featured restaurants
-// @route   GET /api/restaurants/featured
-// @access  Public
-router.get('/featured', async (req, res) => {
-  try {
-    const featuredRestaurants = await Restaurant.find({ 
-      featured: true, 
-      isActive: true 
-    })
-    .populate('owner', 'name')
-    .sort({ 'rating.average': -1 })
-    .limit(6);
-
-    res.json({
-      success: true,
-      data: featuredRestaurants
-    });
-  } catch (error) {
-    console.error('Get featured restaurants error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro no servidor'
-    });
-  }
-});
-
 // @desc    Get restaurants by region
 // @route   GET /api/restaurants/region/:region
 // @access  Public
@@ -528,31 +648,16 @@ router.get('/region/:region', async (req, res) => {
     const { region } = req.params;
     const { page = 1, limit = 12 } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const restaurants = await Restaurant.find({ 
-      'location.region': region, 
-      isActive: true 
-    })
-    .populate('owner', 'name')
-    .sort({ 'rating.average': -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
-
-    const total = await Restaurant.countDocuments({ 
-      'location.region': region, 
-      isActive: true 
-    });
+    const { data: restaurants, pagination } = await Restaurant.query()
+      .where({ region, is_active: 1 })
+      .populate('owner', ['name'])
+      .sort({ rating: -1 })
+      .paginate({ page, limit });
 
     res.json({
       success: true,
       data: restaurants,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / parseInt(limit)),
-        total,
-        limit: parseInt(limit)
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get restaurants by region error:', error);
@@ -1,85 +1,162 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Restaurant = require('../models/Restaurant');
+const Wine = require('../models/Wine');
 const Event = require('../models/Event');
 const Story = require('../models/Story');
+const MenuDish = require('../models/MenuDish');
+const SearchSynonym = require('../models/SearchSynonym');
+const SearchName = require('../models/SearchName');
+const SearchLog = require('../models/SearchLog');
+const { protect, optionalAuth, admin } = require('../middleware/auth');
+const { normalizeTerms } = require('../utils/textNormalizer');
+const dietary = require('../utils/dietary');
+const { regions } = require('../config/regions');
 
 const router = express.Router();
 
+// Below this many matches, look for misspellings and answer with "did you mean" suggestions
+const FUZZY_FALLBACK_THRESHOLD = 3;
+
+// Name types in the fuzzy index that belong to each search `type`
+const fuzzyTypes = {
+  restaurants: ['restaurant', 'dish'],
+  events: ['event'],
+  dishes: ['dish'],
+  stories: []
+};
+
 // @desc    Global search across all content types
 // @route   GET /api/search
 // @access  Public
-router.get('/', [
+router.get('/', optionalAuth, [
   query('q').notEmpty().withMessage('Query de busca é obrigatória'),
-  query('type').optional().isIn(['restaurants', 'events', 'stories', 'all']),
+  query('type').optional().isIn(['restaurants', 'dishes', 'events', 'stories', 'all']),
   query('region').optional().isIn(['minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores']),
+  query('cuisine').optional().isIn(Restaurant.filterOptions.cuisine),
+  query('priceRange').optional().isIn(Restaurant.filterOptions.price_range),
+  query('authenticity').optional().isIn(Restaurant.filterOptions.authenticity_level),
+  query('rating').optional().isFloat({ min: 0, max: 5 }),
+  query('features').optional().matches(/^[\w-]+(,[\w-]+)*$/).withMessage('Características inválidas'),
+  query('openOn').optional().isIn(Restaurant.weekdays).withMessage('Dia da semana inválido'),
+  query('openNow').optional().isIn(['true', 'false']).withMessage('openNow deve ser true ou false'),
+  query('openAt').optional().isISO8601().withMessage('openAt deve ser uma data e hora ISO 8601'),
+  query('inSeason').optional().isIn(['true', 'false']).withMessage('inSeason deve ser true ou false'),
+  query('excludeAllergens').optional().custom(dietary.isListOf(dietary.ALLERGEN_KEYS)).withMessage('Alergénios inválidos'),
+  query('dietary').optional().custom(dietary.isListOf(dietary.LABEL_KEYS)).withMessage('Indicações alimentares inválidas'),
+  query('wineRegion').optional().isIn(Wine.filterOptions.region).withMessage('Região vitivinícola inválida'),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 })
 ], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const startedAt = Date.now();
     const { q: query, type = 'all', region, page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
+    const hasTerms = normalizeTerms(query).length > 0;
+    const { alternatives, expansions } = await SearchSynonym.expand(query);
 
     const results = {};
     let totalResults = 0;
+    let facets;
 
-    if (type === 'all' || type === 'restaurants') {
-      const restaurantFilter = { 
-        isActive: true,
-        $text: { $search: query }
-      };
-      if (region) restaurantFilter['location.region'] = region;
-
-      const restaurants = await Restaurant.find(restaurantFilter)
-        .populate('owner', 'name')
-        .sort({ score: { $meta: 'textScore' } })
+    if (hasTerms && (type === 'all' || type === 'restaurants')) {
+      // Restaurants also take the listing filters (cuisine, priceRange, ...), as in GET /api/restaurants
+      const restaurantQuery = Restaurant.applyFilters(Restaurant.query().search(query, { alternatives }), req.query);
+      if (req.query.inSeason === 'true') Restaurant.boostInSeason(restaurantQuery);
+      const restaurants = await restaurantQuery
+        .populate('owner', ['name'])
         .skip(skip)
-        .limit(parseInt(limit));
+        .limit(parseInt(limit))
+        .all();
 
       results.restaurants = restaurants;
-      totalResults += await Restaurant.countDocuments(restaurantFilter);
+      totalResults += await Restaurant.applyFilters(Restaurant.query().search(query, { alternatives }), req.query).count();
+      facets = await Restaurant.facets(req.query, {
+        prepare: (restaurantQuery) => restaurantQuery.search(query, { rank: false, alternatives })
+      });
     }
 
-    if (type === 'all' || type === 'events') {
-      const eventFilter = { 
-        isActive: true,
-        $text: { $search: query }
-      };
-      if (region) eventFilter['location.region'] = region;
+    if (hasTerms && (type === 'all' || type === 'dishes')) {
+      const dishFilters = { region, excludeAllergens: req.query.excludeAllergens, dietary: req.query.dietary };
+      const dishes = await MenuDish.applyFilters(MenuDish.query().search(query, { alternatives }), dishFilters)
+        .select(MenuDish.summaryColumns)
+        .populate('restaurant', ['name', 'slug', 'city', 'region'])
+        .skip(skip)
+        .limit(parseInt(limit))
+        .all();
+
+      results.dishes = dishes;
+      totalResults += await MenuDish.applyFilters(MenuDish.query().search(query, { alternatives }), dishFilters).count();
+    }
+
+    if (hasTerms && (type === 'all' || type === 'events')) {
+      const eventFilter = { is_active: 1 };
+      if (region) eventFilter.region = region;
 
-      const events = await Event.find(eventFilter)
-        .populate('restaurant', 'name slug images')
-        .sort({ score: { $meta: 'textScore' } })
+      const events = await Event.query()
+        .search(query, { alternatives })
+        .where(eventFilter)
+        .populate('restaurant', ['name', 'slug', 'images'])
         .skip(skip)
-        .limit(parseInt(limit));
+        .limit(parseInt(limit))
+        .all();
 
       results.events = events;
-      totalResults += await Event.countDocuments(eventFilter);
+      totalResults += await Event.query().search(query, { alternatives }).where(eventFilter).count();
     }
 
-    if (type === 'all' || type === 'stories') {
+    if (hasTerms && (type === 'all' || type === 'stories')) {
       const storyFilter = { 
-        isActive: true,
-        isPublished: true,
-        status: 'published',
-        $text: { $search: query }
+        is_published: 1,
+        status: 'published'
       };
       if (region) storyFilter.region = region;
 
-      const stories = await Story.find(storyFilter)
-        .populate('author', 'name avatar')
-        .sort({ score: { $meta: 'textScore' } })
+      const stories = await Story.query()
+        .search(query, { alternatives })
+        .where(storyFilter)
+        .populate('author', ['name', 'avatar'])
         .skip(skip)
-        .limit(parseInt(limit));
+        .limit(parseInt(limit))
+        .all();
 
       results.stories = stories;
-      totalResults += await Story.countDocuments(storyFilter);
+      totalResults += await Story.query().search(query, { alternatives }).where(storyFilter).count();
     }
 
     const totalPages = Math.ceil(totalResults / parseInt(limit));
 
+    let didYouMean = [];
+    if (totalResults < FUZZY_FALLBACK_THRESHOLD && type !== 'stories') {
+      // Names already among the results are no suggestion
+      const shown = [
+        ...(results.restaurants || []).map(r => r.name),
+        ...(results.dishes || []).map(d => d.name),
+        ...(results.events || []).map(e => e.title)
+      ];
+      didYouMean = await SearchName.didYouMean(query, { types: fuzzyTypes[type], exclude: shown });
+    }
+
+    const searchId = await SearchLog.record({
+      endpoint: 'search',
+      params: req.query,
+      resultCount: totalResults,
+      latencyMs: Date.now() - startedAt,
+      userId: req.user && req.user.id
+    });
+
     res.json({
       success: true,
+      searchId,
       data: results,
       pagination: {
         currentPage: parseInt(page),
@@ -89,8 +166,11 @@ router.get('/', [
         hasPrevPage: page > 1,
         limit: parseInt(limit)
       },
+      facets,
       query,
-      type
+      type,
+      expansions,
+      didYouMean
     });
   } catch (error) {
     console.error('Search error:', error);
@@ -104,22 +184,33 @@ router.get('/', [
 // @desc    Search suggestions
 // @route   GET /api/search/suggestions
 // @access  Public
-router.get('/suggestions', [
+router.get('/suggestions', optionalAuth, [
   query('q').notEmpty().withMessage('Query é obrigatória'),
-  query('type').optional().isIn(['restaurants', 'events', 'stories'])
+  query('type').optional().isIn(['restaurants', 'dishes', 'events', 'stories'])
 ], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const startedAt = Date.now();
     const { q: query, type } = req.query;
+    const hasTerms = normalizeTerms(query).length > 0;
+    const { alternatives, expansions } = await SearchSynonym.expand(query);
     const suggestions = [];
 
-    if (!type || type === 'restaurants') {
-      const restaurantSuggestions = await Restaurant.find({
-        isActive: true,
-        $text: { $search: query }
-      })
-      .select('name slug')
-      .sort({ score: { $meta: 'textScore' } })
-      .limit(5);
+    if (hasTerms && (!type || type === 'restaurants')) {
+      const restaurantSuggestions = await Restaurant.query()
+        .select(['name', 'slug'])
+        .search(query, { alternatives })
+        .where({ is_active: 1 })
+        .limit(5)
+        .all();
 
       suggestions.push(...restaurantSuggestions.map(r => ({
         type: 'restaurant',
@@ -128,14 +219,27 @@ router.get('/suggestions', [
       })));
     }
 
-    if (!type || type === 'events') {
-      const eventSuggestions = await Event.find({
-        isActive: true,
-        $text: { $search: query }
-      })
-      .select('title slug')
-      .sort({ score: { $meta: 'textScore' } })
-      .limit(5);
+    if (hasTerms && (!type || type === 'dishes')) {
+      const dishSuggestions = await MenuDish.applyFilters(MenuDish.query().search(query, { alternatives }))
+        .select(['name'])
+        .populate('restaurant', ['slug'])
+        .limit(5)
+        .all();
+
+      suggestions.push(...dishSuggestions.map(d => ({
+        type: 'dish',
+        text: d.name,
+        slug: d.restaurant.slug
+      })));
+    }
+
+    if (hasTerms && (!type || type === 'events')) {
+      const eventSuggestions = await Event.query()
+        .select(['title', 'slug'])
+        .search(query, { alternatives })
+        .where({ is_active: 1 })
+        .limit(5)
+        .all();
 
       suggestions.push(...eventSuggestions.map(e => ({
         type: 'event',
@@ -144,16 +248,13 @@ router.get('/suggestions', [
       })));
     }
 
-    if (!type || type === 'stories') {
-      const storySuggestions = await Story.find({
-        isActive: true,
-        isPublished: true,
-        status: 'published',
-        $text: { $search: query }
-      })
-      .select('title slug')
-      .sort({ score: { $meta: 'textScore' } })
-      .limit(5);
+    if (hasTerms && (!type || type === 'stories')) {
+      const storySuggestions = await Story.query()
+        .select(['title', 'slug'])
+        .search(query, { alternatives })
+        .where({ is_published: 1, status: 'published' })
+        .limit(5)
+        .all();
 
       suggestions.push(...storySuggestions.map(s => ({
         type: 'story',
@@ -162,9 +263,29 @@ router.get('/suggestions', [
       })));
     }
 
+    let didYouMean = [];
+    if (suggestions.length < FUZZY_FALLBACK_THRESHOLD && type !== 'stories') {
+      didYouMean = await SearchName.didYouMean(query, {
+        types: fuzzyTypes[type],
+        exclude: suggestions.map(suggestion => suggestion.text)
+      });
+    }
+
+    const data = suggestions.slice(0, 10);
+    const searchId = await SearchLog.record({
+      endpoint: 'suggestions',
+      params: req.query,
+      resultCount: data.length,
+      latencyMs: Date.now() - startedAt,
+      userId: req.user && req.user.id
+    });
+
     res.json({
       success: true,
-      data: suggestions.slice(0, 10)
+      searchId,
+      data,
+      expansions,
+      didYouMean
     });
   } catch (error) {
     console.error('Search suggestions error:', error);
@@ -175,4 +296,345 @@ router.get('/suggestions', [
   }
 });
 
+// ==================== SEARCH ANALYTICS ROUTES ====================
+
+// @desc    Record a click on a search result
+// @route   POST /api/search/clicks
+// @access  Public
+router.post('/clicks', optionalAuth, [
+  body('searchId').isInt({ min: 1 }).withMessage('Pesquisa inválida'),
+  body('resultType')
+    .isIn(['restaurant', 'event', 'story', 'dish'])
+    .withMessage('Tipo de resultado inválido'),
+  body('resultId').optional().isInt({ min: 1 }).withMessage('Resultado inválido'),
+  body('resultSlug').optional().isString().trim().isLength({ max: 200 }),
+  body('position').optional().isInt({ min: 1 }).withMessage('Posição inválida')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (!req.body.resultId && !req.body.resultSlug) {
+      return res.status(400).json({
+        success: false,
+        message: 'Indique o resultado clicado (resultId ou resultSlug)'
+      });
+    }
+
+    const search = await SearchLog.findById(req.body.searchId);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pesquisa não encontrada'
+      });
+    }
+
+    await SearchLog.recordClick(search.id, {
+      resultType: req.body.resultType,
+      resultId: req.body.resultId,
+      resultSlug: req.body.resultSlug,
+      position: req.body.position,
+      userId: req.user && req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Clique registado'
+    });
+  } catch (error) {
+    console.error('Record search click error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// Date range and endpoint shared by the reports
+const reportValidators = [
+  query('from').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('to').optional().isISO8601().withMessage('Data final inválida'),
+  query('endpoint').optional().isIn(['search', 'suggestions']),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Report range from the query string: the last 30 days by default. A date-only `to` covers
+// that whole day.
+const reportRange = ({ from, to, endpoint = 'search' }) => {
+  let end = to ? new Date(to) : new Date();
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) end = new Date(end.getTime() + DAY_MS);
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+  return { endpoint, from: start, to: end };
+};
+
+const reportPeriod = ({ endpoint, from, to }) => ({
+  endpoint,
+  from: from.toISOString(),
+  to: to.toISOString()
+});
+
+// @desc    Most frequent search queries
+// @route   GET /api/search/analytics/top-queries
+// @access  Private (Admin)
+router.get('/analytics/top-queries', protect, admin, reportValidators, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const range = reportRange(req.query);
+    const queries = await SearchLog.topQueries({ ...range, limit: parseInt(req.query.limit) || 20 });
+
+    res.json({
+      success: true,
+      data: queries,
+      period: reportPeriod(range)
+    });
+  } catch (error) {
+    console.error('Get top queries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Search queries that found nothing
+// @route   GET /api/search/analytics/zero-results
+// @access  Private (Admin)
+router.get('/analytics/zero-results', protect, admin, reportValidators, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const range = reportRange(req.query);
+    const queries = await SearchLog.zeroResultQueries({ ...range, limit: parseInt(req.query.limit) || 20 });
+
+    res.json({
+      success: true,
+      data: queries,
+      period: reportPeriod(range)
+    });
+  } catch (error) {
+    console.error('Get zero-result queries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Click-through rate by region
+// @route   GET /api/search/analytics/click-through
+// @access  Private (Admin)
+router.get('/analytics/click-through', protect, admin, reportValidators, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const range = reportRange(req.query);
+    const byRegion = await SearchLog.clickThroughByRegion({ ...range, regions });
+
+    res.json({
+      success: true,
+      data: byRegion,
+      period: reportPeriod(range)
+    });
+  } catch (error) {
+    console.error('Get click-through error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// ==================== SYNONYM DICTIONARY ROUTES ====================
+
+// Validation chains are stateful, so each route gets its own; updates may send either field
+const synonymValidators = ({ optional = false } = {}) => [
+  body('term')
+    .optional(optional)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Termo deve ter entre 2 e 100 caracteres'),
+  body('synonyms')
+    .optional(optional)
+    .isArray({ min: 1 })
+    .withMessage('Sinónimos devem ser um array com pelo menos um elemento'),
+  body('synonyms.*')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Cada sinónimo deve ter entre 2 e 100 caracteres')
+];
+
+// @desc    Get synonym dictionary
+// @route   GET /api/search/synonyms
+// @access  Private (Admin)
+router.get('/synonyms', protect, admin, async (req, res) => {
+  try {
+    const synonyms = await SearchSynonym.query().sort({ term: 1 }).all();
+
+    res.json({
+      success: true,
+      data: synonyms
+    });
+  } catch (error) {
+    console.error('Get synonyms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Add synonym group
+// @route   POST /api/search/synonyms
+// @access  Private (Admin)
+router.post('/synonyms', protect, admin, synonymValidators(), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const existing = await SearchSynonym.query().where({ term: req.body.term }).first();
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe uma entrada para este termo'
+      });
+    }
+
+    const { id } = await SearchSynonym.create({
+      term: req.body.term,
+      synonyms: req.body.synonyms,
+      created_by: req.user.id
+    });
+    const synonym = await SearchSynonym.findById(id);
+
+    res.status(201).json({
+      success: true,
+      data: synonym,
+      message: 'Sinónimos adicionados com sucesso'
+    });
+  } catch (error) {
+    console.error('Create synonym error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Update synonym group
+// @route   PUT /api/search/synonyms/:id
+// @access  Private (Admin)
+router.put('/synonyms/:id', protect, admin, synonymValidators({ optional: true }), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let synonym = await SearchSynonym.findById(req.params.id);
+    if (!synonym) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entrada de sinónimos não encontrada'
+      });
+    }
+
+    if (req.body.term && req.body.term !== synonym.term) {
+      const existing = await SearchSynonym.query().where({ term: req.body.term }).first();
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'Já existe uma entrada para este termo'
+        });
+      }
+    }
+
+    const updates = SearchSynonym.pickColumns(req.body);
+    if (Object.keys(updates).length) {
+      await SearchSynonym.update(synonym.id, updates);
+    }
+    synonym = await SearchSynonym.findById(synonym.id);
+
+    res.json({
+      success: true,
+      data: synonym,
+      message: 'Sinónimos atualizados com sucesso'
+    });
+  } catch (error) {
+    console.error('Update synonym error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Delete synonym group
+// @route   DELETE /api/search/synonyms/:id
+// @access  Private (Admin)
+router.delete('/synonyms/:id', protect, admin, async (req, res) => {
+  try {
+    const synonym = await SearchSynonym.findById(req.params.id);
+    if (!synonym) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entrada de sinónimos não encontrada'
+      });
+    }
+
+    await SearchSynonym.delete(synonym.id);
+
+    res.json({
+      success: true,
+      message: 'Sinónimos eliminados com sucesso'
+    });
+  } catch (error) {
+    console.error('Delete synonym error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,234 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const SeasonalDish = require('../models/SeasonalDish');
+const RegionalProduct = require('../models/RegionalProduct');
+const Restaurant = require('../models/Restaurant');
+const { protect, admin } = require('../middleware/auth');
+const { regions } = require('../config/regions');
+const { slugify } = require('../utils/textNormalizer');
+
+const router = express.Router();
+
+// Restaurants listed in the seasonal calendar of a month
+const SEASONAL_RESTAURANTS_LIMIT = 10;
+
+// @desc    Get the seasonal calendar of a month: dishes, products and restaurants serving them
+// @route   GET /api/seasonal
+// @access  Public
+router.get('/', [
+  query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Mês deve ser entre 1 e 12'),
+  query('region').optional().isIn(regions).withMessage('Região inválida')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const month = parseInt(req.query.month) || SeasonalDish.currentMonth();
+    const { region } = req.query;
+    const inSeasonItems = SeasonalDish.inSeasonItemsSql(month);
+
+    // Products with a season only: the all-year ones would fill every month
+    const [dishes, products, restaurants] = await Promise.all([
+      SeasonalDish.applyFilters(SeasonalDish.query(), { region, month }).sort({ name: 1 }).all(),
+      RegionalProduct.applyFilters(RegionalProduct.query(), { region, month })
+        .whereRaw('json_array_length(regional_products.season_months) > 0')
+        .sort({ name: 1 })
+        .all(),
+      Restaurant.boostInSeason(Restaurant.query(), month)
+        .select(['id', 'name', 'slug', 'images', 'rating', 'cuisine', 'price_range', 'city', 'region'])
+        .where(region ? { is_active: 1, region } : { is_active: 1 })
+        .whereRaw(`EXISTS (${inSeasonItems.sql})`, inSeasonItems.params)
+        .sort({ rating: -1 })
+        .limit(SEASONAL_RESTAURANTS_LIMIT)
+        .all()
+    ]);
+
+    res.json({
+      success: true,
+      month,
+      region: region || null,
+      data: { dishes, products, restaurants }
+    });
+  } catch (error) {
+    console.error('Get seasonal calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// ==================== SEASONAL DISH CALENDAR ROUTES ====================
+
+// Validation chains are stateful, so each route gets its own; updates may send any field
+const dishValidators = ({ optional = false } = {}) => [
+  body('name')
+    .optional(optional)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Nome deve ter entre 2 e 100 caracteres'),
+  body('region')
+    .optional({ values: 'null' })
+    .isIn(regions)
+    .withMessage('Região inválida'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Descrição deve ter no máximo 1000 caracteres'),
+  body('season_months')
+    .optional(optional)
+    .isArray({ min: 1, max: 12 })
+    .withMessage('Meses de época devem ser um array com pelo menos um mês'),
+  body('season_months.*')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Cada mês deve ser um número entre 1 e 12')
+    .toInt()
+];
+
+// @desc    Get the seasonal dish calendar
+// @route   GET /api/seasonal/dishes
+// @access  Public
+router.get('/dishes', async (req, res) => {
+  try {
+    const dishes = await SeasonalDish.query().sort({ name: 1 }).all();
+
+    res.json({
+      success: true,
+      count: dishes.length,
+      data: dishes
+    });
+  } catch (error) {
+    console.error('Get seasonal dishes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Add a dish to the seasonal calendar
+// @route   POST /api/seasonal/dishes
+// @access  Private (Admin)
+router.post('/dishes', protect, admin, dishValidators(), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (await SeasonalDish.findBySlug(slugify(req.body.name))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe um prato com este nome no calendário'
+      });
+    }
+
+    const { id } = await SeasonalDish.create({ ...req.body, created_by: req.user.id });
+    const dish = await SeasonalDish.findById(id);
+
+    res.status(201).json({
+      success: true,
+      data: dish,
+      message: 'Prato adicionado ao calendário'
+    });
+  } catch (error) {
+    console.error('Create seasonal dish error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Update a dish of the seasonal calendar
+// @route   PUT /api/seasonal/dishes/:id
+// @access  Private (Admin)
+router.put('/dishes/:id', protect, admin, dishValidators({ optional: true }), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let dish = await SeasonalDish.findById(req.params.id);
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prato não encontrado no calendário'
+      });
+    }
+
+    if (req.body.name) {
+      const existing = await SeasonalDish.findBySlug(slugify(req.body.name));
+      if (existing && existing.id !== dish.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Já existe um prato com este nome no calendário'
+        });
+      }
+    }
+
+    const updates = SeasonalDish.pickColumns(req.body);
+    if (Object.keys(updates).length) {
+      await SeasonalDish.update(dish.id, updates);
+    }
+    dish = await SeasonalDish.findById(dish.id);
+
+    res.json({
+      success: true,
+      data: dish,
+      message: 'Calendário atualizado com sucesso'
+    });
+  } catch (error) {
+    console.error('Update seasonal dish error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Remove a dish from the seasonal calendar
+// @route   DELETE /api/seasonal/dishes/:id
+// @access  Private (Admin)
+router.delete('/dishes/:id', protect, admin, async (req, res) => {
+  try {
+    const dish = await SeasonalDish.findById(req.params.id);
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prato não encontrado no calendário'
+      });
+    }
+
+    await SeasonalDish.delete(dish.id);
+
+    res.json({
+      success: true,
+      message: 'Prato removido do calendário'
+    });
+  } catch (error) {
+    console.error('Delete seasonal dish error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,9 @@ const Restaurant = require('../models/Restaurant');
 const Review = require('../models/Review');
 const Story = require('../models/Story');
 const Reservation = require('../models/Reservation');
-const { protect, admin } = require('../middleware/auth');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const { protect, admin, legacyUserFields } = require('../middleware/auth');
 const { handleUpload } = require('../middleware/upload');
 
 const router = express.Router();
@@ -15,12 +17,7 @@ const router = express.Router();
 // @access  Private
 router.get('/profile', protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .select('-password')
-      .populate('favorites', 'name slug images rating')
-      .populate('reviews', 'restaurant rating title content createdAt')
-      .populate('stories', 'title slug category publishedAt views')
-      .populate('reservations', 'restaurant date time status');
+    const user = await User.getProfile(req.user.id);
 
     res.json({
       success: true,
@@ -38,7 +35,7 @@ router.get('/profile', protect, async (req, res) => {
 // @desc    Update user profile
 // @route   PUT /api/users/profile
 // @access  Private
-router.put('/profile', protect, [
+router.put('/profile', protect, legacyUserFields, [
   body('name')
     .optional()
     .trim()
@@ -49,12 +46,12 @@ router.put('/profile', protect, [
     .trim()
     .isLength({ min: 9, max: 15 })
     .withMessage('Telefone deve ter entre 9 e 15 caracteres'),
-  body('location.city')
+  body('city')
     .optional()
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('Cidade deve ter entre 2 e 50 caracteres'),
-  body('location.region')
+  body('region')
     .optional()
     .isIn(['minho', 'douro', 'beiras', 'lisboa', 'alentejo', 'algarve', 'madeira', 'acores'])
     .withMessage('Região inválida'),
@@ -62,11 +59,11 @@ router.put('/profile', protect, [
     .optional()
     .isArray()
     .withMessage('Preferências de cozinha devem ser um array'),
-  body('preferences.priceRange')
+  body('preferences.price_range')
     .optional()
     .isArray()
     .withMessage('Faixa de preço deve ser um array'),
-  body('preferences.dietaryRestrictions')
+  body('preferences.dietary_restrictions')
     .optional()
     .isArray()
     .withMessage('Restrições dietéticas devem ser um array')
@@ -81,7 +78,7 @@ router.put('/profile', protect, [
       });
     }
 
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -90,24 +87,23 @@ router.put('/profile', protect, [
     }
 
     // Update fields
-    const fieldsToUpdate = ['name', 'phone', 'location', 'preferences'];
-    fieldsToUpdate.forEach(field => {
-      if (req.body[field] !== undefined) {
-        user[field] = req.body[field];
-      }
-    });
+    const updates = User.pickColumns(req.body, ['name', 'phone', 'city', 'region', 'preferences']);
+    if (Object.keys(updates).length) {
+      await User.update(user.id, updates);
+    }
 
-    const updatedUser = await user.save();
+    const updatedUser = await User.findById(user.id);
 
     res.json({
       success: true,
       data: {
-        _id: updatedUser._id,
+        id: updatedUser.id,
         name: updatedUser.name,
         email: updatedUser.email,
         role: updatedUser.role,
         phone: updatedUser.phone,
-        location: updatedUser.location,
+        city: updatedUser.city,
+        region: updatedUser.region,
         preferences: updatedUser.preferences,
         avatar: updatedUser.avatar
       },
@@ -134,7 +130,7 @@ router.post('/avatar', protect, handleUpload, async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -143,13 +139,13 @@ router.post('/avatar', protect, handleUpload, async (req, res) => {
     }
 
     // Update avatar
-    user.avatar = `/uploads/${req.file.filename}`;
-    await user.save();
+    const avatar = `/uploads/${req.file.filename}`;
+    await User.update(user.id, { avatar });
 
     res.json({
       success: true,
       data: {
-        avatar: user.avatar
+        avatar
       },
       message: 'Avatar atualizado com sucesso'
     });
@@ -180,38 +176,18 @@ router.get('/favorites', protect, [
     }
 
     const { page = 1, limit = 12 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const user = await User.findById(req.user._id).populate({
-      path: 'favorites',
-      select: 'name slug images rating location cuisine priceRange features',
-      options: {
-        skip,
-        limit: parseInt(limit)
-      }
-    });
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Utilizador não encontrado'
-      });
-    }
 
-    const total = user.favorites.length;
-    const totalPages = Math.ceil(total / parseInt(limit));
+    const { data: favorites, pagination } = await Restaurant.query()
+      .select(['id', 'name', 'slug', 'images', 'rating', 'city', 'region', 'cuisine', 'price_range', 'features'])
+      .join('INNER JOIN user_favorites ON user_favorites.restaurant_id = restaurants.id')
+      .where({ 'user_favorites.user_id': req.user.id, is_active: 1 })
+      .sort({ 'user_favorites.created_at': -1 })
+      .paginate({ page, limit });
 
     res.json({
       success: true,
-      data: user.favorites,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        total,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-        limit: parseInt(limit)
-      }
+      data: favorites,
+      pagination
     });
   } catch (error) {
     console.error('Get user favorites error:', error);
@@ -241,50 +217,32 @@ router.get('/reviews', protect, [
     }
 
     const { page = 1, limit = 12, sort = 'newest' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build sort object
     let sortObj = {};
     switch (sort) {
       case 'oldest':
-        sortObj = { createdAt: 1 };
+        sortObj = { created_at: 1 };
         break;
       case 'rating':
         sortObj = { rating: -1 };
         break;
       case 'newest':
       default:
-        sortObj = { createdAt: -1 };
+        sortObj = { created_at: -1 };
         break;
     }
 
-    const reviews = await Review.find({ 
-      user: req.user._id, 
-      isActive: true 
-    })
-    .populate('restaurant', 'name slug images rating')
-    .sort(sortObj)
-    .skip(skip)
-    .limit(parseInt(limit));
-
-    const total = await Review.countDocuments({ 
-      user: req.user._id, 
-      isActive: true 
-    });
-
-    const totalPages = Math.ceil(total / parseInt(limit));
+    const { data: reviews, pagination } = await Review.query()
+      .where({ user_id: req.user.id, is_active: 1 })
+      .populate('restaurant', ['name', 'slug', 'images', 'rating'])
+      .sort(sortObj)
+      .paginate({ page, limit });
 
     res.json({
       success: true,
       data: reviews,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        total,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-        limit: parseInt(limit)
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get user reviews error:', error);
@@ -314,33 +272,20 @@ router.get('/stories', protect, [
     }
 
     const { page = 1, limit = 12, status } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build filter
-    const filter = { author: req.user._id, isActive: true };
+    const filter = { author_id: req.user.id };
     if (status) filter.status = status;
 
-    const stories = await Story.find(filter)
-      .populate('relatedRestaurants', 'name slug images')
-      .populate('relatedEvents', 'title slug dates images')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Story.countDocuments(filter);
-    const totalPages = Math.ceil(total / parseInt(limit));
+    const { data: stories, pagination } = await Story.query()
+      .where(filter)
+      .sort({ created_at: -1 })
+      .paginate({ page, limit });
 
     res.json({
       success: true,
       data: stories,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        total,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-        limit: parseInt(limit)
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get user stories error:', error);
@@ -370,32 +315,21 @@ router.get('/reservations', protect, [
     }
 
     const { page = 1, limit = 12, status } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build filter
-    const filter = { user: req.user._id, isActive: true };
+    const filter = { user_id: req.user.id, is_active: 1 };
     if (status) filter.status = status;
 
-    const reservations = await Reservation.find(filter)
-      .populate('restaurant', 'name slug images rating')
+    const { data: reservations, pagination } = await Reservation.query()
+      .where(filter)
+      .populate('restaurant', ['name', 'slug', 'images', 'rating'])
       .sort({ date: -1, time: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Reservation.countDocuments(filter);
-    const totalPages = Math.ceil(total / parseInt(limit));
+      .paginate({ page, limit });
 
     res.json({
       success: true,
       data: reservations,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        total,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-        limit: parseInt(limit)
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get user reservations error:', error);
@@ -411,35 +345,44 @@ router.get('/reservations', protect, [
 // @access  Private
 router.get('/stats', protect, async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.user.id;
 
     // Get counts
     const [favoritesCount, reviewsCount, storiesCount, reservationsCount] = await Promise.all([
-      User.findById(userId).then(user => user.favorites.length),
-      Review.countDocuments({ user: userId, isActive: true }),
-      Story.countDocuments({ author: userId, isActive: true }),
-      Reservation.countDocuments({ user: userId, isActive: true })
+      Restaurant.query()
+        .join('INNER JOIN user_favorites ON user_favorites.restaurant_id = restaurants.id')
+        .where({ 'user_favorites.user_id': userId, is_active: 1 })
+        .count(),
+      Review.query().where({ user_id: userId, is_active: 1 }).count(),
+      Story.query().where({ author_id: userId }).count(),
+      Reservation.query().where({ user_id: userId, is_active: 1 }).count()
     ]);
 
     // Get recent activity
-    const recentReviews = await Review.find({ user: userId, isActive: true })
-      .populate('restaurant', 'name slug images')
-      .sort({ createdAt: -1 })
-      .limit(3);
-
-    const recentStories = await Story.find({ author: userId, isActive: true })
-      .sort({ createdAt: -1 })
-      .limit(3);
-
-    const upcomingReservations = await Reservation.find({
-      user: userId,
-      isActive: true,
-      date: { $gt: new Date() },
-      status: { $in: ['pending', 'confirmed'] }
-    })
-    .populate('restaurant', 'name slug images')
-    .sort({ date: 1, time: 1 })
-    .limit(3);
+    const recentReviews = await Review.query()
+      .where({ user_id: userId, is_active: 1 })
+      .populate('restaurant', ['name', 'slug', 'images'])
+      .sort({ created_at: -1 })
+      .limit(3)
+      .all();
+
+    const recentStories = await Story.query()
+      .where({ author_id: userId })
+      .sort({ created_at: -1 })
+      .limit(3)
+      .all();
+
+    const upcomingReservations = await Reservation.query()
+      .where({
+        user_id: userId,
+        is_active: 1,
+        starts_at: { $gt: new Date() },
+        status: { $in: ['pending', 'confirmed'] }
+      })
+      .populate('restaurant', ['name', 'slug', 'images'])
+      .sort({ starts_at: 1 })
+      .limit(3)
+      .all();
 
     res.json({
       success: true,
@@ -466,6 +409,306 @@ router.get('/stats', protect, async (req, res) => {
   }
 });
 
+// ==================== SAVED SEARCH ROUTES ====================
+
+// Saved searches a user may keep at once
+const MAX_SAVED_SEARCHES = 20;
+
+// Validation chains are stateful, so each route gets its own; updates may send any field.
+// Filters use the query string names of the target's listing (region, priceRange, openOn...).
+const savedSearchValidators = ({ optional = false } = {}) => [
+  body('name')
+    .optional(optional)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Nome deve ter entre 2 e 100 caracteres'),
+  body('target')
+    .optional(optional)
+    .isIn(Object.keys(SavedSearch.targets))
+    .withMessage('Tipo de pesquisa inválido'),
+  body('query')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Texto de pesquisa deve ter no máximo 200 caracteres'),
+  body('filters')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Filtros devem ser um objeto'),
+  body('notify_email')
+    .optional()
+    .isBoolean()
+    .withMessage('notify_email deve ser verdadeiro ou falso'),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active deve ser verdadeiro ou falso')
+];
+
+// Error message for a saved search without text or filters, or with filters its target does not
+// take; null when valid
+const checkSavedSearch = ({ target, query, filters }) => {
+  if (!(query && query.trim()) && !Object.keys(filters || {}).length) {
+    return 'Indique um texto de pesquisa ou pelo menos um filtro';
+  }
+  try {
+    SavedSearch.validateFilters(target, filters || {});
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+// @desc    Get user saved searches
+// @route   GET /api/users/saved-searches
+// @access  Private
+router.get('/saved-searches', protect, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.query()
+      .where({ user_id: req.user.id })
+      .sort({ created_at: -1 })
+      .all();
+
+    res.json({
+      success: true,
+      data: savedSearches
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Save a search
+// @route   POST /api/users/saved-searches
+// @access  Private
+router.post('/saved-searches', protect, savedSearchValidators(), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const invalid = checkSavedSearch(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const count = await SavedSearch.query().where({ user_id: req.user.id }).count();
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `Pode guardar no máximo ${MAX_SAVED_SEARCHES} pesquisas`
+      });
+    }
+
+    const { id } = await SavedSearch.create({
+      ...req.body,
+      filters: req.body.filters || {},
+      user_id: req.user.id
+    });
+    const savedSearch = await SavedSearch.findById(id);
+
+    res.status(201).json({
+      success: true,
+      data: savedSearch,
+      message: 'Pesquisa guardada com sucesso'
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Update saved search
+// @route   PUT /api/users/saved-searches/:id
+// @access  Private
+router.put('/saved-searches/:id', protect, savedSearchValidators({ optional: true }), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let savedSearch = await SavedSearch.findById(req.params.id);
+    if (!savedSearch || savedSearch.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pesquisa guardada não encontrada'
+      });
+    }
+
+    // Filters are checked against the target the search will have after the update
+    const invalid = checkSavedSearch({
+      target: req.body.target || savedSearch.target,
+      query: req.body.query !== undefined ? req.body.query : savedSearch.query,
+      filters: req.body.filters !== undefined ? req.body.filters : savedSearch.filters
+    });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const updates = SavedSearch.pickColumns(req.body);
+    if (Object.keys(updates).length) {
+      await SavedSearch.update(savedSearch.id, updates);
+    }
+    savedSearch = await SavedSearch.findById(savedSearch.id);
+
+    res.json({
+      success: true,
+      data: savedSearch,
+      message: 'Pesquisa guardada atualizada com sucesso'
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Delete saved search
+// @route   DELETE /api/users/saved-searches/:id
+// @access  Private
+router.delete('/saved-searches/:id', protect, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findById(req.params.id);
+    if (!savedSearch || savedSearch.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pesquisa guardada não encontrada'
+      });
+    }
+
+    await SavedSearch.delete(savedSearch.id);
+
+    res.json({
+      success: true,
+      message: 'Pesquisa guardada eliminada com sucesso'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// ==================== NOTIFICATION ROUTES ====================
+
+// @desc    Get user notifications
+// @route   GET /api/users/notifications
+// @access  Private
+router.get('/notifications', protect, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Página deve ser um número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limite deve ser entre 1 e 50'),
+  query('unread').optional().isBoolean()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const filter = { user_id: req.user.id };
+    if (unread === 'true') filter.read_at = null;
+
+    const { data: notifications, pagination } = await Notification.query()
+      .where(filter)
+      .sort({ created_at: -1 })
+      .paginate({ page, limit });
+
+    res.json({
+      success: true,
+      data: notifications,
+      pagination,
+      unreadCount: await Notification.countUnread(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/users/notifications/read-all
+// @access  Private
+router.put('/notifications/read-all', protect, async (req, res) => {
+  try {
+    await Notification.markAllRead(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Notificações marcadas como lidas'
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Mark notification as read
+// @route   PUT /api/users/notifications/:id/read
+// @access  Private
+router.put('/notifications/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+    if (!notification || notification.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notificação não encontrada'
+      });
+    }
+
+    await Notification.markRead(notification.id);
+
+    res.json({
+      success: true,
+      message: 'Notificação marcada como lida'
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
 // @desc    Get all users (Admin only)
 // @route   GET /api/users
 // @access  Private (Admin)
@@ -473,7 +716,8 @@ router.get('/', protect, admin, [
   query('page').optional().isInt({ min: 1 }).withMessage('Página deve ser um número positivo'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite deve ser entre 1 e 100'),
   query('role').optional().isIn(['user', 'restaurant_owner', 'admin']),
-  query('search').optional().trim()
+  query('search').optional().trim(),
+  query('cursor').optional().isBase64({ urlSafe: true }).withMessage('Cursor inválido')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -485,40 +729,67 @@ router.get('/', protect, admin, [
       });
     }
 
-    const { page = 1, limit = 20, role, search } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { page = 1, limit = 20, role, search, cursor } = req.query;
 
     // Build filter
-    const filter = { isActive: true };
+    const filter = { is_active: 1 };
     if (role) filter.role = role;
-    if (search) filter.$text = { $search: search };
+    if (search) {
+      const term = `%${search}%`;
+      filter.$or = [
+        { name: { $like: term } },
+        { email: { $like: term } }
+      ];
+    }
 
     // Build sort object
-    const sortObj = { createdAt: -1 };
+    const sortObj = { created_at: -1 };
 
-    const users = await User.find(filter)
-      .select('-password')
+    const { data: users, pagination } = await User.query()
+      .where(filter)
       .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await User.countDocuments(filter);
-    const totalPages = Math.ceil(total / parseInt(limit));
+      .paginate({ page, limit, cursor });
 
     res.json({
       success: true,
       data: users,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        total,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-        limit: parseInt(limit)
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get users error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Get restaurant owners
+// @route   GET /api/users/restaurant-owners
+// @access  Public
+router.get('/restaurant-owners', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const { data: restaurantOwners, pagination } = await User.query()
+      .select(['id', 'name', 'avatar', 'city', 'region'])
+      .where({ role: 'restaurant_owner', is_active: 1 })
+      .sort({ created_at: -1 })
+      .paginate({ page, limit });
+
+    res.json({
+      success: true,
+      data: restaurantOwners,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get restaurant owners error:', error);
     res.status(500).json({
       success: false,
       message: 'Erro no servidor'
@@ -531,12 +802,7 @@ router.get('/', protect, admin, [
 // @access  Private (Admin)
 router.get('/:id', protect, admin, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id)
-      .select('-password')
-      .populate('favorites', 'name slug images rating')
-      .populate('reviews', 'restaurant rating title content createdAt')
-      .populate('stories', 'title slug category publishedAt views')
-      .populate('reservations', 'restaurant date time status');
+    const user = await User.getProfile(req.params.id);
 
     if (!user) {
       return res.status(404).json({
@@ -571,10 +837,10 @@ router.put('/:id', protect, admin, [
     .optional()
     .isIn(['user', 'restaurant_owner', 'admin'])
     .withMessage('Role inválido'),
-  body('isActive')
+  body('is_active')
     .optional()
     .isBoolean()
-    .withMessage('isActive deve ser um valor booleano')
+    .withMessage('is_active deve ser um valor booleano')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -596,14 +862,15 @@ router.put('/:id', protect, admin, [
     }
 
     // Update user
-    user = await User.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    ).select('-password');
+    const updates = User.pickColumns(req.body, ['name', 'role']);
+    if (req.body.is_active !== undefined) {
+      updates.is_active = req.body.is_active === true || req.body.is_active === 'true' ? 1 : 0;
+    }
+    if (Object.keys(updates).length) {
+      await User.update(user.id, updates);
+    }
+
+    user = await User.findById(user.id);
 
     res.json({
       success: true,
@@ -634,7 +901,7 @@ router.delete('/:id', protect, admin, async (req, res) => {
     }
 
     // Check if user is trying to delete themselves
-    if (user._id.toString() === req.user._id.toString()) {
+    if (user.id === req.user.id) {
       return res.status(400).json({
         success: false,
         message: 'Não é possível eliminar a sua própria conta'
@@ -642,8 +909,7 @@ router.delete('/:id', protect, admin, async (req, res) => {
     }
 
     // Soft delete
-    user.isActive = false;
-    await user.save();
+    await User.update(user.id, { is_active: 0 });
 
     res.json({
       success: true,
@@ -658,49 +924,4 @@ router.delete('/:id', protect, admin, async (req, res) => {
   }
 });
 
-// @desc    Get restaurant owners
-// @route   GET /api/users/restaurant-owners
-// @access  Public
-router.get('/restaurant-owners', async (req, res) => {
-  try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const restaurantOwners = await User.find({ 
-      role: 'restaurant_owner', 
-      isActive: true 
-    })
-    .select('name avatar location')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
-
-    const total = await User.countDocuments({ 
-      role: 'restaurant_owner', 
-      isActive: true 
-    });
-
-    const totalPages = Math.ceil(total / parseInt(limit));
-
-    res.json({
-      success: true,
-      data: restaurantOwners,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        total,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-        limit: parseInt(limit)
-      }
-    });
-  } catch (error) {
-    console.error('Get restaurant owners error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro no servidor'
-    });
-  }
-});
-
 module.exports = router;
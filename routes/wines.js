@@ -0,0 +1,266 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Restaurant = require('../models/Restaurant');
+const Wine = require('../models/Wine');
+const { protect, restaurantOwner } = require('../middleware/auth');
+
+// Mounted at /api/restaurants/:id/wines
+const router = express.Router({ mergeParams: true });
+
+// Load the restaurant of the URL into req.restaurant when the user owns it (or is an admin)
+const ownedRestaurant = async (req, res, next) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurante não encontrado'
+      });
+    }
+
+    // Check ownership
+    if (restaurant.owner_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Não autorizado a editar a carta de vinhos deste restaurante'
+      });
+    }
+
+    req.restaurant = restaurant;
+    next();
+  } catch (error) {
+    console.error('Load wine list restaurant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+};
+
+// Validation chains are stateful, so each route gets its own; updates may send any field
+const wineValidators = ({ optional = false } = {}) => [
+  body('name')
+    .optional(optional)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Nome deve ter entre 2 e 100 caracteres'),
+  body('producer')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Produtor deve ter no máximo 100 caracteres'),
+  body('region')
+    .optional(optional)
+    .isIn(Wine.filterOptions.region)
+    .withMessage(`Região vitivinícola inválida (${Wine.filterOptions.region.join(', ')})`),
+  body('classification')
+    .optional({ values: 'null' })
+    .isIn(Wine.filterOptions.classification)
+    .withMessage('Classificação deve ser DOC ou IGP'),
+  body('color')
+    .optional(optional)
+    .isIn(Wine.filterOptions.color)
+    .withMessage(`Tipo de vinho inválido (${Wine.filterOptions.color.join(', ')})`),
+  body('grapes')
+    .optional()
+    .isArray({ max: 15 })
+    .withMessage('Castas devem ser um array'),
+  body('grapes.*')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Cada casta deve ter entre 2 e 50 caracteres'),
+  body('vintage')
+    .optional({ values: 'null' })
+    .isInt({ min: 1800, max: new Date().getFullYear() })
+    .withMessage('Colheita inválida (null para vinhos sem ano de colheita)')
+    .toInt(),
+  body(['price_glass_cents', 'price_bottle_cents'])
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 10000000 })
+    .withMessage('Preço deve ser um número inteiro de cêntimos (ex.: 450 para 4,50 €)')
+    .toInt(),
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Descrição deve ter no máximo 500 caracteres'),
+  body('is_available')
+    .optional()
+    .isBoolean()
+    .withMessage('is_available deve ser true ou false')
+    .toBoolean(),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Posição deve ser um número inteiro positivo')
+    .toInt()
+];
+
+// @desc    Get a restaurant's wine list
+// @route   GET /api/restaurants/:id/wines
+// @access  Public
+router.get('/', [
+  query('region').optional().isIn(Wine.filterOptions.region).withMessage('Região vitivinícola inválida'),
+  query('color').optional().isIn(Wine.filterOptions.color).withMessage('Tipo de vinho inválido'),
+  query('available').optional().isIn(['true', 'false']).withMessage('available deve ser true ou false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const restaurant = await Restaurant.findById(req.params.id);
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurante não encontrado'
+      });
+    }
+
+    const wines = await Wine.forRestaurant(restaurant.id, {
+      region: req.query.region,
+      color: req.query.color,
+      availableOnly: req.query.available === 'true'
+    });
+
+    res.json({
+      success: true,
+      count: wines.length,
+      data: wines
+    });
+  } catch (error) {
+    console.error('Get wine list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Add a wine to the wine list
+// @route   POST /api/restaurants/:id/wines
+// @access  Private (Restaurant owner or Admin)
+router.post('/', protect, restaurantOwner, ownedRestaurant, wineValidators(), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const classificationMessage = Wine.classificationMessage(req.body.region, req.body.classification);
+    if (classificationMessage) {
+      return res.status(400).json({
+        success: false,
+        message: classificationMessage
+      });
+    }
+
+    const { id } = await Wine.create({ ...req.body, restaurant_id: req.restaurant.id });
+    const wine = await Wine.findById(id);
+
+    res.status(201).json({
+      success: true,
+      data: wine,
+      message: 'Vinho adicionado com sucesso'
+    });
+  } catch (error) {
+    console.error('Create wine error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Update a wine
+// @route   PUT /api/restaurants/:id/wines/:wineId
+// @access  Private (Restaurant owner or Admin)
+router.put('/:wineId', protect, restaurantOwner, ownedRestaurant, wineValidators({ optional: true }), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let wine = await Wine.findForRestaurant(req.params.wineId, req.restaurant.id);
+    if (!wine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vinho não encontrado'
+      });
+    }
+
+    const classificationMessage = Wine.classificationMessage(
+      req.body.region || wine.region,
+      req.body.classification !== undefined ? req.body.classification : wine.classification
+    );
+    if (classificationMessage) {
+      return res.status(400).json({
+        success: false,
+        message: classificationMessage
+      });
+    }
+
+    const updates = Wine.pickColumns(req.body);
+    if (Object.keys(updates).length) {
+      await Wine.update(wine.id, updates);
+    }
+    wine = await Wine.findById(wine.id);
+
+    res.json({
+      success: true,
+      data: wine,
+      message: 'Vinho atualizado com sucesso'
+    });
+  } catch (error) {
+    console.error('Update wine error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+// @desc    Remove a wine from the wine list
+// @route   DELETE /api/restaurants/:id/wines/:wineId
+// @access  Private (Restaurant owner or Admin)
+router.delete('/:wineId', protect, restaurantOwner, ownedRestaurant, async (req, res) => {
+  try {
+    const wine = await Wine.findForRestaurant(req.params.wineId, req.restaurant.id);
+    if (!wine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vinho não encontrado'
+      });
+    }
+
+    await Wine.delete(wine.id);
+
+    res.json({
+      success: true,
+      message: 'Vinho removido com sucesso'
+    });
+  } catch (error) {
+    console.error('Delete wine error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro no servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Recompute the authenticity score of every active restaurant (config/authenticity.js), e.g.
+// after changing the weights, and yearly for the years in operation
+//
+// Usage:
+//   node scripts/authenticityScores.js
+
+require('dotenv').config();
+
+const { all, closeDB } = require('../config/database');
+const Restaurant = require('../models/Restaurant');
+
+const recomputeAll = async () => {
+  const restaurants = await all('SELECT id FROM restaurants WHERE is_active = 1 ORDER BY id');
+  for (const { id } of restaurants) {
+    await Restaurant.computeAuthenticity(id);
+  }
+  return restaurants.length;
+};
+
+recomputeAll()
+  .then(count => {
+    console.log(`🏅 Recomputed the authenticity score of ${count} restaurants`);
+    closeDB();
+  })
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    closeDB();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Database migration CLI
+//
+// Usage:
+//   node scripts/migrate.js up [--to <version>]
+//   node scripts/migrate.js down [--steps <n> | --to <version>]
+//   node scripts/migrate.js status
+//   node scripts/migrate.js create <name>
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { closeDB } = require('../config/database');
+const { loadMigrations, getStatus, migrate, rollback } = require('../config/migrator');
+
+const migrationsDir = path.join(__dirname, '../migrations');
+
+// Integer value of `--name <n>`, undefined when the option is absent; anything but a whole
+// number of at least `min` is an error rather than a default
+const parseOption = (args, name, { min = 0 } = {}) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+
+  const raw = args[index + 1];
+  if (!/^\d+$/.test(raw || '') || parseInt(raw, 10) < min) {
+    throw new Error(`--${name} expects ${min > 0 ? 'a positive' : 'a non-negative'} whole number`);
+  }
+  return parseInt(raw, 10);
+};
+
+const printStatus = async () => {
+  const status = await getStatus();
+
+  console.log(`Current schema version: ${status.currentVersion} (latest: ${status.latestVersion})`);
+  status.migrations.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`  ${migration.file}  ${state}`);
+  });
+  status.unknown.forEach(row => {
+    console.log(`  ${String(row.version).padStart(3, '0')}_${row.name}  applied, but no migration file found`);
+  });
+};
+
+const createMigration = (name) => {
+  if (!name || !/^[\w-]+$/.test(name)) {
+    throw new Error('Migration name is required and may only contain letters, numbers, "_" and "-"');
+  }
+
+  const migrations = loadMigrations();
+  const nextVersion = migrations.length ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = `${String(nextVersion).padStart(3, '0')}_${name}.js`;
+
+  fs.writeFileSync(path.join(migrationsDir, file), `const up = async ({ run }) => {
+};
+
+const down = async ({ run }) => {
+};
+
+module.exports = { up, down };
+`);
+  console.log(`📝 Created migrations/${file}`);
+};
+
+const main = async () => {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrate({ to: parseOption(args, 'to') });
+      if (!applied.length) console.log('✅ Database schema is already up to date');
+      break;
+    }
+    case 'down': {
+      // One step unless --steps says otherwise (see rollback())
+      const reverted = await rollback({ steps: parseOption(args, 'steps', { min: 1 }), to: parseOption(args, 'to') });
+      if (!reverted.length) console.log('Nothing to roll back');
+      break;
+    }
+    case 'status':
+      await printStatus();
+      break;
+    case 'create':
+      createMigration(args[0]);
+      break;
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down, status or create.`);
+  }
+};
+
+main()
+  .then(() => closeDB())
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    closeDB();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// Postal-code geocoding CLI
+//
+// Usage:
+//   node scripts/postalCodes.js import <file.csv> [--replace] [--encoding latin1]
+//   node scripts/postalCodes.js backfill [--refresh]
+//   node scripts/postalCodes.js status
+//
+// import loads a CTT postal-code dataset with coordinates: a CSV (";", "," or tab separated) with a
+// header row. The columns are recognised by name: the code (codigo_postal/postal_code/cp7, or
+// cp4 + cp3 / num_cod_postal + ext_cod_postal), latitude, longitude and optionally the locality
+// (localidade/desig_postal), municipality (concelho) and district (distrito).
+// data/postal-codes.sample.csv is a small sample for development.
+//
+// backfill geocodes the restaurants with a postal code but no coordinates; --refresh also redoes
+// those whose coordinates came from an earlier geocoding.
+
+const fs = require('fs');
+require('dotenv').config();
+
+const { closeDB, all } = require('../config/database');
+const PostalCode = require('../models/PostalCode');
+const Restaurant = require('../models/Restaurant');
+const { normalizePostalCode } = require('../utils/postalCode');
+const { foldText } = require('../utils/textNormalizer');
+
+// Header names accepted for each field, after folding case and accents
+const headerNames = {
+  code: ['codigo_postal', 'codigo postal', 'postal_code', 'cp7', 'cod_postal'],
+  cp4: ['cp4', 'num_cod_postal'],
+  cp3: ['cp3', 'ext_cod_postal'],
+  locality: ['localidade', 'desig_postal', 'locality'],
+  municipality: ['concelho', 'municipio', 'municipality'],
+  district: ['distrito', 'district'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon']
+};
+
+// Fields of one CSV line; double quotes may wrap a field ("" is a literal quote)
+const splitLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+const parseDataset = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) throw new Error('The file is empty');
+
+  const delimiter = [';', '\t', ','].find(candidate => lines[0].includes(candidate)) || ',';
+  const header = splitLine(lines[0], delimiter).map(name => foldText(name).replace(/^\uFEFF/, ''));
+  const columnOf = (field) => header.findIndex(name => headerNames[field].includes(name));
+  const columns = Object.fromEntries(Object.keys(headerNames).map(field => [field, columnOf(field)]));
+
+  const hasCode = columns.code !== -1 || (columns.cp4 !== -1 && columns.cp3 !== -1);
+  if (!hasCode || columns.latitude === -1 || columns.longitude === -1) {
+    throw new Error('The header needs a postal code column (or cp4 and cp3), latitude and longitude');
+  }
+
+  return lines.slice(1).map(line => {
+    const fields = splitLine(line, delimiter);
+    const value = (field) => (columns[field] === -1 ? '' : fields[columns[field]] || '');
+    const coordinate = (field) => parseFloat(value(field).replace(',', '.'));
+
+    return {
+      code: columns.code !== -1 ? value('code') : `${value('cp4')}-${value('cp3')}`,
+      locality: value('locality'),
+      municipality: value('municipality'),
+      district: value('district'),
+      latitude: coordinate('latitude'),
+      longitude: coordinate('longitude')
+    };
+  });
+};
+
+const importDataset = async (file, args) => {
+  if (!file) throw new Error('Give the path of the CSV file to import');
+
+  const encodingIndex = args.indexOf('--encoding');
+  const encoding = encodingIndex === -1 ? 'utf8' : args[encodingIndex + 1];
+  const rows = parseDataset(fs.readFileSync(file, encoding));
+
+  const { imported, skipped } = await PostalCode.import(rows, { replace: args.includes('--replace') });
+  console.log(`📮 Imported ${imported} postal codes${skipped ? `, skipped ${skipped} invalid rows` : ''}`);
+};
+
+const backfill = async (args) => {
+  const refresh = args.includes('--refresh');
+  const restaurants = await all(`
+    SELECT id, name, postal_code
+    FROM restaurants
+    WHERE postal_code IS NOT NULL AND postal_code != ''
+      AND (latitude IS NULL${refresh ? ' OR geocode_confidence IS NOT NULL' : ''})
+  `);
+
+  const counts = { exact: 0, prefix: 0, notFound: 0, invalid: 0 };
+  for (const restaurant of restaurants) {
+    const code = normalizePostalCode(restaurant.postal_code);
+    if (!code) {
+      counts.invalid++;
+      console.log(`  ⚠️  #${restaurant.id} ${restaurant.name}: invalid postal code "${restaurant.postal_code}"`);
+      continue;
+    }
+
+    const location = await PostalCode.geocode(code);
+    if (!location) {
+      counts.notFound++;
+      console.log(`  ❔ #${restaurant.id} ${restaurant.name}: ${code} not in the dataset`);
+      continue;
+    }
+
+    await Restaurant.update(restaurant.id, {
+      postal_code: code,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      municipality: location.municipality,
+      geocode_confidence: location.confidence
+    });
+    counts[location.confidence]++;
+    if (location.confidence === 'prefix') {
+      console.log(`  ≈  #${restaurant.id} ${restaurant.name}: ${code} located by its ${location.prefix} area only`);
+    }
+  }
+
+  console.log(`📍 Geocoded ${counts.exact + counts.prefix} of ${restaurants.length} restaurants ` +
+    `(${counts.exact} exact, ${counts.prefix} by prefix, ${counts.notFound} not found, ${counts.invalid} invalid)`);
+};
+
+const main = async () => {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'import':
+      await importDataset(args[0], args.slice(1));
+      break;
+    case 'backfill':
+      await backfill(args);
+      break;
+    case 'status':
+      console.log(`Postal codes in the dataset: ${await PostalCode.count()}`);
+      break;
+    default:
+      throw new Error(`Unknown command "${command}". Use import, backfill or status.`);
+  }
+};
+
+main()
+  .then(() => closeDB())
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    closeDB();
+    process.exitCode = 1;
+  });
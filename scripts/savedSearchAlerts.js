@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// Run the saved-search alerts job once (for an external cron instead of the in-process timer)
+//
+// Usage:
+//   node scripts/savedSearchAlerts.js
+
+require('dotenv').config();
+
+const { closeDB } = require('../config/database');
+const { runSavedSearchAlerts } = require('../jobs/savedSearchAlerts');
+
+runSavedSearchAlerts()
+  .then(({ checked, notified }) => {
+    console.log(`🔔 Checked ${checked} saved searches, ${notified} with new matches`);
+    closeDB();
+  })
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    closeDB();
+    process.exitCode = 1;
+  });
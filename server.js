@@ -7,7 +7,9 @@ const path = require('path');
 require('dotenv').config();
 
 const { db } = require('./config/database');
+const { assertSchemaUpToDate } = require('./config/migrator');
 const errorHandler = require('./middleware/errorHandler');
+const { startSavedSearchAlerts } = require('./jobs/savedSearchAlerts');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -18,6 +20,10 @@ const communityRoutes = require('./routes/community');
 const mapRoutes = require('./routes/map');
 const searchRoutes = require('./routes/search');
 const reservationRoutes = require('./routes/reservations');
+const productRoutes = require('./routes/products');
+const seasonalRoutes = require('./routes/seasonal');
+const menuRoutes = require('./routes/menus');
+const wineRoutes = require('./routes/wines');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -25,7 +31,7 @@ const PORT = process.env.PORT || 10000;
 // Trust proxy for rate limiting (needed for Render)
 app.set('trust proxy', 1);
 
-// Database is automatically connected when imported
+// Database is automatically connected when imported; the schema is checked before listening
 
 // Security middleware
 app.use(helmet({
@@ -76,6 +82,8 @@ app.use('/uploads', express.static('uploads'));
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/restaurants/:id/menu', menuRoutes);
+app.use('/api/restaurants/:id/wines', wineRoutes);
 app.use('/api/restaurants', restaurantRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/events', eventRoutes);
@@ -83,6 +91,8 @@ app.use('/api/community', communityRoutes);
 app.use('/api/map', mapRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/reservations', reservationRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/seasonal', seasonalRoutes);
 
 // Serve static files (HTML, CSS, JS)
 app.use(express.static('public'));
@@ -117,11 +127,26 @@ app.use('*', (req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Sabores Lusitanos API running on port ${PORT}`);
-  console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🌐 URL: http://localhost:${PORT}`);
-});
+// Start server only once the database schema matches the migrations
+const startServer = async () => {
+  try {
+    await assertSchemaUpToDate();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Run "npm run db:migrate" before starting the server.');
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`🚀 Sabores Lusitanos API running on port ${PORT}`);
+    console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🌐 URL: http://localhost:${PORT}`);
+  });
+
+  startSavedSearchAlerts();
+};
+
+startServer();
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hasAuthenticityTag, scoreAuthenticity } = require('../../utils/authenticity');
+
+const year = 2026;
+const points = (result) => Object.fromEntries(result.breakdown.map(({ factor, points: earned }) => [factor, earned]));
+
+test('hasAuthenticityTag', async (t) => {
+  const cases = [
+    { name: 'accented and capitalised', tags: ['Autêntico'], expected: true },
+    { name: 'several words', tags: ['receita da avó'], expected: true },
+    { name: 'among other tags', tags: ['esplanada', 'Caseiro'], expected: true },
+    { name: 'non-text tags are skipped', tags: [1, null, 'tradicional'], expected: true },
+    { name: 'no authenticity tag', tags: ['bom', 'barato'], expected: false },
+    { name: 'empty', tags: [], expected: false },
+    { name: 'not a list', tags: 'autentico', expected: false },
+    { name: 'missing', tags: null, expected: false }
+  ];
+
+  for (const { name, tags, expected } of cases) {
+    await t.test(name, () => {
+      assert.strictEqual(hasAuthenticityTag(tags), expected);
+    });
+  }
+});
+
+test('scoreAuthenticity', async (t) => {
+  const cases = [
+    {
+      name: 'no inputs',
+      inputs: {},
+      score: 0,
+      level: 'modern-fusion',
+      points: { regionalDishes: 0, protectedProducts: 0, yearsInOperation: 0, familyOwnership: 0, reviewerTags: 0, verifiedAwards: 0 }
+    },
+    {
+      name: 'every factor in full',
+      inputs: {
+        dishes: 10, regionalDishes: 10, protectedProducts: 4, foundedYear: 1980, familyOwned: true, reviews: 5, taggedReviews: 5, verifiedAwards: 2
+      },
+      score: 100,
+      level: 'traditional-family',
+      points: { regionalDishes: 30, protectedProducts: 20, yearsInOperation: 15, familyOwnership: 10, reviewerTags: 15, verifiedAwards: 10 }
+    },
+    {
+      name: 'too few dishes and reviews to count',
+      inputs: { dishes: 2, regionalDishes: 2, reviews: 2, taggedReviews: 2 },
+      score: 0,
+      level: 'modern-fusion',
+      points: { regionalDishes: 0, protectedProducts: 0, yearsInOperation: 0, familyOwnership: 0, reviewerTags: 0, verifiedAwards: 0 }
+    },
+    {
+      name: 'shares and partial credit, rounded',
+      inputs: { dishes: 3, regionalDishes: 2, protectedProducts: 1, foundedYear: 2016, reviews: 6, taggedReviews: 1 },
+      score: 31.3,
+      level: 'modern-fusion',
+      points: { regionalDishes: 20, protectedProducts: 5, yearsInOperation: 3.8, familyOwnership: 0, reviewerTags: 2.5, verifiedAwards: 0 }
+    },
+    {
+      name: 'counts beyond full are capped',
+      inputs: { dishes: 4, regionalDishes: 9, protectedProducts: 10, reviews: 3, taggedReviews: 7, verifiedAwards: 5 },
+      score: 75,
+      level: 'innovative-chef',
+      points: { regionalDishes: 30, protectedProducts: 20, yearsInOperation: 0, familyOwnership: 0, reviewerTags: 15, verifiedAwards: 10 }
+    },
+    {
+      name: 'a founding year in the future counts as none',
+      inputs: { foundedYear: 2030, familyOwned: true },
+      score: 10,
+      level: 'modern-fusion',
+      points: { regionalDishes: 0, protectedProducts: 0, yearsInOperation: 0, familyOwnership: 10, reviewerTags: 0, verifiedAwards: 0 }
+    },
+    {
+      name: 'high score, neither family-run nor 25 years old',
+      inputs: { dishes: 5, regionalDishes: 5, protectedProducts: 4, foundedYear: 2002, verifiedAwards: 2 },
+      score: 69,
+      level: 'innovative-chef',
+      points: { regionalDishes: 30, protectedProducts: 20, yearsInOperation: 9, familyOwnership: 0, reviewerTags: 0, verifiedAwards: 10 }
+    },
+    {
+      name: 'high score and 25 years old',
+      inputs: { dishes: 5, regionalDishes: 5, protectedProducts: 4, foundedYear: 2001, verifiedAwards: 2 },
+      score: 69.4,
+      level: 'traditional-family',
+      points: { regionalDishes: 30, protectedProducts: 20, yearsInOperation: 9.4, familyOwnership: 0, reviewerTags: 0, verifiedAwards: 10 }
+    },
+    {
+      name: 'family-run just below the top level',
+      inputs: { dishes: 5, regionalDishes: 5, protectedProducts: 3, familyOwned: true },
+      score: 55,
+      level: 'innovative-chef',
+      points: { regionalDishes: 30, protectedProducts: 15, yearsInOperation: 0, familyOwnership: 10, reviewerTags: 0, verifiedAwards: 0 }
+    }
+  ];
+
+  for (const { name, inputs, score, level, points: expected } of cases) {
+    await t.test(name, () => {
+      const result = scoreAuthenticity(inputs, { year });
+      assert.deepStrictEqual(points(result), expected);
+      assert.strictEqual(result.score, score);
+      assert.strictEqual(result.level, level);
+    });
+  }
+
+  await t.test('breakdown lists each factor with its value and maximum', () => {
+    const { breakdown } = scoreAuthenticity({ dishes: 3, regionalDishes: 2, foundedYear: 1990, familyOwned: 1 }, { year });
+    assert.deepStrictEqual(breakdown.map(({ factor, value, max }) => ({ factor, value, max })), [
+      { factor: 'regionalDishes', value: 0.67, max: 30 },
+      { factor: 'protectedProducts', value: 0, max: 20 },
+      { factor: 'yearsInOperation', value: 36, max: 15 },
+      { factor: 'familyOwnership', value: true, max: 10 },
+      { factor: 'reviewerTags', value: 0, max: 15 },
+      { factor: 'verifiedAwards', value: 0, max: 10 }
+    ]);
+    assert.ok(breakdown.every(({ name }) => typeof name === 'string' && name));
+  });
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  timeZoneForRegion, timeZoneOf, wallClock, zonedToInstant, formatWallClock, formatInstant,
+  hasOffset, parseDateTime, parseInstant, calendarDate, toSqlDateTime, fromSqlDateTime, dayBounds
+} = require('../../utils/dates');
+
+// 2026: clocks go forward on 29 March and back on 25 October, both at 01:00 UTC. The Açores
+// run an hour behind the mainland all year (UTC-1 in winter, UTC+0 in summer).
+const at = (date, time) => ({ date, minutes: Number(time.slice(0, 2)) * 60 + Number(time.slice(3)) });
+
+test('timeZoneForRegion and timeZoneOf', async (t) => {
+  const cases = [
+    { name: 'mainland region', record: { region: 'lisboa' }, expected: 'Europe/Lisbon' },
+    { name: 'Madeira', record: { region: 'madeira' }, expected: 'Atlantic/Madeira' },
+    { name: 'Açores', record: { region: 'acores' }, expected: 'Atlantic/Azores' },
+    { name: 'no region', record: {}, expected: 'Europe/Lisbon' },
+    { name: 'own zone over the region', record: { region: 'lisboa', timezone: 'Atlantic/Azores' }, expected: 'Atlantic/Azores' },
+    { name: 'unknown own zone', record: { region: 'acores', timezone: 'Europe/Paris' }, expected: 'Atlantic/Azores' }
+  ];
+
+  for (const { name, record, expected } of cases) {
+    await t.test(name, () => {
+      assert.strictEqual(timeZoneOf(record), expected);
+      if (!record.timezone) assert.strictEqual(timeZoneForRegion(record.region), expected);
+    });
+  }
+});
+
+test('wallClock', async (t) => {
+  const cases = [
+    { name: 'mainland, winter', instant: '2026-01-15T12:00:00Z', timeZone: 'Europe/Lisbon', expected: at('2026-01-15', '12:00') },
+    { name: 'mainland, summer', instant: '2026-07-01T12:00:00Z', timeZone: 'Europe/Lisbon', expected: at('2026-07-01', '13:00') },
+    { name: 'mainland, just before spring forward', instant: '2026-03-29T00:59:00Z', timeZone: 'Europe/Lisbon', expected: at('2026-03-29', '00:59') },
+    { name: 'mainland, spring forward', instant: '2026-03-29T01:00:00Z', timeZone: 'Europe/Lisbon', expected: at('2026-03-29', '02:00') },
+    { name: 'mainland, just before fall back', instant: '2026-10-25T00:59:00Z', timeZone: 'Europe/Lisbon', expected: at('2026-10-25', '01:59') },
+    { name: 'mainland, fall back', instant: '2026-10-25T01:00:00Z', timeZone: 'Europe/Lisbon', expected: at('2026-10-25', '01:00') },
+    { name: 'Madeira follows the mainland', instant: '2026-07-01T12:00:00Z', timeZone: 'Atlantic/Madeira', expected: at('2026-07-01', '13:00') },
+    { name: 'Açores, winter, previous day', instant: '2026-01-15T00:30:00Z', timeZone: 'Atlantic/Azores', expected: at('2026-01-14', '23:30') },
+    { name: 'Açores, summer', instant: '2026-07-01T12:00:00Z', timeZone: 'Atlantic/Azores', expected: at('2026-07-01', '12:00') },
+    { name: 'Açores, spring forward', instant: '2026-03-29T01:00:00Z', timeZone: 'Atlantic/Azores', expected: at('2026-03-29', '01:00') }
+  ];
+
+  for (const { name, instant, timeZone, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(wallClock(new Date(instant), timeZone), expected);
+    });
+  }
+});
+
+test('zonedToInstant', async (t) => {
+  const cases = [
+    { name: 'mainland, winter', moment: at('2026-01-15', '12:00'), timeZone: 'Europe/Lisbon', expected: '2026-01-15T12:00:00.000Z' },
+    { name: 'mainland, summer', moment: at('2026-07-01', '12:00'), timeZone: 'Europe/Lisbon', expected: '2026-07-01T11:00:00.000Z' },
+    { name: 'Açores, winter', moment: at('2026-01-15', '12:00'), timeZone: 'Atlantic/Azores', expected: '2026-01-15T13:00:00.000Z' },
+    { name: 'Açores, summer', moment: at('2026-07-01', '12:00'), timeZone: 'Atlantic/Azores', expected: '2026-07-01T12:00:00.000Z' },
+    { name: 'Açores, late evening is the next UTC day', moment: at('2026-01-15', '23:30'), timeZone: 'Atlantic/Azores', expected: '2026-01-16T00:30:00.000Z' },
+    { name: 'mainland, skipped time reads an hour later', moment: at('2026-03-29', '01:30'), timeZone: 'Europe/Lisbon', expected: '2026-03-29T01:30:00.000Z' },
+    { name: 'Açores, skipped time reads an hour later', moment: at('2026-03-29', '00:30'), timeZone: 'Atlantic/Azores', expected: '2026-03-29T01:30:00.000Z' },
+    { name: 'mainland, first moment after spring forward', moment: at('2026-03-29', '02:00'), timeZone: 'Europe/Lisbon', expected: '2026-03-29T01:00:00.000Z' },
+    { name: 'mainland, repeated time is the first one', moment: at('2026-10-25', '01:30'), timeZone: 'Europe/Lisbon', expected: '2026-10-25T00:30:00.000Z' },
+    { name: 'Açores, repeated time is the first one', moment: at('2026-10-25', '00:30'), timeZone: 'Atlantic/Azores', expected: '2026-10-25T00:30:00.000Z' }
+  ];
+
+  for (const { name, moment, timeZone, expected } of cases) {
+    await t.test(name, () => {
+      assert.strictEqual(zonedToInstant(moment, timeZone).toISOString(), expected);
+    });
+  }
+
+  await t.test('round-trips through wallClock away from clock changes', () => {
+    for (const timeZone of ['Europe/Lisbon', 'Atlantic/Madeira', 'Atlantic/Azores']) {
+      for (const moment of [at('2026-01-15', '00:00'), at('2026-07-01', '23:59'), at('2026-12-31', '12:34')]) {
+        assert.deepStrictEqual(wallClock(zonedToInstant(moment, timeZone), timeZone), moment);
+      }
+    }
+  });
+});
+
+test('formatWallClock and formatInstant', async (t) => {
+  const wallClockCases = [
+    { moment: at('2026-01-15', '12:00'), timeZone: 'Europe/Lisbon', expected: '2026-01-15T12:00:00+00:00' },
+    { moment: at('2026-07-01', '12:00'), timeZone: 'Europe/Lisbon', expected: '2026-07-01T12:00:00+01:00' },
+    { moment: at('2026-01-15', '12:00'), timeZone: 'Atlantic/Azores', expected: '2026-01-15T12:00:00-01:00' },
+    { moment: at('2026-07-01', '12:00'), timeZone: 'Atlantic/Azores', expected: '2026-07-01T12:00:00+00:00' },
+    { moment: at('2026-10-26', '00:00'), timeZone: 'Atlantic/Azores', expected: '2026-10-26T00:00:00-01:00' },
+    { moment: at('2026-03-29', '01:30'), timeZone: 'Europe/Lisbon', expected: '2026-03-29T02:30:00+01:00' },
+    { moment: at('2026-03-29', '00:30'), timeZone: 'Atlantic/Azores', expected: '2026-03-29T01:30:00+00:00' }
+  ];
+
+  for (const { moment, timeZone, expected } of wallClockCases) {
+    await t.test(`wall clock ${expected} in ${timeZone}`, () => {
+      assert.strictEqual(formatWallClock(moment, timeZone), expected);
+    });
+  }
+
+  const instantCases = [
+    { value: '2026-07-01 11:00:00', timeZone: 'Europe/Lisbon', expected: '2026-07-01T12:00:00+01:00' },
+    { value: '2026-07-01 11:00:00', timeZone: 'Atlantic/Azores', expected: '2026-07-01T11:00:00+00:00' },
+    { value: '2026-01-15 00:30:00', timeZone: 'Atlantic/Azores', expected: '2026-01-14T23:30:00-01:00' },
+    { value: new Date('2026-10-25T01:30:00Z'), timeZone: 'Europe/Lisbon', expected: '2026-10-25T01:30:00+00:00' },
+    { value: 'sem data', timeZone: 'Europe/Lisbon', expected: 'sem data' }
+  ];
+
+  for (const { value, timeZone, expected } of instantCases) {
+    await t.test(`instant ${value instanceof Date ? value.toISOString() : value} in ${timeZone}`, () => {
+      assert.strictEqual(formatInstant(value, timeZone), expected);
+    });
+  }
+});
+
+test('hasOffset', async (t) => {
+  const cases = [
+    { value: '2026-07-01T12:00:00Z', expected: true },
+    { value: '2026-07-01T12:00:00+01:00', expected: true },
+    { value: '2026-07-01T12:00:00-0100', expected: true },
+    { value: '2026-07-01T12:00:00', expected: false },
+    { value: '2026-07-01', expected: false }
+  ];
+
+  for (const { value, expected } of cases) {
+    await t.test(value, () => {
+      assert.strictEqual(hasOffset(value), expected);
+    });
+  }
+});
+
+test('parseDateTime and parseInstant', async (t) => {
+  const cases = [
+    { value: '2026-07-01T12:00', timeZone: 'Atlantic/Azores', wall: at('2026-07-01', '12:00'), instant: '2026-07-01T12:00:00.000Z' },
+    { value: '2026-07-01 12:00:00', timeZone: 'Europe/Lisbon', wall: at('2026-07-01', '12:00'), instant: '2026-07-01T11:00:00.000Z' },
+    { value: '2026-01-15', timeZone: 'Atlantic/Azores', wall: at('2026-01-15', '00:00'), instant: '2026-01-15T01:00:00.000Z' },
+    { value: '2026-07-01T12:00:00Z', timeZone: 'Europe/Lisbon', wall: at('2026-07-01', '13:00'), instant: '2026-07-01T12:00:00.000Z' },
+    { value: '2026-01-15T00:30:00Z', timeZone: 'Atlantic/Azores', wall: at('2026-01-14', '23:30'), instant: '2026-01-15T00:30:00.000Z' }
+  ];
+
+  for (const { value, timeZone, wall, instant } of cases) {
+    await t.test(`${value} in ${timeZone}`, () => {
+      assert.deepStrictEqual(parseDateTime(value, timeZone), wall);
+      assert.strictEqual(parseInstant(value, timeZone).toISOString(), instant);
+    });
+  }
+});
+
+test('calendarDate', () => {
+  assert.strictEqual(calendarDate(' 2026-07-01T23:30:00-01:00 '), '2026-07-01');
+  assert.strictEqual(calendarDate('2026-07-01'), '2026-07-01');
+});
+
+test('toSqlDateTime and fromSqlDateTime', async (t) => {
+  await t.test('round trip', () => {
+    const instant = new Date('2026-10-25T01:30:00.250Z');
+    assert.strictEqual(toSqlDateTime(instant), '2026-10-25 01:30:00');
+    assert.strictEqual(fromSqlDateTime('2026-10-25 01:30:00').toISOString(), '2026-10-25T01:30:00.000Z');
+  });
+
+  await t.test('keeps a stored offset', () => {
+    assert.strictEqual(fromSqlDateTime('2026-10-25T01:30:00+01:00').toISOString(), '2026-10-25T00:30:00.000Z');
+  });
+
+  await t.test('missing values', () => {
+    assert.strictEqual(fromSqlDateTime(null), null);
+    assert.strictEqual(fromSqlDateTime(undefined), null);
+  });
+});
+
+test('dayBounds', async (t) => {
+  const cases = [
+    { name: 'ordinary day', date: '2026-07-01', timeZone: 'Europe/Lisbon', start: '2026-06-30T23:00:00.000Z', hours: 24 },
+    { name: 'spring forward is 23 hours', date: '2026-03-29', timeZone: 'Europe/Lisbon', start: '2026-03-29T00:00:00.000Z', hours: 23 },
+    { name: 'fall back is 25 hours', date: '2026-10-25', timeZone: 'Europe/Lisbon', start: '2026-10-24T23:00:00.000Z', hours: 25 },
+    { name: 'Açores, spring forward', date: '2026-03-29', timeZone: 'Atlantic/Azores', start: '2026-03-29T01:00:00.000Z', hours: 23 },
+    { name: 'Açores, fall back', date: '2026-10-25', timeZone: 'Atlantic/Azores', start: '2026-10-25T00:00:00.000Z', hours: 25 }
+  ];
+
+  for (const { name, date, timeZone, start, hours } of cases) {
+    await t.test(name, () => {
+      const bounds = dayBounds(date, timeZone);
+      assert.strictEqual(bounds.start.toISOString(), start);
+      assert.strictEqual((bounds.end - bounds.start) / 3600000, hours);
+    });
+  }
+});
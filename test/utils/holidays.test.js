@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  easterSunday, holidaysIn, holidayOn, holidayScopesOn, municipalityKey, municipalitySpellings
+} = require('../../utils/holidays');
+
+test('easterSunday', async (t) => {
+  const cases = [
+    { year: 1818, expected: '1818-03-22' },
+    { year: 2000, expected: '2000-04-23' },
+    { year: 2008, expected: '2008-03-23' },
+    { year: 2024, expected: '2024-03-31' },
+    { year: 2025, expected: '2025-04-20' },
+    { year: 2026, expected: '2026-04-05' },
+    { year: 2027, expected: '2027-03-28' },
+    { year: 2038, expected: '2038-04-25' }
+  ];
+
+  for (const { year, expected } of cases) {
+    await t.test(String(year), () => {
+      assert.strictEqual(easterSunday(year), expected);
+    });
+  }
+});
+
+test('holidayOn', async (t) => {
+  const cases = [
+    { name: 'fixed national', date: '2026-04-25', place: {}, expected: { name: 'Dia da Liberdade', scope: 'national', optional: false } },
+    { name: 'Carnaval is optional', date: '2026-02-17', place: {}, expected: { name: 'Carnaval', scope: 'national', optional: true } },
+    { name: 'Good Friday', date: '2026-04-03', place: {}, expected: { name: 'Sexta-feira Santa', scope: 'national', optional: false } },
+    { name: 'Easter', date: '2026-04-05', place: {}, expected: { name: 'Páscoa', scope: 'national', optional: false } },
+    { name: 'Corpus Christi 2026', date: '2026-06-04', place: {}, expected: { name: 'Corpo de Deus', scope: 'national', optional: false } },
+    { name: 'Corpus Christi 2025', date: '2025-06-19', place: {}, expected: { name: 'Corpo de Deus', scope: 'national', optional: false } },
+    { name: 'Corpus Christi in a leap year', date: '2024-05-30', place: {}, expected: { name: 'Corpo de Deus', scope: 'national', optional: false } },
+    { name: 'ordinary day', date: '2026-06-05', place: {}, expected: null },
+    { name: 'Madeira', date: '2026-07-01', place: { region: 'madeira' }, expected: { name: 'Dia da Região Autónoma da Madeira', scope: 'regional', optional: false } },
+    { name: 'Madeira holiday elsewhere', date: '2026-07-01', place: { region: 'lisboa' }, expected: null },
+    { name: 'Açores, Pentecost Monday', date: '2026-05-25', place: { region: 'acores' }, expected: { name: 'Dia da Região Autónoma dos Açores', scope: 'regional', optional: false } },
+    { name: 'Lisboa', date: '2026-06-13', place: { municipality: 'Lisboa' }, expected: { name: 'Santo António', scope: 'municipal', optional: false } },
+    { name: 'Lisboa holiday in Porto', date: '2026-06-13', place: { municipality: 'Porto' }, expected: null },
+    { name: 'municipality spelt without accents', date: '2026-06-24', place: { municipality: 'guimaraes' }, expected: { name: 'São João', scope: 'municipal', optional: false } },
+    { name: 'Easter-based municipal holiday', date: '2026-05-14', place: { municipality: 'Santarém' }, expected: { name: 'Quinta-feira da Ascensão', scope: 'municipal', optional: false } },
+    { name: 'unknown municipality', date: '2026-06-24', place: { municipality: 'Nenhures' }, expected: null },
+    { name: 'not a date', date: '24/06/2026', place: { municipality: 'Porto' }, expected: null }
+  ];
+
+  for (const { name, date, place, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(holidayOn(date, place), expected && { date, ...expected });
+    });
+  }
+});
+
+test('holidaysIn', async (t) => {
+  await t.test('national holidays sorted by date', () => {
+    const holidays = holidaysIn(2026);
+    assert.strictEqual(holidays.length, 14);
+    assert.deepStrictEqual(holidays.map(holiday => holiday.date), [...holidays.map(holiday => holiday.date)].sort());
+    assert.ok(holidays.every(holiday => holiday.scope === 'national'));
+  });
+
+  await t.test('adds the regional and municipal ones', () => {
+    const holidays = holidaysIn(2026, { municipality: 'Funchal', region: 'madeira' });
+    assert.deepStrictEqual(holidays.filter(holiday => holiday.scope !== 'national').map(holiday => holiday.date), [
+      '2026-07-01', '2026-08-21', '2026-12-26'
+    ]);
+  });
+});
+
+test('holidayScopesOn', async (t) => {
+  const cases = [
+    { date: '2026-12-25', expected: { national: true, regions: [], municipalities: [] } },
+    { date: '2026-05-25', expected: { national: false, regions: ['acores'], municipalities: [] } },
+    {
+      date: '2026-06-24',
+      expected: { national: false, regions: [], municipalities: ['Porto', 'Vila Nova de Gaia', 'Braga', 'Guimarães', 'Angra do Heroísmo'] }
+    },
+    { date: '2026-06-05', expected: { national: false, regions: [], municipalities: [] } }
+  ];
+
+  for (const { date, expected } of cases) {
+    await t.test(date, () => {
+      assert.deepStrictEqual(holidayScopesOn(date), expected);
+    });
+  }
+});
+
+test('municipalityKey', async (t) => {
+  const cases = [
+    { value: 'Vila Nova de Gaia', expected: 'vila-nova-de-gaia' },
+    { value: 'GUIMARÃES', expected: 'guimaraes' },
+    { value: 'Angra do Heroísmo', expected: 'angra-do-heroismo' },
+    { value: null, expected: null },
+    { value: '', expected: null }
+  ];
+
+  for (const { value, expected } of cases) {
+    await t.test(JSON.stringify(value), () => {
+      assert.strictEqual(municipalityKey(value), expected);
+    });
+  }
+});
+
+test('municipalitySpellings', () => {
+  assert.deepStrictEqual(municipalitySpellings('Évora'), ['Évora', 'évora', 'evora']);
+  assert.deepStrictEqual(municipalitySpellings('Porto'), ['porto']);
+});
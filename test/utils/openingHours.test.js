@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseOpeningHours, safeParse, rangesOn, isOpenAt, openWindowsOn, nextChange, openState, weekdayOf
+} = require('../../utils/openingHours');
+
+// 2026-10-19 is a Monday
+const hours = parseOpeningHours({
+  monday: '12:00-15:00, 19:00-23:00',
+  tuesday: [],
+  wednesday: { open: '12:00', close: '15:00' },
+  thursday: 'closed',
+  friday: [{ open: '19:00', close: '02:00' }],
+  saturday: '22:00-00:00',
+  sunday: '10:00-14:00',
+  exceptions: { '2026-10-21': [], '2026-10-22': '18:00-20:00' },
+  holidays: '12:00-16:00'
+});
+
+const noHolidays = { isHoliday: () => false };
+const holidayOn = (...dates) => ({ isHoliday: (date) => dates.includes(date) });
+
+test('parseOpeningHours', async (t) => {
+  await t.test('normalises every weekday format', () => {
+    assert.deepStrictEqual(hours.monday, [{ open: '12:00', close: '15:00' }, { open: '19:00', close: '23:00' }]);
+    assert.deepStrictEqual(hours.tuesday, []);
+    assert.deepStrictEqual(hours.wednesday, [{ open: '12:00', close: '15:00' }]);
+    assert.deepStrictEqual(hours.thursday, []);
+    assert.deepStrictEqual(hours.saturday, [{ open: '22:00', close: '24:00' }]);
+    assert.deepStrictEqual(hours.exceptions, { '2026-10-21': [], '2026-10-22': [{ open: '18:00', close: '20:00' }] });
+    assert.deepStrictEqual(hours.holidays, [{ open: '12:00', close: '16:00' }]);
+  });
+
+  await t.test('reads stored JSON text', () => {
+    assert.deepStrictEqual(parseOpeningHours(JSON.stringify(hours)), hours);
+  });
+
+  const invalid = [
+    { name: 'not an object', value: 'segunda a sexta 12-15', message: /objeto com os dias da semana/ },
+    { name: 'unknown key', value: { segunda: '12:00-15:00' }, message: /chaves desconhecidas \(segunda\)/ },
+    { name: 'bad opening time', value: { monday: '25:00-26:00' }, message: /hora de abertura inválida/ },
+    { name: 'bad closing time', value: { monday: '12:00-3pm' }, message: /hora de fecho inválida/ },
+    { name: 'empty range', value: { monday: '12:00-12:00' }, message: /não podem ser iguais/ },
+    { name: 'overlapping ranges', value: { monday: '12:00-16:00, 15:00-18:00' }, message: /sobrepõem-se/ },
+    { name: 'overnight range overlapping a later one', value: { friday: '23:00-02:00, 23:30-23:45' }, message: /sobrepõem-se/ },
+    { name: 'bad exception date', value: { exceptions: { '2026-02-30': [] } }, message: /data inválida: 2026-02-30/ }
+  ];
+
+  for (const { name, value, message } of invalid) {
+    await t.test(`rejects ${name}`, () => {
+      assert.throws(() => parseOpeningHours(value), (error) => error.statusCode === 400 && message.test(error.message));
+    });
+  }
+});
+
+test('safeParse', async (t) => {
+  const cases = [
+    { name: 'missing', value: null, expected: null },
+    { name: 'empty text', value: '', expected: null },
+    { name: 'legacy free text', value: 'Seg-Sex 12h-15h', expected: null },
+    { name: 'valid JSON', value: '{"sunday":"10:00-14:00"}', expected: [{ open: '10:00', close: '14:00' }] }
+  ];
+
+  for (const { name, value, expected } of cases) {
+    await t.test(name, () => {
+      const parsed = safeParse(value);
+      assert.deepStrictEqual(parsed && parsed.sunday, expected);
+    });
+  }
+});
+
+test('rangesOn', async (t) => {
+  const cases = [
+    { name: 'weekday', date: '2026-10-19', options: noHolidays, expected: hours.monday },
+    { name: 'closed weekday', date: '2026-10-20', options: noHolidays, expected: [] },
+    { name: 'closing exception', date: '2026-10-21', options: noHolidays, expected: [] },
+    { name: 'exception on a closed weekday', date: '2026-10-22', options: noHolidays, expected: [{ open: '18:00', close: '20:00' }] },
+    { name: 'holiday hours', date: '2026-10-20', options: holidayOn('2026-10-20'), expected: hours.holidays },
+    { name: 'exception before holiday hours', date: '2026-10-21', options: holidayOn('2026-10-21'), expected: [] },
+    { name: 'no holiday check', date: '2026-10-19', options: undefined, expected: hours.monday }
+  ];
+
+  for (const { name, date, options, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(rangesOn(hours, date, options), expected);
+    });
+  }
+
+  await t.test('weekday hours on a holiday when there are no holiday hours', () => {
+    const { holidays, ...withoutHolidays } = hours;
+    assert.deepStrictEqual(rangesOn(withoutHolidays, '2026-10-19', holidayOn('2026-10-19')), hours.monday);
+  });
+});
+
+test('isOpenAt', async (t) => {
+  const at = (date, time) => ({ date, minutes: Number(time.slice(0, 2)) * 60 + Number(time.slice(3)) });
+  const cases = [
+    { name: 'inside a range', moment: at('2026-10-19', '13:00'), expected: true },
+    { name: 'at opening', moment: at('2026-10-19', '12:00'), expected: true },
+    { name: 'at closing', moment: at('2026-10-19', '15:00'), expected: false },
+    { name: 'between ranges', moment: at('2026-10-19', '16:30'), expected: false },
+    { name: 'overnight, before midnight', moment: at('2026-10-23', '23:30'), expected: true },
+    { name: 'overnight, after midnight on the next day', moment: at('2026-10-24', '01:30'), expected: true },
+    { name: 'overnight, after it closes', moment: at('2026-10-24', '02:00'), expected: false },
+    { name: 'closing at 24:00', moment: at('2026-10-24', '23:59'), expected: true },
+    { name: '24:00 does not spill into the next day', moment: at('2026-10-25', '00:00'), expected: false },
+    { name: 'closing exception', moment: at('2026-10-21', '13:00'), expected: false }
+  ];
+
+  for (const { name, moment, expected } of cases) {
+    await t.test(name, () => {
+      assert.strictEqual(isOpenAt(hours, moment, noHolidays), expected);
+    });
+  }
+
+  await t.test('holiday hours', () => {
+    assert.strictEqual(isOpenAt(hours, at('2026-10-20', '15:30'), holidayOn('2026-10-20')), true);
+    assert.strictEqual(isOpenAt(hours, at('2026-10-19', '15:30'), holidayOn('2026-10-19')), true);
+    assert.strictEqual(isOpenAt(hours, at('2026-10-19', '15:30'), noHolidays), false);
+  });
+});
+
+test('openWindowsOn', async (t) => {
+  const cases = [
+    { name: 'two ranges', date: '2026-10-19', expected: [[720, 900], [1140, 1380]] },
+    { name: 'overnight range stops at midnight', date: '2026-10-23', expected: [[1140, 1440]] },
+    { name: 'previous night counts from midnight', date: '2026-10-24', expected: [[0, 120], [1320, 1440]] },
+    { name: 'closed', date: '2026-10-20', expected: [] }
+  ];
+
+  for (const { name, date, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(openWindowsOn(hours, date, noHolidays), expected);
+    });
+  }
+});
+
+test('nextChange', async (t) => {
+  const cases = [
+    { name: 'closing later today', moment: { date: '2026-10-19', minutes: 780 }, expected: { date: '2026-10-19', minutes: 900, open: false } },
+    { name: 'opening later today', moment: { date: '2026-10-19', minutes: 960 }, expected: { date: '2026-10-19', minutes: 1140, open: true } },
+    { name: 'skips closed days and exceptions', moment: { date: '2026-10-20', minutes: 600 }, expected: { date: '2026-10-22', minutes: 1080, open: true } },
+    { name: 'overnight close on the next day', moment: { date: '2026-10-23', minutes: 1400 }, expected: { date: '2026-10-24', minutes: 120, open: false } }
+  ];
+
+  for (const { name, moment, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(nextChange(hours, moment, noHolidays), expected);
+    });
+  }
+
+  await t.test('never open', () => {
+    assert.strictEqual(nextChange(parseOpeningHours({}), { date: '2026-10-19', minutes: 0 }), null);
+  });
+});
+
+test('openState', async (t) => {
+  const stored = JSON.stringify(hours);
+  const cases = [
+    {
+      name: 'mainland, summer time',
+      instant: '2026-10-19T11:30:00Z',
+      timeZone: 'Europe/Lisbon',
+      expected: { isOpen: true, nextChange: '2026-10-19T15:00:00+01:00' }
+    },
+    {
+      name: 'Açores, an hour behind the mainland',
+      instant: '2026-10-19T11:30:00Z',
+      timeZone: 'Atlantic/Azores',
+      expected: { isOpen: false, nextChange: '2026-10-19T12:00:00+00:00' }
+    },
+    {
+      name: 'mainland, after the clocks go back',
+      instant: '2026-10-26T14:30:00Z',
+      timeZone: 'Europe/Lisbon',
+      expected: { isOpen: true, nextChange: '2026-10-26T15:00:00+00:00' }
+    },
+    {
+      name: 'Açores, after the clocks go back',
+      instant: '2026-10-26T14:30:00Z',
+      timeZone: 'Atlantic/Azores',
+      expected: { isOpen: true, nextChange: '2026-10-26T15:00:00-01:00' }
+    },
+    {
+      name: 'unparseable hours',
+      instant: '2026-10-19T12:30:00Z',
+      timeZone: 'Europe/Lisbon',
+      value: 'Seg-Sex 12h-15h',
+      expected: { isOpen: null, nextChange: null }
+    }
+  ];
+
+  for (const { name, instant, timeZone, value = stored, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(openState(value, { instant: new Date(instant), timeZone, isHoliday: () => false }), expected);
+    });
+  }
+});
+
+test('weekdayOf', () => {
+  assert.deepStrictEqual(
+    ['2026-10-19', '2026-10-25', '2024-02-29', '2027-01-01'].map(weekdayOf),
+    ['monday', 'sunday', 'thursday', 'friday']
+  );
+});
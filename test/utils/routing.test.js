@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { orderStops, pathLengthKm } = require('../../utils/routing');
+const { haversineKm } = require('../../utils/geo');
+
+const lisbon = { latitude: 38.7223, longitude: -9.1393 };
+const place = (name, latitude, longitude) => ({ name, latitude, longitude });
+
+// Points along the coast north of Lisbon, in the order a traveller meets them
+const sintra = place('sintra', 38.8029, -9.3817);
+const ericeira = place('ericeira', 38.9627, -9.4157);
+const peniche = place('peniche', 39.3558, -9.3811);
+const nazare = place('nazare', 39.6012, -9.0709);
+
+test('pathLengthKm', async (t) => {
+  const cases = [
+    { name: 'no stops', stops: [], expected: 0 },
+    { name: 'one stop', stops: [sintra], expected: haversineKm(lisbon, sintra) },
+    {
+      name: 'legs add up from the start',
+      stops: [sintra, ericeira],
+      expected: haversineKm(lisbon, sintra) + haversineKm(sintra, ericeira)
+    }
+  ];
+
+  for (const { name, stops, expected } of cases) {
+    await t.test(name, () => {
+      assert.ok(Math.abs(pathLengthKm(lisbon, stops) - expected) < 1e-9);
+    });
+  }
+});
+
+test('orderStops', async (t) => {
+  const cases = [
+    { name: 'no stops', stops: [], expected: [] },
+    { name: 'one stop', stops: [nazare], expected: ['nazare'] },
+    { name: 'already in order', stops: [sintra, ericeira, peniche, nazare], expected: ['sintra', 'ericeira', 'peniche', 'nazare'] },
+    { name: 'shuffled', stops: [peniche, nazare, sintra, ericeira], expected: ['sintra', 'ericeira', 'peniche', 'nazare'] },
+    { name: 'reversed', stops: [nazare, peniche, ericeira, sintra], expected: ['sintra', 'ericeira', 'peniche', 'nazare'] }
+  ];
+
+  for (const { name, stops, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(orderStops(lisbon, stops).map(stop => stop.name), expected);
+    });
+  }
+
+  await t.test('keeps the stops and leaves the input alone', () => {
+    const stops = [nazare, sintra, peniche];
+    const ordered = orderStops(lisbon, stops);
+    assert.deepStrictEqual(stops.map(stop => stop.name), ['nazare', 'sintra', 'peniche']);
+    assert.deepStrictEqual([...ordered].sort((a, b) => a.name.localeCompare(b.name)), [nazare, peniche, sintra]);
+  });
+
+  await t.test('finds the shortest path for a handful of scattered stops', () => {
+    const permutations = (items) => (items.length <= 1 ? [items] : items.flatMap((item, index) =>
+      permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])));
+    const stops = [
+      place('evora', 38.5714, -7.9087),
+      place('setubal', 38.5244, -8.8882),
+      place('sintra', 38.8029, -9.3817),
+      place('santarem', 39.2362, -8.6868),
+      place('cascais', 38.6979, -9.4215)
+    ];
+    const shortest = Math.min(...permutations(stops).map(order => pathLengthKm(lisbon, order)));
+    assert.ok(pathLengthKm(lisbon, orderStops(lisbon, stops)) <= shortest + 1e-9);
+  });
+});
@@ -0,0 +1,54 @@
+// Authenticity scoring of restaurants from the factors and levels in config/authenticity.js. Pure:
+// Restaurant.computeAuthenticity() gathers the inputs and stores the result.
+
+const { slugify } = require('./textNormalizer');
+const { factors, levels } = require('../config/authenticity');
+
+const authenticityTags = new Set(factors.reviewerTags.tags);
+
+// Whether a review's tags include an authenticity one ("Autêntico", "receita da avó"...)
+const hasAuthenticityTag = (tags) => Array.isArray(tags) && tags.some(tag => typeof tag === 'string' && authenticityTags.has(slugify(tag)));
+
+const ratio = (part, whole) => (whole > 0 ? Math.min(part / whole, 1) : 0);
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Score of a restaurant from its inputs:
+//   { dishes, regionalDishes, protectedProducts, foundedYear, familyOwned, reviews, taggedReviews, verifiedAwards }
+// Returns { score, level, breakdown }, the breakdown listing each factor's measured value, its
+// points and its maximum
+const scoreAuthenticity = (inputs, { year = new Date().getFullYear() } = {}) => {
+  const dishes = inputs.dishes || 0;
+  const reviews = inputs.reviews || 0;
+  const dishShare = dishes >= factors.regionalDishes.minDishes ? ratio(inputs.regionalDishes || 0, dishes) : 0;
+  const tagShare = reviews >= factors.reviewerTags.minReviews ? ratio(inputs.taggedReviews || 0, reviews) : 0;
+  const values = {
+    regionalDishes: round(dishShare, 2),
+    protectedProducts: inputs.protectedProducts || 0,
+    yearsInOperation: inputs.foundedYear ? Math.max(year - inputs.foundedYear, 0) : 0,
+    familyOwnership: Boolean(inputs.familyOwned),
+    reviewerTags: round(tagShare, 2),
+    verifiedAwards: inputs.verifiedAwards || 0
+  };
+  const shares = {
+    regionalDishes: dishShare,
+    protectedProducts: ratio(values.protectedProducts, factors.protectedProducts.full),
+    yearsInOperation: ratio(values.yearsInOperation, factors.yearsInOperation.full),
+    familyOwnership: values.familyOwnership ? 1 : 0,
+    reviewerTags: tagShare,
+    verifiedAwards: ratio(values.verifiedAwards, factors.verifiedAwards.full)
+  };
+
+  const breakdown = Object.entries(factors).map(([factor, { name, max }]) => ({
+    factor,
+    name,
+    value: values[factor],
+    points: round(shares[factor] * max),
+    max
+  }));
+  const score = round(breakdown.reduce((sum, { points }) => sum + points, 0));
+  const { level } = levels.find(rule => score >= rule.minScore && (!rule.when || rule.when(values)));
+
+  return { score, level, breakdown };
+};
+
+module.exports = { hasAuthenticityTag, scoreAuthenticity };
@@ -0,0 +1,34 @@
+// Small in-memory cache with a time to live and a size cap (least recently used entries go first).
+// Per process: every server instance keeps its own.
+
+const createCache = ({ ttlMs, maxEntries }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    // Re-insert so Map order stays least recently used first
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return value;
+  };
+
+  const clear = () => entries.clear();
+
+  return { get, set, clear, get size() { return entries.size; } };
+};
+
+module.exports = { createCache };
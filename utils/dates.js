@@ -0,0 +1,148 @@
+// Time-zone aware dates. Instants are stored in UTC ("YYYY-MM-DD HH:MM:SS", the query builder's
+// format); wall-clock times (reservation date and time, opening hours) belong to the time zone of
+// their restaurant or event, and the API shows instants as ISO 8601 text with that zone's offset.
+//
+// Portugal has three zones: the mainland, Madeira (same offset, own zone) and the Açores, an hour
+// behind. A record's zone comes from its region unless it sets its own.
+
+const DEFAULT_TIME_ZONE = 'Europe/Lisbon';
+
+const TIME_ZONES = ['Europe/Lisbon', 'Atlantic/Madeira', 'Atlantic/Azores'];
+
+const REGION_TIME_ZONES = {
+  madeira: 'Atlantic/Madeira',
+  acores: 'Atlantic/Azores'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Time zone of a region (config/regions.js)
+const timeZoneForRegion = (region) => REGION_TIME_ZONES[region] || DEFAULT_TIME_ZONE;
+
+// A record's time zone: its own, else its region's
+const timeZoneOf = (record = {}) => (TIME_ZONES.includes(record.timezone) ? record.timezone : timeZoneForRegion(record.region));
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toClock = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+// Stored UTC text of an instant, and back
+const toSqlDateTime = (instant) => instant.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '');
+
+const fromSqlDateTime = (text) => {
+  if (text === null || text === undefined) return null;
+  const value = String(text).trim();
+  return new Date(`${value.replace(' ', 'T')}${OFFSET_PATTERN.test(value) ? '' : 'Z'}`);
+};
+
+const partsFormatters = new Map();
+
+// Wall-clock { date: 'YYYY-MM-DD', minutes } of an instant in a time zone
+const wallClock = (instant, timeZone = DEFAULT_TIME_ZONE) => {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }));
+  }
+  const parts = Object.fromEntries(partsFormatters.get(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+// Today's date (YYYY-MM-DD) in a time zone
+const today = (timeZone = DEFAULT_TIME_ZONE) => wallClock(new Date(), timeZone).date;
+
+// Minutes the time zone is ahead of UTC at an instant
+const offsetMinutes = (instant, timeZone) => {
+  const { date, minutes } = wallClock(instant, timeZone);
+  const asUtc = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;
+  return Math.round((asUtc - Math.floor(instant.getTime() / 60000) * 60000) / 60000);
+};
+
+const formatOffset = (offset) => `${offset < 0 ? '-' : '+'}${toClock(Math.abs(offset))}`;
+
+// The instant of a wall-clock moment in a time zone. A time skipped by a clock change resolves
+// to the instant an hour later, as clocks read then; a time repeated when clocks go back, to
+// the first of the two.
+const zonedToInstant = ({ date, minutes }, timeZone = DEFAULT_TIME_ZONE) => {
+  const asUtc = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;
+  // The offsets a day either side cover any clock change in between
+  const before = offsetMinutes(new Date(asUtc - DAY_MS), timeZone);
+  const after = offsetMinutes(new Date(asUtc + DAY_MS), timeZone);
+  const matching = [before, after]
+    .map(offset => asUtc - offset * 60 * 1000)
+    .filter(instant => offsetMinutes(new Date(instant), timeZone) * 60 * 1000 === asUtc - instant);
+
+  return new Date(matching.length ? Math.min(...matching) : asUtc - before * 60 * 1000);
+};
+
+// ISO 8601 text of an instant (Date or stored UTC text) in a time zone, with its offset
+const formatInstant = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  const instant = value instanceof Date ? value : fromSqlDateTime(value);
+  if (!instant || Number.isNaN(instant.getTime())) return value;
+
+  const offset = offsetMinutes(instant, timeZone);
+  const local = new Date(instant.getTime() + offset * 60 * 1000);
+  return `${local.toISOString().slice(0, 19)}${formatOffset(offset)}`;
+};
+
+// ISO 8601 text, with the zone's offset, of a wall-clock moment (a skipped time as clocks read
+// then, see zonedToInstant)
+const formatWallClock = (moment, timeZone = DEFAULT_TIME_ZONE) => formatInstant(zonedToInstant(moment, timeZone), timeZone);
+
+// Whether an ISO 8601 date-time carries an offset (or Z)
+const hasOffset = (value) => {
+  const text = String(value).trim();
+  return text.length > 10 && OFFSET_PATTERN.test(text);
+};
+
+// Wall-clock moment of an ISO 8601 date or date-time: one with an offset (or Z) is converted to
+// the time zone, one without is read as wall-clock time there already
+const parseDateTime = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  const text = String(value).trim();
+  if (hasOffset(text)) return wallClock(new Date(text), timeZone);
+
+  const [date, time = '00:00'] = text.replace('T', ' ').split(' ');
+  return { date, minutes: Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5) || 0) };
+};
+
+// The instant of an ISO 8601 date-time, read in the time zone when it has no offset
+const parseInstant = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  if (value instanceof Date) return value;
+  const text = String(value).trim();
+  if (hasOffset(text)) return new Date(text);
+  return zonedToInstant(parseDateTime(text, timeZone), timeZone);
+};
+
+// The calendar date (YYYY-MM-DD) written in an ISO 8601 date or date-time, as written
+const calendarDate = (value) => String(value).trim().slice(0, 10);
+
+// Instants where a day (YYYY-MM-DD) of a time zone starts and ends (the next day's start)
+const dayBounds = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return {
+    start: zonedToInstant({ date, minutes: 0 }, timeZone),
+    end: zonedToInstant({ date: next.toISOString().slice(0, 10), minutes: 0 }, timeZone)
+  };
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  TIME_ZONES,
+  timeZoneForRegion,
+  timeZoneOf,
+  wallClock,
+  today,
+  zonedToInstant,
+  formatWallClock,
+  formatInstant,
+  hasOffset,
+  parseDateTime,
+  parseInstant,
+  calendarDate,
+  toSqlDateTime,
+  fromSqlDateTime,
+  dayBounds
+};
@@ -0,0 +1,104 @@
+// Allergen and dietary labelling of menu dishes. Dishes declare which of the 14 allergens of EU
+// Regulation 1169/2011 (Annex II) they contain and carry dietary labels; diners filter on both,
+// and the free-text dietary restrictions of a reservation are read into the same terms.
+
+const { foldText } = require('./textNormalizer');
+
+// The 14 EU allergens by key, with their Portuguese name and the words that name them in free text
+const ALLERGENS = {
+  gluten: { name: 'Glúten', pattern: /\b(gluten|celiac|trigo|centeio|cevada)/ },
+  crustaceans: { name: 'Crustáceos', pattern: /\b(crustace|marisco|camar(ao|oes)|lagost|caranguej|sapateira|shellfish)/ },
+  eggs: { name: 'Ovos', pattern: /\b(ovos?|eggs?)\b/ },
+  fish: { name: 'Peixe', pattern: /\b(peixes?|fish)\b/ },
+  peanuts: { name: 'Amendoins', pattern: /\b(amendoi|peanut)/ },
+  soybeans: { name: 'Soja', pattern: /\b(soja|soy)/ },
+  milk: { name: 'Leite', pattern: /\b(leite|lactose|lacticini|laticini|milk|dairy)/ },
+  nuts: { name: 'Frutos de casca rija', pattern: /\b(frutos? (de casca rija|secos)|noz|nozes|amendoa|avela|caju|pistacio|nuts?)\b/ },
+  celery: { name: 'Aipo', pattern: /\b(aipo|celery)\b/ },
+  mustard: { name: 'Mostarda', pattern: /\b(mostarda|mustard)\b/ },
+  sesame: { name: 'Sésamo', pattern: /\b(sesamo|sesame)\b/ },
+  sulphites: { name: 'Sulfitos', pattern: /\b(sulfit|sulphit)/ },
+  lupin: { name: 'Tremoço', pattern: /\b(tremoc|lupin)/ },
+  molluscs: { name: 'Moluscos', pattern: /\b(molusc|mollusc|marisco|polvo|lulas?\b|chocos?\b|ameijo|mexilh|berbigao|shellfish)/ }
+};
+
+const ALLERGEN_KEYS = Object.keys(ALLERGENS);
+
+// Dietary labels, with the allergens a dish carrying them cannot declare. Diners asking for
+// gluten-free food are read as avoiding gluten (see parseRestrictions).
+const DIETARY_LABELS = {
+  vegetarian: { name: 'Vegetariano', pattern: /\b(vegetarian)/, excludes: ['fish', 'crustaceans', 'molluscs'] },
+  vegan: { name: 'Vegano', pattern: /\b(vegan)/, excludes: ['fish', 'crustaceans', 'molluscs', 'milk', 'eggs'] },
+  'gluten-free': { name: 'Sem glúten', excludes: ['gluten'] },
+  halal: { name: 'Halal', pattern: /\bhalal\b/, excludes: [] }
+};
+
+const LABEL_KEYS = Object.keys(DIETARY_LABELS);
+
+// Labels a label implies: a vegan dish is vegetarian too
+const IMPLIED_LABELS = {
+  vegan: ['vegetarian']
+};
+
+// Keys of a comma-separated query string value ("gluten,milk"), or of an array
+const parseList = (value) => {
+  if (value === null || value === undefined || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+};
+
+// Whether every key of a list value is one of `keys`
+const isListOf = (keys) => (value) => parseList(value).length > 0 && parseList(value).every(key => keys.includes(key));
+
+// A dish's labels with the ones they imply, in LABEL_KEYS order
+const withImpliedLabels = (labels = []) => {
+  const all = new Set(labels.flatMap(label => [label, ...(IMPLIED_LABELS[label] || [])]));
+  return LABEL_KEYS.filter(label => all.has(label));
+};
+
+// Labels contradicted by the declared allergens: [{ label, allergen }]
+const labelConflicts = (allergens, labels = []) => {
+  if (!Array.isArray(allergens)) return [];
+  return withImpliedLabels(labels).flatMap(label => DIETARY_LABELS[label].excludes
+    .filter(allergen => allergens.includes(allergen))
+    .map(allergen => ({ label, allergen })));
+};
+
+// Allergens and labels asked for by free text ("vegetariano, alérgico a marisco") or a list of
+// keys and phrases: { allergens, labels }. "Sem glúten" and coeliac disease ask to avoid gluten.
+const parseRestrictions = (restrictions) => {
+  const phrases = Array.isArray(restrictions) ? restrictions : [restrictions];
+  const text = phrases.map(foldText).join(', ');
+  if (!text.trim()) return { allergens: [], labels: [] };
+
+  const labels = LABEL_KEYS.filter(label => DIETARY_LABELS[label].pattern && DIETARY_LABELS[label].pattern.test(text));
+  const allergens = ALLERGEN_KEYS.filter(allergen => ALLERGENS[allergen].pattern.test(text) || phrases.includes(allergen));
+  // A vegan diner needn't also ask for vegetarian dishes
+  return {
+    allergens,
+    labels: labels.includes('vegan') ? labels.filter(label => label !== 'vegetarian') : labels
+  };
+};
+
+// Whether a dish (allergens and dietary_labels as arrays) suits a diner avoiding `allergens` and
+// asking for `labels`. Dishes that have not declared their allergens suit no one avoiding some.
+const isSuitable = (dish, { allergens = [], labels = [] } = {}) => {
+  if (allergens.length && (!Array.isArray(dish.allergens) || dish.allergens.some(allergen => allergens.includes(allergen)))) {
+    return false;
+  }
+  const dishLabels = withImpliedLabels(Array.isArray(dish.dietary_labels) ? dish.dietary_labels : []);
+  return labels.every(label => dishLabels.includes(label));
+};
+
+module.exports = {
+  ALLERGENS,
+  ALLERGEN_KEYS,
+  DIETARY_LABELS,
+  LABEL_KEYS,
+  parseList,
+  isListOf,
+  withImpliedLabels,
+  labelConflicts,
+  parseRestrictions,
+  isSuitable
+};
@@ -0,0 +1,54 @@
+// Fuzzy string scoring for misspelt searches ("bacalau", "Taberna do Real Fardo").
+// Works on text already folded by utils/textNormalizer.
+
+// Three-character sequences of a text, the unit the trigram index matches on
+const trigrams = (text) => {
+  const result = new Set();
+  for (let index = 0; index + 3 <= text.length; index++) {
+    const trigram = text.slice(index, index + 3);
+    if (trigram.trim().length === 3) result.add(trigram);
+  }
+  return [...result];
+};
+
+// Edit distance (insertions, deletions, substitutions), two rows at a time
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for identical words, 0 for nothing in common
+const wordSimilarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+// How well the query words are covered by the candidate's words: each query word scores
+// against its closest candidate word, averaged. Words under 3 letters ("de", "do") are skipped
+// unless the query has nothing else.
+const phraseSimilarity = (queryWords, candidateWords) => {
+  if (!queryWords.length || !candidateWords.length) return 0;
+
+  const meaningful = queryWords.filter(word => word.length >= 3);
+  const words = meaningful.length ? meaningful : queryWords;
+  const total = words.reduce((sum, word) => {
+    return sum + Math.max(...candidateWords.map(candidate => wordSimilarity(word, candidate)));
+  }, 0);
+  return total / words.length;
+};
+
+module.exports = {
+  trigrams,
+  levenshtein,
+  wordSimilarity,
+  phraseSimilarity
+};
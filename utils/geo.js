@@ -0,0 +1,65 @@
+// Proximity helpers for the lat/lng/radiusKm search parameters.
+// A bounding box narrows candidates in SQL (it can use the coordinate indexes); the haversine
+// distance then decides what is really inside the radius.
+
+const geolib = require('geolib');
+
+// Great-circle distance in km between two { latitude, longitude } points
+const haversineKm = (from, to) => {
+  const dLat = geolib.toRad(to.latitude - from.latitude);
+  const dLng = geolib.toRad(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(geolib.toRad(from.latitude)) * Math.cos(geolib.toRad(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return (2 * geolib.earthRadius * Math.asin(Math.min(1, Math.sqrt(a)))) / 1000;
+};
+
+// Smallest latitude/longitude box containing the circle of `radiusKm` around `origin`
+const boundingBox = (origin, radiusKm) => {
+  const [southWest, northEast] = geolib.getBoundsOfDistance(origin, radiusKm * 1000);
+  return {
+    minLat: southWest.latitude,
+    maxLat: northEast.latitude,
+    minLng: southWest.longitude,
+    maxLng: northEast.longitude
+  };
+};
+
+// Proximity parameters of a query string: null when absent, { origin, radiusKm } otherwise.
+// lat and lng go together; radiusKm and sort=distance need them. Throws a 400 error when not.
+const parseProximity = ({ lat, lng, radiusKm, sort }) => {
+  const hasPoint = lat !== undefined && lat !== '' && lng !== undefined && lng !== '';
+  if (!hasPoint) {
+    if (lat !== undefined || lng !== undefined || radiusKm !== undefined || sort === 'distance') {
+      const error = new Error('Indique lat e lng para pesquisar por proximidade');
+      error.statusCode = 400;
+      throw error;
+    }
+    return null;
+  }
+
+  return {
+    origin: { latitude: parseFloat(lat), longitude: parseFloat(lng) },
+    radiusKm: radiusKm !== undefined && radiusKm !== '' ? parseFloat(radiusKm) : null
+  };
+};
+
+// "minLng,minLat,maxLng,maxLat" (the GeoJSON bbox order) into a box, or null when malformed
+const parseBbox = (value) => {
+  const parts = String(value).split(',').map(part => part.trim());
+  if (parts.length !== 4 || parts.some(part => part === '' || isNaN(Number(part)))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts.map(Number);
+  const valid = minLat >= -90 && maxLat <= 90 && minLng >= -180 && maxLng <= 180 &&
+    minLat <= maxLat && minLng <= maxLng;
+  return valid ? { minLat, maxLat, minLng, maxLng } : null;
+};
+
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+module.exports = {
+  haversineKm,
+  boundingBox,
+  parseProximity,
+  parseBbox,
+  roundKm
+};
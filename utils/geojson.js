@@ -0,0 +1,32 @@
+// GeoJSON (RFC 7946) building blocks for the map endpoints. Coordinates are [longitude, latitude].
+
+const pointFeature = (id, { latitude, longitude }, properties) => ({
+  type: 'Feature',
+  id,
+  geometry: {
+    type: 'Point',
+    coordinates: [longitude, latitude]
+  },
+  properties
+});
+
+// `members` are extra top-level members (bbox, zoom...), allowed by the spec as foreign members
+const featureCollection = (features, members = {}) => ({
+  type: 'FeatureCollection',
+  ...members,
+  features
+});
+
+// URL of the image to show for a record: the primary one, else the first. Images are stored as
+// { url, caption, isPrimary } objects or plain URLs.
+const primaryImage = (images) => {
+  if (!Array.isArray(images) || !images.length) return null;
+  const image = images.find(candidate => candidate && candidate.isPrimary) || images[0];
+  return typeof image === 'string' ? image : (image && image.url) || null;
+};
+
+module.exports = {
+  pointFeature,
+  featureCollection,
+  primaryImage
+};
@@ -0,0 +1,134 @@
+// Portuguese public holiday calendar: national holidays (fixed and Easter-based), the
+// autonomous regions' own holidays and municipal holidays. Restaurants with holiday hours
+// (opening_hours.holidays, see utils/openingHours.js) follow them on these dates.
+
+const { foldText, slugify } = require('./textNormalizer');
+
+// Fixed dates are MM-DD; movable ones are days from Easter Sunday
+const NATIONAL = [
+  { date: '01-01', name: 'Ano Novo' },
+  { easter: -47, name: 'Carnaval', optional: true },
+  { easter: -2, name: 'Sexta-feira Santa' },
+  { easter: 0, name: 'Páscoa' },
+  { date: '04-25', name: 'Dia da Liberdade' },
+  { date: '05-01', name: 'Dia do Trabalhador' },
+  { easter: 60, name: 'Corpo de Deus' },
+  { date: '06-10', name: 'Dia de Portugal' },
+  { date: '08-15', name: 'Assunção de Nossa Senhora' },
+  { date: '10-05', name: 'Implantação da República' },
+  { date: '11-01', name: 'Dia de Todos-os-Santos' },
+  { date: '12-01', name: 'Restauração da Independência' },
+  { date: '12-08', name: 'Imaculada Conceição' },
+  { date: '12-25', name: 'Natal' }
+];
+
+// By gastronomic region (config/regions.js); only the autonomous regions have their own
+const REGIONAL = {
+  madeira: [
+    { date: '07-01', name: 'Dia da Região Autónoma da Madeira' },
+    { date: '12-26', name: 'Primeira Oitava' }
+  ],
+  acores: [
+    { easter: 50, name: 'Dia da Região Autónoma dos Açores' }
+  ]
+};
+
+// By municipality slug
+const MUNICIPAL = {
+  lisboa: { name: 'Lisboa', holidays: [{ date: '06-13', name: 'Santo António' }] },
+  porto: { name: 'Porto', holidays: [{ date: '06-24', name: 'São João' }] },
+  'vila-nova-de-gaia': { name: 'Vila Nova de Gaia', holidays: [{ date: '06-24', name: 'São João' }] },
+  braga: { name: 'Braga', holidays: [{ date: '06-24', name: 'São João' }] },
+  guimaraes: { name: 'Guimarães', holidays: [{ date: '06-24', name: 'São João' }] },
+  'viana-do-castelo': { name: 'Viana do Castelo', holidays: [{ date: '08-20', name: 'Nossa Senhora da Agonia' }] },
+  aveiro: { name: 'Aveiro', holidays: [{ date: '05-12', name: 'Santa Joana Princesa' }] },
+  coimbra: { name: 'Coimbra', holidays: [{ date: '07-04', name: 'Rainha Santa Isabel' }] },
+  viseu: { name: 'Viseu', holidays: [{ date: '09-21', name: 'São Mateus' }] },
+  leiria: { name: 'Leiria', holidays: [{ date: '05-22', name: 'Dia da Cidade' }] },
+  santarem: { name: 'Santarém', holidays: [{ easter: 39, name: 'Quinta-feira da Ascensão' }] },
+  setubal: { name: 'Setúbal', holidays: [{ date: '09-15', name: 'Dia de Bocage' }] },
+  evora: { name: 'Évora', holidays: [{ date: '06-29', name: 'São Pedro' }] },
+  faro: { name: 'Faro', holidays: [{ date: '09-07', name: 'Dia da Cidade' }] },
+  funchal: { name: 'Funchal', holidays: [{ date: '08-21', name: 'Dia da Cidade' }] },
+  'angra-do-heroismo': { name: 'Angra do Heroísmo', holidays: [{ date: '06-24', name: 'São João' }] }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Easter Sunday (YYYY-MM-DD) of a Gregorian year (anonymous Gregorian algorithm)
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const dateOf = (holiday, year) => {
+  if (holiday.date) return `${year}-${holiday.date}`;
+  const day = new Date(`${easterSunday(year)}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + holiday.easter);
+  return day.toISOString().slice(0, 10);
+};
+
+const municipalityKey = (municipality) => (municipality ? slugify(municipality) : null);
+
+// Holidays of a year for a place ({ municipality, region }; both optional), sorted by date:
+// { date, name, scope: 'national' | 'regional' | 'municipal', optional }
+const holidaysIn = (year, { municipality, region } = {}) => {
+  const local = MUNICIPAL[municipalityKey(municipality)];
+  const entries = [
+    ...NATIONAL.map(holiday => ({ ...holiday, scope: 'national' })),
+    ...(REGIONAL[region] || []).map(holiday => ({ ...holiday, scope: 'regional' })),
+    ...(local ? local.holidays : []).map(holiday => ({ ...holiday, scope: 'municipal' }))
+  ];
+
+  return entries
+    .map(holiday => ({ date: dateOf(holiday, year), name: holiday.name, scope: holiday.scope, optional: Boolean(holiday.optional) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// The holiday on a date (YYYY-MM-DD) for a place, or null
+const holidayOn = (date, place = {}) => {
+  if (!DATE_PATTERN.test(date)) return null;
+  return holidaysIn(Number(date.slice(0, 4)), place).find(holiday => holiday.date === date) || null;
+};
+
+// Spellings of a municipality name as SQLite's lower(), which only folds ASCII letters, can
+// see a stored one: with or without accents, in any case
+const municipalitySpellings = (name) => {
+  const asciiLower = (text) => text.replace(/[A-Z]/g, letter => letter.toLowerCase());
+  return [...new Set([asciiLower(name), asciiLower(name.toUpperCase()), name.toLowerCase(), foldText(name)])];
+};
+
+// Who has a holiday on a date, for queries over many places: { national, regions, municipalities }
+// with region keys and municipality names
+const holidayScopesOn = (date) => {
+  const year = Number(date.slice(0, 4));
+  const matches = (holiday) => dateOf(holiday, year) === date;
+
+  return {
+    national: NATIONAL.some(matches),
+    regions: Object.keys(REGIONAL).filter(region => REGIONAL[region].some(matches)),
+    municipalities: Object.values(MUNICIPAL).filter(local => local.holidays.some(matches)).map(local => local.name)
+  };
+};
+
+module.exports = {
+  easterSunday,
+  holidaysIn,
+  holidayOn,
+  holidayScopesOn,
+  municipalityKey,
+  municipalitySpellings
+};
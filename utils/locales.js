@@ -0,0 +1,67 @@
+// Languages of the menus. Dishes and sections are written in Portuguese and may carry
+// translations per locale: { "en": { "name", "description" }, ... }. Readers get the language
+// they ask for in Accept-Language, falling back to Portuguese for anything not translated.
+
+const DEFAULT_LOCALE = 'pt';
+
+const LOCALES = ['en', 'es', 'fr', 'de'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+// Locale of a request from its Accept-Language header (Express negotiation: "en-GB" gets "en"),
+// Portuguese when none of the translated ones is preferred
+const requestLocale = (req) => req.acceptsLanguages(DEFAULT_LOCALE, ...LOCALES) || DEFAULT_LOCALE;
+
+// Whether a value is a valid translations object; null drops a locale when merging
+const isTranslations = (value) => isObject(value) && Object.entries(value).every(([locale, translation]) =>
+  LOCALES.includes(locale) && (translation === null || (isObject(translation) &&
+    Object.keys(translation).every(key => ['name', 'description'].includes(key)) &&
+    isText(translation.name, 100) &&
+    (translation.description === undefined || translation.description === null || isText(translation.description, 500)))));
+
+// Stored translations with the locales of `changes` replaced (or removed when null)
+const mergeTranslations = (current, changes) => {
+  const merged = { ...(isObject(current) ? current : {}) };
+  Object.entries(changes || {}).forEach(([locale, translation]) => {
+    if (translation === null) {
+      delete merged[locale];
+    } else {
+      merged[locale] = { name: translation.name.trim(), description: translation.description ? translation.description.trim() : null };
+    }
+  });
+  return merged;
+};
+
+// An item (dish or section) in a locale: name and description translated where available (an
+// untranslated description stays in Portuguese), with `locale` saying which language the name is
+// in. The stored translations are left out.
+const localize = (item, locale) => {
+  const { translations, ...rest } = item;
+  const translation = locale !== DEFAULT_LOCALE && isObject(translations) && translations[locale];
+  if (!translation) return { ...rest, locale: DEFAULT_LOCALE };
+  return {
+    ...rest,
+    name: translation.name,
+    description: translation.description || rest.description || null,
+    locale
+  };
+};
+
+// Locales an item still lacks: no translated name, or no translated description for a
+// Portuguese one
+const missingLocales = (item, locales = LOCALES) => locales.filter(locale => {
+  const translation = isObject(item.translations) && item.translations[locale];
+  return !translation || !translation.name || (Boolean(item.description) && !translation.description);
+});
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  requestLocale,
+  isTranslations,
+  mergeTranslations,
+  localize,
+  missingLocales
+};
@@ -0,0 +1,45 @@
+// Outgoing email through nodemailer, configured by EMAIL_HOST, EMAIL_PORT, EMAIL_USER and
+// EMAIL_PASS (see env.example). Without EMAIL_HOST nothing is sent, so development and tests
+// never need an SMTP server.
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const isEmailConfigured = () => Boolean(process.env.EMAIL_HOST);
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+// Send a plain-text email; resolves to false when email is not configured
+const sendMail = async ({ to, subject, text }) => {
+  if (!isEmailConfigured()) {
+    console.log(`✉️  Email not configured, skipping "${subject}" to ${to}`);
+    return false;
+  }
+
+  await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to,
+    subject,
+    text
+  });
+  return true;
+};
+
+module.exports = {
+  isEmailConfigured,
+  sendMail
+};
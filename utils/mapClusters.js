@@ -0,0 +1,100 @@
+// Grid clustering of map markers on Web Mercator tiles (the z/x/y scheme map clients use).
+// Each tile is split into gridSize x gridSize cells; the markers sharing a cell become one cluster
+// at their centroid, so clusters never straddle tiles and a tile can be cached on its own.
+
+const { pointFeature } = require('./geojson');
+
+// Web Mercator stops here; tiles beyond it do not exist
+const MAX_LATITUDE = 85.05112878;
+
+// Fractional tile coordinates of a point at `zoom`; the integer parts are the tile's x and y
+const project = ({ latitude, longitude }, zoom) => {
+  const scale = 2 ** zoom;
+  const lat = (Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude)) * Math.PI) / 180;
+  return {
+    x: ((longitude + 180) / 360) * scale,
+    y: ((1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2) * scale
+  };
+};
+
+const tileLongitude = (x, zoom) => (x / 2 ** zoom) * 360 - 180;
+
+const tileLatitude = (y, zoom) => {
+  const n = Math.PI - (2 * Math.PI * y) / 2 ** zoom;
+  return (Math.atan(Math.sinh(n)) * 180) / Math.PI;
+};
+
+// Box ({ minLat, maxLat, minLng, maxLng }) covered by a tile
+const tileBounds = (zoom, x, y) => ({
+  minLng: tileLongitude(x, zoom),
+  maxLng: tileLongitude(x + 1, zoom),
+  minLat: tileLatitude(y + 1, zoom),
+  maxLat: tileLatitude(y, zoom)
+});
+
+// Tiles ({ x, y }) at `zoom` that a box touches
+const tilesForBounds = (box, zoom) => {
+  const last = 2 ** zoom - 1;
+  const toTile = (value) => Math.min(last, Math.max(0, Math.floor(value)));
+  const northWest = project({ latitude: box.maxLat, longitude: box.minLng }, zoom);
+  const southEast = project({ latitude: box.minLat, longitude: box.maxLng }, zoom);
+
+  const tiles = [];
+  for (let x = toTile(northWest.x); x <= toTile(southEast.x); x++) {
+    for (let y = toTile(northWest.y); y <= toTile(southEast.y); y++) {
+      tiles.push({ x, y });
+    }
+  }
+  return tiles;
+};
+
+// One cluster feature for several markers: centroid, count, count per kind and the bounds to zoom to
+const clusterFeature = (id, members) => {
+  const breakdown = {};
+  let latitude = 0;
+  let longitude = 0;
+  let [minLng, minLat, maxLng, maxLat] = [Infinity, Infinity, -Infinity, -Infinity];
+
+  members.forEach(member => {
+    const [lng, lat] = member.geometry.coordinates;
+    latitude += lat;
+    longitude += lng;
+    minLng = Math.min(minLng, lng);
+    maxLng = Math.max(maxLng, lng);
+    minLat = Math.min(minLat, lat);
+    maxLat = Math.max(maxLat, lat);
+    breakdown[member.properties.kind] = (breakdown[member.properties.kind] || 0) + 1;
+  });
+
+  return pointFeature(id, { latitude: latitude / members.length, longitude: longitude / members.length }, {
+    cluster: true,
+    count: members.length,
+    breakdown,
+    bounds: [minLng, minLat, maxLng, maxLat]
+  });
+};
+
+// Cluster the point features of tile x/y. A marker alone in its cell stays as it is. Markers that
+// belong to a neighbouring tile (on the shared edge) are left to that tile.
+const clusterTile = (features, { zoom, x, y, gridSize }) => {
+  const cells = new Map();
+  features.forEach(feature => {
+    const [longitude, latitude] = feature.geometry.coordinates;
+    const position = project({ latitude, longitude }, zoom);
+    if (Math.floor(position.x) !== x || Math.floor(position.y) !== y) return;
+
+    const cell = `${Math.floor((position.x - x) * gridSize)}-${Math.floor((position.y - y) * gridSize)}`;
+    if (!cells.has(cell)) cells.set(cell, []);
+    cells.get(cell).push(feature);
+  });
+
+  return [...cells.entries()].map(([cell, members]) => (members.length === 1
+    ? members[0]
+    : clusterFeature(`cluster-${zoom}-${x}-${y}-${cell}`, members)));
+};
+
+module.exports = {
+  tileBounds,
+  tilesForBounds,
+  clusterTile
+};
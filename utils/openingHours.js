@@ -0,0 +1,230 @@
+// Structured opening hours. The stored (normalised) form lists every weekday with its ranges,
+// plus dated exceptions that replace the weekday's ranges on that date:
+//
+//   {
+//     "monday": [],
+//     "tuesday": [{ "open": "12:00", "close": "15:00" }, { "open": "19:00", "close": "02:00" }],
+//     ...
+//     "exceptions": { "2026-12-24": [{ "open": "12:00", "close": "16:00" }], "2026-12-25": [] },
+//     "holidays": []
+//   }
+//
+// `holidays`, when given, replaces the weekday's ranges on public holidays (utils/holidays.js);
+// a dated exception still comes first. An empty list is a closed day. A range whose close is
+// earlier than its open crosses midnight and ends on the next day; "24:00" closes at midnight.
+// Times are wall-clock times in the restaurant's time zone (utils/dates.js).
+
+const { DEFAULT_TIME_ZONE, wallClock, formatWallClock } = require('./dates');
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MINUTES = 24 * 60;
+
+// Days searched ahead for the next opening or closing: a week plus room for exceptions
+const NEXT_CHANGE_HORIZON_DAYS = 15;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const toMinutes = (time) => (time === '24:00' ? DAY_MINUTES : Number(time.slice(0, 2)) * 60 + Number(time.slice(3)));
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const isDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+const addDays = (date, days) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+};
+
+const weekdayOf = (date) => WEEKDAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+
+const parseRange = (range, label) => {
+  let open;
+  let close;
+  if (typeof range === 'string') {
+    [open, close] = range.split('-').map(part => part.trim());
+  } else if (range && typeof range === 'object') {
+    ({ open, close } = range);
+  }
+
+  if (typeof open !== 'string' || !TIME_PATTERN.test(open)) {
+    throw invalid(`Horário de ${label}: hora de abertura inválida (formato HH:MM)`);
+  }
+  if (close === '00:00') close = '24:00';
+  if (typeof close !== 'string' || (close !== '24:00' && !TIME_PATTERN.test(close))) {
+    throw invalid(`Horário de ${label}: hora de fecho inválida (formato HH:MM)`);
+  }
+  if (open === close) {
+    throw invalid(`Horário de ${label}: abertura e fecho não podem ser iguais`);
+  }
+  return { open, close };
+};
+
+// A day's ranges, from a list, a single range, "12:00-15:00, 19:00-23:00" or a closed marker
+// (missing, false, "closed" or { closed: true }), sorted and checked for overlaps
+const parseDay = (value, label) => {
+  if (value === undefined || value === null || value === false || value === 'closed') return [];
+  if (value && typeof value === 'object' && !Array.isArray(value) && value.closed === true) return [];
+
+  let ranges;
+  if (Array.isArray(value)) {
+    ranges = value;
+  } else if (typeof value === 'string') {
+    ranges = value.split(',').filter(part => part.trim());
+  } else if (value && typeof value === 'object') {
+    ranges = [value];
+  } else {
+    throw invalid(`Horário de ${label} inválido`);
+  }
+
+  const parsed = ranges.map(range => parseRange(range, label)).sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+  parsed.forEach((range, index) => {
+    const end = toMinutes(range.close) < toMinutes(range.open) ? DAY_MINUTES + toMinutes(range.close) : toMinutes(range.close);
+    const next = parsed[index + 1];
+    if (next && toMinutes(next.open) < end) {
+      throw invalid(`Horário de ${label}: os intervalos ${range.open}-${range.close} e ${next.open}-${next.close} sobrepõem-se`);
+    }
+  });
+  return parsed;
+};
+
+// Normalised opening hours (see the top of this file) from stored JSON text or an object.
+// Throws an error with statusCode 400 and a message saying what is wrong.
+const parseOpeningHours = (value) => {
+  let hours = value;
+  if (typeof hours === 'string') {
+    try {
+      hours = JSON.parse(hours);
+    } catch (error) {
+      throw invalid('Horário deve ser um objeto com os dias da semana');
+    }
+  }
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    throw invalid('Horário deve ser um objeto com os dias da semana');
+  }
+
+  const unknown = Object.keys(hours).filter(key => !WEEKDAYS.includes(key) && !['exceptions', 'holidays'].includes(key));
+  if (unknown.length) {
+    throw invalid(`Horário: chaves desconhecidas (${unknown.join(', ')}); use os dias da semana em inglês, exceptions e holidays`);
+  }
+
+  const normalized = {};
+  WEEKDAYS.forEach(weekday => {
+    normalized[weekday] = parseDay(hours[weekday], weekday);
+  });
+
+  const exceptions = hours.exceptions || {};
+  if (typeof exceptions !== 'object' || Array.isArray(exceptions)) {
+    throw invalid('Exceções do horário devem ser um objeto com datas (AAAA-MM-DD)');
+  }
+  normalized.exceptions = {};
+  Object.keys(exceptions).sort().forEach(date => {
+    if (!isDate(date)) throw invalid(`Exceção do horário com data inválida: ${date} (formato AAAA-MM-DD)`);
+    normalized.exceptions[date] = parseDay(exceptions[date], date);
+  });
+  if (hours.holidays !== undefined) normalized.holidays = parseDay(hours.holidays, 'feriados');
+  return normalized;
+};
+
+// Normalised hours, or null when the value is missing or cannot be parsed (legacy free text)
+const safeParse = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  try {
+    return parseOpeningHours(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Ranges in force on a date: its exception if there is one, then the holiday hours when
+// `isHoliday(date)` says it is one, otherwise its weekday's
+const rangesOn = (hours, date, { isHoliday } = {}) => {
+  if (hours.exceptions && hours.exceptions[date]) return hours.exceptions[date];
+  if (hours.holidays && isHoliday && isHoliday(date)) return hours.holidays;
+  return hours[weekdayOf(date)] || [];
+};
+
+// Open intervals, in minutes from the start of `date`, for the days from `fromDay` to `toDay`
+// (offsets from `date`), merged where one range ends as the next starts
+const intervals = (hours, date, fromDay, toDay, options) => {
+  const spans = [];
+  for (let offset = fromDay; offset <= toDay; offset++) {
+    rangesOn(hours, addDays(date, offset), options).forEach(range => {
+      const start = offset * DAY_MINUTES + toMinutes(range.open);
+      const close = toMinutes(range.close);
+      const end = offset * DAY_MINUTES + (close < toMinutes(range.open) ? DAY_MINUTES + close : close);
+      spans.push([start, end]);
+    });
+  }
+  spans.sort((a, b) => a[0] - b[0]);
+
+  return spans.reduce((merged, span) => {
+    const last = merged[merged.length - 1];
+    if (last && span[0] <= last[1]) {
+      last[1] = Math.max(last[1], span[1]);
+    } else {
+      merged.push([...span]);
+    }
+    return merged;
+  }, []);
+};
+
+// Whether the hours are open at a wall-clock moment { date: 'YYYY-MM-DD', minutes }.
+// `options.isHoliday(date)` marks the public holidays, see rangesOn().
+const isOpenAt = (hours, { date, minutes }, options) =>
+  intervals(hours, date, -1, 0, options).some(([start, end]) => start <= minutes && minutes < end);
+
+// Open intervals within `date` itself, in minutes from 00:00 to 24:00: the previous night's range
+// counts from midnight and a range past midnight stops there
+const openWindowsOn = (hours, date, options) =>
+  intervals(hours, date, -1, 0, options)
+    .map(([start, end]) => [Math.max(start, 0), Math.min(end, DAY_MINUTES)])
+    .filter(([start, end]) => start < end);
+
+// The next opening or closing after a wall-clock moment: { date, minutes, open } where `open` is
+// the state from then on; null when the hours never change within the horizon (always closed)
+const nextChange = (hours, { date, minutes }, options) => {
+  const spans = intervals(hours, date, -1, NEXT_CHANGE_HORIZON_DAYS, options);
+  const current = spans.find(([start, end]) => start <= minutes && minutes < end);
+  const at = current ? current[1] : (spans.find(([start]) => start > minutes) || [])[0];
+  if (at === undefined || at >= NEXT_CHANGE_HORIZON_DAYS * DAY_MINUTES) return null;
+
+  return { date: addDays(date, Math.floor(at / DAY_MINUTES)), minutes: at % DAY_MINUTES, open: !current };
+};
+
+// isOpen and nextChange (ISO text) for the stored hours at an instant (default now); both null for
+// hours that are missing or cannot be parsed
+const openState = (value, { instant = new Date(), timeZone = DEFAULT_TIME_ZONE, isHoliday } = {}) => {
+  const hours = safeParse(value);
+  if (!hours) return { isOpen: null, nextChange: null };
+
+  const now = wallClock(instant, timeZone);
+  const change = nextChange(hours, now, { isHoliday });
+  return {
+    isOpen: isOpenAt(hours, now, { isHoliday }),
+    nextChange: change ? formatWallClock(change, timeZone) : null
+  };
+};
+
+module.exports = {
+  WEEKDAYS,
+  parseOpeningHours,
+  safeParse,
+  rangesOn,
+  isOpenAt,
+  openWindowsOn,
+  nextChange,
+  weekdayOf,
+  addDays,
+  toMinutes,
+  toTime,
+  openState
+};
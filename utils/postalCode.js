@@ -0,0 +1,22 @@
+// Portuguese postal codes (CTT): four digits, a hyphen and three digits, e.g. 1100-148.
+// The first digit is never 0.
+
+const POSTAL_CODE_PATTERN = /^([1-9]\d{3})[-\s]?(\d{3})$/;
+
+// "1100-148", "1100 148" or "1100148" as "1100-148"; null when it is not a postal code
+const normalizePostalCode = (value) => {
+  if (value === null || value === undefined) return null;
+  const match = String(value).trim().match(POSTAL_CODE_PATTERN);
+  return match ? `${match[1]}-${match[2]}` : null;
+};
+
+const isValidPostalCode = (value) => normalizePostalCode(value) !== null;
+
+// The 4-digit part, which identifies the area (a locality or part of a city)
+const postalCodePrefix = (code) => code.slice(0, 4);
+
+module.exports = {
+  normalizePostalCode,
+  isValidPostalCode,
+  postalCodePrefix
+};
@@ -0,0 +1,44 @@
+// Which gastronomic region a point falls in, from the boundary polygons bundled in
+// data/regions.geojson. The mainland borders are simplified (a few vertices per region, extended
+// out to sea) and the islands are covered by boxes, so points close to a border may land on either
+// side of it.
+
+const path = require('path');
+const fs = require('fs');
+const geolib = require('geolib');
+
+const BOUNDARIES_FILE = path.join(__dirname, '..', 'data', 'regions.geojson');
+
+let boundaries = null;
+
+// Polygons (outer rings as { latitude, longitude } lists, plus their box) of every region, read once
+const loadBoundaries = () => {
+  if (boundaries) return boundaries;
+
+  const { features } = JSON.parse(fs.readFileSync(BOUNDARIES_FILE, 'utf8'));
+  boundaries = features.map(feature => {
+    const { type, coordinates } = feature.geometry;
+    const polygons = type === 'MultiPolygon' ? coordinates : [coordinates];
+    const rings = polygons.map(([outer]) => outer.map(([longitude, latitude]) => ({ latitude, longitude })));
+    return { region: feature.properties.region, rings, bounds: geolib.getBounds(rings.flat()) };
+  });
+  return boundaries;
+};
+
+// Region containing the point, or null for missing coordinates and points outside every region
+const regionAt = (latitude, longitude) => {
+  if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) return null;
+
+  const point = { latitude: Number(latitude), longitude: Number(longitude) };
+  if (Number.isNaN(point.latitude) || Number.isNaN(point.longitude)) return null;
+
+  const match = loadBoundaries().find(({ rings, bounds }) =>
+    point.latitude >= bounds.minLat && point.latitude <= bounds.maxLat &&
+    point.longitude >= bounds.minLng && point.longitude <= bounds.maxLng &&
+    rings.some(ring => geolib.isPointInPolygon(point, ring)));
+  return match ? match.region : null;
+};
+
+module.exports = {
+  regionAt
+};
@@ -0,0 +1,55 @@
+// Stop ordering for itineraries: a path from a fixed start through every stop, not returning.
+// Nearest neighbour gives a first order; 2-opt then reverses segments while that shortens the
+// path. Good enough for a handful of stops, which is all a day plan has.
+
+const { haversineKm } = require('./geo');
+
+// Length in km of start -> stops[0] -> stops[1] ...
+const pathLengthKm = (start, stops) => stops.reduce((total, stop, index) =>
+  total + haversineKm(index === 0 ? start : stops[index - 1], stop), 0);
+
+const nearestNeighbour = (start, stops) => {
+  const remaining = [...stops];
+  const ordered = [];
+  let current = start;
+
+  while (remaining.length) {
+    let nearest = 0;
+    remaining.forEach((stop, index) => {
+      if (haversineKm(current, stop) < haversineKm(current, remaining[nearest])) nearest = index;
+    });
+    current = remaining.splice(nearest, 1)[0];
+    ordered.push(current);
+  }
+  return ordered;
+};
+
+const twoOpt = (start, stops) => {
+  const path = [start, ...stops];
+  const distance = (a, b) => (b ? haversineKm(a, b) : 0);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < path.length - 1; i++) {
+      for (let k = i + 1; k < path.length; k++) {
+        // Reversing path[i..k] swaps the edges (i-1, i) and (k, k+1) for (i-1, k) and (i, k+1)
+        const before = distance(path[i - 1], path[i]) + distance(path[k], path[k + 1]);
+        const after = distance(path[i - 1], path[k]) + distance(path[i], path[k + 1]);
+        if (after < before - 1e-9) {
+          path.splice(i, k - i + 1, ...path.slice(i, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+  return path.slice(1);
+};
+
+// `stops` ({ latitude, longitude, ... }) in visiting order from `start`
+const orderStops = (start, stops) => twoOpt(start, nearestNeighbour(start, stops));
+
+module.exports = {
+  pathLengthKm,
+  orderStops
+};
@@ -0,0 +1,104 @@
+// Portuguese text normalisation shared by search indexing and querying.
+// "Pastéis de Nata", "pasteis de nata" and "PASTEL DE NATA" all normalise to "pastel de nata",
+// so accents, cedillas, case and common plural forms never stop a match.
+
+// Plural endings folded back to their singular, checked in order (longest first).
+// Applied to folded words, so "ões" is already "oes" here.
+const pluralRules = [
+  { suffix: 'oes', replacement: 'ao' },  // leitões -> leitão
+  { suffix: 'aes', replacement: 'ao' },  // pães -> pão
+  { suffix: 'aos', replacement: 'ao' },  // irmãos -> irmão
+  { suffix: 'ais', replacement: 'al', minLength: 5 },  // regionais -> regional (but not "pais")
+  { suffix: 'eis', replacement: 'el', minLength: 5 },  // pastéis -> pastel
+  { suffix: 'ois', replacement: 'ol', minLength: 5 },  // anzóis -> anzol
+  { suffix: 'uis', replacement: 'ul', minLength: 5 },  // azuis -> azul
+  { suffix: 'ns', replacement: 'm' }  // jardins -> jardim
+];
+
+const MIN_STEM_LENGTH = 4;
+
+// Lower case and strip diacritics; "ç" decomposes to "c" + a combining cedilla
+const foldText = (text) => {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+};
+
+// Reduce a folded word to its singular form
+const stemWord = (word) => {
+  if (word.length < MIN_STEM_LENGTH) return word;
+
+  for (const { suffix, replacement, minLength = MIN_STEM_LENGTH } of pluralRules) {
+    if (word.length >= minLength && word.endsWith(suffix)) {
+      return word.slice(0, -suffix.length) + replacement;
+    }
+  }
+
+  // Regular plurals: sardinhas -> sardinha, queijos -> queijo
+  if (/[aeiou]s$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+};
+
+// Folded words of a text, in order
+const tokenize = (text) => foldText(text).match(/[\p{L}\p{N}]+/gu) || [];
+
+// Normalised terms of a text: folded and stemmed
+const normalizeTerms = (text) => tokenize(text).map(stemWord);
+
+const normalizeText = (text) => normalizeTerms(text).join(' ');
+
+// Excerpt of `text` around the first word matching one of the normalised `terms`, with every
+// matching word wrapped in <mark>. The last term also matches as a prefix, as it does in the
+// search query. Returns null when nothing matches.
+const highlightTerms = (text, terms, { maxWords = 24, wordsBefore = 4 } = {}) => {
+  if (!text || !terms.length) return null;
+
+  const source = String(text);
+  const lastTerm = terms[terms.length - 1];
+  const words = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let found;
+  while ((found = wordPattern.exec(source)) !== null) {
+    const term = stemWord(foldText(found[0]));
+    words.push({
+      start: found.index,
+      end: found.index + found[0].length,
+      matches: terms.includes(term) || term.startsWith(lastTerm)
+    });
+  }
+
+  const firstMatch = words.findIndex(word => word.matches);
+  if (firstMatch === -1) return null;
+
+  const from = Math.max(0, firstMatch - wordsBefore);
+  const to = Math.min(words.length, from + maxWords);
+  let excerpt = '';
+  let position = words[from].start;
+  words.slice(from, to).forEach(word => {
+    excerpt += source.slice(position, word.start);
+    const original = source.slice(word.start, word.end);
+    excerpt += word.matches ? `<mark>${original}</mark>` : original;
+    position = word.end;
+  });
+
+  if (from > 0) excerpt = `…${excerpt}`;
+  if (to < words.length) excerpt += '…';
+  return excerpt;
+};
+
+// URL slug without accents: "Pêra Rocha do Oeste" -> "pera-rocha-do-oeste"
+const slugify = (text) => foldText(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+module.exports = {
+  foldText,
+  slugify,
+  stemWord,
+  tokenize,
+  normalizeTerms,
+  normalizeText,
+  highlightTerms
+};
@@ -0,0 +1,54 @@
+// Rule-based wine pairing for menu dishes (rules in config/wines.js). A dish gets the first rule
+// it matches and, from the restaurant's wine list, the wines of a colour that rule allows, its
+// preferred regions first.
+
+const { normalizeTerms } = require('./textNormalizer');
+const { pairingRules } = require('../config/wines');
+
+// Rules with their keywords as normalised phrases, worked out once
+const rules = pairingRules.map(rule => ({ ...rule, phrases: (rule.keywords || []).map(normalizeTerms) }));
+
+// Whether `phrase` appears as consecutive terms in `terms`
+const containsPhrase = (terms, phrase) => phrase.length > 0 &&
+  terms.some((term, start) => phrase.every((word, offset) => terms[start + offset] === word));
+
+// The first pairing rule a dish matches by its name and description, else by its declared
+// allergens, else by its section's name ("Sobremesas"); null when none does
+const ruleFor = (dish, sectionName) => {
+  const matchesText = (text) => {
+    const terms = normalizeTerms(text);
+    return (rule) => rule.phrases.some(phrase => containsPhrase(terms, phrase));
+  };
+  const allergens = Array.isArray(dish.allergens) ? dish.allergens : [];
+  return rules.find(matchesText([dish.name, dish.description].filter(Boolean).join(' '))) ||
+    rules.find(rule => (rule.allergens || []).some(allergen => allergens.includes(allergen))) ||
+    rules.find(matchesText(sectionName || '')) ||
+    null;
+};
+
+const lowestPrice = (wine) => {
+  const prices = [wine.price_glass_cents, wine.price_bottle_cents].filter(price => Number.isInteger(price));
+  return prices.length ? Math.min(...prices) : Infinity;
+};
+
+// The available wines that suit a rule, best first: preferred regions in their order, then the
+// cheapest
+const rankWines = (rule, wines) => {
+  const regionRank = (wine) => {
+    const index = rule.wines.regions.indexOf(wine.region);
+    return index === -1 ? rule.wines.regions.length : index;
+  };
+  return wines
+    .filter(wine => wine.is_available !== 0 && rule.wines.colors.includes(wine.color))
+    .sort((a, b) => regionRank(a) - regionRank(b) || lowestPrice(a) - lowestPrice(b));
+};
+
+// Pairing of a dish: { rule, suggestion, wines } with up to `limit` wines of the list (which may
+// be empty when the restaurant has none that suit it), or null when no rule matches
+const pairingFor = (dish, wines, { sectionName, limit = 3 } = {}) => {
+  const rule = ruleFor(dish, sectionName);
+  if (!rule) return null;
+  return { rule: rule.key, suggestion: rule.suggestion, wines: rankWines(rule, wines).slice(0, limit) };
+};
+
+module.exports = { ruleFor, rankWines, pairingFor };